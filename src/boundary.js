@@ -0,0 +1,212 @@
+/**
+ * Boundary conditions on a finite bar [0,L]
+ *
+ * Each end has one of three conditions, with g(t) the boundary data:
+ * - temperature: u = g(t)
+ * - gradient: ∂u/∂x = g(t) (zero gradient is an insulated end)
+ * - convective (Robin): heat leaves through the end at a rate proportional to the
+ *   difference with the ambient temperature g(t):
+ *     k u'(0) = h (u(0) - g),   -k u'(L) = h (u(L) - g)
+ *   written with H = h/k = Bi/L, where Bi = hL/k is the Biot number
+ *
+ * The boundary condition names pick the type of each end:
+ * - dirichlet: temperature at both ends
+ * - neumann: gradient at both ends
+ * - mixed: temperature at x = 0, gradient at x = L
+ * - robin: convective at both ends
+ * - '<left>-<right>' combinations such as dirichlet-robin or robin-neumann
+ *
+ * with g(t) = value + amplitude * sin(ωt), so an end can be heated periodically.
+ *
+ * Every end condition is written as  A u(0) - B u'(0) = g₀  or  A u(L) + B u'(L) = g_L
+ * with (A, B) = (1, 0) for a temperature, (0, 1) for a gradient and (H, 1) for a
+ * convective end, which is the form used for the eigenfunctions and the lifting.
+ *
+ * The series solution uses a lifting: u = w + v, where w(x,t) = a(t)P(x) + b(t)Q(x)
+ * satisfies the boundary conditions and v satisfies the homogeneous ones, with
+ *   v_t = α v_xx + α w_xx - w_t,   v(x,0) = f(x) - w(x,0)
+ * The forcing is handled mode by mode with Duhamel's principle.
+ */
+
+export const DEFAULT_BOUNDARY_VALUES = {
+  left: 0, // Temperature, gradient or ambient temperature at x = 0
+  right: 0, // Temperature, gradient or ambient temperature at x = L
+  leftAmplitude: 0, // Amplitude of the sinusoidal part at x = 0
+  rightAmplitude: 0, // Amplitude of the sinusoidal part at x = L
+  frequency: 1, // Angular frequency ω of the sinusoidal part
+  leftBiot: 1, // Biot number of a convective end at x = 0
+  rightBiot: 1, // Biot number of a convective end at x = L
+};
+
+// End type for each name usable in a boundary condition
+const END_TYPES = {
+  dirichlet: 'temperature',
+  neumann: 'gradient',
+  robin: 'convective',
+};
+
+/**
+ * Whether a name is a boundary condition the solvers understand
+ *
+ * @param {string} name - Candidate boundary condition name
+ * @returns {boolean} - True for 'mixed', a single end name, or a '<left>-<right>' pair
+ */
+export const isBoundaryCondition = (name) => {
+  if (name === 'mixed') return true;
+  const parts = name.split('-');
+  return parts.length <= 2 && parts.every((part) => Object.hasOwn(END_TYPES, part));
+};
+
+/**
+ * Which quantity is prescribed at each end for a boundary condition
+ *
+ * @param {string} boundaryCondition - Boundary condition name (see module header)
+ * @returns {{left: string, right: string}} - 'temperature', 'gradient' or 'convective' for each end
+ */
+export const boundaryTypes = (boundaryCondition) => {
+  if (boundaryCondition === 'mixed') return { left: 'temperature', right: 'gradient' };
+  const [left, right = left] = boundaryCondition.split('-');
+  return { left: END_TYPES[left] ?? 'temperature', right: END_TYPES[right] ?? 'temperature' };
+};
+
+/**
+ * Coefficients of each end condition in the form A u ∓ B u' = scale * g(t)
+ *
+ * @param {string} boundaryCondition - Boundary condition name (see module header)
+ * @param {object} boundaryValues - Boundary values, including the Biot numbers
+ * @param {number} L - Length of the bar
+ * @returns {{left: object, right: object}} - { type, A, B, scale, H } for each end
+ */
+export const endConditions = (boundaryCondition, boundaryValues, L) => {
+  const values = { ...DEFAULT_BOUNDARY_VALUES, ...boundaryValues };
+  const types = boundaryTypes(boundaryCondition);
+
+  const end = (type, biot, gradientScale) => {
+    if (type === 'gradient') return { type, A: 0, B: 1, scale: gradientScale, H: 0 };
+    if (type === 'convective') {
+      const H = biot / L;
+      return { type, A: H, B: 1, scale: H, H };
+    }
+    return { type, A: 1, B: 0, scale: 1, H: 0 };
+  };
+
+  // Left: -u'(0) = -a(t) for a prescribed gradient; right: u'(L) = b(t)
+  return {
+    left: end(types.left, values.leftBiot, -1),
+    right: end(types.right, values.rightBiot, 1),
+  };
+};
+
+/**
+ * Boundary data a(t), b(t) and their time derivatives
+ *
+ * @param {object} boundaryValues - Values, amplitudes and frequency (see DEFAULT_BOUNDARY_VALUES)
+ * @returns {{left: Function, right: Function, leftRate: Function, rightRate: Function}}
+ */
+export const createBoundaryFunctions = (boundaryValues = DEFAULT_BOUNDARY_VALUES) => {
+  const { left, right, leftAmplitude, rightAmplitude, frequency } = { ...DEFAULT_BOUNDARY_VALUES, ...boundaryValues };
+  return {
+    left: (t) => left + leftAmplitude * Math.sin(frequency * t),
+    right: (t) => right + rightAmplitude * Math.sin(frequency * t),
+    leftRate: (t) => leftAmplitude * frequency * Math.cos(frequency * t),
+    rightRate: (t) => rightAmplitude * frequency * Math.cos(frequency * t),
+  };
+};
+
+/**
+ * Lifting shapes P, Q with w(x,t) = a(t)P(x) + b(t)Q(x)
+ *
+ * Whenever the ends are not both gradients, the lifting is the linear profile
+ * p + qx satisfying both end conditions, e.g.
+ * - dirichlet: P = 1 - x/L, Q = x/L (linear interpolation between end temperatures)
+ * - mixed: P = 1, Q = x
+ *
+ * For neumann no linear profile fits both gradients, so P = x - x²/(2L) and
+ * Q = x²/(2L); their curvature P'' = -1/L, Q'' = 1/L becomes a uniform source
+ * term that accounts for the net heat flowing in through the ends.
+ *
+ * @param {string} boundaryCondition - Boundary condition name (see module header)
+ * @param {number} L - Length of the bar
+ * @param {object} boundaryValues - Boundary values, including the Biot numbers
+ * @returns {{P: Function, Q: Function, curvatureP: number, curvatureQ: number}}
+ */
+export const createLifting = (boundaryCondition, L, boundaryValues = DEFAULT_BOUNDARY_VALUES) => {
+  const { left, right } = endConditions(boundaryCondition, boundaryValues, L);
+  // Solve  A₀p - B₀q = g₀,  A_L p + (A_L L + B_L) q = g_L  by Cramer's rule
+  const det = left.A * (right.A * L + right.B) + left.B * right.A;
+
+  if (det === 0) {
+    return {
+      P: (x) => x - x * x / (2 * L),
+      Q: (x) => x * x / (2 * L),
+      curvatureP: -1 / L,
+      curvatureQ: 1 / L,
+    };
+  }
+
+  const pP = left.scale * (right.A * L + right.B) / det;
+  const qP = -right.A * left.scale / det;
+  const pQ = left.B * right.scale / det;
+  const qQ = left.A * right.scale / det;
+  return { P: (x) => pP + qP * x, Q: (x) => pQ + qQ * x, curvatureP: 0, curvatureQ: 0 };
+};
+
+/**
+ * Whether any boundary value is nonzero
+ *
+ * @param {object} boundaryValues - Values, amplitudes and frequency
+ * @returns {boolean} - True when the lifting is needed
+ */
+export const isNonHomogeneous = (boundaryValues = DEFAULT_BOUNDARY_VALUES) =>
+  boundaryValues.left !== 0 || boundaryValues.right !== 0 ||
+  boundaryValues.leftAmplitude !== 0 || boundaryValues.rightAmplitude !== 0;
+
+/**
+ * Steady-state profile the bar relaxes toward with the mean boundary values
+ *
+ * - the linear lifting itself when one exists
+ * - neumann: only exists when both ends have the same gradient g (no net heat
+ *   flow); then u∞ = g x + c, with c fixed by conservation of ∫u dx
+ *
+ * @param {string} boundaryCondition - Boundary condition name (see module header)
+ * @param {object} boundaryValues - Values, amplitudes, frequency and Biot numbers
+ * @param {number} L - Length of the bar
+ * @param {number} meanInitial - Average of the initial condition over [0,L]
+ * @returns {((x: number) => number) | null} - Steady state, or null if none exists
+ */
+export const createSteadyState = (boundaryCondition, boundaryValues, L, meanInitial) => {
+  const { left, right } = { ...DEFAULT_BOUNDARY_VALUES, ...boundaryValues };
+  const types = boundaryTypes(boundaryCondition);
+  if (types.left === 'gradient' && types.right === 'gradient') {
+    if (left !== right) return null;
+    return (x) => left * (x - L / 2) + meanInitial;
+  }
+  const { P, Q } = createLifting(boundaryCondition, L, boundaryValues);
+  return (x) => left * P(x) + right * Q(x);
+};
+
+/**
+ * Duhamel integral of a decaying mode driven by a constant plus sinusoidal forcing
+ * ∫₀ᵗ exp(-μ(t-s)) * (C + S sin(ωs) + K cos(ωs)) ds
+ *
+ * @param {number} mu - Decay rate αλₙ² of the mode (may be zero)
+ * @param {number} t - Time
+ * @param {number} C - Constant part of the forcing
+ * @param {number} S - Amplitude of sin(ωs)
+ * @param {number} K - Amplitude of cos(ωs)
+ * @param {number} omega - Angular frequency ω
+ * @returns {number} - Value of the integral
+ */
+export const duhamelIntegral = (mu, t, C, S, K, omega) => {
+  const decay = Math.exp(-mu * t);
+  let result = C * (mu === 0 ? t : (1 - decay) / mu);
+
+  const denominator = mu * mu + omega * omega;
+  if (denominator > 0) {
+    const sin = Math.sin(omega * t);
+    const cos = Math.cos(omega * t);
+    result += S * (mu * sin - omega * cos + omega * decay) / denominator;
+    result += K * (mu * cos + omega * sin - mu * decay) / denominator;
+  }
+  return result;
+};
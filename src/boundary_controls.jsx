@@ -0,0 +1,76 @@
+import React from 'react';
+import { boundaryTypes } from './boundary.js';
+import { SETTING_LIMITS } from './scenario.js';
+
+/**
+ * BoundaryControls Component
+ *
+ * Inputs for the boundary values of a finite or numerical bar. Each end shows
+ * the quantity its boundary condition prescribes: a temperature for a fixed
+ * end, the gradient ∂u/∂x for a flux end (0 = insulated), or the ambient
+ * temperature T∞ and Biot number Bi = hL/k for a convective end. An optional
+ * amplitude A adds A·sin(ωt) to either end. The semi-infinite bar only has
+ * the constant value at x = 0.
+ *
+ * @param {object} props
+ * @param {string} props.boundaryCondition - Boundary condition name (see boundary.js)
+ * @param {object} props.values - Current boundary values (see DEFAULT_BOUNDARY_VALUES)
+ * @param {boolean} [props.leftOnly] - Show only the end at x = 0 (semi-infinite bar)
+ * @param {(values: object) => void} props.onChange - Called with the updated values
+ */
+const BoundaryControls = ({ boundaryCondition, values, leftOnly = false, onChange }) => {
+  const types = boundaryTypes(boundaryCondition);
+
+  // Label of the prescribed quantity at each end
+  const endLabel = (type, end) => {
+    if (type === 'temperature') return end === 'left' ? 'u(0) = T₀' : 'u(L) = T_L';
+    if (type === 'convective') return end === 'left' ? 'Ambient T∞ (left)' : 'Ambient T∞ (right)';
+    return end === 'left' ? '∂u/∂x(0)' : '∂u/∂x(L)';
+  };
+
+  // Number input bound to one field of the boundary values (optionally bounded, see SETTING_LIMITS)
+  const field = (key, label, { min, max } = {}) => (
+    <div>
+      <label className="text-gray-300 block mb-1 text-xs">{label}</label>
+      <input
+        type="number"
+        step="0.1"
+        min={min}
+        max={max}
+        value={values[key]}
+        onChange={(e) => {
+          const value = parseFloat(e.target.value);
+          if (isNaN(value) || (min !== undefined && value < min) || (max !== undefined && value > max)) return;
+          onChange({ ...values, [key]: value });
+        }}
+        className="w-full bg-gray-700 text-white px-2 py-1 rounded-lg text-sm"
+      />
+    </div>
+  );
+
+  if (leftOnly) {
+    return (
+      <div>
+        <label className="text-white block mb-1.5 text-sm">Boundary Value:</label>
+        <div className="grid grid-cols-2 gap-2">{field('left', endLabel(types.left, 'left'))}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <label className="text-white block mb-1.5 text-sm">Boundary Values:</label>
+      <div className="grid grid-cols-2 gap-2">
+        {field('left', endLabel(types.left, 'left'))}
+        {field('right', endLabel(types.right, 'right'))}
+        {types.left === 'convective' && field('leftBiot', 'Left Biot Bi₀', SETTING_LIMITS.biot)}
+        {types.right === 'convective' && field('rightBiot', 'Right Biot Bi_L', SETTING_LIMITS.biot)}
+        {field('leftAmplitude', 'Left amplitude A₀')}
+        {field('rightAmplitude', 'Right amplitude A_L')}
+        {field('frequency', 'Frequency ω')}
+      </div>
+    </div>
+  );
+};
+
+export default BoundaryControls;
@@ -0,0 +1,28 @@
+/**
+ * Color scale shared by the heatmaps and surface plots
+ */
+
+// Color stops from the coldest to the hottest temperature: dark, then the
+// green → yellow → red of the 1D plot's gradient
+export const HEAT_COLORS = [
+  [0, [26, 26, 46]],
+  [0.33, [107, 207, 127]],
+  [0.66, [255, 217, 61]],
+  [1, [255, 107, 107]],
+];
+
+/**
+ * Color of a normalized temperature on the heat scale
+ *
+ * @param {number} s - Temperature scaled to [0, 1] (clamped; non-finite values are coldest)
+ * @returns {Array<number>} - [r, g, b]
+ */
+export const heatColor = (s) => {
+  const v = Math.min(1, Math.max(0, Number.isFinite(s) ? s : 0));
+  let k = 1;
+  while (k < HEAT_COLORS.length - 1 && HEAT_COLORS[k][0] < v) k++;
+  const [s0, c0] = HEAT_COLORS[k - 1];
+  const [s1, c1] = HEAT_COLORS[k];
+  const w = (v - s0) / (s1 - s0);
+  return c0.map((channel, i) => Math.round(channel + w * (c1[i] - channel)));
+};
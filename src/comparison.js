@@ -0,0 +1,119 @@
+/**
+ * Comparison of two solutions of the same problem
+ *
+ * Used to teach convergence: a solution (truncated Fourier series or
+ * finite-difference) is compared pointwise against another, and the error is
+ * summarized by its L¹, L² and L∞ norms. A convergence sweep repeats the
+ * comparison while refining the number of modes or the grid.
+ */
+
+import { createInitialCondition, evaluateHeatEquation } from './heat_solver.js';
+import { createFiniteDifferenceSolver, meshRatio } from './finite_difference.js';
+import { linspace, trapezoid } from './grid.js';
+
+// Resolution of the high-accuracy Fourier series used as the reference solution
+export const REFERENCE_NUM_MODES = 400;
+export const REFERENCE_NUM_INT_POINTS = 4000;
+
+// Largest amount of work (steps × nodes) a single level of the grid sweep may take
+const maxSweepWork = 5e7;
+
+/**
+ * Build the problem a solution is compared against
+ *
+ * @param {object} problem - Problem description (see heat_solver.js)
+ * @param {string} compareWith - 'reference' (high-resolution Fourier series),
+ *                               'finite' (Fourier series at the current resolution)
+ *                               or 'numerical' (finite difference)
+ * @returns {object} - Problem description for the comparison solution
+ */
+export const createComparisonProblem = (problem, compareWith) => {
+  if (compareWith === 'reference') {
+    return {
+      ...problem,
+      barType: 'finite',
+      numModes: REFERENCE_NUM_MODES,
+      numIntPoints: REFERENCE_NUM_INT_POINTS,
+    };
+  }
+  return { ...problem, barType: compareWith };
+};
+
+/**
+ * Pointwise difference and its norms between two sampled solutions
+ * e(x) = u(x) - v(x)
+ * L¹ = ∫|e| dx, L² = √(∫e² dx), L∞ = max|e|
+ *
+ * @param {Float64Array} xs - Sample positions
+ * @param {Float64Array} u - Solution being measured
+ * @param {Float64Array} v - Solution it is compared against, at the same positions
+ * @returns {{difference: Float64Array, l1: number, l2: number, linf: number}}
+ */
+export const computeErrorNorms = (xs, u, v) => {
+  const difference = new Float64Array(xs.length);
+  const absolute = new Float64Array(xs.length);
+  const squared = new Float64Array(xs.length);
+  let linf = 0;
+
+  for (let i = 0; i < xs.length; i++) {
+    difference[i] = u[i] - v[i];
+    absolute[i] = Math.abs(difference[i]);
+    squared[i] = difference[i] * difference[i];
+    linf = Math.max(linf, absolute[i]);
+  }
+
+  return {
+    difference,
+    l1: trapezoid(xs, absolute),
+    l2: Math.sqrt(trapezoid(xs, squared)),
+    linf,
+  };
+};
+
+/**
+ * Measure how the error against the reference Fourier series falls as the
+ * solution is refined, at the problem's current time
+ *
+ * - Finite bar: sweeps the number of modes N = 1, 2, 4, … (truncation error)
+ * - Numerical bar: sweeps Δx = L/10, L/20, … keeping the mesh ratio r = αΔt/Δx²
+ *   fixed, with Δt adjusted so the final step lands exactly on t
+ *
+ * @param {object} problem - Problem description (see heat_solver.js)
+ * @returns {{parameter: string, points: Array<{value: number, l1: number, l2: number, linf: number}>}}
+ */
+export const runConvergenceSweep = (problem) => {
+  const { L, alpha, time, boundaryCondition, scheme } = problem;
+  const reference = createComparisonProblem(problem, 'reference');
+  const points = [];
+
+  if (problem.barType === 'numerical') {
+    const f = createInitialCondition(problem);
+    const ratio = meshRatio(alpha, problem.timeStep, problem.gridSpacing);
+
+    for (let intervals = 10; intervals <= 640; intervals *= 2) {
+      const gridSpacing = L / intervals;
+      const numSteps = Math.max(1, Math.ceil(time / (ratio * gridSpacing * gridSpacing / alpha)));
+      if (numSteps * (intervals + 1) > maxSweepWork) break;
+
+      const solver = createFiniteDifferenceSolver({
+        f, L, alpha, boundaryCondition, scheme, gridSpacing, timeStep: time / numSteps,
+        boundaryValues: problem.boundaryValues, sources: problem.sources,
+      });
+      for (let k = 0; k < numSteps; k++) solver.step();
+
+      const norms = computeErrorNorms(solver.x, solver.u, evaluateHeatEquation(reference, solver.x));
+      points.push({ value: solver.dx, l1: norms.l1, l2: norms.l2, linf: norms.linf });
+    }
+    return { parameter: 'gridSpacing', points };
+  }
+
+  const xs = linspace(0, L, problem.numPoints);
+  const exact = evaluateHeatEquation(reference, xs);
+
+  for (let numModes = 1; numModes <= REFERENCE_NUM_MODES / 2; numModes *= 2) {
+    const truncated = { ...reference, numModes };
+    const norms = computeErrorNorms(xs, evaluateHeatEquation(truncated, xs), exact);
+    points.push({ value: numModes, l1: norms.l1, l2: norms.l2, linf: norms.linf });
+  }
+  return { parameter: 'numModes', points };
+};
@@ -0,0 +1,159 @@
+/**
+ * Composite bars made of segments with their own material properties
+ *
+ * Each segment has a length, a diffusivity α = k/(ρc) and a conductivity k, so
+ * the heat equation becomes
+ *   ρc ∂u/∂t = ∂/∂x (k ∂u/∂x)
+ * with u and the flux -k ∂u/∂x continuous across every interface. The
+ * finite-volume solver (see finite_difference.js) uses the helpers below:
+ * face conductances are harmonic means of k (series resistances), and node
+ * heat capacities ρc = k/α are averaged over each control volume, which keeps
+ * both interface conditions exact wherever the interfaces fall on the grid.
+ */
+
+// Fill colors of the segments drawn under the plot, cycled by index
+export const SEGMENT_COLORS = ['#e07a5f', '#81b29a', '#f2cc8f', '#3d85c6', '#b5838d', '#a8dadc'];
+
+// Copper – steel – copper: a poor conductor between two good ones
+export const DEFAULT_SEGMENTS = [
+  { name: 'Copper', length: 3, alpha: 0.4, conductivity: 4 },
+  { name: 'Steel', length: 4, alpha: 0.05, conductivity: 0.5 },
+  { name: 'Copper', length: 3, alpha: 0.4, conductivity: 4 },
+];
+
+// Most segments a composite bar may have
+export const MAX_SEGMENTS = 6;
+
+/**
+ * Total length of a composite bar
+ *
+ * @param {Array<object>} segments - Segments { length, alpha, conductivity }
+ * @returns {number} - Sum of the segment lengths
+ */
+export const compositeLength = (segments) => segments.reduce((sum, segment) => sum + segment.length, 0);
+
+/**
+ * Positions of the segment boundaries, from 0 to the total length
+ *
+ * @param {Array<object>} segments - Segments { length, alpha, conductivity }
+ * @returns {Array<number>} - Boundary positions (one more than the number of segments)
+ */
+export const segmentBoundaries = (segments) => {
+  const boundaries = [0];
+  segments.forEach((segment) => boundaries.push(boundaries[boundaries.length - 1] + segment.length));
+  return boundaries;
+};
+
+/**
+ * Segment containing position x (the last one for x at or past the right end)
+ *
+ * @param {Array<object>} segments - Segments { length, alpha, conductivity }
+ * @param {number} x - Position along the bar
+ * @returns {object} - Segment at x
+ */
+export const segmentAt = (segments, x) => {
+  let end = 0;
+  for (const segment of segments) {
+    end += segment.length;
+    if (x < end) return segment;
+  }
+  return segments[segments.length - 1];
+};
+
+/**
+ * Integral of a per-segment quantity over [a, b]
+ *
+ * @param {Array<object>} segments - Segments { length, alpha, conductivity }
+ * @param {number} a - Start of the interval
+ * @param {number} b - End of the interval
+ * @param {(segment: object) => number} density - Value of the quantity in a segment
+ * @returns {number} - ∫ₐᵇ density dx
+ */
+const integrateSegments = (segments, a, b, density) => {
+  let sum = 0;
+  let start = 0;
+  for (const segment of segments) {
+    const end = start + segment.length;
+    const overlap = Math.min(b, end) - Math.max(a, start);
+    if (overlap > 0) sum += overlap * density(segment);
+    start = end;
+  }
+  return sum;
+};
+
+/**
+ * Effective conductivity between two points: the harmonic mean of k, so that
+ * -K (u(b) - u(a)) / (b - a) is the steady flux through the layers in series
+ *
+ * @param {Array<object>} segments - Segments { length, alpha, conductivity }
+ * @param {number} a - Left point
+ * @param {number} b - Right point
+ * @returns {number} - (b - a) / ∫ₐᵇ dx/k
+ */
+export const faceConductivity = (segments, a, b) =>
+  (b - a) / integrateSegments(segments, a, b, (segment) => 1 / segment.conductivity);
+
+/**
+ * Average volumetric heat capacity ρc = k/α over [a, b]
+ *
+ * @param {Array<object>} segments - Segments { length, alpha, conductivity }
+ * @param {number} a - Start of the control volume
+ * @param {number} b - End of the control volume
+ * @returns {number} - (1/(b - a)) ∫ₐᵇ k/α dx
+ */
+export const meanCapacity = (segments, a, b) =>
+  integrateSegments(segments, a, b, (segment) => segment.conductivity / segment.alpha) / (b - a);
+
+/**
+ * Steady state of a composite bar with the mean boundary values
+ *
+ * The steady flux is the same in every segment, so u = p + q R(x) with the
+ * thermal resistance R(x) = ∫₀ˣ dx/k: piecewise linear, with a kink at each
+ * interface. p and q follow from the two end conditions. With gradients at
+ * both ends a steady state only exists when the fluxes k u' balance, and the
+ * constant is then fixed by conservation of ∫ρc u dx.
+ *
+ * @param {Array<object>} segments - Segments { length, alpha, conductivity }
+ * @param {object} ends - End conditions (see endConditions in boundary.js)
+ * @param {object} boundaryValues - Boundary values (see boundary.js)
+ * @param {(x: number) => number} f - Initial condition
+ * @returns {((x: number) => number) | null} - Steady state, or null if none exists
+ */
+export const createCompositeSteadyState = (segments, ends, boundaryValues, f) => {
+  const { left, right } = ends;
+  const boundaries = segmentBoundaries(segments);
+  const L = boundaries[boundaries.length - 1];
+  const k0 = segments[0].conductivity;
+  const kL = segments[segments.length - 1].conductivity;
+
+  // R(x) = ∫₀ˣ dx/k
+  const resistance = (x) => integrateSegments(segments, 0, x, (segment) => 1 / segment.conductivity);
+  const RL = resistance(L);
+  const g0 = left.scale * boundaryValues.left;
+  const gL = right.scale * boundaryValues.right;
+
+  // A₀p - B₀q/k₀ = g₀,  A_L(p + qR_L) + B_L q/k_L = g_L
+  const det = left.A * (right.A * RL + right.B / kL) + (left.B / k0) * right.A;
+  if (det !== 0) {
+    const p = (g0 * (right.A * RL + right.B / kL) + (left.B / k0) * gL) / det;
+    const q = (left.A * gL - right.A * g0) / det;
+    return (x) => p + q * resistance(x);
+  }
+
+  // Gradient ends: the flux k u' must be the same at both ends
+  const q = k0 * boundaryValues.left;
+  if (Math.abs(q - kL * boundaryValues.right) > 1e-12) return null;
+  const samples = 400;
+  let heat = 0;
+  let capacity = 0;
+  let shape = 0;
+  for (let i = 0; i < samples; i++) {
+    const x = (i + 0.5) * L / samples;
+    const c = segmentAt(segments, x).conductivity / segmentAt(segments, x).alpha;
+    heat += c * f(x);
+    capacity += c;
+    shape += c * q * resistance(x);
+  }
+  const p = (heat - shape) / capacity;
+  return (x) => p + q * resistance(x);
+};
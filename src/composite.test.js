@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { meanCapacity } from './composite.js';
+import { createFiniteDifferenceSolver } from './finite_difference.js';
+import { solveHeatEquation } from './heat_solver.js';
+
+// A good conductor followed by a poor one, the interface on the grid
+const segments = [
+  { name: 'Copper', length: 4, alpha: 0.5, conductivity: 4 },
+  { name: 'Steel', length: 6, alpha: 0.2, conductivity: 1 },
+];
+const L = 10;
+const problem = {
+  barType: 'composite', segments, L, alpha: 0.5, numPoints: 101, initialCondition: 'gaussian',
+  scheme: 'crank-nicolson', gridSpacing: 0.1, timeStep: 0.05,
+};
+
+describe('composite bars', () => {
+  it('settle on the piecewise linear profile that carries the same flux through every segment', () => {
+    // u = 1 - R(x)/R(L) with the thermal resistance R(x) = ∫₀ˣ dx/k
+    const resistance = (x) => (x <= 4 ? x / 4 : 1 + (x - 4));
+    const { x, u } = solveHeatEquation({
+      ...problem, boundaryCondition: 'dirichlet', boundaryValues: { left: 1, right: 0 }, time: 1000,
+    });
+    x.forEach((position, i) => {
+      expect(u[i]).toBeCloseTo(1 - resistance(position) / resistance(L), 4);
+    });
+  });
+
+  it('conserve the heat ∫ρc u dx of the control volumes with insulated ends', () => {
+    const solver = createFiniteDifferenceSolver({
+      f: (x) => Math.exp(-((x - 3) ** 2)), L, alpha: 0.5, boundaryCondition: 'neumann', scheme: 'crank-nicolson',
+      gridSpacing: 0.1, timeStep: 0.05, segments,
+    });
+    const { dx } = solver;
+    const heat = () => solver.u.reduce((sum, value, i) => {
+      const a = Math.max(0, (i - 0.5) * dx);
+      const b = Math.min(L, (i + 0.5) * dx);
+      return sum + meanCapacity(segments, a, b) * (b - a) * value;
+    }, 0);
+    const initial = heat();
+    for (const time of [1, 10, 50]) {
+      solver.advanceTo(time);
+      expect(heat()).toBeCloseTo(initial, 10);
+    }
+  });
+
+  it('match the uniform numerical bar when every segment is the same', () => {
+    const uniform = [
+      { name: 'A', length: 3, alpha: 0.3, conductivity: 2 },
+      { name: 'B', length: 7, alpha: 0.3, conductivity: 2 },
+    ];
+    const setup = { ...problem, alpha: 0.3, boundaryCondition: 'mixed', time: 5 };
+    const composite = solveHeatEquation({ ...setup, segments: uniform });
+    const numerical = solveHeatEquation({ ...setup, barType: 'numerical' });
+    composite.u.forEach((value, i) => {
+      expect(value).toBeCloseTo(numerical.u[i], 10);
+    });
+  });
+});
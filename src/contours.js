@@ -0,0 +1,88 @@
+/**
+ * Contour lines (isotherms) of a sampled 2D field by marching squares
+ *
+ * Each grid cell is classified by which of its four corners lie above the
+ * level, and the level line is drawn across the cell between the edges where
+ * it crosses, at positions interpolated linearly along those edges. Saddle
+ * cells are resolved with the value at the cell center.
+ */
+
+// Number of isotherms drawn between the coldest and hottest temperatures
+export const CONTOUR_LEVELS = 8;
+
+/**
+ * Evenly spaced contour levels strictly inside a temperature range
+ *
+ * @param {number} lo - Coldest temperature
+ * @param {number} hi - Hottest temperature
+ * @param {number} count - Number of levels
+ * @returns {Array<number>} - Levels from coldest to hottest
+ */
+export const contourLevels = (lo, hi, count = CONTOUR_LEVELS) =>
+  Array.from({ length: count }, (_, k) => lo + (k + 1) * (hi - lo) / (count + 1));
+
+/**
+ * Contour segments of a field at one level
+ *
+ * @param {{x: Float64Array, y: Float64Array, u: Float64Array}} field - Sampled values, u[j * nx + i]
+ * @param {number} level - Contour level
+ * @returns {Array<[number, number, number, number]>} - Segments [x₁, y₁, x₂, y₂] in field coordinates
+ */
+export const contourSegments = ({ x, y, u }, level) => {
+  const nx = x.length;
+  const segments = [];
+
+  // Point where the level crosses the edge between two corners
+  const crossing = (xa, ya, ua, xb, yb, ub) => {
+    const w = (level - ua) / (ub - ua);
+    return [xa + w * (xb - xa), ya + w * (yb - ya)];
+  };
+
+  for (let j = 0; j < y.length - 1; j++) {
+    for (let i = 0; i < nx - 1; i++) {
+      // Corners counter-clockwise from bottom left
+      const u0 = u[j * nx + i];
+      const u1 = u[j * nx + i + 1];
+      const u2 = u[(j + 1) * nx + i + 1];
+      const u3 = u[(j + 1) * nx + i];
+      const index = (u0 > level ? 1 : 0) | (u1 > level ? 2 : 0) | (u2 > level ? 4 : 0) | (u3 > level ? 8 : 0);
+      if (index === 0 || index === 15) continue;
+
+      const x0 = x[i];
+      const x1 = x[i + 1];
+      const y0 = y[j];
+      const y1 = y[j + 1];
+      // Crossings on the bottom, right, top and left edges
+      const bottom = () => crossing(x0, y0, u0, x1, y0, u1);
+      const right = () => crossing(x1, y0, u1, x1, y1, u2);
+      const top = () => crossing(x1, y1, u2, x0, y1, u3);
+      const left = () => crossing(x0, y1, u3, x0, y0, u0);
+      const add = (a, b) => segments.push([...a(), ...b()]);
+
+      switch (index) {
+        case 1: case 14: add(left, bottom); break;
+        case 2: case 13: add(bottom, right); break;
+        case 3: case 12: add(left, right); break;
+        case 4: case 11: add(right, top); break;
+        case 6: case 9: add(bottom, top); break;
+        case 7: case 8: add(left, top); break;
+        case 5: case 10: {
+          // Saddle: opposite corners are above; the center decides which pairs connect
+          const centerAbove = (u0 + u1 + u2 + u3) / 4 > level;
+          if ((index === 5) === centerAbove) {
+            add(left, top);
+            add(bottom, right);
+          } else {
+            add(left, bottom);
+            add(right, top);
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    }
+  }
+
+  return segments;
+};
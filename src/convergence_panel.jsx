@@ -0,0 +1,141 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+
+// Colors for each error norm, shared by the chart lines and the legend
+const NORM_SERIES = [
+  { key: 'l1', label: 'L¹', color: '#4cc9f0' },
+  { key: 'l2', label: 'L²', color: '#ffd93d' },
+  { key: 'linf', label: 'L∞', color: '#f72585' },
+];
+
+/**
+ * ConvergencePanel Component
+ *
+ * Log-log chart of the error norms returned by runConvergenceSweep against the
+ * swept parameter (number of modes or grid spacing Δx). For grid sweeps the
+ * observed order of accuracy p (error ∝ Δxᵖ) is estimated from the L² slope
+ * of the two finest grids.
+ *
+ * @param {object} props
+ * @param {object|null} props.sweep - Sweep result, or null before the first run
+ * @param {() => void} props.onRun - Called when the user requests a new sweep
+ * @param {boolean} props.disabled - Whether a sweep can currently be run
+ */
+const ConvergencePanel = ({ sweep, onRun, disabled }) => {
+  const canvasRef = useRef(null);
+
+  // Only strictly positive errors can be placed on a log scale
+  const points = useMemo(
+    () => (sweep ? sweep.points.filter((p) => p.l1 > 0 && p.l2 > 0 && p.linf > 0) : []),
+    [sweep]
+  );
+  const last = points.length >= 2 ? points.slice(-2) : null;
+  const order = sweep && sweep.parameter === 'gridSpacing' && last
+    ? Math.log(last[0].l2 / last[1].l2) / Math.log(last[0].value / last[1].value)
+    : null;
+
+  /**
+   * Drawing effect - renders the log-log chart whenever a new sweep arrives
+   */
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const padding = 36;
+
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, width, height);
+    if (points.length === 0) return;
+
+    // Axis ranges in decades
+    const logX = points.map((p) => Math.log10(p.value));
+    const logE = points.flatMap((p) => NORM_SERIES.map(({ key }) => Math.log10(p[key])));
+    const xMin = Math.floor(Math.min(...logX));
+    const xMax = Math.max(Math.ceil(Math.max(...logX)), xMin + 1);
+    const yMin = Math.floor(Math.min(...logE));
+    const yMax = Math.max(Math.ceil(Math.max(...logE)), yMin + 1);
+
+    const toScreenX = (lx) => padding + (lx - xMin) / (xMax - xMin) * (width - 2 * padding);
+    const toScreenY = (ly) => height - padding - (ly - yMin) / (yMax - yMin) * (height - 2 * padding);
+
+    // Decade grid lines and labels
+    ctx.strokeStyle = '#2a2a2a';
+    ctx.fillStyle = '#888';
+    ctx.font = '10px sans-serif';
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'center';
+    for (let d = xMin; d <= xMax; d++) {
+      ctx.beginPath();
+      ctx.moveTo(toScreenX(d), padding);
+      ctx.lineTo(toScreenX(d), height - padding);
+      ctx.stroke();
+      ctx.fillText(`1e${d}`, toScreenX(d), height - padding + 14);
+    }
+    ctx.textAlign = 'right';
+    const yStep = Math.max(1, Math.ceil((yMax - yMin) / 6));
+    for (let d = yMin; d <= yMax; d += yStep) {
+      ctx.beginPath();
+      ctx.moveTo(padding, toScreenY(d));
+      ctx.lineTo(width - padding, toScreenY(d));
+      ctx.stroke();
+      ctx.fillText(`1e${d}`, padding - 4, toScreenY(d) + 3);
+    }
+
+    // Axis label
+    ctx.textAlign = 'center';
+    ctx.fillText(sweep.parameter === 'gridSpacing' ? 'Δx' : 'Modes N', width / 2, height - 6);
+
+    // One polyline with markers per norm
+    NORM_SERIES.forEach(({ key, color }) => {
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      points.forEach((p, i) => {
+        const sx = toScreenX(Math.log10(p.value));
+        const sy = toScreenY(Math.log10(p[key]));
+        if (i === 0) ctx.moveTo(sx, sy);
+        else ctx.lineTo(sx, sy);
+      });
+      ctx.stroke();
+      points.forEach((p) => {
+        ctx.beginPath();
+        ctx.arc(toScreenX(Math.log10(p.value)), toScreenY(Math.log10(p[key])), 2.5, 0, 2 * Math.PI);
+        ctx.fill();
+      });
+    });
+  }, [sweep, points]);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1.5">
+        <label className="text-white text-sm">Convergence:</label>
+        <button
+          onClick={onRun}
+          disabled={disabled}
+          className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white px-2 py-1 rounded text-xs"
+        >
+          Run sweep
+        </button>
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={320}
+        height={200}
+        className="w-full rounded"
+        style={{ display: 'block' }}
+      />
+      <div className="text-gray-400 text-xs mt-1 flex gap-3 flex-wrap">
+        {NORM_SERIES.map(({ key, label, color }) => (
+          <span key={key} style={{ color }}>{label}</span>
+        ))}
+        {sweep && <span>at t = {sweep.time.toFixed(2)}</span>}
+        {order !== null && <span>order ≈ {order.toFixed(2)}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default ConvergencePanel;
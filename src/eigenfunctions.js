@@ -0,0 +1,131 @@
+/**
+ * Sturm–Liouville eigenfunctions of -φ'' = λ²φ on [0,L]
+ *
+ * With end conditions written as A₀φ(0) - B₀φ'(0) = 0 and A_Lφ(L) + B_Lφ'(L) = 0
+ * (see endConditions in boundary.js), the left condition is satisfied by
+ *   φ(x) = B₀λ cos(λx) + A₀ sin(λx)
+ * and the eigenvalues λₙ are the positive roots of the right condition
+ *   F(λ) = A_L φ(L) + B_L φ'(L) = 0
+ *
+ * For the classic cases the roots are known in closed form:
+ * - temperature/temperature: λₙ = nπ/L
+ * - gradient/gradient: λₙ = nπ/L, plus the constant mode λ₀ = 0
+ * - temperature/gradient or gradient/temperature: λₙ = (n-1/2)π/L
+ * Convective (Robin) ends give transcendental equations such as
+ * tan(λL) = -λ/H, which are solved numerically by bracketing and bisection.
+ *
+ * Eigenfunctions are scaled to unit amplitude but are not orthonormal, so
+ * expansion coefficients divide by ‖φₙ‖² = ∫₀ᴸ φₙ² dx.
+ */
+
+// Samples per π/L interval when scanning F(λ) for sign changes
+const scanResolution = 16;
+// Bisection steps per root (halves the bracket down to round-off)
+const bisectionSteps = 60;
+
+/**
+ * Find the first `count` positive roots of F(λ) = A_L φ(L) + B_L φ'(L)
+ *
+ * Consecutive eigenvalues are separated by roughly π/L, so scanning at a
+ * fraction of that spacing brackets every root before refining it.
+ *
+ * @param {object} left - Left end coefficients { A, B }
+ * @param {object} right - Right end coefficients { A, B }
+ * @param {number} L - Length of the bar
+ * @param {number} count - Number of eigenvalues to find
+ * @returns {Float64Array} - Increasing positive eigenvalues
+ */
+export const findEigenvalues = (left, right, L, count) => {
+  const F = (lambda) => {
+    const cos = Math.cos(lambda * L);
+    const sin = Math.sin(lambda * L);
+    const phi = left.B * lambda * cos + left.A * sin;
+    const dphi = -left.B * lambda * lambda * sin + left.A * lambda * cos;
+    return right.A * phi + right.B * dphi;
+  };
+
+  const roots = new Float64Array(count);
+  const step = Math.PI / L / scanResolution;
+  let found = 0;
+  let lo = step * 1e-3; // λ = 0 is never a nontrivial root here
+  let fLo = F(lo);
+
+  while (found < count) {
+    const hi = lo + step;
+    const fHi = F(hi);
+    if (fLo === 0) {
+      roots[found++] = lo;
+    } else if (fLo * fHi < 0) {
+      let a = lo;
+      let b = hi;
+      let fa = fLo;
+      for (let i = 0; i < bisectionSteps; i++) {
+        const m = 0.5 * (a + b);
+        const fm = F(m);
+        if (fa * fm <= 0) {
+          b = m;
+        } else {
+          a = m;
+          fa = fm;
+        }
+      }
+      roots[found++] = 0.5 * (a + b);
+    }
+    lo = hi;
+    fLo = fHi;
+  }
+
+  return roots;
+};
+
+/**
+ * Eigenvalues, eigenfunctions and their norms for a pair of end conditions
+ *
+ * @param {object} left - Left end coefficients { type, A, B }
+ * @param {object} right - Right end coefficients { type, A, B }
+ * @param {number} L - Length of the bar
+ * @param {number} numModes - Number of nonconstant modes
+ * @returns {{lambdas: Float64Array, eigenfunction: (lambda: number, x: number) => number, normSquared: (lambda: number) => number}}
+ */
+export const createEigenbasis = (left, right, L, numModes) => {
+  const hasConstantMode = left.A === 0 && right.A === 0;
+  const convective = left.type === 'convective' || right.type === 'convective';
+
+  let positive;
+  if (convective) {
+    positive = findEigenvalues(left, right, L, numModes);
+  } else {
+    // Closed forms: a half-integer shift when exactly one end is fixed at a temperature
+    const shift = (left.B === 0) !== (right.B === 0) ? 0.5 : 0;
+    positive = new Float64Array(numModes);
+    for (let n = 1; n <= numModes; n++) positive[n - 1] = (n - shift) * Math.PI / L;
+  }
+
+  const lambdas = new Float64Array(numModes + (hasConstantMode ? 1 : 0));
+  lambdas.set(positive, hasConstantMode ? 1 : 0);
+
+  // φ = (B₀λ cos(λx) + A₀ sin(λx)) / √((B₀λ)² + A₀²), scaled to unit amplitude
+  const weights = (lambda) => {
+    const c = left.B * lambda;
+    const s = left.A;
+    const scale = Math.hypot(c, s);
+    return [c / scale, s / scale];
+  };
+
+  const eigenfunction = (lambda, x) => {
+    if (lambda === 0) return 1;
+    const [c, s] = weights(lambda);
+    return c * Math.cos(lambda * x) + s * Math.sin(lambda * x);
+  };
+
+  // ‖φ‖² = ∫₀ᴸ (c cos λx + s sin λx)² dx in closed form
+  const normSquared = (lambda) => {
+    if (lambda === 0) return L;
+    const [c, s] = weights(lambda);
+    const sin2 = Math.sin(2 * lambda * L) / (4 * lambda);
+    const sinSq = Math.sin(lambda * L) ** 2 / lambda;
+    return c * c * (L / 2 + sin2) + s * s * (L / 2 - sin2) + c * s * sinSq;
+  };
+
+  return { lambdas, eigenfunction, normSquared };
+};
@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { endConditions } from './boundary.js';
+import { createEigenbasis } from './eigenfunctions.js';
+import { linspace, trapezoid } from './grid.js';
+
+const L = 2;
+
+// ∫₀ᴸ g dx by the trapezoidal rule on a fine grid
+const integrate = (g) => {
+  const x = linspace(0, L, 20001);
+  return trapezoid(x, x.map(g));
+};
+
+describe('createEigenbasis', () => {
+  it('finds the roots of tan(λL) = -λ/H for a fixed left end and a convective right end', () => {
+    const biot = 3;
+    const H = biot / L;
+    const { left, right } = endConditions('dirichlet-robin', { rightBiot: biot }, L);
+    const { lambdas } = createEigenbasis(left, right, L, 20);
+    expect(lambdas).toHaveLength(20);
+    lambdas.forEach((lambda, index) => {
+      const n = index + 1;
+      // One root in each interval ((n - 1/2)π/L, nπ/L), where tan is negative
+      expect(lambda).toBeGreaterThan((n - 0.5) * Math.PI / L);
+      expect(lambda).toBeLessThan(n * Math.PI / L);
+      expect(Math.tan(lambda * L) + lambda / H).toBeCloseTo(0, 8);
+    });
+  });
+
+  it.each(['dirichlet', 'neumann', 'mixed', 'robin', 'neumann-robin'])(
+    'gives orthogonal eigenfunctions with the stated norms (%s)',
+    (boundaryCondition) => {
+      const { left, right } = endConditions(boundaryCondition, { leftBiot: 0.5, rightBiot: 2 }, L);
+      const { lambdas, eigenfunction, normSquared } = createEigenbasis(left, right, L, 6);
+      for (const lambda of lambdas) {
+        expect(integrate((x) => eigenfunction(lambda, x) ** 2)).toBeCloseTo(normSquared(lambda), 6);
+      }
+      for (let m = 0; m < lambdas.length; m++) {
+        for (let n = m + 1; n < lambdas.length; n++) {
+          expect(integrate((x) => eigenfunction(lambdas[m], x) * eigenfunction(lambdas[n], x))).toBeCloseTo(0, 6);
+        }
+      }
+    }
+  );
+});
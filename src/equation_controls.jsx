@@ -0,0 +1,67 @@
+import React from 'react';
+import { EQUATION_LABELS } from './equations.js';
+import { SETTING_LIMITS } from './scenario.js';
+
+// Parameter of each model, with its label and range
+const MODEL_PARAMETERS = {
+  advection: { key: 'velocity', label: 'Drift speed v', ...SETTING_LIMITS.velocity },
+  fisher: { key: 'growthRate', label: 'Growth rate ρ', ...SETTING_LIMITS.growthRate },
+  decay: { key: 'decayRate', label: 'Decay rate k', ...SETTING_LIMITS.decayRate },
+  nonlinear: { key: 'nonlinearity', label: 'Nonlinearity γ in α(1 + γu)', ...SETTING_LIMITS.nonlinearity },
+};
+
+/**
+ * EquationControls Component
+ *
+ * Model selector for the 1D bars: the heat equation, or advection–diffusion,
+ * Fisher–KPP growth, linear decay or a temperature-dependent diffusivity (see
+ * equations.js), with the parameter of the chosen model.
+ *
+ * @param {object} props
+ * @param {object} props.values - Current equation (see DEFAULT_EQUATION)
+ * @param {(values: object) => void} props.onChange - Called with the updated equation
+ */
+const EquationControls = ({ values, onChange }) => {
+  const parameter = MODEL_PARAMETERS[values.model];
+
+  return (
+    <div className="space-y-2">
+      <div>
+        <label className="text-white block mb-1.5 text-sm">Equation:</label>
+        <select
+          value={values.model}
+          onChange={(e) => onChange({ ...values, model: e.target.value })}
+          className="w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm"
+        >
+          {Object.entries(EQUATION_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {parameter && (
+        <div>
+          <label className="text-gray-300 block mb-1 text-xs">{parameter.label}</label>
+          <input
+            type="number"
+            step="0.1"
+            min={parameter.min}
+            max={parameter.max}
+            value={values[parameter.key]}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              if (isNaN(value) || value < parameter.min || value > parameter.max) return;
+              onChange({ ...values, [parameter.key]: value });
+            }}
+            aria-label={parameter.label}
+            className="w-full bg-gray-700 text-white px-2 py-1 rounded-lg text-sm"
+          />
+        </div>
+      )}
+      {values.model === 'fisher' && (
+        <p className="text-gray-400 text-xs">Fronts invade u = 0 at speed 2√(αρ); u = 1 is the carrying capacity</p>
+      )}
+    </div>
+  );
+};
+
+export default EquationControls;
@@ -0,0 +1,90 @@
+/**
+ * Parabolic models beyond pure diffusion
+ *
+ * The 1D bars solve
+ *   ∂u/∂t = ∂/∂x (α(u) ∂u/∂x) - v ∂u/∂x + R(u)
+ *
+ * with one of the models:
+ * - diffusion: the heat equation, α constant, v = 0, R = 0
+ * - advection: drift at speed v; on the infinite bar the heat kernel
+ *   convolution moves with the flow, u(x,t) = (G(·,t) * f)(x - vt)
+ * - fisher: Fisher–KPP logistic growth R = ρu(1 - u), whose fronts invade
+ *   the u = 0 state at speed 2√(αρ)
+ * - decay: first-order decay R = -ku; on the infinite bar u = e^(-kt) (G * f)
+ * - nonlinear: temperature-dependent diffusivity α(u) = α (1 + γu), kept
+ *   above a small fraction of α so that the equation stays parabolic
+ *
+ * Models without a closed form for the bar are time-stepped (see
+ * finite_difference.js).
+ */
+
+// Display names of the models
+export const EQUATION_LABELS = {
+  diffusion: 'Diffusion',
+  advection: 'Advection–diffusion',
+  fisher: 'Fisher–KPP (logistic growth)',
+  decay: 'Diffusion with linear decay',
+  nonlinear: 'Nonlinear diffusivity α(u)',
+};
+
+export const DEFAULT_EQUATION = {
+  model: 'diffusion', // Key in EQUATION_LABELS
+  velocity: 0.5, // Drift speed v of the advection model
+  growthRate: 1, // Growth rate ρ of the Fisher–KPP model
+  decayRate: 0.2, // Decay rate k of the decay model
+  nonlinearity: 1, // Coefficient γ of α(u) = α (1 + γu)
+};
+
+// Smallest α(u)/α of the nonlinear model
+const minimumDiffusivityFactor = 0.05;
+
+/**
+ * Whether an equation is the plain heat equation
+ *
+ * @param {object} [equation] - Equation parameters (see DEFAULT_EQUATION)
+ * @returns {boolean} - True for the diffusion model
+ */
+export const isLinearDiffusion = (equation = DEFAULT_EQUATION) => equation.model === 'diffusion';
+
+/**
+ * Whether the infinite bar has a closed form for an equation (the heat kernel
+ * convolution, moved or damped)
+ *
+ * @param {object} [equation] - Equation parameters (see DEFAULT_EQUATION)
+ * @returns {boolean} - True for diffusion, advection and decay
+ */
+export const hasKernelSolution = (equation = DEFAULT_EQUATION) =>
+  equation.model === 'diffusion' || equation.model === 'advection' || equation.model === 'decay';
+
+/**
+ * Kernel convolution of the infinite bar adjusted for advection or decay
+ *
+ * @param {object} equation - Equation parameters (see DEFAULT_EQUATION)
+ * @param {number} t - Time
+ * @returns {{shift: number, factor: number}} - Distance vt the profile has drifted, and its decay e^(-kt)
+ */
+export const kernelTransform = (equation, t) => ({
+  shift: equation.model === 'advection' ? equation.velocity * t : 0,
+  factor: equation.model === 'decay' ? Math.exp(-equation.decayRate * t) : 1,
+});
+
+/**
+ * Terms the time-stepper adds to the heat equation
+ *
+ * @param {object} [equation] - Equation parameters (see DEFAULT_EQUATION)
+ * @returns {{velocity: number, reaction: ((u: number) => number) | null,
+ *           diffusivityFactor: ((u: number) => number) | null}} - Drift speed, reaction R(u) and
+ *          α(u)/α, null when absent
+ */
+export const equationTerms = (equation = DEFAULT_EQUATION) => {
+  const { model, velocity, growthRate, decayRate, nonlinearity } = equation;
+  return {
+    velocity: model === 'advection' ? velocity : 0,
+    reaction: model === 'fisher'
+      ? (u) => growthRate * u * (1 - u)
+      : model === 'decay' ? (u) => -decayRate * u : null,
+    diffusivityFactor: model === 'nonlinear'
+      ? (u) => Math.max(minimumDiffusivityFactor, 1 + nonlinearity * u)
+      : null,
+  };
+};
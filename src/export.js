@@ -0,0 +1,355 @@
+/**
+ * Export of results: sampled data as CSV or JSON, and plots as SVG
+ *
+ * A frame is one sampled solution, {time, x, u} for a bar or {time, x, y, u}
+ * for a plate (u[j * nx + i] = u(x[i], y[j])). Exports carry metadata about
+ * the setup (method, equation, units, α, L, boundary condition, and the whole scenario, see
+ * scenario.js) so a file can be traced back to what produced it. The SVG
+ * plots are vector versions of the canvas drawings, for printed notes.
+ */
+
+import { HEAT_COLORS, heatColor } from './colormap.js';
+import { contourLevels, contourSegments } from './contours.js';
+import { isLinearDiffusion, EQUATION_LABELS } from './equations.js';
+import { linspace } from './grid.js';
+import { isTimeStepped } from './heat_solver.js';
+import { CUSTOM_MATERIAL, effectiveDiffusivity, MATERIALS } from './materials.js';
+import {
+  diffusivityUnit,
+  displayTemperature,
+  formatTime,
+  fromKelvin,
+  temperatureLabel,
+  LENGTH_UNITS,
+  TEMPERATURE_UNITS,
+} from './units.js';
+
+// Size of the exported SVG plots, matching the canvases
+const svgWidth = 1000;
+const svgHeight = 400;
+
+// Space around the SVG plot area, as on the canvas
+const svgPadding = 60;
+
+/**
+ * Save a file through the browser's download
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the download time to start before the URL is released
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Times of an exported time series, evenly spaced from 0 to the end time
+ *
+ * @param {number} endTime - Last time
+ * @param {number} count - Number of frames (at least 2)
+ * @returns {Array<number>} - Times
+ */
+export const seriesTimes = (endTime, count) => Array.from(linspace(0, endTime, Math.max(2, count)));
+
+/**
+ * Description of how a scenario is solved
+ *
+ * @param {object} scenario - Complete scenario (see scenario.js)
+ * @returns {string} - Method with its resolution
+ */
+const solutionMethod = ({ barType, equation, scheme, gridSpacing, timeStep, numModes, plate }) => {
+  const grid = `Δx = ${gridSpacing}, Δt = ${timeStep}`;
+  if (barType === 'infinite' && isTimeStepped({ barType, equation })) {
+    return `Finite difference (${scheme}) on [-L, 2L], ${grid}`;
+  }
+  if (barType === 'semi-infinite' && isTimeStepped({ barType, equation })) {
+    return `Finite difference (${scheme}) on [0, 3L], ${grid}`;
+  }
+  if (barType === 'finite' && isTimeStepped({ barType, equation })) return `Finite difference (${scheme}), ${grid}`;
+  switch (barType) {
+    case 'infinite':
+      return 'Heat kernel convolution (FFT)';
+    case 'semi-infinite':
+      return 'Method of images, heat kernel convolution (FFT)';
+    case 'finite':
+      return `Fourier series, ${numModes} modes`;
+    case 'numerical':
+      return `Finite difference (${scheme}), ${grid}`;
+    case 'composite':
+      return `Finite volume (${scheme}), ${grid}`;
+    default:
+      return plate.method === 'grid'
+        ? `ADI finite difference, ${grid}`
+        : `Double Fourier series, ${numModes} modes per direction`;
+  }
+};
+
+/**
+ * How u maps to an absolute temperature, e.g. 'T = 20 °C + 80 °C · u'
+ *
+ * @param {object} units - Units with the baseline on (see units.js)
+ * @returns {string} - Mapping in the temperature unit
+ */
+const absoluteScale = (units) => {
+  const { label, scale } = TEMPERATURE_UNITS[units.temperature];
+  const round = (value) => Number(value.toFixed(2));
+  return `T = ${round(fromKelvin(units.baseline, units.temperature))} ${label} + ${round(units.span * scale)} ${label} · u`;
+};
+
+/**
+ * Metadata written with exported data
+ *
+ * @param {object} scenario - Complete scenario (see scenario.js)
+ * @param {number} L - Length of the bar (width of a plate)
+ * @returns {object} - Method, the equation when not plain diffusion, units, material and α, L (and H
+ *          for a plate), boundary condition, and the scenario itself
+ */
+export const exportMetadata = (scenario, L) => {
+  const { barType, equation, alpha, material, units, boundaryCondition, plate, segments } = scenario;
+  const metadata = { barType, method: solutionMethod(scenario) };
+  if (barType !== 'plate' && !isLinearDiffusion(equation)) {
+    metadata.equation = { ...equation, name: EQUATION_LABELS[equation.model] };
+  }
+  metadata.units = {
+    length: units.length,
+    time: units.time,
+    alpha: diffusivityUnit(units),
+    u: units.absolute ? absoluteScale(units) : 'dimensionless',
+  };
+  if (barType === 'composite') {
+    metadata.segments = segments;
+  } else {
+    if (material !== CUSTOM_MATERIAL) metadata.material = MATERIALS[material].name;
+    metadata.alpha = effectiveDiffusivity(material, alpha, units);
+  }
+  metadata.L = L;
+  if (barType === 'plate') {
+    metadata.H = plate.height;
+    metadata.boundaryCondition = plate.boundaryCondition;
+  } else if (barType !== 'infinite') {
+    metadata.boundaryCondition = boundaryCondition;
+  }
+  metadata.scenario = scenario;
+  return metadata;
+};
+
+/**
+ * Frames as CSV in long format: one row per sample, columns t (for a series),
+ * x, y (for a plate) and u, after the metadata as '#' comment lines
+ *
+ * @param {Array<object>} frames - Frames to write (one for a single frame)
+ * @param {object} metadata - Metadata (see exportMetadata)
+ * @returns {string} - CSV text
+ */
+export const framesToCsv = (frames, metadata) => {
+  const lines = Object.entries(metadata).map(([key, value]) =>
+    `# ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`
+  );
+  const series = frames.length > 1;
+  const plate = Boolean(frames[0].y);
+  if (!series) lines.push(`# time: ${frames[0].time}`);
+  lines.push([...(series ? ['t'] : []), 'x', ...(plate ? ['y'] : []), 'u'].join(','));
+
+  for (const { time, x, y, u } of frames) {
+    const prefix = series ? `${time},` : '';
+    if (plate) {
+      for (let j = 0; j < y.length; j++) {
+        for (let i = 0; i < x.length; i++) lines.push(`${prefix}${x[i]},${y[j]},${u[j * x.length + i]}`);
+      }
+    } else {
+      for (let i = 0; i < x.length; i++) lines.push(`${prefix}${x[i]},${u[i]}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Frames as JSON: {metadata, frames: [{time, x, (y,) u}]}, with typed arrays
+ * written as plain arrays
+ *
+ * @param {Array<object>} frames - Frames to write
+ * @param {object} metadata - Metadata (see exportMetadata)
+ * @returns {string} - JSON text
+ */
+export const framesToJson = (frames, metadata) => JSON.stringify({
+  metadata,
+  frames: frames.map(({ time, x, y, u }) => ({
+    time,
+    x: Array.from(x),
+    ...(y ? { y: Array.from(y) } : {}),
+    u: Array.from(u),
+  })),
+}, null, 2);
+
+/**
+ * Round a coordinate for SVG output
+ *
+ * @param {number} value - Coordinate
+ * @returns {string} - Coordinate with two decimals at most
+ */
+const coordinate = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * SVG path through the points of a curve, skipping non-finite values
+ *
+ * @param {ArrayLike<number>} xs - Screen x of each point
+ * @param {ArrayLike<number>} ys - Screen y of each point
+ * @returns {string} - Path data
+ */
+const polyline = (xs, ys) => {
+  let path = '';
+  let pen = 'M';
+  for (let i = 0; i < xs.length; i++) {
+    if (!Number.isFinite(ys[i])) {
+      pen = 'M';
+      continue;
+    }
+    path += `${pen}${coordinate(xs[i])} ${coordinate(ys[i])}`;
+    pen = 'L';
+  }
+  return path;
+};
+
+/**
+ * The 1D plot as SVG: axes, initial condition (dashed), steady state
+ * (dash-dot) and the current profile with its gradient, scaled like the canvas
+ *
+ * @param {object} plot
+ * @param {ArrayLike<number>} plot.x - Positions on [0, L]
+ * @param {ArrayLike<number>} plot.u - Temperatures at the positions
+ * @param {ArrayLike<number>} plot.initial - Initial condition at the positions
+ * @param {ArrayLike<number> | null} plot.steady - Steady state at the positions, if drawn
+ * @param {number} plot.time - Time of the profile
+ * @param {number} plot.L - Length of the bar
+ * @param {object} plot.units - Units of the labels (see units.js)
+ * @returns {string} - SVG document
+ */
+export const profileSvg = ({ x, u, initial, steady, time, L, units }) => {
+  const plotWidth = svgWidth - 2 * svgPadding;
+  const plotHeight = svgHeight - 2 * svgPadding;
+  const baseline = svgHeight - svgPadding;
+  let maxU = 0;
+  for (let i = 0; i < u.length; i++) {
+    if (Number.isFinite(u[i])) maxU = Math.max(maxU, Math.abs(u[i]));
+    if (steady) maxU = Math.max(maxU, Math.abs(steady[i]));
+  }
+  const yScale = plotHeight * 0.8 / (maxU > 0 ? maxU : 1);
+  const xs = Array.from(x, (value) => svgPadding + value / L * plotWidth);
+  const toY = (values) => Array.from(values, (value) => baseline - value * yScale);
+  const curve = polyline(xs, toY(u));
+
+  const grid = Array.from({ length: 6 }, (_, i) => {
+    const y = coordinate(svgPadding + i * plotHeight / 5);
+    return `<line x1="${svgPadding}" y1="${y}" x2="${svgWidth - svgPadding}" y2="${y}" stroke="#2a2a2a"/>`;
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}">`,
+    // Red (hot) at the top of the plot area → yellow → green (cool) at the bottom, as on the canvas
+    `<defs><linearGradient id="heat" gradientUnits="userSpaceOnUse" x1="0" y1="${svgPadding}" x2="0" y2="${baseline}">`,
+    '<stop offset="0" stop-color="#ff6b6b"/><stop offset="0.5" stop-color="#ffd93d"/><stop offset="1" stop-color="#6bcf7f"/>',
+    '</linearGradient></defs>',
+    `<rect width="${svgWidth}" height="${svgHeight}" fill="#1a1a1a"/>`,
+    ...grid,
+    `<path d="M${svgPadding} ${svgPadding}V${baseline}H${svgWidth - svgPadding}" fill="none" stroke="#444" stroke-width="2"/>`,
+    `<path d="${polyline(xs, toY(initial))}" fill="none" stroke="#666" stroke-width="1.5" stroke-dasharray="5 5"/>`,
+    steady
+      ? `<path d="${polyline(xs, toY(steady))}" fill="none" stroke="#8ecae6" stroke-width="1.5" stroke-dasharray="10 4 2 4"/>`
+      : '',
+    `<path d="M${svgPadding} ${baseline}${curve.replace(/^M/, 'L')}L${svgWidth - svgPadding} ${baseline}Z" fill="url(#heat)" fill-opacity="0.2"/>`,
+    `<path d="${curve}" fill="none" stroke="url(#heat)" stroke-width="3"/>`,
+    '<g fill="#fff" font-family="sans-serif" font-size="14" text-anchor="middle">',
+    `<text x="${svgWidth / 2}" y="${svgHeight - 20}">Position x (${LENGTH_UNITS[units.length].label})</text>`,
+    `<text transform="translate(16 ${svgHeight / 2}) rotate(-90)">${temperatureLabel(units)}</text>`,
+    `<text x="${svgWidth - svgPadding}" y="${svgPadding - 10}" font-size="16" font-weight="bold" text-anchor="end">t = ${formatTime(time, units)}</text>`,
+    '</g>',
+    '</svg>',
+  ].join('\n');
+};
+
+/**
+ * The plate heatmap as SVG: one rectangle per sample, isotherms as paths, and
+ * the color bar, laid out like the canvas
+ *
+ * @param {object} plot
+ * @param {{x: Float64Array, y: Float64Array, u: Float64Array}} plot.field - Sampled temperatures
+ * @param {number} plot.lo - Coldest temperature of the color scale
+ * @param {number} plot.hi - Hottest temperature of the color scale
+ * @param {number} plot.W - Width of the plate
+ * @param {number} plot.H - Height of the plate
+ * @param {number} plot.time - Time of the field
+ * @param {boolean} plot.showContours - Whether to draw isotherms
+ * @param {object} plot.units - Units of the labels (see units.js)
+ * @returns {string} - SVG document
+ */
+export const plateSvg = ({ field, lo, hi, W, H, time, showContours, units }) => {
+  const { x, y, u } = field;
+  const nx = x.length;
+  const ny = y.length;
+  const scale = Math.min((svgWidth - 3 * svgPadding) / W, (svgHeight - 2 * svgPadding) / H);
+  const plateWidth = W * scale;
+  const plateHeight = H * scale;
+  const left = svgPadding + (svgWidth - 3 * svgPadding - plateWidth) / 2;
+  const top = svgPadding + (svgHeight - 2 * svgPadding - plateHeight) / 2;
+  const toX = (value) => left + value / W * plateWidth;
+  const toY = (value) => top + plateHeight - value / H * plateHeight;
+
+  // Each sample colors the cell around it, clipped to the plate
+  const edges = (values) => Array.from({ length: values.length + 1 }, (_, k) => {
+    if (k === 0) return values[0];
+    if (k === values.length) return values[values.length - 1];
+    return (values[k - 1] + values[k]) / 2;
+  });
+  const xEdges = edges(x).map(toX);
+  const yEdges = edges(y).map(toY);
+  const cells = [];
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      const [r, g, b] = heatColor((u[j * nx + i] - lo) / (hi - lo));
+      cells.push(
+        `<rect x="${coordinate(xEdges[i])}" y="${coordinate(yEdges[j + 1])}" ` +
+        `width="${coordinate(xEdges[i + 1] - xEdges[i] + 0.3)}" height="${coordinate(yEdges[j] - yEdges[j + 1] + 0.3)}" ` +
+        `fill="rgb(${r},${g},${b})"/>`
+      );
+    }
+  }
+
+  let isotherms = '';
+  if (showContours) {
+    for (const level of contourLevels(lo, hi)) {
+      for (const [x1, y1, x2, y2] of contourSegments(field, level)) {
+        isotherms += `M${coordinate(toX(x1))} ${coordinate(toY(y1))}L${coordinate(toX(x2))} ${coordinate(toY(y2))}`;
+      }
+    }
+  }
+
+  const barLeft = svgWidth - svgPadding - 16;
+  const digits = units.absolute ? 1 : 2;
+  const stops = HEAT_COLORS.map(([stop, [r, g, b]]) => `<stop offset="${stop}" stop-color="rgb(${r},${g},${b})"/>`);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}">`,
+    `<defs><linearGradient id="heat" x1="0" y1="1" x2="0" y2="0">${stops.join('')}</linearGradient></defs>`,
+    `<rect width="${svgWidth}" height="${svgHeight}" fill="#1a1a1a"/>`,
+    '<g shape-rendering="crispEdges">',
+    ...cells,
+    '</g>',
+    isotherms ? `<path d="${isotherms}" fill="none" stroke="#fff" stroke-opacity="0.45"/>` : '',
+    `<rect x="${coordinate(left)}" y="${coordinate(top)}" width="${coordinate(plateWidth)}" height="${coordinate(plateHeight)}" ` +
+      'fill="none" stroke="#444" stroke-width="2"/>',
+    `<rect x="${barLeft}" y="${coordinate(top)}" width="16" height="${coordinate(plateHeight)}" fill="url(#heat)"/>`,
+    '<g font-family="sans-serif">',
+    `<text x="${coordinate(left + plateWidth / 2)}" y="${coordinate(top + plateHeight + 30)}" fill="#fff" font-size="14" text-anchor="middle">x (${LENGTH_UNITS[units.length].label})</text>`,
+    `<text x="${coordinate(left - 28)}" y="${coordinate(top + plateHeight / 2)}" fill="#fff" font-size="14" text-anchor="middle">y (${LENGTH_UNITS[units.length].label})</text>`,
+    `<text x="${barLeft - 4}" y="${coordinate(top + 10)}" fill="#888" font-size="12" text-anchor="end">${displayTemperature(hi, units).toFixed(digits)}</text>`,
+    `<text x="${barLeft - 4}" y="${coordinate(top + plateHeight)}" fill="#888" font-size="12" text-anchor="end">${displayTemperature(lo, units).toFixed(digits)}</text>`,
+    `<text x="${svgWidth - svgPadding}" y="${svgPadding - 20}" fill="#fff" font-size="16" font-weight="bold" text-anchor="end">t = ${formatTime(time, units)}</text>`,
+    '</g>',
+    '</svg>',
+  ].join('\n');
+};
@@ -0,0 +1,152 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { downloadBlob, framesToCsv, framesToJson, seriesTimes } from './export.js';
+import { canRecordVideo, createCanvasRecorder, RECORDING_FORMATS } from './recorder.js';
+
+// Classes shared by the panel's buttons
+const BUTTON_CLASS = 'bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white px-2 py-1 rounded text-xs';
+
+// Frames in an exported time series unless changed
+const DEFAULT_SERIES_FRAMES = 21;
+
+/**
+ * ExportPanel Component
+ *
+ * Gets results out of the app: the sampled solution (the current frame, or a
+ * time series from t = 0 to the stop time) as CSV or JSON with metadata, the
+ * current plot as PNG or SVG, and the animation as WebM or GIF. Recording
+ * plays the animation from t = 0 and saves the file when playback stops.
+ *
+ * @param {object} props
+ * @param {string} props.name - Base name of the exported files
+ * @param {object} props.metadata - Metadata written with data exports (see exportMetadata)
+ * @param {number} props.time - Current simulation time
+ * @param {number} props.stopTime - End of a time series (the playback stop time)
+ * @param {boolean} props.isPlaying - Whether the animation is running
+ * @param {(time: number) => object} props.solveAt - Frame of the solution at a time (see export.js)
+ * @param {() => string} props.createSvg - SVG document of the current plot
+ * @param {() => HTMLCanvasElement} props.getCanvas - Canvas of the current plot
+ * @param {() => void} props.onPlay - Called to play the animation from t = 0
+ * @param {() => void} props.onPause - Called to stop the animation
+ */
+const ExportPanel = ({ name, metadata, time, stopTime, isPlaying, solveAt, createSvg, getCanvas, onPlay, onPause }) => {
+  const [range, setRange] = useState('frame'); // 'frame' or 'series'
+  const [frameCount, setFrameCount] = useState(DEFAULT_SERIES_FRAMES); // Frames in a time series
+  const [recordFormat, setRecordFormat] = useState(null); // Format being recorded, if any
+  const [status, setStatus] = useState(null);
+  const recorderRef = useRef(null); // Active recorder
+
+  const report = (message, error = false) => setStatus({ message, error });
+
+  /**
+   * Recording effect - saves the file once playback stops (at the stop time
+   * or when paused)
+   */
+  useEffect(() => {
+    const recorder = recorderRef.current;
+    if (isPlaying || !recorder) return;
+    recorderRef.current = null;
+    recorder.stop().then(
+      (blob) => {
+        downloadBlob(blob, `${name}.${recorder.extension}`);
+        setStatus({ message: `Saved ${name}.${recorder.extension} (${(blob.size / 1e6).toFixed(1)} MB)`, error: false });
+      },
+      (error) => setStatus({ message: `Could not record: ${error.message}`, error: true })
+    ).finally(() => setRecordFormat(null));
+  }, [isPlaying, name]);
+
+  /**
+   * Data export handler - samples the solution and downloads it
+   */
+  const handleData = (format) => {
+    try {
+      const times = range === 'series' ? seriesTimes(stopTime, frameCount) : [time];
+      const frames = times.map(solveAt);
+      const text = format === 'csv' ? framesToCsv(frames, metadata) : framesToJson(frames, metadata);
+      const suffix = range === 'series' ? 'series' : `t${time.toFixed(2)}`;
+      downloadBlob(new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' }), `${name}_${suffix}.${format}`);
+      report(`Exported ${frames.length} frame${frames.length > 1 ? 's' : ''}`);
+    } catch (error) {
+      report(`Could not export: ${error.message}`, true);
+    }
+  };
+
+  const handlePng = () => {
+    getCanvas().toBlob((blob) => {
+      if (blob) downloadBlob(blob, `${name}_t${time.toFixed(2)}.png`);
+      else report('Could not export the image', true);
+    }, 'image/png');
+  };
+
+  const handleSvg = () => {
+    downloadBlob(new Blob([createSvg()], { type: 'image/svg+xml' }), `${name}_t${time.toFixed(2)}.svg`);
+  };
+
+  /**
+   * Record handler - starts the recorder and plays the animation from t = 0
+   */
+  const handleRecord = (format) => {
+    try {
+      recorderRef.current = createCanvasRecorder(getCanvas(), format);
+    } catch (error) {
+      report(`Could not record: ${error.message}`, true);
+      return;
+    }
+    report(`Recording ${RECORDING_FORMATS[format]} until t = ${stopTime}…`);
+    setRecordFormat(format);
+    onPlay();
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="text-white block text-sm">Export:</label>
+      <div className="flex gap-2 items-center">
+        <select
+          value={range}
+          onChange={(e) => setRange(e.target.value)}
+          aria-label="Export range"
+          className="flex-1 min-w-0 bg-gray-700 text-white px-2 py-1 rounded text-xs"
+        >
+          <option value="frame">Current frame</option>
+          <option value="series">Time series to t = {stopTime}</option>
+        </select>
+        {range === 'series' && (
+          <input
+            type="number"
+            min="2"
+            max="500"
+            step="1"
+            value={frameCount}
+            onChange={(e) => {
+              const count = parseInt(e.target.value, 10);
+              if (count >= 2 && count <= 500) setFrameCount(count);
+            }}
+            aria-label="Frames in series"
+            title="Frames in the series"
+            className="w-16 bg-gray-700 text-white px-2 py-1 rounded text-xs"
+          />
+        )}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button onClick={() => handleData('csv')} className={BUTTON_CLASS}>CSV</button>
+        <button onClick={() => handleData('json')} className={BUTTON_CLASS}>JSON</button>
+        <button onClick={handlePng} className={BUTTON_CLASS}>PNG</button>
+        <button onClick={handleSvg} className={BUTTON_CLASS}>SVG</button>
+        {recordFormat ? (
+          <button onClick={onPause} disabled={!isPlaying} className={BUTTON_CLASS}>Stop recording</button>
+        ) : (
+          <>
+            <button onClick={() => handleRecord('webm')} disabled={!canRecordVideo()} className={BUTTON_CLASS}>
+              Record WebM
+            </button>
+            <button onClick={() => handleRecord('gif')} className={BUTTON_CLASS}>Record GIF</button>
+          </>
+        )}
+      </div>
+      {status && (
+        <p className={`text-xs ${status.error ? 'text-red-400' : 'text-gray-400'}`}>{status.message}</p>
+      )}
+    </div>
+  );
+};
+
+export default ExportPanel;
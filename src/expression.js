@@ -0,0 +1,195 @@
+/**
+ * Safe parser for user-typed initial conditions f(x) (or maps f(x, y) on a plate)
+ *
+ * Expressions are tokenized and parsed by recursive descent into a tree of
+ * closures, so arbitrary JavaScript is never evaluated. The grammar is
+ *
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/') unary)*
+ *   unary      := ('+' | '-') unary | power
+ *   power      := primary ('^' unary)?          (right associative)
+ *   primary    := number | variable | function '(' arguments ')' | '(' expression ')'
+ *
+ * with the variables passed to parseExpression (x and L by default), the
+ * constants pi and e, and the functions listed in FUNCTIONS. Implicit
+ * multiplication (2x) is not accepted.
+ */
+
+// Named constants usable in an expression
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+// Functions usable in an expression, with their number of arguments
+const FUNCTIONS = {
+  sin: [Math.sin, 1],
+  cos: [Math.cos, 1],
+  tan: [Math.tan, 1],
+  asin: [Math.asin, 1],
+  acos: [Math.acos, 1],
+  atan: [Math.atan, 1],
+  sinh: [Math.sinh, 1],
+  cosh: [Math.cosh, 1],
+  tanh: [Math.tanh, 1],
+  exp: [Math.exp, 1],
+  log: [Math.log, 1],
+  sqrt: [Math.sqrt, 1],
+  abs: [Math.abs, 1],
+  floor: [Math.floor, 1],
+  ceil: [Math.ceil, 1],
+  sign: [Math.sign, 1],
+  step: [(v) => (v >= 0 ? 1 : 0), 1], // Heaviside step
+  min: [Math.min, 2],
+  max: [Math.max, 2],
+  pow: [Math.pow, 2],
+};
+
+/**
+ * Split an expression into number, name, operator and parenthesis tokens
+ *
+ * @param {string} source - Expression text
+ * @returns {Array<{type: string, value: string|number, position: number}>} - Tokens
+ * @throws {Error} - On a character that cannot start a token
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  const pattern = /(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(\*\*|[-+*/^(),])/y;
+  let position = 0;
+
+  while (position < source.length) {
+    if (/\s/.test(source[position])) {
+      position++;
+      continue;
+    }
+    pattern.lastIndex = position;
+    const match = pattern.exec(source);
+    if (!match) throw new Error(`Unexpected character '${source[position]}' at position ${position + 1}`);
+
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]), position });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2], position });
+    else tokens.push({ type: 'operator', value: match[3] === '**' ? '^' : match[3], position });
+    position = pattern.lastIndex;
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse an expression into a function of the given variables
+ *
+ * @param {string} source - Expression text, e.g. "exp(-(x - L/2)^2)"
+ * @param {Array<string>} [variables] - Variable names, in the order the compiled function takes them
+ * @returns {(...values: number[]) => number} - Compiled expression, (x, L) => number by default
+ * @throws {Error} - With a message describing the first syntax error
+ */
+export const parseExpression = (source, variables = ['x', 'L']) => {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = (token) => (token ? `'${token.value}' at position ${token.position + 1}` : 'end of expression');
+  const isOperator = (token, value) => token && token.type === 'operator' && token.value === value;
+  const expect = (value) => {
+    const token = tokens[index];
+    if (!isOperator(token, value)) throw new Error(`Expected '${value}' but found ${describe(token)}`);
+    index++;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) throw new Error('Unexpected end of expression');
+
+    if (token.type === 'number') {
+      const value = token.value;
+      return () => value;
+    }
+
+    if (isOperator(token, '(')) {
+      const inner = parseSum();
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === 'name') {
+      const name = token.value;
+      const slot = variables.indexOf(name);
+      if (slot >= 0) return (v) => v[slot];
+      if (Object.hasOwn(CONSTANTS, name)) {
+        const value = CONSTANTS[name];
+        return () => value;
+      }
+      if (Object.hasOwn(FUNCTIONS, name)) {
+        const [fn, arity] = FUNCTIONS[name];
+        expect('(');
+        const args = [parseSum()];
+        while (isOperator(peek(), ',')) {
+          index++;
+          args.push(parseSum());
+        }
+        expect(')');
+        if (args.length !== arity) {
+          throw new Error(`${name}() takes ${arity} argument${arity === 1 ? '' : 's'}, got ${args.length}`);
+        }
+        if (arity === 1) {
+          const [a] = args;
+          return (v) => fn(a(v));
+        }
+        const [a, b] = args;
+        return (v) => fn(a(v), b(v));
+      }
+      throw new Error(`Unknown name '${name}' at position ${token.position + 1}`);
+    }
+
+    throw new Error(`Unexpected ${describe(token)}`);
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (!isOperator(peek(), '^')) return base;
+    index++;
+    const exponent = parseUnary();
+    return (v) => base(v) ** exponent(v);
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (isOperator(token, '-')) {
+      index++;
+      const operand = parseUnary();
+      return (v) => -operand(v);
+    }
+    if (isOperator(token, '+')) {
+      index++;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parseTerm = () => {
+    let left = parseUnary();
+    while (isOperator(peek(), '*') || isOperator(peek(), '/')) {
+      const operator = tokens[index++].value;
+      const a = left;
+      const b = parseUnary();
+      left = operator === '*' ? (v) => a(v) * b(v) : (v) => a(v) / b(v);
+    }
+    return left;
+  };
+
+  const parseSum = () => {
+    let left = parseTerm();
+    while (isOperator(peek(), '+') || isOperator(peek(), '-')) {
+      const operator = tokens[index++].value;
+      const a = left;
+      const b = parseTerm();
+      left = operator === '+' ? (v) => a(v) + b(v) : (v) => a(v) - b(v);
+    }
+    return left;
+  };
+
+  if (tokens.length === 0) throw new Error(`Enter an expression in ${variables.join(', ')}`);
+  const compiled = parseSum();
+  if (index < tokens.length) throw new Error(`Unexpected ${describe(tokens[index])}`);
+  return (...values) => compiled(values);
+};
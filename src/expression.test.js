@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { parseExpression } from './expression.js';
+
+describe('parseExpression', () => {
+  it('evaluates the grammar with the usual precedence', () => {
+    const f = parseExpression('-2^2 + 3*x/L - sin(pi*x/L)^2 + max(x, 1) + 2**3');
+    const x = 1.5;
+    const L = 3;
+    expect(f(x, L)).toBeCloseTo(-4 + 1.5 - Math.sin(Math.PI / 2) ** 2 + 1.5 + 8, 12);
+    expect(parseExpression('2^3^2')(0, 1)).toBe(512);
+    expect(parseExpression('x*y - W', ['x', 'y', 'W'])(2, 3, 1)).toBe(5);
+  });
+
+  it.each([
+    'constructor',
+    'alert(1)',
+    'Math.sin(x)',
+    'this',
+    'window',
+    '__proto__',
+    'y',
+    'x.constructor',
+    'toString(x)',
+  ])('rejects names outside the variables, constants and functions: %s', (source) => {
+    expect(() => parseExpression(source)).toThrow(/Unknown name|Unexpected/);
+  });
+
+  it('rejects malformed expressions with a message', () => {
+    expect(() => parseExpression('')).toThrow(/Enter an expression/);
+    expect(() => parseExpression('2x')).toThrow(/Unexpected/);
+    expect(() => parseExpression('sin(x')).toThrow(/Expected '\)'/);
+    expect(() => parseExpression('max(x)')).toThrow(/takes 2 arguments/);
+    expect(() => parseExpression('x; 1')).toThrow(/Unexpected character/);
+  });
+});
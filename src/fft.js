@@ -0,0 +1,78 @@
+/**
+ * Fast Fourier Transform
+ *
+ * Minimal in-place radix-2 Cooley–Tukey FFT on separate real/imaginary
+ * Float64Arrays, used by the spectral heat solvers.
+ */
+
+/**
+ * Smallest power of two greater than or equal to n
+ *
+ * @param {number} n - Lower bound
+ * @returns {number} - Power of two ≥ n
+ */
+export const nextPowerOfTwo = (n) => {
+  let p = 1;
+  while (p < n) p *= 2;
+  return p;
+};
+
+/**
+ * In-place discrete Fourier transform
+ * Forward: Xₖ = Σ xⱼ * exp(-2πi jk/N)
+ * Inverse: xⱼ = (1/N) Σ Xₖ * exp(2πi jk/N)
+ *
+ * @param {Float64Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array} im - Imaginary parts (same length as re)
+ * @param {boolean} inverse - Compute the inverse transform (including the 1/N factor)
+ */
+export const fft = (re, im, inverse = false) => {
+  const n = re.length;
+  if (n !== im.length || (n & (n - 1)) !== 0) {
+    throw new Error(`FFT length must be a power of two, got ${n}`);
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  // Butterflies, doubling the transform size at each stage
+  const sign = inverse ? 1 : -1;
+  for (let size = 2; size <= n; size *= 2) {
+    const angle = sign * 2 * Math.PI / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    const half = size / 2;
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+};
@@ -0,0 +1,309 @@
+/**
+ * Finite-difference time-stepping solvers for the heat equation on [0,L]
+ *
+ * The bar is discretized into nodes xᵢ = iΔx and advanced in steps of Δt with
+ * the θ-method applied to the centered second difference:
+ *
+ *   (uᵢⁿ⁺¹ - uᵢⁿ)/Δt = α [θ δ²uᵢⁿ⁺¹ + (1-θ) δ²uᵢⁿ] / Δx²
+ *   where δ²uᵢ = uᵢ₋₁ - 2uᵢ + uᵢ₊₁
+ *
+ * - θ = 0: explicit Euler (FTCS), stable only when r = αΔt/Δx² ≤ 1/2
+ * - θ = 1: implicit (backward) Euler, unconditionally stable, first order in time
+ * - θ = 1/2: Crank–Nicolson, unconditionally stable, second order in time
+ *
+ * Dirichlet ends are held at the prescribed temperature; Neumann ends use a
+ * ghost node set from the prescribed gradient g (u₋₁ = u₁ - 2Δx g), which for
+ * insulated ends conserves total heat exactly under the trapezoidal rule.
+ * Convective (Robin) ends use the same ghost node with the gradient
+ * u'(0) = H(u₀ - g), which adds -2ΔxH to the diagonal of the boundary row.
+ *
+ * Sources q(x,t) and the lateral loss -β(u - T_amb) (see sources.js) are added
+ * to every interior and ghost-node row with the same θ weighting.
+ *
+ * The other models (see equations.js) add explicit terms evaluated at uⁿ: the
+ * drift -v ∂u/∂x by upwind differences (one-sided into the bar at the ends),
+ * and the reaction R(u). Being explicit under every scheme, they are stable
+ * only for a Courant number |v|Δt/Δx ≤ 1 and a reaction step ρΔt or kΔt ≤ 1
+ * (beyond which the logistic growth overshoots u = 1); see courantNumber and
+ * reactionStep. A temperature-dependent α(u) scales each face of the
+ * stencil by α(u)/α at the mean of its two nodes, lagged to uⁿ so the implicit
+ * solve stays linear.
+ *
+ * Composite bars (see composite.js) use the finite-volume form of the same
+ * stencil, ρcᵢ duᵢ/dt = [K₋(uᵢ₋₁ - uᵢ) + K₊(uᵢ₊₁ - uᵢ)] / Δx², with harmonic-mean
+ * face conductivities K±; for a uniform bar it reduces to the scheme above.
+ */
+
+import { createBoundaryFunctions, endConditions } from './boundary.js';
+import { faceConductivity, meanCapacity, segmentAt } from './composite.js';
+import { createSourceFunction, DEFAULT_SOURCES } from './sources.js';
+import { DEFAULT_EQUATION, equationTerms } from './equations.js';
+
+// θ weight of the implicit part for each scheme
+export const FINITE_DIFFERENCE_SCHEMES = {
+  ftcs: 0,
+  'backward-euler': 1,
+  'crank-nicolson': 0.5,
+};
+
+/**
+ * Mesh ratio r = αΔt/Δx²; FTCS is stable only for r ≤ 1/2
+ *
+ * @param {number} alpha - Thermal diffusivity
+ * @param {number} timeStep - Δt
+ * @param {number} gridSpacing - Δx
+ * @returns {number} - Mesh ratio r
+ */
+export const meshRatio = (alpha, timeStep, gridSpacing) => alpha * timeStep / (gridSpacing * gridSpacing);
+
+/**
+ * Courant number c = |v|Δt/Δx of the drift; the explicit upwind step is stable only for c ≤ 1
+ *
+ * @param {object} equation - Equation parameters (see equations.js)
+ * @param {number} timeStep - Δt
+ * @param {number} gridSpacing - Δx
+ * @returns {number} - Courant number (0 without drift)
+ */
+export const courantNumber = (equation, timeStep, gridSpacing) =>
+  Math.abs(equationTerms(equation).velocity) * timeStep / gridSpacing;
+
+/**
+ * Reaction step ρΔt (Fisher–KPP) or kΔt (decay); the explicit reaction stays
+ * monotone only when it is at most 1
+ *
+ * @param {object} equation - Equation parameters (see equations.js)
+ * @param {number} timeStep - Δt
+ * @returns {number} - Rate of the reaction times Δt (0 without reaction)
+ */
+export const reactionStep = (equation, timeStep) => {
+  if (equation.model === 'fisher') return equation.growthRate * timeStep;
+  if (equation.model === 'decay') return equation.decayRate * timeStep;
+  return 0;
+};
+
+/**
+ * Solve a tridiagonal system in place with the Thomas algorithm
+ *
+ * @param {Float64Array} sub - Sub-diagonal (sub[0] unused)
+ * @param {Float64Array} diag - Main diagonal (overwritten)
+ * @param {Float64Array} sup - Super-diagonal (sup[n-1] unused)
+ * @param {Float64Array} rhs - Right-hand side, replaced by the solution
+ */
+export const solveTridiagonal = (sub, diag, sup, rhs) => {
+  const n = diag.length;
+  for (let i = 1; i < n; i++) {
+    const m = sub[i] / diag[i - 1];
+    diag[i] -= m * sup[i - 1];
+    rhs[i] -= m * rhs[i - 1];
+  }
+  rhs[n - 1] /= diag[n - 1];
+  for (let i = n - 2; i >= 0; i--) {
+    rhs[i] = (rhs[i] - sup[i] * rhs[i + 1]) / diag[i];
+  }
+};
+
+/**
+ * Create a finite-difference solver that can be advanced in time
+ *
+ * @param {object} options
+ * @param {(x: number) => number} options.f - Initial condition
+ * @param {number} options.L - Length of the bar
+ * @param {number} options.alpha - Thermal diffusivity
+ * @param {string} options.boundaryCondition - Boundary condition name (see boundary.js)
+ * @param {string} options.scheme - 'ftcs', 'backward-euler' or 'crank-nicolson'
+ * @param {number} options.gridSpacing - Requested Δx (rounded so that L/Δx is an integer)
+ * @param {number} options.timeStep - Δt
+ * @param {object} [options.boundaryValues] - Boundary values and Biot numbers (see boundary.js);
+ *                                            homogeneous when omitted
+ * @param {object} [options.sources] - Heat sources and lateral loss (see sources.js); none when omitted
+ * @param {Array<object>} [options.segments] - Segments of a composite bar (see composite.js), whose
+ *                                            lengths add up to L; a uniform bar when omitted
+ * @param {object} [options.equation] - Model and its parameters (see equations.js); diffusion when omitted
+ * @param {number} [options.origin] - Position of the left end (the bar covers [origin, origin + L])
+ * @returns {object} - Solver with node positions `x`, current values `u`, current `time`,
+ *                     and `step()` / `advanceTo(t)` methods; `r` is the largest mesh ratio
+ */
+export const createFiniteDifferenceSolver = ({
+  f, L, alpha, boundaryCondition, scheme, gridSpacing, timeStep, boundaryValues, sources = DEFAULT_SOURCES,
+  segments = [{ length: L, alpha, conductivity: 1 }], equation = DEFAULT_EQUATION, origin = 0,
+}) => {
+  const theta = FINITE_DIFFERENCE_SCHEMES[scheme] ?? FINITE_DIFFERENCE_SCHEMES['crank-nicolson'];
+  const numIntervals = Math.max(2, Math.round(L / gridSpacing));
+  const dx = L / numIntervals;
+  const n = numIntervals + 1;
+  const r = Math.max(...segments.map((segment) => meshRatio(segment.alpha, timeStep, dx)));
+
+  const boundary = createBoundaryFunctions(boundaryValues);
+  const ends = endConditions(boundaryCondition, boundaryValues, L);
+  // Which ends are held at a fixed temperature (the others use a ghost node)
+  const fixedLeft = ends.left.type === 'temperature';
+  const fixedRight = ends.right.type === 'temperature';
+
+  const x = new Float64Array(n);
+  const u = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    x[i] = origin + i * dx;
+    u[i] = f(x[i]);
+  }
+
+  // Face conductivities K between nodes i and i+1, and each node's heat capacity
+  // averaged over its control volume (a half cell at the ends)
+  const conductivity = new Float64Array(n - 1);
+  const weight = new Float64Array(n); // Δt / (ρcᵢ Δx²)
+  for (let i = 0; i < n - 1; i++) conductivity[i] = faceConductivity(segments, i * dx, (i + 1) * dx);
+  for (let i = 0; i < n; i++) {
+    const capacity = meanCapacity(segments, Math.max(0, (i - 0.5) * dx), Math.min(L, (i + 0.5) * dx));
+    weight[i] = timeStep / (capacity * dx * dx);
+  }
+  const kLeft = segmentAt(segments, 0).conductivity;
+  const kRight = segmentAt(segments, L).conductivity;
+
+  // Rows of Δt times the discrete operator: (lower, center, upper) coefficients per
+  // node; r δ² for a uniform bar. The diagonal also holds the exchange of
+  // convective ends (endLoss).
+  const lower = new Float64Array(n);
+  const center = new Float64Array(n);
+  const upper = new Float64Array(n);
+  const endLoss = new Float64Array(n);
+  for (let i = 1; i < n - 1; i++) {
+    lower[i] = weight[i] * conductivity[i - 1];
+    upper[i] = weight[i] * conductivity[i];
+  }
+  if (!fixedLeft) {
+    // Ghost node u₋₁ = u₁ - 2Δx u'(0), i.e. a half cell with the boundary flux
+    upper[0] = 2 * weight[0] * conductivity[0];
+    endLoss[0] = 2 * weight[0] * dx * kLeft * ends.left.H;
+  }
+  if (!fixedRight) {
+    // Ghost node uₙ₊₁ = uₙ₋₁ + 2Δx u'(L)
+    lower[n - 1] = 2 * weight[n - 1] * conductivity[n - 2];
+    endLoss[n - 1] = 2 * weight[n - 1] * dx * kRight * ends.right.H;
+  }
+  for (let i = 0; i < n; i++) center[i] = -lower[i] - upper[i] - endLoss[i];
+
+  // Advection, reaction and α(u) of the model (see equations.js)
+  const { velocity, reaction, diffusivityFactor } = equationTerms(equation);
+  const constantLower = diffusivityFactor ? lower.slice() : null;
+  const constantUpper = diffusivityFactor ? upper.slice() : null;
+  const constantEndLoss = diffusivityFactor ? endLoss.slice() : null;
+  // α(u)/α at each end node, scaling the boundary flux of ghost-node ends
+  const endFactor = { left: 1, right: 1 };
+
+  const isFixed = (i) => (i === 0 && fixedLeft) || (i === n - 1 && fixedRight);
+  const laplacian = (i) => (i > 0 ? lower[i] * u[i - 1] : 0) + center[i] * u[i] + (i < n - 1 ? upper[i] * u[i + 1] : 0);
+  // Contribution of the boundary data at a ghost-node end: the prescribed
+  // gradient, or the ambient-temperature part H g of a convective end
+  const ghostTerm = (i, t) => {
+    if (i === 0 && !fixedLeft) {
+      return 2 * weight[0] * dx * kLeft * ends.left.scale * endFactor.left * boundary.left(t);
+    }
+    if (i === n - 1 && !fixedRight) {
+      return 2 * weight[n - 1] * dx * kRight * ends.right.scale * endFactor.right * boundary.right(t);
+    }
+    return 0;
+  };
+
+  // Scale every face of the stencil by α(u)/α at the current solution
+  const updateDiffusivity = () => {
+    for (let i = 0; i < n; i++) {
+      const leftFace = i > 0 ? diffusivityFactor((u[i - 1] + u[i]) / 2) : 0;
+      const rightFace = i < n - 1 ? diffusivityFactor((u[i] + u[i + 1]) / 2) : 0;
+      lower[i] = constantLower[i] * leftFace;
+      upper[i] = constantUpper[i] * rightFace;
+      endLoss[i] = constantEndLoss[i] * diffusivityFactor(u[i]);
+      center[i] = -lower[i] - upper[i] - endLoss[i];
+    }
+    endFactor.left = diffusivityFactor(u[0]);
+    endFactor.right = diffusivityFactor(u[n - 1]);
+  };
+
+  // Explicit drift and reaction over one step: Δt (R(u) - v ∂u/∂x), upwind in the interior
+  const transport = (i) => {
+    let change = reaction ? reaction(u[i]) : 0;
+    if (velocity !== 0) {
+      let gradient;
+      if (i === 0) gradient = (u[1] - u[0]) / dx;
+      else if (i === n - 1) gradient = (u[n - 1] - u[n - 2]) / dx;
+      else gradient = velocity > 0 ? (u[i] - u[i - 1]) / dx : (u[i + 1] - u[i]) / dx;
+      change -= velocity * gradient;
+    }
+    return timeStep * change;
+  };
+  const hasTransport = velocity !== 0 || reaction !== null;
+  const fixedValue = (i, t) => (i === 0 ? boundary.left(t) : boundary.right(t));
+
+  // Source and loss terms, scaled by Δt: Δt (q + β T_amb) - Δt β u
+  const source = createSourceFunction(sources, L);
+  const loss = (sources.lossRate ?? 0) * timeStep;
+
+  // Work arrays for the implicit solve
+  const sub = new Float64Array(n);
+  const diag = new Float64Array(n);
+  const sup = new Float64Array(n);
+  const rhs = new Float64Array(n);
+
+  const solver = {
+    x,
+    u,
+    dx,
+    dt: timeStep,
+    r,
+    time: 0,
+    steps: 0,
+
+    /**
+     * Advance the solution by one time step Δt
+     */
+    step() {
+      const tOld = solver.time;
+      const tNew = (solver.steps + 1) * timeStep;
+      if (diffusivityFactor) updateDiffusivity();
+
+      // Explicit part: (I + (1-θ) r δ² - (1-θ) βΔt) uⁿ, plus the boundary data and
+      // sources at both time levels
+      for (let i = 0; i < n; i++) {
+        if (isFixed(i)) {
+          rhs[i] = fixedValue(i, tNew);
+          continue;
+        }
+        const explicit = laplacian(i) + ghostTerm(i, tOld) + timeStep * source(x[i], tOld) - loss * u[i];
+        const implicit = ghostTerm(i, tNew) + timeStep * source(x[i], tNew);
+        rhs[i] = u[i] + (1 - theta) * explicit + theta * implicit + (hasTransport ? transport(i) : 0);
+      }
+
+      if (theta === 0) {
+        u.set(rhs);
+      } else {
+        // Implicit part: (I - θ r δ² + θ βΔt) uⁿ⁺¹ = rhs
+        for (let i = 0; i < n; i++) {
+          if (isFixed(i)) {
+            sub[i] = 0;
+            diag[i] = 1;
+            sup[i] = 0;
+          } else {
+            sub[i] = -theta * lower[i];
+            diag[i] = 1 - theta * center[i] + theta * loss;
+            sup[i] = -theta * upper[i];
+          }
+        }
+        solveTridiagonal(sub, diag, sup, rhs);
+        u.set(rhs);
+      }
+
+      solver.steps++;
+      solver.time = solver.steps * timeStep;
+    },
+
+    /**
+     * Step forward until the solver time reaches t (to within one Δt)
+     *
+     * @param {number} t - Target time (must not be before the current time)
+     */
+    advanceTo(t) {
+      const targetSteps = Math.floor(t / timeStep + 1e-9);
+      while (solver.steps < targetSteps) solver.step();
+    },
+  };
+
+  return solver;
+};
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { createFiniteDifferenceSolver } from './finite_difference.js';
+import { interpolateLinear } from './grid.js';
+import { solveHeatEquation } from './heat_solver.js';
+
+const L = 10;
+const alpha = 0.5;
+const time = 2;
+const k = Math.PI / L;
+
+/**
+ * Largest error of the θ-scheme on sin(πx/L) with ends at zero, against the
+ * exact solution of the scheme's own spatial discretization: the mode decays
+ * at the rate α (4/Δx²) sin²(kΔx/2) of the centered second difference
+ *
+ * @param {string} scheme - Scheme name (see FINITE_DIFFERENCE_SCHEMES)
+ * @param {number} timeStep - Δt
+ * @returns {number} - Largest error over the nodes at the final time
+ */
+const timeError = (scheme, timeStep) => {
+  const solver = createFiniteDifferenceSolver({
+    f: (x) => Math.sin(k * x), L, alpha, boundaryCondition: 'dirichlet', scheme, gridSpacing: 0.5, timeStep,
+  });
+  solver.advanceTo(time);
+  const rate = alpha * (4 / solver.dx ** 2) * Math.sin(k * solver.dx / 2) ** 2;
+  return Math.max(...Array.from(solver.x, (x, i) => Math.abs(solver.u[i] - Math.exp(-rate * time) * Math.sin(k * x))));
+};
+
+describe('createFiniteDifferenceSolver', () => {
+  it.each([
+    ['crank-nicolson', 2],
+    ['backward-euler', 1],
+    ['ftcs', 1],
+  ])('converges in time at order %s = %i', (scheme, order) => {
+    const coarse = timeError(scheme, 0.02);
+    const fine = timeError(scheme, 0.01);
+    expect(Math.log2(coarse / fine)).toBeCloseTo(order, 1);
+  });
+
+  it('converges to the Fourier series as the grid is refined', () => {
+    const problem = {
+      L, alpha, time, boundaryCondition: 'dirichlet', initialCondition: 'two-peaks', numPoints: 401, numModes: 100,
+      numIntPoints: 1000, scheme: 'crank-nicolson',
+    };
+    // Sampled every 0.025, so every node of the grids below is a sample
+    const series = solveHeatEquation({ ...problem, barType: 'finite' });
+    const errors = [0.2, 0.1, 0.05].map((gridSpacing) => {
+      const { x, u } = solveHeatEquation({ ...problem, barType: 'numerical', gridSpacing, timeStep: gridSpacing / 10 });
+      const exact = interpolateLinear(series.x, series.u, x);
+      return Math.max(...Array.from(u, (value, i) => Math.abs(value - exact[i])));
+    });
+    expect(errors[0]).toBeLessThan(1e-2);
+    // Second order in Δx with Δt ∝ Δx: each halving divides the error by about 4
+    expect(errors[0] / errors[1]).toBeGreaterThan(3.5);
+    expect(errors[1] / errors[2]).toBeGreaterThan(3.5);
+  });
+});
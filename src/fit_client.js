@@ -0,0 +1,93 @@
+/**
+ * Main-thread side of the fit worker (see fit_worker.js)
+ *
+ * A fit solves the forward problem a few hundred times, which would freeze
+ * the page, so every fit runs in a worker of its own that reports its
+ * progress. Where workers are unavailable the fit runs on the main thread,
+ * after the current event, without intermediate progress.
+ */
+
+import { fitMeasurements } from './inverse.js';
+
+/**
+ * Error a cancelled fit is rejected with
+ *
+ * @returns {Error} - Error marked as a cancellation
+ */
+const cancellation = () => Object.assign(new Error('The fit was cancelled'), { cancelled: true });
+
+/**
+ * Whether a fit was rejected because it was cancelled rather than because it failed
+ *
+ * @param {*} error - Rejection reason of a fit
+ * @returns {boolean} - True for the error of a cancelled fit
+ */
+export const isFitCancelled = (error) => error?.cancelled === true;
+
+/**
+ * Start the fit worker
+ *
+ * @returns {Worker|null} - Worker, or null if it could not be started
+ */
+const startWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('./fit_worker.js', import.meta.url), { type: 'module' });
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Start fitting measurements
+ *
+ * @param {object} problem - Problem description, plain data (see fitMeasurements)
+ * @param {{x: Float64Array, t: Float64Array, u: Float64Array}} data - Measurements
+ * @param {{boundaryConditions: Array<string>, fitAmplitude: boolean}} options - Fit options (see fitMeasurements)
+ * @param {(fraction: number) => void} onProgress - Called with the fraction of the fit done
+ * @returns {{result: Promise<object>, cancel: () => void}} - The fit result (rejected with the error when
+ *          the data cannot be fitted, or with a cancellation, see isFitCancelled), and a function that
+ *          stops the fit
+ */
+export const startFit = (problem, data, options, onProgress) => {
+  const worker = startWorker();
+  let cancel;
+  if (!worker) {
+    const result = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        try {
+          resolve(fitMeasurements(problem, data, { ...options, onProgress }));
+        } catch (error) {
+          reject(error);
+        }
+      }, 0);
+      cancel = () => {
+        clearTimeout(timer);
+        reject(cancellation());
+      };
+    });
+    return { result, cancel };
+  }
+
+  const result = new Promise((resolve, reject) => {
+    cancel = () => {
+      worker.terminate();
+      reject(cancellation());
+    };
+    worker.onmessage = ({ data: message }) => {
+      if (message.progress !== undefined) {
+        onProgress(message.progress);
+        return;
+      }
+      worker.terminate();
+      if (message.error !== undefined) reject(new Error(message.error));
+      else resolve(message.fit);
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'The fit stopped unexpectedly'));
+    };
+  });
+  worker.postMessage({ problem, data: { x: data.x, t: data.t, u: data.u }, options });
+  return { result, cancel };
+};
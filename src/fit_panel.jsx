@@ -0,0 +1,215 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { isFitCancelled } from './fit_client.js';
+import { parseMeasurementCsv } from './inverse.js';
+import { SETTING_LIMITS } from './scenario.js';
+import { diffusivityUnit, TEMPERATURE_UNITS } from './units.js';
+
+const BUTTON_CLASS = 'bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white px-2 py-1 rounded text-xs';
+
+/**
+ * Draw the residuals of a fit against x, one color per measured time
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {object} data - Measurements (see inverse.js)
+ * @param {object} fit - Fit result (see fitMeasurements)
+ * @param {number} scale - Factor from profile units to displayed temperature differences
+ */
+const drawResiduals = (canvas, data, fit, scale) => {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const padding = 32;
+  ctx.fillStyle = '#1a1a1a';
+  ctx.fillRect(0, 0, width, height);
+
+  const residuals = fit.residuals.map((r) => r * scale);
+  const largest = Math.max(...residuals.map(Math.abs)) || 1;
+  const xMin = Math.min(...data.x);
+  const xMax = Math.max(...data.x) > xMin ? Math.max(...data.x) : xMin + 1;
+  const toScreenX = (x) => padding + (x - xMin) / (xMax - xMin) * (width - 2 * padding);
+  const toScreenY = (r) => height / 2 - r / largest * (height / 2 - padding / 2);
+
+  // Zero line and the symmetric range
+  ctx.strokeStyle = '#444';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(padding, height / 2);
+  ctx.lineTo(width - padding, height / 2);
+  ctx.stroke();
+  ctx.fillStyle = '#888';
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.fillText(`+${largest.toPrecision(2)}`, padding - 4, toScreenY(largest) + 3);
+  ctx.fillText(`−${largest.toPrecision(2)}`, padding - 4, toScreenY(-largest) + 3);
+  ctx.textAlign = 'center';
+  ctx.fillText('residual vs x', width / 2, height - 4);
+
+  const times = [...new Set(data.t)].sort((a, b) => a - b);
+  residuals.forEach((r, i) => {
+    ctx.fillStyle = `hsl(${times.indexOf(data.t[i]) / Math.max(1, times.length) * 280}, 70%, 60%)`;
+    ctx.beginPath();
+    ctx.arc(toScreenX(data.x[i]), toScreenY(r), 3, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+};
+
+/**
+ * FitPanel Component
+ *
+ * Inverse problem: imports measured (x, t, u) temperatures from CSV and fits
+ * the diffusivity α by least squares, optionally with the boundary condition
+ * and the amplitude A of the initial profile (see inverse.js). Shows the fitted
+ * values with 95% confidence intervals, the RMSE, R² and the residuals, and
+ * can apply the fitted α and boundary condition to the simulation.
+ *
+ * @param {object} props
+ * @param {object|null} props.data - Loaded measurements with the file name, or null
+ * @param {object|null} props.fit - Result of the last fit (see fitMeasurements), or null
+ * @param {number|null} props.progress - Fraction done of the running fit, or null when none runs
+ * @param {object} props.units - Units of the data and readouts (see units.js)
+ * @param {object|null} props.boundaryLabels - Names of the candidate boundary conditions, or null when
+ *        the boundary condition cannot be fitted (infinite bar)
+ * @param {(data: object) => void} props.onLoad - Called with imported measurements
+ * @param {(options: {fitBoundary: boolean, fitAmplitude: boolean}) => Promise<void>} props.onFit - Runs
+ *        the fit; rejects when the data cannot be fitted or the fit is cancelled
+ * @param {() => void} props.onApply - Called to use the fitted α (and boundary condition); offered only
+ *        when α is within SETTING_LIMITS
+ * @param {() => void} props.onClear - Called to drop the measurements
+ */
+const FitPanel = ({ data, fit, progress, units, boundaryLabels, onLoad, onFit, onApply, onClear }) => {
+  const fileRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [fitBoundary, setFitBoundary] = useState(false);
+  const [fitAmplitude, setFitAmplitude] = useState(false);
+  const [status, setStatus] = useState(null); // Last message, { message, error }
+
+  const { label: degree, scale: degreeScale } = TEMPERATURE_UNITS[units.temperature];
+  // Residuals in displayed temperature differences
+  const scale = units.absolute ? units.span * degreeScale : 1;
+  const temperatureUnit = units.absolute ? ` ${degree}` : '';
+  // A fitted α outside the slider range cannot be used as it is, so it is not applied at all
+  const { min: alphaMin, max: alphaMax } = SETTING_LIMITS.alpha;
+  const canApply = fit !== null && fit.alpha >= alphaMin && fit.alpha <= alphaMax;
+
+  /**
+   * Drawing effect - renders the residuals of the latest fit
+   */
+  useEffect(() => {
+    if (canvasRef.current && data && fit) drawResiduals(canvasRef.current, data, fit, scale);
+  }, [data, fit, scale]);
+
+  /**
+   * Import handler - reads and parses a CSV file of measurements
+   */
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const measurements = parseMeasurementCsv(await file.text());
+      onLoad({ ...measurements, name: file.name });
+      setStatus({ message: `Loaded ${measurements.x.length} measurements from ${file.name}`, error: false });
+    } catch (error) {
+      setStatus({ message: `Could not import ${file.name}: ${error.message}`, error: true });
+    }
+  };
+
+  const handleFit = async () => {
+    setStatus(null);
+    try {
+      await onFit({ fitBoundary: fitBoundary && boundaryLabels !== null, fitAmplitude });
+    } catch (error) {
+      if (!isFitCancelled(error)) setStatus({ message: `Could not fit: ${error.message}`, error: true });
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="text-white block text-sm">Fit to measurements:</label>
+      <div className="flex gap-2">
+        <button onClick={() => fileRef.current.click()} className={BUTTON_CLASS}>Import CSV</button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="text/csv,.csv,.txt"
+          onChange={handleImport}
+          aria-label="Import measurements file"
+          className="hidden"
+        />
+        <button onClick={handleFit} disabled={!data || progress !== null} className={BUTTON_CLASS}>Fit α</button>
+        <button onClick={onApply} disabled={!canApply || progress !== null} className={BUTTON_CLASS}>
+          Use fitted values
+        </button>
+        <button
+          onClick={() => {
+            onClear();
+            setStatus(null);
+          }}
+          disabled={!data}
+          className={BUTTON_CLASS}
+        >
+          Clear
+        </button>
+      </div>
+      <p className="text-gray-400 text-xs">
+        Columns x, t, u (header optional), in the chosen units{units.absolute ? ` with T in ${degree}` : ''}
+      </p>
+      <div className="flex gap-3 flex-wrap">
+        {boundaryLabels && (
+          <label className="flex items-center gap-2 text-white text-xs">
+            <input type="checkbox" checked={fitBoundary} onChange={(e) => setFitBoundary(e.target.checked)} />
+            Fit boundary condition
+          </label>
+        )}
+        <label className="flex items-center gap-2 text-white text-xs">
+          <input type="checkbox" checked={fitAmplitude} onChange={(e) => setFitAmplitude(e.target.checked)} />
+          Fit initial amplitude A
+        </label>
+      </div>
+      {progress !== null && (
+        <p className="text-gray-400 text-xs">Fitting… {Math.round(progress * 100)}%</p>
+      )}
+      {status && (
+        <p className={`text-xs ${status.error ? 'text-red-400' : 'text-gray-400'}`}>{status.message}</p>
+      )}
+      {data && !status && !fit && progress === null && (
+        <p className="text-gray-400 text-xs">{data.x.length} measurements from {data.name}</p>
+      )}
+      {fit && (
+        <div>
+          <div className="text-gray-400 text-xs space-y-0.5 font-mono">
+            <p>
+              <span className="text-gray-300">α =</span> {fit.alpha.toPrecision(4)} ± {fit.confidence.alpha.toPrecision(2)}{' '}
+              {diffusivityUnit(units)} (95%)
+            </p>
+            {Number.isFinite(fit.confidence.amplitude) && (
+              <p>
+                <span className="text-gray-300">A =</span> {fit.amplitude.toPrecision(4)} ± {fit.confidence.amplitude.toPrecision(2)}
+              </p>
+            )}
+            {!canApply && (
+              <p className="text-red-400">
+                Outside the α range {alphaMin}–{alphaMax} {diffusivityUnit(units)}: cannot be applied
+              </p>
+            )}
+            {boundaryLabels && (
+              <p><span className="text-gray-300">Boundary:</span> {boundaryLabels[fit.boundaryCondition]}</p>
+            )}
+            <p>
+              <span className="text-gray-300">RMSE:</span> {(fit.rmse * scale).toPrecision(3)}{temperatureUnit}
+              {'  '}<span className="text-gray-300">R²:</span> {fit.rSquared.toFixed(4)}
+            </p>
+            {boundaryLabels && fit.candidates.length > 1 && (
+              <p>
+                {fit.candidates.map(({ boundaryCondition, rmse }) =>
+                  `${boundaryLabels[boundaryCondition]} ${(rmse * scale).toPrecision(3)}`).join(' · ')}
+              </p>
+            )}
+          </div>
+          <canvas ref={canvasRef} width={320} height={140} className="w-full rounded mt-1" style={{ display: 'block' }} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FitPanel;
@@ -0,0 +1,22 @@
+/**
+ * Fit worker: runs a least-squares fit (see inverse.js) off the main thread
+ *
+ * Receives a single {problem, data, options} request (see fit_client.js),
+ * posts {progress} as the forward solves complete, and finally {fit} or
+ * {error} with the message of the failure. A worker is started for every fit,
+ * so a fit is cancelled by terminating its worker.
+ */
+
+import { fitMeasurements } from './inverse.js';
+
+self.onmessage = ({ data: { problem, data, options } }) => {
+  try {
+    const fit = fitMeasurements(problem, data, {
+      ...options,
+      onProgress: (progress) => self.postMessage({ progress }),
+    });
+    self.postMessage({ fit });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+};
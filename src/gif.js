@@ -0,0 +1,177 @@
+/**
+ * Animated GIF encoder
+ *
+ * Frames are quantized to a fixed 6×7×6 color cube (252 colors, more levels of
+ * green because the eye resolves it best) so every frame shares one global
+ * palette, then compressed with GIF's variable-width LZW. Each frame is
+ * encoded as soon as it is added, so only the compressed bytes are kept.
+ */
+
+// Levels of each channel in the color cube
+const RED_LEVELS = 6;
+const GREEN_LEVELS = 7;
+const BLUE_LEVELS = 6;
+
+// Bits per palette index; the palette is padded to 2⁸ colors
+const colorBits = 8;
+
+// GIF codes are at most 12 bits wide
+const maxCodes = 4096;
+
+/**
+ * Global palette: the color cube followed by black padding
+ *
+ * @returns {Uint8Array} - 256 RGB triples
+ */
+const createPalette = () => {
+  const palette = new Uint8Array(3 << colorBits);
+  let index = 0;
+  for (let r = 0; r < RED_LEVELS; r++) {
+    for (let g = 0; g < GREEN_LEVELS; g++) {
+      for (let b = 0; b < BLUE_LEVELS; b++) {
+        palette[index++] = Math.round(r * 255 / (RED_LEVELS - 1));
+        palette[index++] = Math.round(g * 255 / (GREEN_LEVELS - 1));
+        palette[index++] = Math.round(b * 255 / (BLUE_LEVELS - 1));
+      }
+    }
+  }
+  return palette;
+};
+
+/**
+ * Palette indices of RGBA pixels
+ *
+ * @param {Uint8ClampedArray} rgba - Pixels, 4 bytes each (alpha is ignored)
+ * @returns {Uint8Array} - Index of the nearest cube color for each pixel
+ */
+const quantize = (rgba) => {
+  const indices = new Uint8Array(rgba.length / 4);
+  for (let p = 0; p < indices.length; p++) {
+    const r = Math.round(rgba[4 * p] * (RED_LEVELS - 1) / 255);
+    const g = Math.round(rgba[4 * p + 1] * (GREEN_LEVELS - 1) / 255);
+    const b = Math.round(rgba[4 * p + 2] * (BLUE_LEVELS - 1) / 255);
+    indices[p] = (r * GREEN_LEVELS + g) * BLUE_LEVELS + b;
+  }
+  return indices;
+};
+
+/**
+ * LZW-compress palette indices into GIF data sub-blocks
+ *
+ * The code width grows from colorBits + 1 to 12 bits as the table fills, and a
+ * clear code restarts the table once all 4096 codes are used.
+ *
+ * @param {Uint8Array} indices - Palette indices of the frame's pixels
+ * @returns {Array<number>} - Minimum code size, sub-blocks of at most 255 bytes, and the terminator
+ */
+const compress = (indices) => {
+  const clearCode = 1 << colorBits;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let buffer = 0;
+  let bufferBits = 0;
+  let codeSize = colorBits + 1;
+
+  // Pack codes least significant bit first
+  const emit = (code) => {
+    buffer |= code << bufferBits;
+    bufferBits += codeSize;
+    while (bufferBits >= 8) {
+      bytes.push(buffer & 0xff);
+      buffer >>>= 8;
+      bufferBits -= 8;
+    }
+  };
+
+  let table = new Map();
+  let nextCode = endCode + 1;
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let p = 1; p < indices.length; p++) {
+    const key = (prefix << colorBits) | indices[p];
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === maxCodes) {
+      emit(clearCode);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = colorBits + 1;
+    } else {
+      // The decoder widens its codes one entry later than the table grows
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = indices[p];
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bufferBits > 0) bytes.push(buffer & 0xff);
+
+  const blocks = [colorBits];
+  for (let start = 0; start < bytes.length; start += 255) {
+    const block = bytes.slice(start, start + 255);
+    blocks.push(block.length, ...block);
+  }
+  blocks.push(0);
+  return blocks;
+};
+
+/**
+ * Little-endian 16-bit value
+ *
+ * @param {number} value - Value below 65536
+ * @returns {Array<number>} - Low and high byte
+ */
+const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+
+/**
+ * Create an encoder for a looping animated GIF
+ *
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @returns {object} - Encoder with `addFrame(rgba, delay)`, `frameCount` and `finish()` returning the file as a Blob
+ */
+export const createGifEncoder = (width, height) => {
+  const header = [
+    ...'GIF89a'.split('').map((c) => c.charCodeAt(0)),
+    ...word(width), ...word(height),
+    0xf0 | (colorBits - 1), // Global palette of 2^colorBits colors
+    0, 0,
+  ];
+  // Netscape extension: loop forever
+  const loop = [0x21, 0xff, 11, ...'NETSCAPE2.0'.split('').map((c) => c.charCodeAt(0)), 3, 1, 0, 0, 0];
+  const parts = [new Uint8Array(header), createPalette(), new Uint8Array(loop)];
+
+  const encoder = {
+    frameCount: 0,
+
+    /**
+     * Quantize, compress and append a frame
+     *
+     * @param {Uint8ClampedArray} rgba - Pixels of the frame, width × height × 4 bytes
+     * @param {number} delay - Display time of the frame in hundredths of a second
+     */
+    addFrame(rgba, delay) {
+      if (rgba.length !== width * height * 4) throw new Error('Frame size does not match the GIF');
+      const control = [0x21, 0xf9, 4, 0x04, ...word(Math.round(delay)), 0, 0];
+      const descriptor = [0x2c, 0, 0, 0, 0, ...word(width), ...word(height), 0];
+      parts.push(new Uint8Array([...control, ...descriptor]), new Uint8Array(compress(quantize(rgba))));
+      encoder.frameCount++;
+    },
+
+    /**
+     * Close the file
+     *
+     * @returns {Blob} - The GIF
+     */
+    finish() {
+      return new Blob([...parts, new Uint8Array([0x3b])], { type: 'image/gif' });
+    },
+  };
+
+  return encoder;
+};
@@ -0,0 +1,68 @@
+/**
+ * Grid helpers shared by the solvers and the comparison tools
+ */
+
+/**
+ * Uniformly spaced points from start to end (inclusive)
+ *
+ * @param {number} start - First point
+ * @param {number} end - Last point
+ * @param {number} count - Number of points
+ * @returns {Float64Array} - Grid positions
+ */
+export const linspace = (start, end, count) => {
+  const xs = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    xs[i] = count > 1 ? start + (i / (count - 1)) * (end - start) : start;
+  }
+  return xs;
+};
+
+/**
+ * Piecewise-linear interpolation of sampled values onto new positions
+ * Positions outside the sampled range take the nearest end value.
+ *
+ * @param {Float64Array} xs - Sample positions (increasing)
+ * @param {Float64Array} us - Sample values
+ * @param {Float64Array} targets - Positions to interpolate at
+ * @returns {Float64Array} - Interpolated values
+ */
+export const interpolateLinear = (xs, us, targets) => {
+  const n = xs.length;
+  const result = new Float64Array(targets.length);
+  let j = 0;
+
+  for (let i = 0; i < targets.length; i++) {
+    const x = targets[i];
+    if (x <= xs[0]) {
+      result[i] = us[0];
+      continue;
+    }
+    if (x >= xs[n - 1]) {
+      result[i] = us[n - 1];
+      continue;
+    }
+    // Targets are usually increasing, so resume the search from the last interval
+    if (x < xs[j]) j = 0;
+    while (xs[j + 1] < x) j++;
+    const w = (x - xs[j]) / (xs[j + 1] - xs[j]);
+    result[i] = us[j] * (1 - w) + us[j + 1] * w;
+  }
+
+  return result;
+};
+
+/**
+ * Integrate sampled values with the trapezoidal rule
+ *
+ * @param {Float64Array} xs - Sample positions (increasing)
+ * @param {Float64Array} us - Sample values
+ * @returns {number} - ∫ u dx
+ */
+export const trapezoid = (xs, us) => {
+  let sum = 0;
+  for (let i = 1; i < xs.length; i++) {
+    sum += 0.5 * (us[i] + us[i - 1]) * (xs[i] - xs[i - 1]);
+  }
+  return sum;
+};
@@ -1,299 +1,569 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Play, Pause, RotateCcw } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Play, Pause, RotateCcw, StepBack, StepForward } from 'lucide-react';
+import {
+  createInitialCondition,
+  getFourierModes,
+  heatKernel,
+  isTimeStepped,
+  isUnbounded,
+  solveHeatEquation,
+} from './heat_solver.js';
+import { courantNumber, meshRatio, reactionStep } from './finite_difference.js';
+import {
+  computeErrorNorms,
+  runConvergenceSweep,
+  REFERENCE_NUM_MODES,
+} from './comparison.js';
+import ConvergencePanel from './convergence_panel.jsx';
+import {
+  boundaryTypes,
+  createSteadyState,
+  endConditions,
+  isNonHomogeneous,
+  DEFAULT_BOUNDARY_VALUES,
+} from './boundary.js';
+import BoundaryControls from './boundary_controls.jsx';
+import { hasSources, isHeaterOn, movingSourcePosition } from './sources.js';
+import SourceControls from './source_controls.jsx';
+import {
+  compositeLength,
+  createCompositeSteadyState,
+  segmentBoundaries,
+  SEGMENT_COLORS,
+} from './composite.js';
+import SegmentEditor from './segment_editor.jsx';
+import { parseExpression } from './expression.js';
+import { paintSketch, sampleSketch } from './sketch.js';
+import { interpolateLinear, linspace, trapezoid } from './grid.js';
+import {
+  createPlateInitialCondition,
+  plateTemperatureRange,
+  solvePlate,
+  DEFAULT_PLATE_RESOLUTION,
+} from './plate_solver.js';
+import PlateControls from './plate_controls.jsx';
+import PlateView from './plate_view.jsx';
+import { createHistory } from './history.js';
+import HistoryView from './history_view.jsx';
+import { advanceTime, stepTime } from './playback.js';
+import PlaybackControls from './playback_controls.jsx';
+import { evaluateModes, selectedModes, DEFAULT_MODE_SELECTION } from './modal.js';
+import ModalPanel from './modal_panel.jsx';
+import { clampSetting, readScenarioFromUrl, scenarioUrl, DEFAULT_SCENARIO, SETTING_LIMITS } from './scenario.js';
+import ScenarioPanel from './scenario_panel.jsx';
+import { exportMetadata, plateSvg, profileSvg } from './export.js';
+import ExportPanel from './export_panel.jsx';
+import { createSolverClient } from './solver_client.js';
+import { CUSTOM_MATERIAL, effectiveDiffusivity, MATERIALS, materialDiffusivity } from './materials.js';
+import {
+  diffusivityUnit,
+  displayTemperature,
+  formatLength,
+  formatTime,
+  profileValue,
+  temperatureLabel,
+  LENGTH_UNITS,
+  TEMPERATURE_UNITS,
+  TIME_UNITS,
+} from './units.js';
+import UnitsControls from './units_controls.jsx';
+import {
+  endFluxes,
+  fluxConductivity,
+  profileMoments,
+  thermalEnergy,
+  MAX_PROBES,
+  PROBE_COLORS,
+} from './measurements.js';
+import ProbePanel from './probe_panel.jsx';
+import { fitRange, niceTicks, tickDigits, zoomRange, Y_RANGE_MODES } from './plot_axes.js';
+import { nearestMeasurements } from './inverse.js';
+import { startFit } from './fit_client.js';
+import FitPanel from './fit_panel.jsx';
+import LessonPanel from './lesson_panel.jsx';
+import { hasKernelSolution, isLinearDiffusion, kernelTransform, EQUATION_LABELS } from './equations.js';
+import EquationControls from './equation_controls.jsx';
+import { reflectProfile, SEMI_INFINITE_BOUNDARIES } from './semi_infinite.js';
+import { pinTrace } from './traces.js';
+import TracePanel from './trace_panel.jsx';
+
+// Display names for the finite-difference schemes
+const SCHEME_LABELS = {
+  ftcs: 'Explicit (FTCS)',
+  'backward-euler': 'Implicit Euler',
+  'crank-nicolson': 'Crank–Nicolson',
+};
+
+// Display names for the boundary conditions of a bounded bar
+const BOUNDARY_LABELS = {
+  dirichlet: 'Dirichlet',
+  neumann: 'Neumann',
+  mixed: 'Mixed',
+  robin: 'Robin (convective)',
+  'dirichlet-robin': 'Dirichlet / Robin',
+  'robin-dirichlet': 'Robin / Dirichlet',
+  'neumann-robin': 'Neumann / Robin',
+  'robin-neumann': 'Robin / Neumann',
+};
+
+/**
+ * Parse a custom initial condition and check that it is finite over the bar
+ * (the unbounded bars take it as zero where it is not finite beyond [0, L],
+ * see createInitialCondition)
+ *
+ * @param {string} source - Expression in x and L
+ * @param {number} L - Length of the bar
+ * @returns {(x: number, L: number) => number} - Compiled expression
+ * @throws {Error} - On a syntax error or a non-finite value on [0, L]
+ */
+const compileExpression = (source, L) => {
+  const compiled = parseExpression(source);
+  for (const x of linspace(0, L, 201)) {
+    if (!Number.isFinite(compiled(x, L))) {
+      throw new Error(`f(x) is not finite at x = ${x.toFixed(2)}`);
+    }
+  }
+  return compiled;
+};
+
+// Number of eigenvalues listed under the Fourier series controls
+const LISTED_EIGENVALUES = 6;
+
+// Display names for the solutions a bounded bar can be compared with
+const COMPARISON_LABELS = {
+  reference: `Reference series (${REFERENCE_NUM_MODES} modes)`,
+  finite: 'Fourier series',
+  numerical: 'Finite difference',
+};
+
+// Zoom per wheel notch on the profile plot
+const wheelZoom = 1.2;
+
+/**
+ * Convert a pointer event to plot coordinates (x, u)
+ *
+ * @param {PointerEvent | WheelEvent} e - Pointer event over the canvas
+ * @param {HTMLCanvasElement} canvas - Plot canvas
+ * @param {object} plot - Geometry of the last drawn frame
+ * @param {object} [view] - Window to map into, by default the one last drawn
+ * @returns {{screenX: number, screenY: number, x: number, u: number}} - Position in CSS pixels and in
+ *          plot coordinates
+ */
+const plotCoordinates = (e, canvas, plot, view = plot.view) => {
+  const rect = canvas.getBoundingClientRect();
+  const screenX = (e.clientX - rect.left) * plot.width / rect.width;
+  const screenY = (e.clientY - rect.top) * plot.height / rect.height;
+  const { xMin, xMax, uMin, uMax } = view;
+  return {
+    screenX,
+    screenY,
+    x: xMin + (screenX - plot.padding) / plot.plotWidth * (xMax - xMin),
+    u: uMin + (plot.height - plot.padding - screenY) / plot.plotHeight * (uMax - uMin),
+  };
+};
 
 /**
  * HeatDiffusionVisualization Component
  * 
  * Visualizes the solution to the heat equation:
  * ∂u/∂t = α ∂²u/∂x²
+ * optionally with sources and lateral loss q(x,t) - β(u - T_amb) on bounded bars
+ * or, on the 1D bars, another parabolic model: advection, reaction or α(u) (see equations.js)
  * 
  * Supports two solution methods:
  * 1. Infinite bar: Convolution with Gaussian heat kernel
+ *    (semi-infinite bar: the same with a mirrored image, see semi_infinite.js)
  * 2. Finite bar: Fourier series with various boundary conditions
+ * 3. Numerical bar: Finite-difference time stepping (FTCS, backward Euler, Crank–Nicolson)
+ * 4. Composite bar: Finite-volume time stepping over segments of different materials
+ * 5. Plate: 2D heat equation on a rectangle, drawn as a heatmap (see plate_view.jsx)
+ *
+ * The solvers themselves live in heat_solver.js; this component only owns
+ * the UI state and renders the sampled solution.
  */
 const HeatDiffusionVisualization = () => {
+  // Setup linked in the page URL, if any (see scenario.js)
+  const [linked] = useState(() => {
+    try {
+      return { scenario: readScenarioFromUrl(window.location) ?? DEFAULT_SCENARIO, error: null };
+    } catch (error) {
+      return { scenario: DEFAULT_SCENARIO, error: `Ignored the scenario in the link: ${error.message}` };
+    }
+  });
+  const initial = linked.scenario;
+
   // Animation control state
   const [isPlaying, setIsPlaying] = useState(false); // Whether animation is running
-  const [time, setTime] = useState(0); // Current simulation time
+  const [time, setTime] = useState(initial.time); // Current simulation time
+  const [playback, setPlayback] = useState(initial.playback); // Speed, time scale and stop time
   
   // Physical parameters
-  const [alpha, setAlpha] = useState(0.1); // Thermal diffusivity coefficient
-  const [L, setL] = useState(10); // Length of the bar
+  const [customAlpha, setCustomAlpha] = useState(initial.alpha); // Thermal diffusivity set by hand
+  const [material, setMaterial] = useState(initial.material); // Material giving α, or 'custom' (see materials.js)
+  const [barLength, setBarLength] = useState(initial.barLength); // Length of a uniform bar
+  const [units, setUnits] = useState(initial.units); // Length, time and temperature units (see units.js)
   
   // Simulation configuration
-  const [barType, setBarType] = useState('infinite'); // 'infinite' or 'finite'
-  const [initialCondition, setInitialCondition] = useState('gaussian'); // Initial temperature distribution
-  const [boundaryCondition, setBoundaryCondition] = useState('dirichlet'); // BC for finite bar
+  const [barType, setBarType] = useState(initial.barType); // 'infinite', 'semi-infinite', 'finite', 'numerical', 'composite' or 'plate'
+  const [segments, setSegments] = useState(initial.segments); // Materials of a composite bar
+  const [equation, setEquation] = useState(initial.equation); // Model solved on 1D bars (see equations.js)
+  const [initialCondition, setInitialCondition] = useState(initial.initialCondition); // Preset name, 'expression' or 'sketch'
+  const [expressionText, setExpressionText] = useState(initial.expression); // Custom f(x) as typed
+  const [expressionSource, setExpressionSource] = useState(initial.expression); // Last valid formula
+  const [expressionError, setExpressionError] = useState(null); // Why the typed formula was rejected
+  const [sketch, setSketch] = useState(initial.sketch); // Freehand f(x) samples (see sketch.js)
+  const [boundaryCondition, setBoundaryCondition] = useState(initial.boundaryCondition); // BC for finite and numerical bars
+  const [boundaryValues, setBoundaryValues] = useState(initial.boundaryValues); // End temperatures/gradients
+  const [sources, setSources] = useState(initial.sources); // Heat sources and lateral loss (bounded bars)
+  const [plate, setPlate] = useState(initial.plate); // Height, method, edges and initial map of the plate
+  const [showContours, setShowContours] = useState(true); // Isotherms over the plate heatmap
+  const [crossSection, setCrossSection] = useState(0.5); // Height of the plate cross-section, as y/H
+  const [showImages, setShowImages] = useState(false); // Image of the semi-infinite bar drawn on x < 0
+  const [showHistory, setShowHistory] = useState(false); // Space–time heatmap and surface below the plot
+  const [probes, setProbes] = useState(initial.probes); // Probe positions on the bar (see measurements.js)
+  const [showProbes, setShowProbes] = useState(initial.probes.length > 0); // Probe chart and measurements below the plot
+  const [yRange, setYRange] = useState({ mode: 'auto' }); // Temperature axis mode, with min and max when locked
+  const [xRange, setXRange] = useState(null); // Zoomed window along the bar, or null for all of it
+  const [plotSize, setPlotSize] = useState({ width: 1000, height: 500, pixelRatio: 1 }); // Plot canvas in CSS pixels
+  const [hover, setHover] = useState(null); // Pointer over the plot, for the (x, u) tooltip
+  const [showModal, setShowModal] = useState(false); // Mode spectrum panel (finite bar)
+  const [modeSelection, setModeSelection] = useState(DEFAULT_MODE_SELECTION); // Kept modes (see modal.js)
+  const [showModeCurves, setShowModeCurves] = useState(true); // Kept modes drawn over the plot
+  const [history] = useState(createHistory); // Profiles drawn so far (see history.js)
+  const [frame, setFrame] = useState(null); // Latest solution from the solver worker (see solver_client.js)
+  const [solverError, setSolverError] = useState(null); // Why the latest request failed, until a frame arrives
+  const [scenarioRevision, setScenarioRevision] = useState(0); // Bumped when a scenario is loaded
+  
+  // Fourier series resolution (finite bar)
+  const [numModes, setNumModes] = useState(initial.numModes); // Number of Fourier modes
+  const [numIntPoints, setNumIntPoints] = useState(initial.numIntPoints); // Quadrature points per coefficient
+  
+  // Finite-difference discretization (numerical bar)
+  const [scheme, setScheme] = useState(initial.scheme); // 'ftcs', 'backward-euler' or 'crank-nicolson'
+  const [gridSpacing, setGridSpacing] = useState(initial.gridSpacing); // Δx
+  const [timeStep, setTimeStep] = useState(initial.timeStep); // Δt
+  
+  // Comparison against a second solution (finite and numerical bars)
+  const [compareWith, setCompareWith] = useState(initial.compareWith); // 'none', 'reference', 'finite' or 'numerical'
+  const [traces, setTraces] = useState([]); // Pinned configurations drawn with the live curve (see traces.js)
+  const [sweep, setSweep] = useState(null); // Result of the last convergence sweep
+  
+  // Guided lesson (see lessons.js)
+  const [lesson, setLesson] = useState(null); // Running lesson with the scenario of every step, or null
+  const [lessonStep, setLessonStep] = useState(0); // Index of the current step
+  
+  // Inverse problem: measured temperatures and the model fitted to them (see inverse.js)
+  const [measuredData, setMeasuredData] = useState(null); // Imported (x, t, u) measurements
+  const [fit, setFit] = useState(null); // Result of the last fit
+  const [fitProgress, setFitProgress] = useState(null); // Fraction done of the running fit, or null
   
   // React refs for animation and canvas
-  const animationRef = useRef(null); // Stores interval ID for animation loop
+  const animationRef = useRef(null); // Stores the pending animation frame request
+  const timeRef = useRef(0); // Latest time, read by the animation loop
   const canvasRef = useRef(null); // Reference to canvas element for drawing
+  const plotRef = useRef(null); // Plot geometry of the last frame, to map pointer positions
+  const plateMapRef = useRef(null); // Heatmap canvas of the plate view
+  const strokeRef = useRef(null); // Freehand stroke in progress
+  const dragRef = useRef(null); // Pan of the plot in progress
+  const plotBoxRef = useRef(null); // Container the plot canvas fills
+  const solverRef = useRef(null); // Solver worker client (see solver_client.js)
+  const fitRef = useRef(null); // Fit in progress (see fit_client.js)
 
   // Simulation parameters
   const numPoints = 500; // Number of spatial points to compute
-  const dt = 0.05; // Time step for animation
-
-  /**
-   * Get initial temperature distribution f(x) at position x
-   * 
-   * @param {number} x - Position along the bar
-   * @returns {number} - Initial temperature at position x
-   * 
-   * Supports multiple initial conditions:
-   * - gaussian: Smooth bell curve centered at L/2
-   * - step: Rectangular pulse
-   * - step-discontinuous: Step function from 0 to 1
-   * - triangle: Triangular peak
-   * - two-peaks: Superposition of two Gaussians
-   * - sigmoid: Smooth transition from 0 to 1
-   * - chaotic: Complex multi-frequency superposition
-   */
-  const getInitialCondition = (x) => {
-    let value = 0;
-    const center = L / 2;
-    
-    switch (initialCondition) {
-      case 'gaussian':
-        // Gaussian centered at midpoint: exp(-((x-c)²)/σ²)
-        value = Math.exp(-((x - center) ** 2) / 0.5);
-        break;
-      case 'step':
-        // Rectangular pulse of width 2 centered at midpoint
-        value = x > center - 1 && x < center + 1 ? 1 : 0;
-        break;
-      case 'step-discontinuous':
-        // Discontinuous step: 0 for x < center, 1 for x >= center
-        value = x >= center ? 1 : 0;
-        break;
-      case 'triangle':
-        // Triangular peak with base width 2
-        if (x >= center - 1 && x <= center) value = (x - (center - 1));
-        else if (x > center && x <= center + 1) value = ((center + 1) - x);
-        else value = 0;
-        break;
-      case 'two-peaks':
-        // Two Gaussian peaks at 30% and 70% of bar length
-        value = Math.exp(-((x - L * 0.3) ** 2) / 0.3) + Math.exp(-((x - L * 0.7) ** 2) / 0.3);
-        break;
-      case 'sigmoid':
-        // Sigmoid transition from 0 to 1
-        value = 1 / (1 + Math.exp(-2 * (x - center)));
-        break;
-      case 'chaotic':
-        // Superposition of multiple sine/cosine waves with different frequencies
-        // Creates a complex, irregular initial condition to demonstrate Fourier decomposition
-        value = 0.5 * Math.sin(2 * Math.PI * x / L) +
-                0.3 * Math.cos(4 * Math.PI * x / L + 0.5) +
-                0.4 * Math.sin(6 * Math.PI * x / L + 1.2) +
-                0.25 * Math.cos(8 * Math.PI * x / L - 0.8) +
-                0.2 * Math.sin(10 * Math.PI * x / L + 2.1) +
-                0.15 * Math.cos(12 * Math.PI * x / L - 1.5) +
-                0.1 * Math.sin(16 * Math.PI * x / L + 0.3) +
-                0.08 * Math.cos(20 * Math.PI * x / L - 2.0);
-        // Normalize to be positive (shift and scale)
-        value = (value + 1.5) / 2;
-        break;
-      default:
-        value = 0;
+  
+  // Diffusivity in length²/time: derived from the material, or set by hand
+  const alpha = effectiveDiffusivity(material, customAlpha, units);
+  const lengthUnit = LENGTH_UNITS[units.length].label;
+  
+  // A composite bar is as long as its segments together
+  const isComposite = barType === 'composite';
+  const L = isComposite ? compositeLength(segments) : barLength;
+  // The plate is 2D and has its own solvers, initial maps and view
+  const isPlate = barType === 'plate';
+  // Models other than the heat equation have no steady state, modes or comparisons here
+  const isDiffusion = isPlate || isLinearDiffusion(equation);
+  // Bars solved by finite differences, with scheme and grid controls
+  const isSteppedBar = !isPlate && isTimeStepped({ barType, equation });
+  // Finite bar solved by its Fourier series
+  const hasSeries = barType === 'finite' && !isSteppedBar;
+  // Boundary conditions offered for the bar: none on the infinite bar, one end on the semi-infinite one
+  const boundaryLabels = barType === 'infinite'
+    ? null
+    : barType === 'semi-infinite' ? SEMI_INFINITE_BOUNDARIES : BOUNDARY_LABELS;
+  const usesPlateGrid = isPlate && plate.method === 'grid';
+  
+  // FTCS is only stable for r = αΔt/Δx² ≤ 1/2 (with the largest α of a composite bar);
+  // the drift and reaction are explicit under every scheme, and need |v|Δt/Δx ≤ 1 and ρΔt or kΔt ≤ 1
+  const maxAlpha = isComposite ? Math.max(...segments.map((segment) => segment.alpha)) : alpha;
+  const ratio = meshRatio(maxAlpha, timeStep, gridSpacing);
+  const courant = courantNumber(equation, timeStep, gridSpacing);
+  const reaction = reactionStep(equation, timeStep);
+  const reactionLabel = equation.model === 'fisher' ? 'ρΔt' : 'kΔt';
+  let instability = null; // Why the time-stepper will blow up or overshoot, if it will
+  if (isSteppedBar && scheme === 'ftcs' && ratio > 0.5) instability = `r = αΔt/Δx² = ${ratio.toFixed(2)} > 0.5`;
+  else if (isSteppedBar && courant > 1) instability = `Courant number |v|Δt/Δx = ${courant.toFixed(2)} > 1`;
+  else if (isSteppedBar && reaction > 1) instability = `${reactionLabel} = ${reaction.toFixed(2)} > 1`;
+  
+  // Comparing a solution with its own method is meaningless, so that choice is ignored;
+  // the other solutions assume a uniform bar, so composite bars are not compared
+  const canCompare = !isUnbounded(barType) && !isComposite && !isPlate && isDiffusion;
+  const activeComparison = canCompare && compareWith !== 'none' && compareWith !== barType
+    ? compareWith
+    : null;
+  
+  // The formula in use is checked again whenever L changes: one that was finite on
+  // the old bar may not be on the new one, e.g. sqrt(5 - x) once L exceeds 5
+  const expressionDomainError = useMemo(() => {
+    if (initialCondition !== 'expression') return null;
+    try {
+      compileExpression(expressionSource, L);
+      return null;
+    } catch (error) {
+      return error.message;
     }
-    
-    // For finite bar with Dirichlet BC, multiply by sin(πx/L) to enforce u(0)=u(L)=0
-    // This ensures the initial condition already satisfies boundary conditions
-    if (barType === 'finite' && boundaryCondition === 'dirichlet') {
-      value *= Math.sin(Math.PI * x / L);
+  }, [initialCondition, expressionSource, L]);
+  const formulaError = expressionError ?? expressionDomainError;
+  
+  // Initial condition handed to the solvers: a preset name, a formula or a sketch,
+  // as plain data so problems can be posted to the solver worker
+  const initialProfile = useMemo(() => {
+    if (initialCondition === 'expression') return { expression: expressionSource };
+    if (initialCondition === 'sketch' && sketch) return { sketch };
+    return initialCondition;
+  }, [initialCondition, expressionSource, sketch]);
+  
+  // Problem description without the time: a new object whenever a parameter changes,
+  // which also starts a new history
+  const problemSetup = useMemo(() => ({
+    barType, L, alpha, initialCondition: initialProfile, boundaryCondition, numPoints, numModes, numIntPoints,
+    scheme, gridSpacing, timeStep, boundaryValues, sources, segments, equation,
+  }), [
+    barType, L, alpha, initialProfile, boundaryCondition, numModes, numIntPoints,
+    scheme, gridSpacing, timeStep, boundaryValues, sources, segments, equation,
+  ]);
+  
+  // Full problem description passed to the solvers
+  const problem = useMemo(() => ({ ...problemSetup, time }), [problemSetup, time]);
+  
+  // Initial map of the plate: a preset name or a custom f(x,y)
+  const plateProfile = useMemo(
+    () => (plate.initialCondition === 'expression' ? { expression: plate.expression } : plate.initialCondition),
+    [plate.initialCondition, plate.expression]
+  );
+
+  // Plate problem passed to the plate solvers (its width is the bar length), with and without the time
+  const plateSetup = useMemo(() => ({
+    width: L, height: plate.height, alpha, initialCondition: plateProfile, boundaryCondition: plate.boundaryCondition,
+    method: plate.method, numModes, numIntPoints, gridSpacing, timeStep, resolution: DEFAULT_PLATE_RESOLUTION,
+  }), [L, plate, alpha, plateProfile, numModes, numIntPoints, gridSpacing, timeStep]);
+  const plateProblem = useMemo(() => ({ ...plateSetup, time }), [plateSetup, time]);
+  
+  // Sources only apply to 1D bounded bars
+  const sourcesActive = !isUnbounded(barType) && !isPlate && hasSources(sources);
+  
+  // Profile a bounded bar relaxes toward with the mean boundary values (null if none
+  // exists, and not drawn when sources drive the bar)
+  const steadyState = useMemo(() => {
+    if (isUnbounded(barType) || barType === 'plate' || hasSources(sources) || !isLinearDiffusion(equation)) return null;
+    const xs = linspace(0, L, numPoints);
+    const f = createInitialCondition({ initialCondition: initialProfile, L });
+    if (barType === 'composite') {
+      const ends = endConditions(boundaryCondition, boundaryValues, L);
+      return createCompositeSteadyState(segments, ends, { ...DEFAULT_BOUNDARY_VALUES, ...boundaryValues }, f);
     }
-    
-    return value;
-  };
+    const meanInitial = trapezoid(xs, xs.map(f)) / L;
+    return createSteadyState(boundaryCondition, boundaryValues, L, meanInitial);
+  }, [barType, L, initialProfile, boundaryCondition, boundaryValues, sources, segments, equation]);
+
+  // First eigenvalues λₙ of the finite bar (roots of a transcendental equation for Robin ends)
+  const eigenvalues = useMemo(() => {
+    if (!hasSeries) return [];
+    const { lambdas } = getFourierModes({
+      L, initialCondition: initialProfile, boundaryCondition, numModes, numIntPoints, boundaryValues, sources,
+    });
+    return Array.from(lambdas.slice(0, LISTED_EIGENVALUES));
+  }, [hasSeries, L, initialProfile, boundaryCondition, numModes, numIntPoints, boundaryValues, sources]);
+  const hasConvectiveEnd = Object.values(boundaryTypes(boundaryCondition)).includes('convective');
+
+  // Series of the finite bar shown in the modal decomposition panel
+  const modalActive = hasSeries && showModal;
+  const fourierModes = useMemo(() => (modalActive ? getFourierModes(problemSetup) : null), [modalActive, problemSetup]);
+
+  // Everything needed to reproduce the current setup (see scenario.js)
+  const scenario = useMemo(() => ({
+    ...DEFAULT_SCENARIO,
+    time, alpha: customAlpha, material, units, barLength, barType, segments, equation, initialCondition,
+    expression: expressionSource,
+    // Typed arrays would serialize as objects
+    sketch: sketch && Array.from(sketch),
+    boundaryCondition, boundaryValues, sources, numModes, numIntPoints, scheme, gridSpacing, timeStep,
+    compareWith, probes, plate, playback,
+  }), [
+    time, customAlpha, material, units, barLength, barType, segments, equation, initialCondition, expressionSource, sketch,
+    boundaryCondition,
+    boundaryValues, sources, numModes, numIntPoints, scheme, gridSpacing, timeStep, compareWith, probes, plate, playback,
+  ]);
+
+  // Measurements with u in profile units (they are read as displayed temperatures)
+  const measuredProfile = useMemo(
+    () => (measuredData ? { ...measuredData, u: measuredData.u.map((value) => profileValue(value, units)) } : null),
+    [measuredData, units]
+  );
+
+  // Pinned traces solved with every frame
+  const visibleTraces = useMemo(() => traces.filter((trace) => trace.visible), [traces]);
+
+  // Point ξ the heat kernel is drawn around on the infinite bar: the midpoint, carried by the drift
+  const kernelCenter = L / 2 + kernelTransform(equation, time).shift;
+
+  // Note of the current lesson step, drawn on the plot
+  const callout = lesson ? lesson.steps[lessonStep].callout ?? null : null;
+
+  // Physical quantities of the latest profile, for the probe panel (see measurements.js)
+  const measurements = useMemo(() => {
+    if (!showProbes || frame?.kind !== 'bar') return null;
+    const { x, u, problem: frameProblem } = frame;
+    const { conductivity, unit } = fluxConductivity(frameProblem, material, units);
+    const initialProfile = x.map(createInitialCondition(frameProblem));
+    return {
+      energy: thermalEnergy(x, u),
+      fluxes: endFluxes(x, u, conductivity),
+      fluxUnit: unit,
+      moments: profileMoments(x, u),
+      initialVariance: profileMoments(x, initialProfile).variance,
+      // Drift and decay leave the spread of the kernel unchanged
+      spreading: frameProblem.barType === 'infinite' && hasKernelSolution(frameProblem.equation)
+        ? 2 * frameProblem.alpha * frameProblem.time
+        : null,
+    };
+  }, [showProbes, frame, material, units]);
 
   /**
-   * Fundamental solution (heat kernel) for the heat equation on infinite domain
-   * G(x,t) = (1/√(4παt)) * exp(-x²/(4αt))
-   * 
-   * This is the Green's function - the temperature distribution at time t
-   * resulting from a point heat source at x=0 at t=0
-   * 
-   * @param {number} x - Spatial position
-   * @param {number} t - Time
-   * @param {number} alpha - Thermal diffusivity
-   * @returns {number} - Heat kernel value
+   * Link effect - keeps the scenario in the address bar, so the page URL can be
+   * shared or bookmarked; skipped while playing to avoid a rewrite every frame
    */
-  const heatKernel = (x, t, alpha) => {
-    if (t === 0) return x === 0 ? 1 : 0; // Delta function at t=0
-    return (1 / Math.sqrt(4 * Math.PI * alpha * t)) * Math.exp(-(x ** 2) / (4 * alpha * t));
-  };
+  useEffect(() => {
+    if (isPlaying) return;
+    window.history.replaceState(window.history.state, '', scenarioUrl(scenario, window.location));
+  }, [scenario, isPlaying]);
 
   /**
-   * Solve heat equation on infinite bar using convolution with heat kernel
-   * u(x,t) = ∫ f(ξ) * G(x-ξ, t) dξ
-   * 
-   * This represents the solution as a superposition of heat kernels,
-   * each weighted by the initial condition at that point
-   * 
-   * @param {number} x - Position to evaluate solution
-   * @param {number} t - Time
-   * @param {number} alpha - Thermal diffusivity
-   * @returns {number} - Temperature at (x,t)
+   * Solver effect - starts the solver worker, whose frames replace the drawn
+   * solution as they arrive and whose failures are shown over the plot
    */
-  const solveInfiniteBar = (x, t, alpha) => {
-    if (t === 0) return getInitialCondition(x);
-    
-    let sum = 0;
-    // Integration bounds (extended beyond [0,L] to capture spreading heat)
-    const xiMin = -L / 2;
-    const xiMax = L * 1.5;
-    const numIntegrationPoints = 200;
-    const dxi = (xiMax - xiMin) / numIntegrationPoints;
-    
-    // Numerical integration using Riemann sum
-    for (let i = 0; i < numIntegrationPoints; i++) {
-      const xi = xiMin + i * dxi;
-      const fxi = getInitialCondition(xi); // f(ξ)
-      const kernel = heatKernel(x - xi, t, alpha); // G(x-ξ, t)
-      sum += fxi * kernel * dxi; // f(ξ) * G(x-ξ, t) * dξ
-    }
-    
-    return sum;
-  };
+  useEffect(() => {
+    const client = createSolverClient((received) => {
+      setFrame(received);
+      setSolverError(null);
+    }, setSolverError);
+    solverRef.current = client;
+    return () => client.dispose();
+  }, []);
+
+  // A running fit is stopped when the page goes away
+  useEffect(() => () => fitRef.current?.cancel(), []);
 
   /**
-   * Solve heat equation on finite bar [0,L] using Fourier series (separation of variables)
-   * 
-   * General form: u(x,t) = Σ cₙ * φₙ(x) * exp(-α*λₙ²*t)
-   * where φₙ(x) are eigenfunctions and λₙ are eigenvalues
-   * 
-   * The eigenfunctions depend on boundary conditions:
-   * - Dirichlet: sin(nπx/L), eigenvalues λₙ = nπ/L
-   * - Neumann: cos(nπx/L), eigenvalues λₙ = nπ/L
-   * - Mixed: sin((n-1/2)πx/L), eigenvalues λₙ = (n-1/2)π/L
-   * 
-   * @param {number} x - Position to evaluate solution
-   * @param {number} t - Time
-   * @param {number} alpha - Thermal diffusivity
-   * @returns {number} - Temperature at (x,t)
+   * Request effect - asks the worker for the solution whenever the problem or
+   * the time changes; results for earlier parameters are dropped
    */
-  const solveFiniteBar = (x, t, alpha) => {
-    if (t === 0) return getInitialCondition(x);
-    
-    let sum = 0;
-    const numTerms = 50; // Number of Fourier modes to include
-    
-    if (boundaryCondition === 'dirichlet') {
-      // Dirichlet BC: u(0,t) = u(L,t) = 0 (both ends fixed at zero temperature)
-      // Solution: u(x,t) = Σ Bₙ * sin(nπx/L) * exp(-α(nπ/L)²t)
-      // Eigenfunctions: φₙ(x) = sin(nπx/L)
-      for (let n = 1; n <= numTerms; n++) {
-        // Compute Fourier coefficient Bₙ = (2/L) ∫₀ᴸ f(x)*sin(nπx/L) dx
-        let Bn = 0;
-        const numIntPoints = 100;
-        const dx = L / numIntPoints;
-        
-        for (let i = 0; i < numIntPoints; i++) {
-          const xi = i * dx;
-          Bn += getInitialCondition(xi) * Math.sin(n * Math.PI * xi / L) * dx;
-        }
-        Bn *= 2 / L;
-        
-        // Time evolution with exponential decay: exp(-α*λₙ²*t)
-        const decay = Math.exp(-alpha * ((n * Math.PI / L) ** 2) * t);
-        sum += Bn * Math.sin(n * Math.PI * x / L) * decay;
-      }
-    } else if (boundaryCondition === 'neumann') {
-      // Neumann BC: ∂u/∂x(0,t) = ∂u/∂x(L,t) = 0 (insulated ends, no heat flow)
-      // Solution: u(x,t) = A₀ + Σ Aₙ * cos(nπx/L) * exp(-α(nπ/L)²t)
-      // Eigenfunctions: φ₀(x) = 1, φₙ(x) = cos(nπx/L) for n≥1
-      
-      // n=0 term: constant mode (average temperature, conserved in time)
-      let A0 = 0;
-      const numIntPoints = 100;
-      const dx = L / numIntPoints;
-      
-      // A₀ = (1/L) ∫₀ᴸ f(x) dx
-      for (let i = 0; i < numIntPoints; i++) {
-        const xi = i * dx;
-        A0 += getInitialCondition(xi) * dx;
-      }
-      A0 /= L;
-      sum += A0; // This term doesn't decay (total heat is conserved)
-      
-      // n ≥ 1 terms: oscillatory modes with exponential decay
-      for (let n = 1; n <= numTerms; n++) {
-        // Compute Fourier coefficient Aₙ = (2/L) ∫₀ᴸ f(x)*cos(nπx/L) dx
-        let An = 0;
-        
-        for (let i = 0; i < numIntPoints; i++) {
-          const xi = i * dx;
-          An += getInitialCondition(xi) * Math.cos(n * Math.PI * xi / L) * dx;
-        }
-        An *= 2 / L;
-        
-        // Time evolution with exponential decay
-        const decay = Math.exp(-alpha * ((n * Math.PI / L) ** 2) * t);
-        sum += An * Math.cos(n * Math.PI * x / L) * decay;
-      }
-    } else if (boundaryCondition === 'mixed') {
-      // Mixed BC: u(0,t) = 0, ∂u/∂x(L,t) = 0
-      // One end fixed at zero temperature, other end insulated
-      // Solution: u(x,t) = Σ Bₙ * sin(λₙx) * exp(-α*λₙ²*t)
-      // Eigenfunctions: φₙ(x) = sin((n-1/2)πx/L)
-      // Eigenvalues: λₙ = (n-1/2)π/L
-      for (let n = 1; n <= numTerms; n++) {
-        let Bn = 0;
-        const numIntPoints = 100;
-        const dx = L / numIntPoints;
-        const lambda_n = (n - 0.5) * Math.PI / L; // Eigenvalue for mixed BC
-        
-        // Compute Fourier coefficient Bₙ = (2/L) ∫₀ᴸ f(x)*sin(λₙx) dx
-        for (let i = 0; i < numIntPoints; i++) {
-          const xi = i * dx;
-          Bn += getInitialCondition(xi) * Math.sin(lambda_n * xi) * dx;
-        }
-        Bn *= 2 / L;
-        
-        // Time evolution with exponential decay
-        const decay = Math.exp(-alpha * lambda_n * lambda_n * t);
-        sum += Bn * Math.sin(lambda_n * x) * decay;
-      }
-    }
-    
-    return sum;
-  };
+  useEffect(() => {
+    if (isPlate) solverRef.current.request('plate', plateSetup, plateProblem);
+    else solverRef.current.request('bar', problemSetup, problem, activeComparison, visibleTraces);
+  }, [isPlate, plateSetup, plateProblem, problemSetup, problem, activeComparison, visibleTraces]);
+
+  // Keep the animation loop's view of the time current when it is changed elsewhere
+  useEffect(() => {
+    timeRef.current = time;
+  }, [time]);
 
   /**
    * Animation loop effect
-   * Updates time at regular intervals when playing
+   * Advances time on every animation frame by the real time elapsed since the
+   * previous one (see playback.js), and pauses at the stop time
    */
   useEffect(() => {
-    if (isPlaying) {
-      // Start interval timer to increment time
-      animationRef.current = setInterval(() => {
-        setTime(t => t + dt);
-      }, 50); // Update every 50ms
-    } else {
-      // Stop animation when paused
-      if (animationRef.current) {
-        clearInterval(animationRef.current);
-      }
-    }
-    // Cleanup: clear interval when component unmounts or isPlaying changes
-    return () => {
-      if (animationRef.current) {
-        clearInterval(animationRef.current);
+    if (!isPlaying) return;
+    let last = performance.now();
+    const tick = (now) => {
+      const next = advanceTime(timeRef.current, Math.max(0, now - last) / 1000, playback);
+      last = now;
+      timeRef.current = next;
+      setTime(next);
+      if (next >= playback.stopTime) {
+        setIsPlaying(false);
+        return;
       }
+      animationRef.current = requestAnimationFrame(tick);
     };
-  }, [isPlaying]);
+    animationRef.current = requestAnimationFrame(tick);
+    // Cleanup: cancel the pending frame when paused, unmounted or the settings change
+    return () => cancelAnimationFrame(animationRef.current);
+  }, [isPlaying, playback]);
 
   /**
-   * Drawing effect - renders the visualization on canvas
-   * Re-runs whenever any simulation parameter changes
+   * Resize effect - fits the plot canvas to its container, at the pixel
+   * density of the screen
+   */
+  useEffect(() => {
+    const box = plotBoxRef.current;
+    if (!box) return;
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      if (width === 0 || height === 0) return;
+      setPlotSize({
+        width: Math.max(320, Math.round(width)),
+        height: Math.max(240, Math.round(height)),
+        pixelRatio: window.devicePixelRatio || 1,
+      });
+    });
+    observer.observe(box);
+    return () => observer.disconnect();
+  }, [isPlate]);
+
+  /**
+   * Wheel effect - zooms the plot about the pointer: both axes over the plot,
+   * only x under it and only u left of it. Registered by hand, as React's
+   * wheel listeners are passive and cannot keep the page from scrolling.
    */
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
+    const handleWheel = (e) => {
+      const plot = plotRef.current;
+      if (!plot) return;
+      e.preventDefault();
+      const factor = e.deltaY > 0 ? wheelZoom : 1 / wheelZoom;
+      const { screenX, screenY, x, u } = plotCoordinates(e, canvas, plot);
+      const { xMin, xMax, uMin, uMax } = plot.view;
+      if (screenX >= plot.padding) setXRange(zoomRange(xMin, xMax, x, factor));
+      if (screenY <= plot.height - plot.padding) setYRange({ mode: 'locked', ...zoomRange(uMin, uMax, u, factor) });
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, [isPlate]);
+
+  /**
+   * Drawing effect - renders the latest solution frame on canvas
+   * Re-runs when a frame arrives or a display option changes. The frame may
+   * still belong to earlier parameters, so it is drawn with its own problem,
+   * and overlays of the current setup wait for a frame that matches it.
+   */
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || frame?.kind !== 'bar') return;
+    const { problem: frameProblem, setup: frameSetup } = frame;
+    const { time, L, alpha, barType, sources, segments, equation } = frameProblem;
+    const isComposite = barType === 'composite';
+    const sourcesActive = !isUnbounded(barType) && hasSources(sources);
+    const isCurrent = frameSetup === problemSetup;
+    const steadyProfile = isCurrent ? steadyState : null;
     
+    // Draw in CSS pixels on a backing store scaled to the screen's pixel density
     const ctx = canvas.getContext('2d');
-    const width = canvas.width;
-    const height = canvas.height;
+    const { width, height, pixelRatio } = plotSize;
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
     
     // Clear canvas with dark background
     ctx.fillStyle = '#1a1a1a';
@@ -321,81 +591,200 @@ const HeatDiffusionVisualization = () => {
     ctx.font = '14px sans-serif';
     ctx.textAlign = 'center';
     // x-axis label
-    ctx.fillText('Position (x)', width / 2, height - 20);
+    ctx.fillText(`Position x (${lengthUnit})`, width / 2, height - 20);
     // y-axis label (rotated)
     ctx.save();
-    ctx.translate(20, height / 2);
+    ctx.translate(16, height / 2);
     ctx.rotate(-Math.PI / 2);
-    ctx.fillText('Temperature u(x,t)', 0, 0);
+    ctx.fillText(temperatureLabel(units), 0, 0);
     ctx.restore();
     
     // Display current time in top right
+    ctx.fillStyle = '#fff';
     ctx.font = 'bold 16px sans-serif';
     ctx.textAlign = 'right';
-    ctx.fillText(`t = ${time.toFixed(2)}`, width - padding, padding - 10);
+    ctx.fillText(`t = ${formatTime(time, units)}`, width - padding, padding - 10);
     
     // Compute solution at all spatial points
-    const xMin = 0;
-    const xMax = L;
-    const solution = [];
-    let maxU = 0;
+    const getInitialCondition = createInitialCondition(frameProblem);
+    const solution = frame;
+    // Coarse frames are replaced in a moment, so only full-resolution ones enter the history
+    if (!frame.coarse) history.record(frameSetup, time, solution.x, solution.u, L);
     
-    // Evaluate solution u(x,t) at numPoints positions
-    for (let i = 0; i < numPoints; i++) {
-      const x = xMin + (i / (numPoints - 1)) * (xMax - xMin);
-      // Choose solution method based on bar type
-      const u = barType === 'infinite' 
-        ? solveInfiniteBar(x, time, alpha)
-        : solveFiniteBar(x, time, alpha);
-      solution.push({ x, u });
-      maxU = Math.max(maxU, Math.abs(u)); // Track maximum for scaling
-    }
+    // Second solution evaluated at the same positions (with the fine pass), and the error between them
+    const comparison = activeComparison ? frame.comparison : null;
+    const norms = comparison ? computeErrorNorms(solution.x, solution.u, comparison) : null;
+    
+    // Display per-frame solver time in top left
+    ctx.fillStyle = '#888';
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText(`compute: ${frame.computeTime.toFixed(1)} ms${frame.coarse ? ' (coarse)' : ''}`, padding, padding - 10);
     
-    // Calculate y-axis scaling factor to fit data in plot area
-    const yScale = maxU > 0 ? plotHeight * 0.8 / maxU : 1;
+    // Kept modes of the finite-bar series and their partial sum (modal decomposition panel)
+    const modal = fourierModes && isCurrent
+      ? evaluateModes(fourierModes, solution.x, time, alpha, selectedModes(modeSelection, fourierModes.lambdas.length))
+      : null;
     
-    // Draw horizontal grid lines for readability
+    // An unstable scheme can overflow to Infinity/NaN
+    const overflowed = solution.u.some((value) => !Number.isFinite(value));
+    
+    // Visible window: the bar unless zoomed, and u fitted to this frame, fitted
+    // to the initial profile, or locked (see plot_axes.js)
+    // Semi-infinite bar: the whole-line image on x < 0 of the initial and current
+    // profiles (images only hold for the heat equation itself)
+    const showImage = barType === 'semi-infinite' && showImages && isLinearDiffusion(equation);
+    let images = null;
+    if (showImage) {
+      const end = frameProblem.boundaryCondition;
+      const endValue = (frameProblem.boundaryValues ?? DEFAULT_BOUNDARY_VALUES).left;
+      const xs = linspace(0, L, numPoints);
+      images = {
+        initial: reflectProfile(xs, xs.map(getInitialCondition), end, endValue),
+        current: reflectProfile(solution.x, solution.u, end, endValue),
+      };
+    }
+    // Pinned traces solved at this frame's time, each on its own bar
+    const pinned = frame.traces;
+    const xMin = xRange ? xRange.min : showImage ? -L : 0;
+    const xMax = xRange ? xRange.max : Math.max(L, ...pinned.map((trace) => trace.setup.L));
+    const steadyValues = steadyProfile ? solution.x.map(steadyProfile) : [];
+    const measured = measuredProfile ? nearestMeasurements(measuredProfile, time) : null;
+    const measuredValues = measured ? measured.indices.map((i) => measuredProfile.u[i]) : [];
+    const { uMin, uMax } = yRange.mode === 'locked'
+      ? { uMin: yRange.min, uMax: yRange.max }
+      : yRange.mode === 'fixed'
+        ? fitRange([
+          linspace(0, L, numPoints).map(getInitialCondition), steadyValues,
+          ...pinned.map((trace) => linspace(0, trace.setup.L, numPoints).map(createInitialCondition(trace.setup))),
+        ])
+        : fitRange([
+          solution.u, comparison ?? [], steadyValues, modal ? modal.sum : [], measuredValues, images ? images.current.u : [],
+          ...pinned.map((trace) => trace.u),
+        ]);
+    const toScreenX = (x) => padding + (x - xMin) / (xMax - xMin) * plotWidth;
+    const toScreenY = (u) => height - padding - (u - uMin) / (uMax - uMin) * plotHeight;
+    plotRef.current = { padding, plotWidth, plotHeight, width, height, view: { xMin, xMax, uMin, uMax } };
+    
+    // Grid lines on round values, labeled in the length unit along x and with the
+    // temperature they stand for along u (absolute with the baseline on)
     ctx.strokeStyle = '#2a2a2a';
     ctx.lineWidth = 1;
-    for (let i = 0; i <= 5; i++) {
-      const y = padding + i * plotHeight / 5;
+    ctx.fillStyle = '#888';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+    const xTicks = niceTicks(xMin, xMax, Math.max(2, Math.round(plotWidth / 100)));
+    xTicks.values.forEach((x) => {
       ctx.beginPath();
-      ctx.moveTo(padding, y);
-      ctx.lineTo(width - padding, y);
+      ctx.moveTo(toScreenX(x), padding);
+      ctx.lineTo(toScreenX(x), height - padding);
+      ctx.stroke();
+      ctx.fillText(x.toFixed(tickDigits(xTicks.step)), toScreenX(x), height - padding + 24);
+    });
+    ctx.textAlign = 'right';
+    const yTicks = niceTicks(
+      displayTemperature(uMin, units),
+      displayTemperature(uMax, units),
+      Math.max(2, Math.round(plotHeight / 60))
+    );
+    yTicks.values.forEach((value) => {
+      const screenY = toScreenY(profileValue(value, units));
+      ctx.beginPath();
+      ctx.moveTo(padding, screenY);
+      ctx.lineTo(width - padding, screenY);
+      ctx.stroke();
+      ctx.fillText(value.toFixed(tickDigits(yTicks.step)), padding - 6, screenY + 4);
+    });
+    
+    // Line at u = 0 when the window reaches below it
+    if (uMin < 0 && uMax > 0) {
+      ctx.strokeStyle = '#555';
+      ctx.beginPath();
+      ctx.moveTo(padding, toScreenY(0));
+      ctx.lineTo(width - padding, toScreenY(0));
       ctx.stroke();
     }
     
+    // Composite bar: segment colors in a band under the x-axis, and dashed interfaces
+    if (isComposite) {
+      const boundaries = segmentBoundaries(segments);
+      segments.forEach((segment, index) => {
+        const left = Math.max(padding, toScreenX(boundaries[index]));
+        const right = Math.min(width - padding, toScreenX(boundaries[index + 1]));
+        if (right <= left) return;
+        ctx.fillStyle = SEGMENT_COLORS[index % SEGMENT_COLORS.length];
+        ctx.fillRect(left, height - padding + 3, right - left, 8);
+      });
+      ctx.strokeStyle = '#555';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([2, 4]);
+      for (let i = 1; i < segments.length; i++) {
+        const screenX = toScreenX(boundaries[i]);
+        if (screenX < padding || screenX > width - padding) continue;
+        ctx.beginPath();
+        ctx.moveTo(screenX, padding);
+        ctx.lineTo(screenX, height - padding);
+        ctx.stroke();
+      }
+      ctx.setLineDash([]);
+    }
+    
+    // Curves stay inside the plot area when zoomed or panned
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(padding, padding, plotWidth, plotHeight);
+    ctx.clip();
+    
     // Draw initial condition as dashed gray line for reference
     ctx.strokeStyle = '#666';
     ctx.lineWidth = 1.5;
     ctx.setLineDash([5, 5]); // Dashed line style
     ctx.beginPath();
     for (let i = 0; i < numPoints; i++) {
-      const x = xMin + (i / (numPoints - 1)) * (xMax - xMin);
+      const x = (i / (numPoints - 1)) * L;
       const u0 = getInitialCondition(x);
       // Convert to screen coordinates
-      const screenX = padding + (x - xMin) / (xMax - xMin) * plotWidth;
-      const screenY = height - padding - u0 * yScale;
+      const screenX = toScreenX(x);
+      const screenY = toScreenY(u0);
       if (i === 0) ctx.moveTo(screenX, screenY);
       else ctx.lineTo(screenX, screenY);
     }
     ctx.stroke();
     ctx.setLineDash([]); // Reset to solid line
     
-    // For infinite bar: draw the Gaussian kernel (heat kernel) as purple dashed line
-    if (barType === 'infinite' && time > 0) {
+    // Draw steady-state profile as dash-dot blue-gray line for reference
+    if (steadyProfile) {
+      ctx.strokeStyle = '#8ecae6';
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([10, 4, 2, 4]); // Dash-dot line style
+      ctx.beginPath();
+      for (let i = 0; i < numPoints; i++) {
+        const x = (i / (numPoints - 1)) * L;
+        const screenX = toScreenX(x);
+        const screenY = toScreenY(steadyProfile(x));
+        if (i === 0) ctx.moveTo(screenX, screenY);
+        else ctx.lineTo(screenX, screenY);
+      }
+      ctx.stroke();
+      ctx.setLineDash([]); // Reset to solid line
+    }
+    
+    // For infinite bar: draw the Gaussian kernel (heat kernel) as purple dashed line,
+    // carried by the drift and damped by the decay of the model
+    if (barType === 'infinite' && time > 0 && hasKernelSolution(equation)) {
       ctx.strokeStyle = '#9d4edd';
       ctx.lineWidth = 2;
       ctx.setLineDash([3, 3]);
       ctx.beginPath();
       
-      const kernelCenter = L / 2; // Center the kernel at midpoint for visualization
+      const { shift, factor } = kernelTransform(equation, time);
+      const kernelCenter = L / 2 + shift; // Center the kernel at midpoint for visualization
       for (let i = 0; i < numPoints; i++) {
-        const x = xMin + (i / (numPoints - 1)) * (xMax - xMin);
+        const x = (i / (numPoints - 1)) * L;
         // Evaluate G(x-ξ, t) centered at ξ = L/2
-        const kernelValue = heatKernel(x - kernelCenter, time, alpha);
-        const screenX = padding + (x - xMin) / (xMax - xMin) * plotWidth;
-        const screenY = height - padding - kernelValue * yScale;
+        const kernelValue = factor * heatKernel(x - kernelCenter, time, alpha);
+        const screenX = toScreenX(x);
+        const screenY = toScreenY(kernelValue);
         if (i === 0) ctx.moveTo(screenX, screenY);
         else ctx.lineTo(screenX, screenY);
       }
@@ -409,6 +798,42 @@ const HeatDiffusionVisualization = () => {
       ctx.fillText('Gaussian kernel G(x-ξ,t)', padding + 10, padding + 20);
     }
     
+    // Semi-infinite bar: the image source on x < 0, dashed like the initial
+    // profile and the kernel, and the mirror at the end x = 0
+    if (images) {
+      const styles = [
+        { image: images.initial, color: '#666', dash: [5, 5], lineWidth: 1.5 },
+        { image: images.current, color: '#9d4edd', dash: [3, 3], lineWidth: 2 },
+      ];
+      styles.forEach(({ image, color, dash, lineWidth }) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        for (let i = 0; i < image.x.length; i++) {
+          const screenX = toScreenX(image.x[i]);
+          const screenY = toScreenY(image.u[i]);
+          if (i === 0) ctx.moveTo(screenX, screenY);
+          else ctx.lineTo(screenX, screenY);
+        }
+        ctx.stroke();
+      });
+      ctx.strokeStyle = '#9d4edd';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([1, 4]);
+      ctx.beginPath();
+      ctx.moveTo(toScreenX(0), padding);
+      ctx.lineTo(toScreenX(0), height - padding);
+      ctx.stroke();
+      ctx.setLineDash([]); // Reset to solid line
+      
+      ctx.fillStyle = '#9d4edd';
+      ctx.font = '12px sans-serif';
+      ctx.textAlign = 'right';
+      ctx.fillText(frameProblem.boundaryCondition === 'dirichlet' ? 'odd image 2T₀ - u(-x,t)' : 'even image u(-x,t) + 2gx',
+        toScreenX(0) - 8, padding + 20);
+    }
+    
     // Draw current solution with temperature gradient coloring
     // Red (hot) at top → Yellow (warm) → Green (cool) at bottom
     const gradient = ctx.createLinearGradient(0, padding, 0, height - padding);
@@ -419,30 +844,242 @@ const HeatDiffusionVisualization = () => {
     ctx.strokeStyle = gradient;
     ctx.lineWidth = 3;
     ctx.beginPath();
-    for (let i = 0; i < solution.length; i++) {
-      const screenX = padding + (solution[i].x - xMin) / (xMax - xMin) * plotWidth;
-      const screenY = height - padding - solution[i].u * yScale;
+    for (let i = 0; i < solution.u.length; i++) {
+      const screenX = toScreenX(solution.x[i]);
+      const screenY = toScreenY(solution.u[i]);
       if (i === 0) ctx.moveTo(screenX, screenY);
       else ctx.lineTo(screenX, screenY);
     }
     ctx.stroke();
     
-    // Fill area under the curve with semi-transparent gradient
+    // Fill the area between the curve and u = 0 (or the nearest edge of the plot)
+    // with semi-transparent gradient
+    const zeroY = Math.min(height - padding, Math.max(padding, toScreenY(0)));
     ctx.globalAlpha = 0.2;
     ctx.fillStyle = gradient;
     ctx.beginPath();
-    ctx.moveTo(padding, height - padding); // Start at bottom left
-    for (let i = 0; i < solution.length; i++) {
-      const screenX = padding + (solution[i].x - xMin) / (xMax - xMin) * plotWidth;
-      const screenY = height - padding - solution[i].u * yScale;
-      ctx.lineTo(screenX, screenY);
+    ctx.moveTo(toScreenX(solution.x[0]), zeroY); // Start at the left end
+    for (let i = 0; i < solution.u.length; i++) {
+      ctx.lineTo(toScreenX(solution.x[i]), toScreenY(solution.u[i]));
     }
-    ctx.lineTo(width - padding, height - padding); // Close at bottom right
+    ctx.lineTo(toScreenX(solution.x[solution.x.length - 1]), zeroY); // Close at the right end
     ctx.closePath();
     ctx.fill();
     ctx.globalAlpha = 1; // Reset opacity
     
-  }, [time, alpha, L, barType, initialCondition, boundaryCondition]);
+    // Pinned traces: each configuration in its own color, with its name in the
+    // top left (below the kernel label) so recordings keep the legend
+    pinned.forEach((trace, index) => {
+      ctx.strokeStyle = trace.color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      for (let i = 0; i < trace.u.length; i++) {
+        const screenX = toScreenX(trace.x[i]);
+        const screenY = toScreenY(trace.u[i]);
+        if (i === 0) ctx.moveTo(screenX, screenY);
+        else ctx.lineTo(screenX, screenY);
+      }
+      ctx.stroke();
+      const labelY = padding + (barType === 'infinite' && time > 0 && hasKernelSolution(equation) ? 40 : 20) + index * 16;
+      ctx.fillStyle = trace.color;
+      ctx.fillRect(padding + 10, labelY - 5, 14, 3);
+      ctx.font = '12px sans-serif';
+      ctx.textAlign = 'left';
+      ctx.fillText(trace.name, padding + 30, labelY);
+    });
+    
+    // Modal overlay: each kept mode cₙ(t)φₙ(x) as a thin colored line, and their
+    // partial sum in white (overshooting next to jumps: the Gibbs phenomenon)
+    if (modal) {
+      const traceCurve = (values) => {
+        ctx.beginPath();
+        for (let i = 0; i < values.length; i++) {
+          const screenY = toScreenY(values[i]);
+          if (i === 0) ctx.moveTo(toScreenX(solution.x[i]), screenY);
+          else ctx.lineTo(toScreenX(solution.x[i]), screenY);
+        }
+        ctx.stroke();
+      };
+      if (showModeCurves) {
+        ctx.lineWidth = 1;
+        ctx.globalAlpha = 0.7;
+        modal.curves.forEach((curve, index) => {
+          ctx.strokeStyle = `hsl(${(index * 47) % 360}, 70%, 60%)`;
+          traceCurve(curve);
+        });
+        ctx.globalAlpha = 1;
+      }
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 1.5;
+      traceCurve(modal.sum);
+    }
+    
+    // Comparison overlay: second solution as a thin blue line, and the pointwise
+    // difference in pink on its own scale (it is usually far smaller than u)
+    if (comparison) {
+      ctx.strokeStyle = '#4cc9f0';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      for (let i = 0; i < comparison.length; i++) {
+        const screenY = toScreenY(comparison[i]);
+        if (i === 0) ctx.moveTo(toScreenX(solution.x[i]), screenY);
+        else ctx.lineTo(toScreenX(solution.x[i]), screenY);
+      }
+      ctx.stroke();
+      
+      const diffScale = norms.linf > 0 && Number.isFinite(norms.linf) ? plotHeight * 0.25 / norms.linf : 0;
+      const baseline = height - padding - plotHeight / 2;
+      ctx.strokeStyle = '#f72585';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let i = 0; i < norms.difference.length; i++) {
+        const screenY = baseline - norms.difference[i] * diffScale;
+        if (i === 0) ctx.moveTo(toScreenX(solution.x[i]), screenY);
+        else ctx.lineTo(toScreenX(solution.x[i]), screenY);
+      }
+      ctx.stroke();
+      
+      // Error norms below the time readout
+      ctx.fillStyle = '#ddd';
+      ctx.font = '12px monospace';
+      ctx.textAlign = 'right';
+      ctx.fillText(`L¹ = ${norms.l1.toExponential(2)}`, width - padding - 10, padding + 20);
+      ctx.fillText(`L² = ${norms.l2.toExponential(2)}`, width - padding - 10, padding + 36);
+      ctx.fillText(`L∞ = ${norms.linf.toExponential(2)}`, width - padding - 10, padding + 52);
+    }
+    
+    // Measured temperatures taken nearest the current time, as outlined markers
+    if (measured) {
+      ctx.strokeStyle = '#fff';
+      ctx.fillStyle = '#06d6a0';
+      ctx.lineWidth = 1.5;
+      measured.indices.forEach((i) => {
+        ctx.beginPath();
+        ctx.arc(toScreenX(measuredProfile.x[i]), toScreenY(measuredProfile.u[i]), 5, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+      });
+      ctx.fillStyle = '#06d6a0';
+      ctx.font = '12px sans-serif';
+      ctx.textAlign = 'left';
+      ctx.fillText(`measured at t = ${formatTime(measured.time, units)}`, padding + 10, height - padding - 10);
+    }
+    
+    // Probe markers: a dashed line at each probe and a dot on the curve
+    if (showProbes) {
+      probes.forEach((position, index) => {
+        if (position > L) return;
+        const screenX = toScreenX(position);
+        const value = interpolateLinear(solution.x, solution.u, Float64Array.of(position))[0];
+        ctx.strokeStyle = PROBE_COLORS[index % PROBE_COLORS.length];
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 3]);
+        ctx.beginPath();
+        ctx.moveTo(screenX, padding);
+        ctx.lineTo(screenX, height - padding);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.arc(screenX, toScreenY(value), 5, 0, 2 * Math.PI);
+        ctx.fill();
+      });
+    }
+    
+    // Orange markers on the x-axis where the heater (while on) and the moving source are
+    if (sourcesActive) {
+      const markers = [];
+      if (sources.heaterPower !== 0 && isHeaterOn(sources, time)) markers.push(sources.heaterPosition * L);
+      if (sources.movingPower !== 0) markers.push(movingSourcePosition(sources, L, time));
+      ctx.fillStyle = '#ff9f1c';
+      markers.forEach((x) => {
+        const screenX = toScreenX(x);
+        ctx.beginPath();
+        ctx.moveTo(screenX, height - padding - 12);
+        ctx.lineTo(screenX - 7, height - padding);
+        ctx.lineTo(screenX + 7, height - padding);
+        ctx.closePath();
+        ctx.fill();
+      });
+    }
+    
+    ctx.restore();
+    
+    // Lesson callout: a note in a box, with a leader to its point when that is in view
+    if (callout) {
+      const anchorU = callout.u ?? interpolateLinear(solution.x, solution.u, Float64Array.of(callout.x))[0];
+      const anchorX = toScreenX(callout.x);
+      const anchorY = toScreenY(anchorU);
+      const lines = callout.text.split('\n');
+      ctx.font = '13px sans-serif';
+      const boxWidth = Math.max(...lines.map((line) => ctx.measureText(line).width)) + 16;
+      const boxHeight = lines.length * 18 + 10;
+      // Above and to the right of the point, kept inside the plot
+      const boxX = Math.min(Math.max(anchorX + 24, padding), width - padding - boxWidth);
+      const boxY = Math.min(Math.max(anchorY - boxHeight - 24, padding), height - padding - boxHeight);
+      ctx.strokeStyle = '#ffd166';
+      ctx.fillStyle = '#ffd166';
+      ctx.lineWidth = 1.5;
+      const inView = anchorX >= padding && anchorX <= width - padding && anchorY >= padding && anchorY <= height - padding;
+      if (inView) {
+        ctx.beginPath();
+        ctx.moveTo(anchorX, anchorY);
+        ctx.lineTo(Math.min(Math.max(anchorX, boxX), boxX + boxWidth), Math.min(Math.max(anchorY, boxY), boxY + boxHeight));
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(anchorX, anchorY, 4, 0, 2 * Math.PI);
+        ctx.fill();
+      }
+      ctx.fillStyle = 'rgba(26, 26, 26, 0.9)';
+      ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+      ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+      ctx.fillStyle = '#ffd166';
+      ctx.textAlign = 'left';
+      lines.forEach((line, k) => ctx.fillText(line, boxX + 8, boxY + 19 + k * 18));
+    }
+    
+    // Warn when the time step violates a stability bound, so the blow-up is not mistaken for physics
+    if (instability || overflowed) {
+      ctx.fillStyle = '#ff6b6b';
+      ctx.font = 'bold 14px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText(
+        overflowed ? `Solution overflowed${instability ? `: ${instability}` : ''}` : `Unstable: ${instability}`,
+        width / 2,
+        padding - 10
+      );
+    }
+    
+  }, [
+    frame, instability, activeComparison, steadyState, history, problemSetup, fourierModes, modeSelection,
+    showModeCurves, units, lengthUnit, showProbes, probes, yRange, xRange, plotSize, measuredProfile, showImages, callout,
+  ]);
+
+  /**
+   * Export helpers - the solution at any time, and the current plot as SVG
+   * (see export.js)
+   */
+  const exportFrame = (t) => (isPlate
+    ? { time: t, ...solvePlate({ ...plateProblem, time: t }) }
+    : { time: t, ...solveHeatEquation({ ...problemSetup, time: t }) });
+
+  const exportSvg = () => {
+    if (isPlate) {
+      const field = solvePlate(plateProblem);
+      const range = plateTemperatureRange(createPlateInitialCondition(plateProblem), field);
+      return plateSvg({ field, ...range, W: L, H: plate.height, time, showContours, units });
+    }
+    const { x, u } = solveHeatEquation(problem);
+    return profileSvg({
+      x,
+      u,
+      initial: x.map(createInitialCondition(problem)),
+      steady: steadyState ? x.map(steadyState) : null,
+      time,
+      L,
+      units,
+    });
+  };
 
   /**
    * Reset button handler - stops animation and resets time to 0
@@ -452,6 +1089,211 @@ const HeatDiffusionVisualization = () => {
     setIsPlaying(false);
   };
 
+  /**
+   * Play/Pause button handler - playing from the stop time starts over from 0
+   */
+  const handlePlayPause = () => {
+    if (!isPlaying && time >= playback.stopTime) setTime(0);
+    setIsPlaying(!isPlaying);
+  };
+
+  /**
+   * Frame step handler - pauses and moves one frame forward (+1) or back (-1)
+   */
+  const handleStep = (direction) => {
+    setIsPlaying(false);
+    setTime(stepTime(time, direction, playback));
+  };
+
+  /**
+   * Scenario handler - applies a loaded preset, file or link; view options
+   * such as the history panel are left as they are
+   */
+  const applyScenario = (loaded) => {
+    setIsPlaying(false);
+    setTime(loaded.time);
+    setPlayback(loaded.playback);
+    setCustomAlpha(loaded.alpha);
+    setMaterial(loaded.material);
+    setUnits(loaded.units);
+    setBarLength(loaded.barLength);
+    setBarType(loaded.barType);
+    setSegments(loaded.segments);
+    setEquation(loaded.equation);
+    setInitialCondition(loaded.initialCondition);
+    setExpressionText(loaded.expression);
+    setExpressionSource(loaded.expression);
+    setExpressionError(null);
+    setSketch(loaded.sketch);
+    setBoundaryCondition(loaded.boundaryCondition);
+    setBoundaryValues(loaded.boundaryValues);
+    setSources(loaded.sources);
+    setPlate(loaded.plate);
+    setNumModes(loaded.numModes);
+    setNumIntPoints(loaded.numIntPoints);
+    setScheme(loaded.scheme);
+    setGridSpacing(loaded.gridSpacing);
+    setTimeStep(loaded.timeStep);
+    setCompareWith(loaded.compareWith);
+    setProbes(loaded.probes);
+    if (loaded.probes.length > 0) setShowProbes(true);
+    setModeSelection(DEFAULT_MODE_SELECTION);
+    setSweep(null);
+    // Remount the plate controls so their formula text shows the loaded map
+    setScenarioRevision((revision) => revision + 1);
+  };
+
+  /**
+   * Initial condition selector handler - a new sketch starts from the profile
+   * currently shown, so it can be edited rather than drawn from scratch
+   */
+  const handleInitialConditionChange = (value) => {
+    if (value === 'sketch' && !sketch) {
+      setSketch(sampleSketch(createInitialCondition({ initialCondition: initialProfile, L }), L));
+    }
+    setInitialCondition(value);
+    setTime(0);
+  };
+
+  /**
+   * Formula input handler - only valid formulas replace the plotted one, so a
+   * typo shows an error instead of blanking the plot
+   */
+  const handleExpressionChange = (text) => {
+    setExpressionText(text);
+    try {
+      compileExpression(text, L);
+      setExpressionSource(text);
+      setExpressionError(null);
+      setTime(0);
+    } catch (error) {
+      setExpressionError(error.message);
+    }
+  };
+
+  /**
+   * Pointer handlers - in sketch mode, strokes on the plot edit the sketched
+   * initial condition and restart the simulation from it; otherwise a drag pans
+   * the plot (locking the temperature range), a click places a probe while the
+   * probe panel is open, and hovering shows the value under the pointer
+   */
+  const handlePointerDown = (e) => {
+    const plot = plotRef.current;
+    if (!plot) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = plotCoordinates(e, canvasRef.current, plot);
+    setHover(null);
+    if (initialCondition === 'sketch' && sketch) {
+      // The stroke keeps the window of the frame it started on, so the plot does not rescale under the pen
+      strokeRef.current = { view: plot.view, last: point };
+      setIsPlaying(false);
+      setTime(0);
+      setSketch((values) => paintSketch(values, L, point, point));
+      return;
+    }
+    dragRef.current = { start: point, clientX: e.clientX, clientY: e.clientY, view: plot.view, moved: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const plot = plotRef.current;
+    if (!plot) return;
+    const stroke = strokeRef.current;
+    const drag = dragRef.current;
+    if (stroke) {
+      const point = plotCoordinates(e, canvasRef.current, plot, stroke.view);
+      const from = stroke.last;
+      stroke.last = point;
+      setSketch((values) => paintSketch(values, L, from, point));
+    } else if (drag) {
+      // Small movements still count as a click
+      if (Math.hypot(e.clientX - drag.clientX, e.clientY - drag.clientY) < 4 && !drag.moved) return;
+      drag.moved = true;
+      const point = plotCoordinates(e, canvasRef.current, plot, drag.view);
+      const dx = drag.start.x - point.x;
+      const du = drag.start.u - point.u;
+      setXRange({ min: drag.view.xMin + dx, max: drag.view.xMax + dx });
+      setYRange({ mode: 'locked', min: drag.view.uMin + du, max: drag.view.uMax + du });
+    } else {
+      const point = plotCoordinates(e, canvasRef.current, plot);
+      const inside = point.screenX >= plot.padding && point.screenX <= plot.width - plot.padding &&
+        point.screenY >= plot.padding && point.screenY <= plot.height - plot.padding;
+      setHover(inside ? point : null);
+    }
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    // A click places a probe, replacing the oldest when all are in use
+    if (drag && !drag.moved && showProbes) {
+      const { x } = drag.start;
+      if (x >= 0 && x <= L) setProbes((current) => [...current, x].slice(-MAX_PROBES));
+    }
+    strokeRef.current = null;
+    dragRef.current = null;
+  };
+
+  /**
+   * Convergence sweep handler - measures the error at the current time while
+   * refining the number of modes (finite bar) or the grid (numerical bar)
+   */
+  const handleRunSweep = () => {
+    setSweep({ ...runConvergenceSweep(problem), time });
+  };
+
+  /**
+   * Fit handlers - fit α (and optionally the boundary condition and initial
+   * amplitude) to the measurements in a worker, starting from the current α,
+   * and apply the fitted values when α is within the range of the slider (see
+   * inverse.js). A fit started or cancelled meanwhile rejects the earlier one
+   * with a cancellation (see fit_client.js).
+   */
+  const handleFit = async ({ fitBoundary, fitAmplitude }) => {
+    fitRef.current?.cancel();
+    const job = startFit(problemSetup, measuredProfile, {
+      boundaryConditions: fitBoundary ? Object.keys(boundaryLabels) : [boundaryCondition],
+      fitAmplitude,
+    }, setFitProgress);
+    fitRef.current = job;
+    setFitProgress(0);
+    try {
+      setFit(await job.result);
+    } finally {
+      if (fitRef.current === job) {
+        fitRef.current = null;
+        setFitProgress(null);
+      }
+    }
+  };
+
+  const cancelFit = () => {
+    fitRef.current?.cancel();
+    fitRef.current = null;
+    setFitProgress(null);
+  };
+
+  const handleApplyFit = () => {
+    if (clampSetting('alpha', fit.alpha) !== fit.alpha) return;
+    setMaterial(CUSTOM_MATERIAL);
+    setCustomAlpha(fit.alpha);
+    if (barType !== 'infinite') setBoundaryCondition(fit.boundaryCondition);
+    setTime(0);
+  };
+
+  /**
+   * Lesson handler - applies a step's setup and plays to its time, if it has one
+   * (see lessons.js)
+   */
+  const goToLessonStep = (activeLesson, index) => {
+    applyScenario(activeLesson.scenarios[index]);
+    setLessonStep(index);
+    if (activeLesson.steps[index].playTo !== undefined) setIsPlaying(true);
+  };
+
+  // Profile value under the pointer, for the tooltip
+  const hoverValue = hover && frame?.kind === 'bar' && hover.x >= 0 && hover.x <= frame.problem.L
+    ? interpolateLinear(frame.x, frame.u, Float64Array.of(hover.x))[0]
+    : null;
+
   return (
     <div className="w-full h-screen bg-gray-900 p-3 sm:p-4 flex flex-col overflow-hidden">
       {/* Title */}
@@ -466,61 +1308,262 @@ const HeatDiffusionVisualization = () => {
         {/* Left side: Canvas and Legend */}
         <div className="flex-1 flex flex-col min-h-0 lg:min-w-0">
           {/* Canvas for plotting the solution - responsive container */}
-          <div className="flex-1 bg-gray-800 rounded-lg shadow-lg overflow-hidden flex items-center justify-center min-h-0">
-            <canvas 
-              ref={canvasRef} 
-              width={1000} 
-              height={500}
-              className="max-w-full max-h-full"
-              style={{ display: 'block', width: 'auto', height: 'auto' }}
-            />
+          <div className="relative flex-1 bg-gray-800 rounded-lg shadow-lg overflow-hidden flex items-center justify-center min-h-0">
+            {solverError && (
+              <div className="absolute top-2 left-2 right-2 z-10 bg-red-900/90 text-red-100 text-xs rounded px-3 py-1.5">
+                The solver failed: {solverError}
+              </div>
+            )}
+            {isPlate ? (
+              <PlateView
+                frame={frame?.kind === 'plate' ? frame : null}
+                units={units}
+                showContours={showContours}
+                crossSection={crossSection}
+                onCrossSectionChange={setCrossSection}
+                mapRef={plateMapRef}
+              />
+            ) : (
+              <div ref={plotBoxRef} className="relative w-full h-full">
+                <canvas 
+                  ref={canvasRef} 
+                  width={Math.round(plotSize.width * plotSize.pixelRatio)} 
+                  height={Math.round(plotSize.height * plotSize.pixelRatio)}
+                  className="absolute top-0 left-0"
+                  style={{
+                    display: 'block',
+                    width: plotSize.width,
+                    height: plotSize.height,
+                    cursor: initialCondition === 'sketch' || showProbes ? 'crosshair' : 'grab',
+                    touchAction: 'none',
+                  }}
+                  onPointerDown={handlePointerDown}
+                  onPointerMove={handlePointerMove}
+                  onPointerUp={handlePointerUp}
+                  onPointerCancel={handlePointerUp}
+                  onPointerLeave={() => setHover(null)}
+                />
+                {hoverValue !== null && (
+                  <div
+                    className="absolute pointer-events-none bg-gray-900/90 text-white text-xs font-mono rounded px-2 py-1 whitespace-nowrap"
+                    style={{
+                      left: hover.screenX < plotSize.width - 200 ? hover.screenX + 12 : hover.screenX - 190,
+                      top: hover.screenY + 12,
+                    }}
+                  >
+                    x = {formatLength(hover.x, units, 3)},{' '}
+                    {units.absolute
+                      ? `T = ${displayTemperature(hoverValue, units).toFixed(2)} ${TEMPERATURE_UNITS[units.temperature].label}`
+                      : `u = ${hoverValue.toFixed(4)}`}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
           
+          {/* Space–time views of the profiles drawn so far */}
+          {showHistory && !isPlate && (
+            <div className="bg-gray-800 rounded-lg p-2 mt-3 flex-shrink-0">
+              <HistoryView
+                history={history}
+                time={time}
+                onTimeChange={(t) => {
+                  setIsPlaying(false);
+                  setTime(t);
+                }}
+              />
+            </div>
+          )}
+          
+          {/* Probe series and measured quantities of the profile */}
+          {showProbes && !isPlate && (
+            <div className="bg-gray-800 rounded-lg p-2 mt-3 flex-shrink-0">
+              <ProbePanel
+                probes={probes}
+                history={history}
+                time={time}
+                units={units}
+                measurements={measurements}
+                onRemove={(index) => setProbes((current) => current.filter((_, i) => i !== index))}
+              />
+            </div>
+          )}
+          
+          {/* Spectrum of the finite-bar series, with mode selection */}
+          {fourierModes && (
+            <div className="bg-gray-800 rounded-lg p-2 mt-3 flex-shrink-0">
+              <ModalPanel
+                modes={fourierModes}
+                alpha={alpha}
+                time={time}
+                selection={modeSelection}
+                showCurves={showModeCurves}
+                onChange={setModeSelection}
+                onShowCurvesChange={setShowModeCurves}
+              />
+            </div>
+          )}
+          
           {/* Legend explaining the visualization */}
           <div className="bg-gray-800 rounded-lg p-2 sm:p-3 mt-3 flex-shrink-0">
-            <div className="text-gray-400 text-xs space-y-1">
-              <p><span className="text-gray-300">Dashed gray:</span> Initial f(x)</p>
-              {barType === 'infinite' && time > 0 && (
-                <p><span className="text-purple-400">Dashed purple:</span> Kernel G(x-ξ,t) at x=5</p>
-              )}
-              <p><span className="text-gray-300">Solid line:</span> Current u(x,t)</p>
-              <p className="mt-1 text-[10px] sm:text-xs">
-                {barType === 'infinite' 
-                  ? 'Infinite: f(x) ⊗ G(x,t) convolution'
-                  : boundaryCondition === 'dirichlet'
-                    ? 'Dirichlet: ends at zero (heat escapes)'
-                    : boundaryCondition === 'neumann'
-                      ? 'Neumann: insulated ends (heat conserved)'
-                      : 'Mixed: left=0, right insulated'
-                }
-              </p>
-            </div>
+            {isPlate ? (
+              <div className="text-gray-400 text-xs space-y-1">
+                <p><span className="text-gray-300">Heatmap:</span> u(x,y,t), colors spanning the initial temperatures</p>
+                {showContours && <p><span className="text-gray-300">White lines:</span> Isotherms</p>}
+                <p><span className="text-gray-300">Dashed line:</span> Cross-section y = y₀ (drag to move), profile below</p>
+                <p className="mt-1 text-[10px] sm:text-xs">
+                  {plate.boundaryCondition === 'dirichlet'
+                    ? 'Dirichlet: edges at zero (heat escapes)'
+                    : 'Neumann: insulated edges (heat conserved)'}
+                  {plate.method === 'series' ? ', double Fourier series' : ', ADI grid'}
+                </p>
+              </div>
+            ) : (
+              <div className="text-gray-400 text-xs space-y-1">
+                <p><span className="text-gray-300">Dashed gray:</span> Initial f(x)</p>
+                {barType === 'infinite' && time > 0 && hasKernelSolution(equation) && (
+                  <p>
+                    <span className="text-purple-400">Dashed purple:</span> Kernel G(x-ξ,t) at ξ = {formatLength(kernelCenter, units)}
+                  </p>
+                )}
+                {barType === 'semi-infinite' && showImages && isDiffusion && (
+                  <p><span className="text-purple-400">Left of x = 0:</span> Image source and its solution (mirror at the end)</p>
+                )}
+                {!isDiffusion && (
+                  <p><span className="text-gray-300">Equation:</span> {EQUATION_LABELS[equation.model]}</p>
+                )}
+                {sourcesActive && (
+                  <p><span className="text-orange-400">Sources:</span> q(x,t) - β(u - T_amb), ▲ heater / moving source</p>
+                )}
+                {!isUnbounded(barType) && !sourcesActive && isDiffusion && (steadyState
+                  ? <p><span className="text-sky-300">Dash-dot:</span> Steady state</p>
+                  : <p><span className="text-sky-300">No steady state:</span> net heat flows in through the ends</p>
+                )}
+                <p><span className="text-gray-300">Solid line:</span> Current u(x,t)</p>
+                {visibleTraces.length > 0 && (
+                  <p>
+                    <span className="text-gray-300">Pinned:</span>{' '}
+                    {visibleTraces.map((trace, index) => (
+                      <span key={trace.id} style={{ color: trace.color }}>
+                        {index > 0 && ' | '}{trace.name}
+                      </span>
+                    ))}
+                  </p>
+                )}
+                {fourierModes && (
+                  <p>
+                    <span className="text-gray-100">White:</span> Partial sum of the kept modes
+                    {showModeCurves && ' · thin colored lines: each mode cₙ(t)φₙ(x)'}
+                  </p>
+                )}
+                {activeComparison && (
+                  <p>
+                    <span className="text-sky-400">Blue:</span> {COMPARISON_LABELS[activeComparison]}
+                    {' · '}
+                    <span className="text-pink-500">Pink:</span> difference (rescaled)
+                  </p>
+                )}
+                {isComposite && (
+                  <p>
+                    <span className="text-gray-300">Segments:</span>{' '}
+                    {segments.map((segment, index) => (
+                      <span key={index} style={{ color: SEGMENT_COLORS[index % SEGMENT_COLORS.length] }}>
+                        {index > 0 && ' | '}{segment.name}
+                      </span>
+                    ))}
+                  </p>
+                )}
+                {isSteppedBar && (
+                  <p><span className="text-gray-300">Scheme:</span> {SCHEME_LABELS[scheme]}, r = {ratio.toFixed(3)}</p>
+                )}
+                <p className="mt-1 text-[10px] sm:text-xs">
+                  {barType === 'infinite' 
+                    ? (isSteppedBar ? 'Infinite: stepped on [-L, 2L] with insulated ends' : 'Infinite: f(x) ⊗ G(x,t) convolution')
+                    : barType === 'semi-infinite'
+                      ? (isSteppedBar
+                        ? 'Semi-infinite: stepped on [0, 3L] with an insulated far end'
+                        : boundaryCondition === 'dirichlet'
+                          ? 'Semi-infinite: odd image keeps u(0) = T₀, plus T₀ erfc(x/2√(αt))'
+                          : 'Semi-infinite: even image keeps ∂u/∂x(0) = g')
+                    : hasConvectiveEnd
+                      ? `${BOUNDARY_LABELS[boundaryCondition]}: convective ends exchange heat with T∞`
+                      : boundaryCondition === 'dirichlet'
+                        ? (isNonHomogeneous(boundaryValues) ? 'Dirichlet: ends held at T₀ and T_L' : 'Dirichlet: ends at zero (heat escapes)')
+                        : boundaryCondition === 'neumann'
+                          ? (isNonHomogeneous(boundaryValues) ? 'Neumann: prescribed end gradients' : 'Neumann: insulated ends (heat conserved)')
+                          : (isNonHomogeneous(boundaryValues) ? 'Mixed: left held at T₀, right gradient prescribed' : 'Mixed: left=0, right insulated')
+                  }
+                </p>
+              </div>
+            )}
           </div>
         </div>
         
         {/* Right side: Controls panel */}
         <div className="lg:w-80 xl:w-96 flex flex-col gap-3 min-h-0">
-          {/* Play/Pause and Reset buttons */}
-          <div className="bg-gray-800 rounded-lg p-3 flex gap-2 flex-shrink-0">
-            <button
-              onClick={() => setIsPlaying(!isPlaying)}
-              className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-lg flex items-center justify-center gap-2 transition text-sm"
-            >
-              {isPlaying ? <Pause size={16} /> : <Play size={16} />}
-              {isPlaying ? 'Pause' : 'Play'}
-            </button>
+          {/* Playback: Play/Pause, frame steps and Reset, then the timeline */}
+          <div className="bg-gray-800 rounded-lg p-3 space-y-3 flex-shrink-0">
+            <div className="flex gap-2">
+              <button
+                onClick={() => handleStep(-1)}
+                disabled={time <= 0}
+                aria-label="Step back"
+                title="Step back one frame"
+                className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white px-3 py-2 rounded-lg flex items-center justify-center transition text-sm"
+              >
+                <StepBack size={16} />
+              </button>
+              
+              <button
+                onClick={handlePlayPause}
+                className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-lg flex items-center justify-center gap-2 transition text-sm"
+              >
+                {isPlaying ? <Pause size={16} /> : <Play size={16} />}
+                {isPlaying ? 'Pause' : 'Play'}
+              </button>
+              
+              <button
+                onClick={() => handleStep(1)}
+                disabled={time >= playback.stopTime}
+                aria-label="Step forward"
+                title="Step forward one frame"
+                className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white px-3 py-2 rounded-lg flex items-center justify-center transition text-sm"
+              >
+                <StepForward size={16} />
+              </button>
+              
+              <button
+                onClick={handleReset}
+                className="flex-1 bg-gray-700 hover:bg-gray-600 text-white px-3 py-2 rounded-lg flex items-center justify-center gap-2 transition text-sm"
+              >
+                <RotateCcw size={16} />
+                Reset
+              </button>
+            </div>
             
-            <button
-              onClick={handleReset}
-              className="flex-1 bg-gray-700 hover:bg-gray-600 text-white px-3 py-2 rounded-lg flex items-center justify-center gap-2 transition text-sm"
-            >
-              <RotateCcw size={16} />
-              Reset
-            </button>
+            <PlaybackControls
+              time={time}
+              timeUnit={TIME_UNITS[units.time].label}
+              values={playback}
+              onSeek={setTime}
+              onChange={setPlayback}
+            />
           </div>
           
           {/* Parameter controls - scrollable on small screens */}
           <div className="flex-1 bg-gray-800 rounded-lg p-3 space-y-3 overflow-y-auto min-h-0">
+            {/* Guided lessons */}
+            <LessonPanel
+              lesson={lesson}
+              step={lessonStep}
+              onStart={(loaded) => {
+                setLesson(loaded);
+                goToLessonStep(loaded, 0);
+              }}
+              onStep={(index) => goToLessonStep(lesson, index)}
+              onEnd={() => setLesson(null)}
+            />
+            
             {/* Bar type selector */}
             <div>
               <label className="text-white block mb-1.5 text-sm">Bar Type:</label>
@@ -528,17 +1571,153 @@ const HeatDiffusionVisualization = () => {
                 value={barType}
                 onChange={(e) => {
                   setBarType(e.target.value);
+                  // The semi-infinite bar has a single fixed or insulated end
+                  if (e.target.value === 'semi-infinite' && !Object.hasOwn(SEMI_INFINITE_BOUNDARIES, boundaryCondition)) {
+                    setBoundaryCondition('dirichlet');
+                  }
                   setTime(0);
                 }}
                 className="w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm"
               >
                 <option value="infinite">Infinite Bar</option>
+                <option value="semi-infinite">Semi-infinite Bar (x ≥ 0)</option>
                 <option value="finite">Finite Bar</option>
+                <option value="numerical">Numerical (finite difference)</option>
+                <option value="composite">Composite (segments)</option>
+                <option value="plate">Plate (2D)</option>
               </select>
             </div>
             
+            {/* Temperature axis range and plot window (1D bars) */}
+            {!isPlate && (
+              <div>
+                <label className="text-white block mb-1.5 text-sm">Y range:</label>
+                <div className="flex gap-2">
+                  <select
+                    value={yRange.mode}
+                    onChange={(e) => {
+                      const view = plotRef.current?.view ?? { uMin: 0, uMax: 1 };
+                      setYRange(e.target.value === 'locked'
+                        ? { mode: 'locked', min: view.uMin, max: view.uMax }
+                        : { mode: e.target.value });
+                    }}
+                    aria-label="Y range"
+                    className="flex-1 bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm"
+                  >
+                    {Object.entries(Y_RANGE_MODES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => {
+                      setXRange(null);
+                      setYRange({ mode: 'auto' });
+                    }}
+                    className="bg-gray-700 hover:bg-gray-600 text-white px-2 py-1 rounded text-xs"
+                  >
+                    Reset view
+                  </button>
+                </div>
+                {yRange.mode === 'locked' && (
+                  <div className="grid grid-cols-2 gap-2 mt-2">
+                    {[['min', 'Y minimum'], ['max', 'Y maximum']].map(([key, label]) => (
+                      <input
+                        key={key}
+                        type="number"
+                        step="any"
+                        value={Number(displayTemperature(yRange[key], units).toPrecision(4))}
+                        onChange={(e) => {
+                          const value = profileValue(parseFloat(e.target.value), units);
+                          const next = { ...yRange, [key]: value };
+                          if (Number.isFinite(value) && next.min < next.max) setYRange(next);
+                        }}
+                        aria-label={label}
+                        className="w-full bg-gray-700 text-white px-2 py-1 rounded-lg text-sm"
+                      />
+                    ))}
+                  </div>
+                )}
+                <p className="text-gray-400 text-xs mt-1">Scroll to zoom, drag to pan, hover to read values</p>
+              </div>
+            )}
+            
+            {/* Space–time history toggle (1D bars) */}
+            {!isPlate && (
+              <label className="flex items-center gap-2 text-white text-sm">
+                <input
+                  type="checkbox"
+                  checked={showHistory}
+                  onChange={(e) => setShowHistory(e.target.checked)}
+                />
+                Show space–time history
+              </label>
+            )}
+            
+            {/* Probe and measurement toggle (1D bars) */}
+            {!isPlate && (
+              <label className="flex items-center gap-2 text-white text-sm">
+                <input
+                  type="checkbox"
+                  checked={showProbes}
+                  onChange={(e) => setShowProbes(e.target.checked)}
+                />
+                Show probes and measurements
+              </label>
+            )}
+            
+            {/* Image source toggle (semi-infinite bar) */}
+            {barType === 'semi-infinite' && isDiffusion && (
+              <label className="flex items-center gap-2 text-white text-sm">
+                <input
+                  type="checkbox"
+                  checked={showImages}
+                  onChange={(e) => setShowImages(e.target.checked)}
+                />
+                Show image source on x &lt; 0
+              </label>
+            )}
+            
+            {/* Plate height, method, edges and initial map */}
+            {isPlate && (
+              <PlateControls
+                key={scenarioRevision}
+                values={plate}
+                width={L}
+                lengthUnit={lengthUnit}
+                showContours={showContours}
+                onChange={(values) => {
+                  setPlate(values);
+                  setTime(0);
+                }}
+                onShowContoursChange={setShowContours}
+              />
+            )}
+            
+            {/* Equation solved on the 1D bars */}
+            {!isPlate && (
+              <EquationControls
+                values={equation}
+                onChange={(values) => {
+                  setEquation(values);
+                  setTime(0);
+                }}
+              />
+            )}
+            
+            {/* Segments of a composite bar */}
+            {isComposite && (
+              <SegmentEditor
+                segments={segments}
+                units={units}
+                onChange={(newSegments) => {
+                  setSegments(newSegments);
+                  setTime(0);
+                }}
+              />
+            )}
+            
             {/* Boundary condition selector */}
-            {barType === 'finite' && (
+            {boundaryLabels && !isPlate && (
               <div>
                 <label className="text-white block mb-1.5 text-sm">Boundary:</label>
                 <select
@@ -549,74 +1728,360 @@ const HeatDiffusionVisualization = () => {
                   }}
                   className="w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm"
                 >
-                  <option value="dirichlet">Dirichlet</option>
-                  <option value="neumann">Neumann</option>
-                  <option value="mixed">Mixed</option>
+                  {Object.entries(boundaryLabels).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
                 </select>
               </div>
             )}
             
-            {/* Initial condition selector */}
-            <div>
-              <label className="text-white block mb-1.5 text-sm">Initial Condition:</label>
-              <select
-                value={initialCondition}
-                onChange={(e) => {
-                  setInitialCondition(e.target.value);
+            {/* Boundary values for the selected condition */}
+            {boundaryLabels && !isPlate && (
+              <BoundaryControls
+                boundaryCondition={boundaryCondition}
+                values={boundaryValues}
+                leftOnly={barType === 'semi-infinite'}
+                onChange={(values) => {
+                  setBoundaryValues(values);
                   setTime(0);
                 }}
-                className="w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm"
-              >
-                <option value="gaussian">Gaussian Peak</option>
-                <option value="step">Step (pulse)</option>
-                <option value="step-discontinuous">Step 0→1</option>
-                <option value="triangle">Triangle</option>
-                <option value="two-peaks">Two Peaks</option>
-                <option value="sigmoid">Sigmoid</option>
-                <option value="chaotic">Chaotic</option>
-              </select>
-            </div>
-
-            {/* Diffusivity slider */}
-            <div>
-              <label className="text-white block mb-1.5 text-sm">
-                Diffusivity (α): {alpha.toFixed(2)}
+              />
+            )}
+            
+            {/* Fourier series resolution controls (per direction on the plate) */}
+            {(hasSeries || (isPlate && !usesPlateGrid)) && (
+              <div>
+                <label className="text-white block mb-1.5 text-sm">
+                  {isPlate ? `Fourier Modes per Direction: ${numModes}` : `Fourier Modes (N): ${numModes}`}
+                </label>
+                <input
+                  type="range"
+                  min={SETTING_LIMITS.numModes.min}
+                  max={SETTING_LIMITS.numModes.max}
+                  step="1"
+                  value={numModes}
+                  onChange={(e) => setNumModes(parseInt(e.target.value, 10))}
+                  className="w-full"
+                />
+                {!isPlate && (
+                  <p className="text-gray-400 text-xs mt-1">
+                    λₙ: {eigenvalues.map((lambda) => lambda.toFixed(4)).join(', ')}
+                    {numModes > LISTED_EIGENVALUES && ', …'}
+                  </p>
+                )}
+              </div>
+            )}
+            
+            {(hasSeries || (isPlate && !usesPlateGrid)) && (
+              <div>
+                <label className="text-white block mb-1.5 text-sm">
+                  Quadrature Points: {numIntPoints}
+                </label>
+                <input
+                  type="range"
+                  min={SETTING_LIMITS.numIntPoints.min}
+                  max={SETTING_LIMITS.numIntPoints.max}
+                  step="10"
+                  value={numIntPoints}
+                  onChange={(e) => setNumIntPoints(parseInt(e.target.value, 10))}
+                  className="w-full"
+                />
+              </div>
+            )}
+            
+            {/* Modal decomposition panel toggle (finite bar) */}
+            {hasSeries && (
+              <label className="flex items-center gap-2 text-white text-sm">
+                <input
+                  type="checkbox"
+                  checked={showModal}
+                  onChange={(e) => setShowModal(e.target.checked)}
+                />
+                Show modal decomposition
               </label>
-              <input
-                type="range"
-                min="0.01"
-                max="0.5"
-                step="0.01"
-                value={alpha}
-                onChange={(e) => {
-                  setAlpha(parseFloat(e.target.value));
+            )}
+            
+            {/* Finite-difference scheme and discretization controls */}
+            {isSteppedBar && (
+              <div>
+                <label className="text-white block mb-1.5 text-sm">Scheme:</label>
+                <select
+                  value={scheme}
+                  onChange={(e) => {
+                    setScheme(e.target.value);
+                    setTime(0);
+                  }}
+                  className="w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm"
+                >
+                  {Object.entries(SCHEME_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            
+            {(isSteppedBar || usesPlateGrid) && (
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="text-white block mb-1.5 text-sm">Δx:</label>
+                  <input
+                    type="number"
+                    min={SETTING_LIMITS.gridSpacing.min}
+                    max={SETTING_LIMITS.gridSpacing.max}
+                    step="0.01"
+                    value={gridSpacing}
+                    onChange={(e) => {
+                      const newDx = parseFloat(e.target.value);
+                      if (!isNaN(newDx) && newDx > 0) {
+                        setGridSpacing(clampSetting('gridSpacing', newDx));
+                        setTime(0);
+                      }
+                    }}
+                    className="w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="text-white block mb-1.5 text-sm">Δt:</label>
+                  <input
+                    type="number"
+                    min={SETTING_LIMITS.timeStep.min}
+                    max={SETTING_LIMITS.timeStep.max}
+                    step="0.001"
+                    value={timeStep}
+                    onChange={(e) => {
+                      const newDt = parseFloat(e.target.value);
+                      if (!isNaN(newDt) && newDt > 0) {
+                        setTimeStep(clampSetting('timeStep', newDt));
+                        setTime(0);
+                      }
+                    }}
+                    className="w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm"
+                  />
+                </div>
+                <p className={`col-span-2 text-xs ${instability ? 'text-red-400' : 'text-gray-400'}`}>
+                  r = αΔt/Δx² = {ratio.toFixed(3)}
+                  {courant > 0 && `, |v|Δt/Δx = ${courant.toFixed(3)}`}
+                  {reaction > 0 && `, ${reactionLabel} = ${reaction.toFixed(3)}`}
+                  {instability && ': unstable, reduce Δt or the solution will blow up or overshoot'}
+                </p>
+              </div>
+            )}
+            
+            {/* Initial condition selector (the plate has its own initial maps) */}
+            {!isPlate && (
+              <div>
+                <label className="text-white block mb-1.5 text-sm">Initial Condition:</label>
+                <select
+                  value={initialCondition}
+                  onChange={(e) => handleInitialConditionChange(e.target.value)}
+                  className="w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm"
+                >
+                  <option value="gaussian">Gaussian Peak</option>
+                  <option value="step">Step (pulse)</option>
+                  <option value="step-discontinuous">Step 0→1</option>
+                  <option value="triangle">Triangle</option>
+                  <option value="two-peaks">Two Peaks</option>
+                  <option value="sigmoid">Sigmoid</option>
+                  <option value="chaotic">Chaotic</option>
+                  <option value="expression">Custom formula f(x)</option>
+                  <option value="sketch">Freehand drawing</option>
+                </select>
+                {initialCondition === 'expression' && (
+                  <div className="mt-2">
+                    <input
+                      type="text"
+                      value={expressionText}
+                      onChange={(e) => handleExpressionChange(e.target.value)}
+                      spellCheck={false}
+                      aria-label="f(x)"
+                      className={`w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm font-mono ${
+                        formulaError ? 'ring-1 ring-red-500' : ''
+                      }`}
+                    />
+                    <p className={`text-xs mt-1 ${formulaError ? 'text-red-400' : 'text-gray-400'}`}>
+                      {formulaError ?? 'In x and L, e.g. sin(pi*x/L)^2, exp(-x), step(x - L/2)'}
+                    </p>
+                  </div>
+                )}
+                {initialCondition === 'sketch' && (
+                  <div className="mt-2 flex items-center justify-between gap-2">
+                    <p className="text-gray-400 text-xs">Draw on the plot with the mouse or a finger</p>
+                    <button
+                      onClick={() => {
+                        setSketch(sampleSketch(() => 0, L));
+                        setTime(0);
+                      }}
+                      className="bg-gray-700 hover:bg-gray-600 text-white px-2 py-1 rounded text-xs"
+                    >
+                      Clear
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Material and diffusivity (each segment of a composite bar has its own) */}
+            {!isComposite && (
+              <div>
+                <label className="text-white block mb-1.5 text-sm">Material:</label>
+                <select
+                  value={material}
+                  onChange={(e) => {
+                    setMaterial(e.target.value);
+                    setTime(0);
+                  }}
+                  className="w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm mb-2"
+                >
+                  <option value={CUSTOM_MATERIAL}>Custom α</option>
+                  {Object.entries(MATERIALS).map(([key, { name }]) => (
+                    <option key={key} value={key}>{name}</option>
+                  ))}
+                </select>
+                <label className="text-white block mb-1.5 text-sm">
+                  Diffusivity (α): {Number(alpha.toPrecision(3))} {diffusivityUnit(units)}
+                </label>
+                {material === CUSTOM_MATERIAL ? (
+                  <input
+                    type="range"
+                    min={SETTING_LIMITS.alpha.min}
+                    max={SETTING_LIMITS.alpha.max}
+                    step="0.01"
+                    value={customAlpha}
+                    onChange={(e) => {
+                      setCustomAlpha(parseFloat(e.target.value));
+                      setTime(0);
+                    }}
+                    className="w-full"
+                  />
+                ) : (
+                  <p className="text-gray-400 text-xs">
+                    α = k/(ρc) = {MATERIALS[material].conductivity} / ({MATERIALS[material].density} ×{' '}
+                    {MATERIALS[material].specificHeat}) = {materialDiffusivity(MATERIALS[material]).toExponential(2)} m²/s
+                  </p>
+                )}
+              </div>
+            )}
+
+            {/* Source and lateral loss terms */}
+            {!isUnbounded(barType) && !isPlate && (
+              <SourceControls
+                values={sources}
+                onChange={(values) => {
+                  setSources(values);
                   setTime(0);
                 }}
-                className="w-full"
               />
-            </div>
+            )}
 
-            {/* Bar length input */}
-            <div>
-              <label className="text-white block mb-1.5 text-sm">
-                Bar Length (L): {L.toFixed(1)}
-              </label>
-              <input
-                type="number"
-                min="1"
-                max="50"
-                step="0.5"
-                value={L}
-                onChange={(e) => {
-                  const newL = parseFloat(e.target.value);
-                  if (!isNaN(newL) && newL > 0) {
-                    setL(newL);
-                    setTime(0);
-                  }
+            {/* Bar length input (a composite bar takes its length from the segments) */}
+            {!isComposite && (
+              <div>
+                <label className="text-white block mb-1.5 text-sm">
+                  {isPlate ? 'Plate Width (W)' : 'Bar Length (L)'}: {formatLength(barLength, units, 1)}
+                </label>
+                <input
+                  type="number"
+                  min={SETTING_LIMITS.barLength.min}
+                  max={SETTING_LIMITS.barLength.max}
+                  step="0.5"
+                  value={barLength}
+                  onChange={(e) => {
+                    const newL = parseFloat(e.target.value);
+                    if (!isNaN(newL) && newL > 0) {
+                      setBarLength(clampSetting('barLength', newL));
+                      setTime(0);
+                    }
+                  }}
+                  className="w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm"
+                />
+              </div>
+            )}
+            
+            {/* Units and the absolute temperature baseline */}
+            <UnitsControls
+              values={units}
+              onChange={(values) => {
+                setUnits(values);
+                // α of a material changes with the units, restarting the solution
+                if (material !== CUSTOM_MATERIAL && (values.length !== units.length || values.time !== units.time)) {
+                  setTime(0);
+                }
+              }}
+            />
+            
+            {/* Configurations pinned as traces on the same axes */}
+            <TracePanel
+              traces={traces}
+              canPin={!isPlate}
+              onPin={(name) => setTraces(pinTrace(traces, problemSetup, name))}
+              onChange={setTraces}
+            />
+            
+            {/* Comparison and convergence controls */}
+            {canCompare && (
+              <div>
+                <label className="text-white block mb-1.5 text-sm">Compare With:</label>
+                <select
+                  value={activeComparison ?? 'none'}
+                  onChange={(e) => setCompareWith(e.target.value)}
+                  className="w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm"
+                >
+                  <option value="none">Nothing</option>
+                  {Object.entries(COMPARISON_LABELS)
+                    .filter(([value]) => value !== barType)
+                    .map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+              </div>
+            )}
+            
+            {canCompare && (
+              <ConvergencePanel sweep={sweep} onRun={handleRunSweep} disabled={time === 0} />
+            )}
+            
+            {/* Inverse problem: measured data and the fitted heat equation (uniform 1D bars) */}
+            {!isComposite && !isPlate && isDiffusion && (
+              <FitPanel
+                data={measuredData}
+                fit={fit}
+                units={units}
+                boundaryLabels={boundaryLabels}
+                progress={fitProgress}
+                onLoad={(data) => {
+                  cancelFit();
+                  setMeasuredData(data);
+                  setFit(null);
+                }}
+                onFit={handleFit}
+                onApply={handleApplyFit}
+                onClear={() => {
+                  cancelFit();
+                  setMeasuredData(null);
+                  setFit(null);
                 }}
-                className="w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm"
               />
-            </div>
+            )}
+            
+            {/* Presets, shareable link and scenario files */}
+            <ScenarioPanel scenario={scenario} initialError={linked.error} onLoad={applyScenario} />
+            
+            {/* Data, image and animation export */}
+            <ExportPanel
+              name={`heat_${barType}`}
+              metadata={exportMetadata(scenario, L)}
+              time={time}
+              stopTime={playback.stopTime}
+              isPlaying={isPlaying}
+              solveAt={exportFrame}
+              createSvg={exportSvg}
+              getCanvas={() => (isPlate ? plateMapRef.current : canvasRef.current)}
+              onPlay={() => {
+                setTime(0);
+                setIsPlaying(true);
+              }}
+              onPause={() => setIsPlaying(false)}
+            />
           </div>
         </div>
       </div>
@@ -0,0 +1,753 @@
+/**
+ * Heat equation solvers
+ *
+ * Pure functions solving ∂u/∂t = α ∂²u/∂x² without any React state, so they
+ * can be called from the component, from scripts, workers or tests. Bounded
+ * bars may add source and lateral loss terms (see sources.js), and any 1D bar
+ * may solve another parabolic model instead (see equations.js).
+ *
+ * A problem is described by a plain object:
+ * {
+ *   barType: 'infinite' | 'semi-infinite' | 'finite' | 'numerical' | 'composite',
+ *   L: number,                 // Length of the bar (plotted domain is [0, L])
+ *   alpha: number,             // Thermal diffusivity
+ *   initialCondition: string | {expression: string} | {sketch: Array<number>} | (x) => number,
+ *                              // Preset name, formula in x and L, sketch samples (see sketch.js) or custom f(x)
+ *   boundaryCondition: string, // 'dirichlet', 'neumann', 'mixed', 'robin', ... (see boundary.js);
+ *                              // only the end at x = 0 of a semi-infinite bar (see semi_infinite.js)
+ *   numPoints: number,         // Number of spatial samples on [0, L]
+ *   time: number,              // Time t at which to evaluate u(x,t)
+ *   numModes?: number,         // Fourier modes for the finite bar
+ *   numIntPoints?: number,     // Quadrature points per Fourier coefficient
+ *   scheme?: string,           // Finite-difference scheme for the numerical bar
+ *   gridSpacing?: number,      // Δx for the numerical bar
+ *   timeStep?: number,         // Δt for the numerical bar
+ *   boundaryValues?: object,   // End temperatures/gradients (see boundary.js)
+ *   sources?: object,          // Heat sources and lateral loss (see sources.js)
+ *   segments?: Array<object>,  // Segments of a composite bar, adding up to L (see composite.js)
+ *   equation?: object,         // Model and its parameters (see equations.js); diffusion when omitted
+ * }
+ *
+ * Composite bars are solved by the finite-difference stepper only, with the
+ * scheme, Δx and Δt of the numerical bar. So are the models without a closed
+ * form (see isTimeStepped); the infinite bar is then stepped on [-L, 2L] with
+ * insulated ends, and the semi-infinite one on [0, 3L] with an insulated far
+ * end, which stays accurate on [0, L] while the fronts are inside the
+ * padding. Problems without a custom f(x) are plain data, so they can be
+ * posted to a worker (see solver_worker.js).
+ */
+
+import { fft, nextPowerOfTwo } from './fft.js';
+import { createFiniteDifferenceSolver } from './finite_difference.js';
+import { interpolateLinear, linspace } from './grid.js';
+import {
+  createBoundaryFunctions,
+  createLifting,
+  duhamelIntegral,
+  endConditions,
+  isNonHomogeneous,
+  DEFAULT_BOUNDARY_VALUES,
+} from './boundary.js';
+import { createEigenbasis } from './eigenfunctions.js';
+import { hasKernelSolution, isLinearDiffusion, kernelTransform, DEFAULT_EQUATION } from './equations.js';
+import { parseExpression } from './expression.js';
+import { endResponse, hasOddImage } from './semi_infinite.js';
+import { createSketchFunction } from './sketch.js';
+import {
+  exponentialWeights,
+  gaussianProfile,
+  hasSources,
+  movingSourcePosition,
+  sourceParameters,
+  switchedIntegral,
+  DEFAULT_SOURCES,
+} from './sources.js';
+
+export const DEFAULT_NUM_MODES = 50;
+export const DEFAULT_NUM_INT_POINTS = 100;
+export const DEFAULT_SCHEME = 'crank-nicolson';
+export const DEFAULT_GRID_SPACING = 0.1;
+export const DEFAULT_TIME_STEP = 0.01;
+
+// Names of the built-in initial profiles (see initialConditionPreset)
+export const INITIAL_CONDITION_PRESETS = [
+  'gaussian', 'step', 'step-discontinuous', 'triangle', 'two-peaks', 'sigmoid', 'chaotic',
+];
+
+/**
+ * Whether a problem is solved by the finite-difference stepper
+ *
+ * @param {object} problem - Problem description (see module header)
+ * @returns {boolean} - True for the numerical and composite bars, and for models without a
+ *                      closed form on the chosen bar
+ */
+export const isTimeStepped = ({ barType, equation = DEFAULT_EQUATION }) => {
+  if (barType === 'numerical' || barType === 'composite') return true;
+  if (barType === 'infinite') return !hasKernelSolution(equation);
+  // The series and the images only hold for the plain heat equation
+  return !isLinearDiffusion(equation);
+};
+
+/**
+ * Whether a bar extends beyond the plotted [0, L] (no sources, and a padded
+ * domain when time-stepped)
+ *
+ * @param {string} barType - Bar type (see module header)
+ * @returns {boolean} - True for the infinite and semi-infinite bars
+ */
+export const isUnbounded = (barType) => barType === 'infinite' || barType === 'semi-infinite';
+
+/**
+ * Evaluate one of the built-in initial temperature presets at position x
+ *
+ * @param {string} name - Preset name
+ * @param {number} x - Position along the bar
+ * @param {number} L - Length of the bar
+ * @returns {number} - Initial temperature at position x
+ *
+ * Supported presets:
+ * - gaussian: Smooth bell curve centered at L/2
+ * - step: Rectangular pulse
+ * - step-discontinuous: Step function from 0 to 1
+ * - triangle: Triangular peak
+ * - two-peaks: Superposition of two Gaussians
+ * - sigmoid: Smooth transition from 0 to 1
+ * - chaotic: Complex multi-frequency superposition
+ */
+export const initialConditionPreset = (name, x, L) => {
+  const center = L / 2;
+
+  switch (name) {
+    case 'gaussian':
+      // Gaussian centered at midpoint: exp(-((x-c)²)/σ²)
+      return Math.exp(-((x - center) ** 2) / 0.5);
+    case 'step':
+      // Rectangular pulse of width 2 centered at midpoint
+      return x > center - 1 && x < center + 1 ? 1 : 0;
+    case 'step-discontinuous':
+      // Discontinuous step: 0 for x < center, 1 for x >= center
+      return x >= center ? 1 : 0;
+    case 'triangle':
+      // Triangular peak with base width 2
+      if (x >= center - 1 && x <= center) return x - (center - 1);
+      if (x > center && x <= center + 1) return (center + 1) - x;
+      return 0;
+    case 'two-peaks':
+      // Two Gaussian peaks at 30% and 70% of bar length
+      return Math.exp(-((x - L * 0.3) ** 2) / 0.3) + Math.exp(-((x - L * 0.7) ** 2) / 0.3);
+    case 'sigmoid':
+      // Sigmoid transition from 0 to 1
+      return 1 / (1 + Math.exp(-2 * (x - center)));
+    case 'chaotic': {
+      // Superposition of multiple sine/cosine waves with different frequencies
+      // Creates a complex, irregular initial condition to demonstrate Fourier decomposition
+      const value = 0.5 * Math.sin(2 * Math.PI * x / L) +
+                    0.3 * Math.cos(4 * Math.PI * x / L + 0.5) +
+                    0.4 * Math.sin(6 * Math.PI * x / L + 1.2) +
+                    0.25 * Math.cos(8 * Math.PI * x / L - 0.8) +
+                    0.2 * Math.sin(10 * Math.PI * x / L + 2.1) +
+                    0.15 * Math.cos(12 * Math.PI * x / L - 1.5) +
+                    0.1 * Math.sin(16 * Math.PI * x / L + 0.3) +
+                    0.08 * Math.cos(20 * Math.PI * x / L - 2.0);
+      // Normalize to be positive (shift and scale)
+      return (value + 1.5) / 2;
+    }
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Build the initial temperature distribution f(x) for a problem
+ *
+ * @param {object} problem - Problem description (see module header)
+ * @returns {(x: number) => number} - Initial condition f(x)
+ *
+ * Custom functions are used as-is. The profile does not need to match the
+ * boundary values; the mismatch simply decays once t > 0. The unbounded bars
+ * also sample f beyond [0, L], where a formula such as sqrt(x) or log(x) may
+ * be undefined; it is taken as zero there.
+ */
+export const createInitialCondition = ({ initialCondition, L }) => {
+  if (typeof initialCondition === 'function') return initialCondition;
+  if (initialCondition.expression !== undefined) {
+    const compiled = parseExpression(initialCondition.expression);
+    return (x) => {
+      const value = compiled(x, L);
+      return Number.isFinite(value) || (x >= 0 && x <= L) ? value : 0;
+    };
+  }
+  if (initialCondition.sketch) return createSketchFunction(initialCondition.sketch, L);
+  return (x) => initialConditionPreset(initialCondition, x, L);
+};
+
+// Custom initial conditions have no stable name, so each function gets its own id
+const functionIds = new WeakMap();
+let nextFunctionId = 0;
+
+/**
+ * Cache key of an initial condition: equal keys describe the same profile
+ *
+ * @param {string | object | Function} initialCondition - Preset name, formula or sketch, or a custom function
+ * @returns {string} - The preset name, the JSON of a formula or sketch, or an id per function
+ */
+export const initialConditionKey = (initialCondition) => {
+  if (typeof initialCondition === 'function') {
+    if (!functionIds.has(initialCondition)) functionIds.set(initialCondition, `fn${nextFunctionId++}`);
+    return functionIds.get(initialCondition);
+  }
+  return typeof initialCondition === 'object' ? JSON.stringify(initialCondition) : initialCondition;
+};
+
+/**
+ * Fundamental solution (heat kernel) for the heat equation on infinite domain
+ * G(x,t) = (1/√(4παt)) * exp(-x²/(4αt))
+ *
+ * This is the Green's function - the temperature distribution at time t
+ * resulting from a point heat source at x=0 at t=0
+ *
+ * @param {number} x - Spatial position
+ * @param {number} t - Time
+ * @param {number} alpha - Thermal diffusivity
+ * @returns {number} - Heat kernel value
+ */
+export const heatKernel = (x, t, alpha) => {
+  if (t === 0) return x === 0 ? 1 : 0; // Delta function at t=0
+  return (1 / Math.sqrt(4 * Math.PI * alpha * t)) * Math.exp(-(x ** 2) / (4 * alpha * t));
+};
+
+// Largest FFT grid used by the infinite-bar solver (bounds memory and per-frame cost)
+const maxSpectralGridSize = 1 << 16;
+// Half-width of the window around [0,L], in units of the kernel width √(2αt)
+const kernelWindowWidths = 8;
+
+/**
+ * Solve heat equation on infinite bar using convolution with heat kernel
+ * u(x,t) = ∫ f(ξ) * G(x-ξ, t) dξ
+ *
+ * The convolution is computed exactly in Fourier space, where it becomes a
+ * multiplication: û(k,t) = f̂(k) * exp(-αk²t). f is sampled on a uniform grid
+ * covering the output range plus a margin of several kernel widths on each
+ * side, transformed with an FFT, damped and transformed back.
+ *
+ * The margin grows with √(αt), so the window always contains every point ξ
+ * whose heat can reach the output range, and wrap-around from the periodic
+ * FFT only brings in contributions that have decayed below round-off.
+ * The grid spacing shrinks with the kernel width at small t (down to the
+ * maximum grid size), so narrow kernels and sharp features stay resolved.
+ *
+ * @param {(x: number) => number} f - Initial condition
+ * @param {Float64Array} xs - Uniformly spaced positions to evaluate the solution at
+ * @param {number} t - Time
+ * @param {number} alpha - Thermal diffusivity
+ * @returns {Float64Array} - Temperatures u(xs[i], t)
+ */
+export const solveInfiniteBar = (f, xs, t, alpha) => {
+  const numOut = xs.length;
+  const u = new Float64Array(numOut);
+  if (t === 0 || numOut < 2) {
+    for (let i = 0; i < numOut; i++) u[i] = f(xs[i]);
+    return u;
+  }
+
+  const xStart = xs[0];
+  const xEnd = xs[numOut - 1];
+  const outputDx = (xEnd - xStart) / (numOut - 1);
+  const kernelWidth = Math.sqrt(2 * alpha * t);
+
+  // Adaptive spacing: at least as fine as the output grid and a quarter kernel width,
+  // chosen as an integer fraction of outputDx so output points land on grid points
+  let h = outputDx / Math.ceil(outputDx / (kernelWidth / 4));
+  let margin = Math.ceil(kernelWindowWidths * kernelWidth / h) * h;
+  let size = nextPowerOfTwo(Math.round((xEnd - xStart + 2 * margin) / h) + 1);
+  if (size > maxSpectralGridSize) {
+    size = maxSpectralGridSize;
+    margin = kernelWindowWidths * kernelWidth;
+    h = (xEnd - xStart + 2 * margin) / (size - 1);
+  }
+  const gridStart = xStart - margin;
+
+  // Sample f over the whole (padded) grid
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  for (let j = 0; j < size; j++) {
+    re[j] = f(gridStart + j * h);
+  }
+
+  // Multiply by the Fourier transform of the heat kernel: exp(-αk²t)
+  fft(re, im);
+  const dk = 2 * Math.PI / (size * h);
+  for (let j = 0; j < size; j++) {
+    const k = (j <= size / 2 ? j : j - size) * dk;
+    const damping = Math.exp(-alpha * k * k * t);
+    re[j] *= damping;
+    im[j] *= damping;
+  }
+  fft(re, im, true);
+
+  // Linear interpolation from the computational grid onto the output positions
+  for (let i = 0; i < numOut; i++) {
+    const s = (xs[i] - gridStart) / h;
+    const j = Math.min(Math.floor(s), size - 2);
+    const w = s - j;
+    u[i] = re[j] * (1 - w) + re[j + 1] * w;
+  }
+
+  return u;
+};
+
+/**
+ * Solve the heat equation on the semi-infinite bar x ≥ 0 by the method of
+ * images: the infinite-bar convolution of the odd (fixed end) or even
+ * (gradient end) extension of f, plus the response to the end value
+ * (see semi_infinite.js)
+ *
+ * @param {(x: number) => number} f - Initial condition on x ≥ 0
+ * @param {Float64Array} xs - Uniformly spaced positions (x ≥ 0) to evaluate the solution at
+ * @param {number} t - Time
+ * @param {number} alpha - Thermal diffusivity
+ * @param {string} boundaryCondition - 'dirichlet' or 'neumann' (see SEMI_INFINITE_BOUNDARIES)
+ * @param {number} value - End temperature T₀ or gradient g
+ * @returns {Float64Array} - Temperatures u(xs[i], t)
+ */
+export const solveSemiInfiniteBar = (f, xs, t, alpha, boundaryCondition, value) => {
+  const odd = hasOddImage(boundaryCondition);
+  const extended = (x) => (x >= 0 ? f(x) : odd ? -f(-x) : f(-x));
+  const u = solveInfiniteBar(extended, xs, t, alpha);
+  if (t > 0 && value !== 0) {
+    for (let i = 0; i < xs.length; i++) u[i] += endResponse(boundaryCondition, value, xs[i], t, alpha);
+  }
+  return u;
+};
+
+/**
+ * Fourier decomposition of the initial condition on a finite bar [0,L]
+ * (separation of variables)
+ *
+ * General form: u(x,t) = w(x,t) + Σ cₙ(t) * φₙ(x)
+ * where φₙ(x) are eigenfunctions, λₙ are eigenvalues and w is the lifting that
+ * carries non-homogeneous boundary values (zero when they are all zero)
+ *
+ * The eigenfunctions depend on boundary conditions:
+ * - Dirichlet: sin(nπx/L), eigenvalues λₙ = nπ/L
+ * - Neumann: cos(nπx/L), eigenvalues λₙ = nπ/L (including the constant mode n=0)
+ * - Mixed: sin((n-1/2)πx/L), eigenvalues λₙ = (n-1/2)π/L
+ * - Robin (convective) ends: eigenvalues solve a transcendental equation such as
+ *   tan(λL) = -λ/H and are found numerically (see eigenfunctions.js)
+ *
+ * The coefficients only depend on f, L, the BC, the boundary values, the
+ * sources and the resolution, not on x or t, so they are computed once here
+ * and reused for every point of every frame.
+ *
+ * @param {(x: number) => number} f - Initial condition
+ * @param {number} L - Length of the bar
+ * @param {string} boundaryCondition - Boundary condition name (see boundary.js)
+ * @param {number} numModes - Number of Fourier modes to include
+ * @param {number} numIntPoints - Number of trapezoidal quadrature intervals for each coefficient
+ * @param {object} boundaryValues - Boundary values (see boundary.js)
+ * @param {object} sources - Heat sources and lateral loss (see sources.js)
+ * @returns {object} - Eigenvalues `lambdas`, initial `coefficients`, the `eigenfunction`,
+ *                     and the lifting and source data used by modeAmplitudes
+ * @throws {Error} - If a source width is not positive
+ */
+export const computeFourierModes = (
+  f, L, boundaryCondition, numModes, numIntPoints,
+  boundaryValues = DEFAULT_BOUNDARY_VALUES, sources = DEFAULT_SOURCES
+) => {
+  const ends = endConditions(boundaryCondition, boundaryValues, L);
+  const { lambdas, eigenfunction, normSquared } = createEigenbasis(ends.left, ends.right, L, numModes);
+  const count = lambdas.length;
+
+  const dx = L / numIntPoints;
+  // Project g onto every mode: cₙ = ∫₀ᴸ g(x)*φₙ(x) dx / ‖φₙ‖², which is (2/L) ∫₀ᴸ g(x)*φₙ(x) dx
+  // for sines and cosines. g is sampled once with trapezoidal weights.
+  const project = (g) => {
+    const samples = new Float64Array(numIntPoints + 1);
+    for (let i = 0; i <= numIntPoints; i++) {
+      samples[i] = g(i * dx) * (i === 0 || i === numIntPoints ? dx / 2 : dx);
+    }
+    const result = new Float64Array(count);
+    for (let k = 0; k < count; k++) {
+      let c = 0;
+      for (let i = 0; i <= numIntPoints; i++) {
+        c += samples[i] * eigenfunction(lambdas[k], i * dx);
+      }
+      result[k] = c / normSquared(lambdas[k]);
+    }
+    return result;
+  };
+
+  // Sources: uniform and heater projections for the closed-form Duhamel terms; the
+  // moving source is projected at each time sample in modeAmplitudes
+  let forcing = null;
+  if (hasSources(sources)) {
+    const params = sourceParameters(sources);
+    const heaterCenter = params.heaterPosition * L;
+    forcing = {
+      params,
+      L,
+      norms: Float64Array.from(lambdas, normSquared),
+      projectedOne: project(() => 1),
+      projectedHeater: project((x) => gaussianProfile(x, heaterCenter, params.heaterWidth)),
+    };
+  }
+
+  if (!isNonHomogeneous(boundaryValues)) {
+    return { lambdas, coefficients: project(f), eigenfunction, lifting: null, forcing };
+  }
+
+  // Non-homogeneous ends: expand v = u - w instead of u, and keep the projections
+  // of the lifting shapes for the Duhamel forcing terms
+  const values = { ...DEFAULT_BOUNDARY_VALUES, ...boundaryValues };
+  const shapes = createLifting(boundaryCondition, L, values);
+  const boundary = createBoundaryFunctions(values);
+  const projectedOne = project(() => 1);
+
+  return {
+    lambdas,
+    coefficients: project((x) => f(x) - boundary.left(0) * shapes.P(x) - boundary.right(0) * shapes.Q(x)),
+    eigenfunction,
+    lifting: {
+      ...shapes,
+      values,
+      boundary,
+      projectedP: project(shapes.P),
+      projectedQ: project(shapes.Q),
+      projectedOne,
+    },
+    forcing,
+  };
+};
+
+// Quadrature intervals across the ±4σ window of the moving source
+const movingSourceIntervals = 64;
+// Time samples per σ/|v|, the time the moving source takes to cross its own width
+const movingSourceSamplesPerWidth = 8;
+
+/**
+ * Duhamel integral of the moving source for every mode
+ * ∫₀ᵗ exp(-μₙ(t-s)) P_m ⟨G(·, x_m(s)), φₙ⟩ / ‖φₙ‖² ds
+ *
+ * The projection is sampled at a fixed step h and interpolated linearly in
+ * between, with the exponential integrated exactly. The running integral is
+ * kept on the modes so playback only adds the samples since the last frame.
+ *
+ * @param {object} modes - Fourier modes (see computeFourierModes)
+ * @param {Float64Array} decayRates - Decay rate μₙ of every mode
+ * @param {number} t - Time
+ * @param {number} alpha - Thermal diffusivity the decay rates were computed with
+ * @returns {Float64Array} - Contribution to every mode amplitude
+ */
+const movingSourceAmplitudes = (modes, decayRates, t, alpha) => {
+  const { lambdas, eigenfunction, forcing } = modes;
+  const { params, L, norms } = forcing;
+  const count = lambdas.length;
+  const sigma = params.movingWidth;
+  const speed = Math.abs(params.movingSpeed);
+  const h = speed > 0 ? Math.min(1, sigma / (speed * movingSourceSamplesPerWidth)) : 1;
+
+  // Projection of the source at time s onto every mode
+  const projectAt = (s) => {
+    const center = movingSourcePosition(params, L, s);
+    const start = Math.max(0, center - 4 * sigma);
+    const end = Math.min(L, center + 4 * sigma);
+    const dx = (end - start) / movingSourceIntervals;
+    const projection = new Float64Array(count);
+    for (let i = 0; i <= movingSourceIntervals; i++) {
+      const x = start + i * dx;
+      const weight = (i === 0 || i === movingSourceIntervals ? dx / 2 : dx) * gaussianProfile(x, center, sigma);
+      for (let k = 0; k < count; k++) projection[k] += weight * eigenfunction(lambdas[k], x);
+    }
+    for (let k = 0; k < count; k++) projection[k] *= params.movingPower / norms[k];
+    return projection;
+  };
+
+  // Advance exp(-μh)·integral + ∫ over one interval of length `step`
+  const accumulate = (integral, previous, next, step) => {
+    for (let k = 0; k < count; k++) {
+      const [w0, w1] = exponentialWeights(decayRates[k], step);
+      integral[k] = integral[k] * Math.exp(-decayRates[k] * step) + w0 * previous[k] + w1 * next[k];
+    }
+  };
+
+  // Restart the running integral when going back in time or changing α
+  let state = forcing.movingState;
+  const targetSteps = Math.floor(t / h + 1e-9);
+  if (!state || state.alpha !== alpha || state.steps > targetSteps) {
+    state = { alpha, steps: 0, integral: new Float64Array(count), projection: projectAt(0) };
+    forcing.movingState = state;
+  }
+  while (state.steps < targetSteps) {
+    const next = projectAt((state.steps + 1) * h);
+    accumulate(state.integral, state.projection, next, h);
+    state.projection = next;
+    state.steps++;
+  }
+
+  // Remaining partial interval up to t
+  const result = state.integral.slice();
+  const remainder = t - state.steps * h;
+  if (remainder > 0) accumulate(result, state.projection, projectAt(t), remainder);
+  return result;
+};
+
+/**
+ * Amplitude cₙ(t) of every mode at time t
+ *
+ * Homogeneous ends: cₙ(t) = cₙ(0) * exp(-μₙt) with μₙ = αλₙ² + β
+ * Otherwise each mode is also driven by the lifting forcing
+ *   Fₙ(t) = α(a(t) P''ₙ + b(t) Q''ₙ) - (a'(t) Pₙ + b'(t) Qₙ) - β(a(t) Pₙ + b(t) Qₙ)
+ * and by the projected sources qₙ(t) + β T_amb, and Duhamel's principle adds
+ * ∫₀ᵗ exp(-μₙ(t-s)) Fₙ(s) ds.
+ *
+ * @param {object} modes - Fourier modes (see computeFourierModes)
+ * @param {number} t - Time
+ * @param {number} alpha - Thermal diffusivity
+ * @returns {Float64Array} - Mode amplitudes
+ */
+export const modeAmplitudes = (modes, t, alpha) => {
+  const { lambdas, coefficients, lifting, forcing } = modes;
+  const amplitudes = new Float64Array(lambdas.length);
+  const beta = forcing ? forcing.params.lossRate : 0;
+  const decayRates = Float64Array.from(lambdas, (lambda) => alpha * lambda * lambda + beta);
+
+  for (let k = 0; k < lambdas.length; k++) {
+    const mu = decayRates[k];
+    // Time evolution with exponential decay: exp(-μₙ*t)
+    amplitudes[k] = coefficients[k] * Math.exp(-mu * t);
+
+    if (lifting) {
+      const { values, curvatureP, curvatureQ, projectedP, projectedQ, projectedOne } = lifting;
+      const curvature = projectedOne[k];
+      const constant = alpha * (values.left * curvatureP + values.right * curvatureQ) * curvature -
+        beta * (values.left * projectedP[k] + values.right * projectedQ[k]);
+      const sine = alpha * (values.leftAmplitude * curvatureP + values.rightAmplitude * curvatureQ) * curvature -
+        beta * (values.leftAmplitude * projectedP[k] + values.rightAmplitude * projectedQ[k]);
+      const cosine = -values.frequency * (values.leftAmplitude * projectedP[k] + values.rightAmplitude * projectedQ[k]);
+      amplitudes[k] += duhamelIntegral(mu, t, constant, sine, cosine, values.frequency);
+    }
+
+    if (forcing) {
+      const { params, projectedOne, projectedHeater } = forcing;
+      const uniform = (params.generation + beta * params.ambient) * projectedOne[k];
+      amplitudes[k] += duhamelIntegral(mu, t, uniform, 0, 0, 0);
+      amplitudes[k] += params.heaterPower * projectedHeater[k] *
+        switchedIntegral(mu, t, params.heaterOn, params.heaterOff);
+    }
+  }
+
+  if (forcing && forcing.params.movingPower !== 0) {
+    const moving = movingSourceAmplitudes(modes, decayRates, t, alpha);
+    for (let k = 0; k < lambdas.length; k++) amplitudes[k] += moving[k];
+  }
+
+  return amplitudes;
+};
+
+// Recently used Fourier decompositions, keyed by initial condition, sources and resolution
+const modeCache = new Map();
+const modeCacheSize = 16;
+
+/**
+ * Get the Fourier decomposition for a finite-bar problem, reusing a cached one
+ * when the initial condition, L, BC, boundary values, sources, number of modes
+ * and quadrature resolution are unchanged
+ *
+ * @param {object} problem - Problem description (see module header)
+ * @returns {object} - Fourier modes (see computeFourierModes)
+ */
+export const getFourierModes = (problem) => {
+  const {
+    initialCondition,
+    L,
+    boundaryCondition,
+    numModes = DEFAULT_NUM_MODES,
+    numIntPoints = DEFAULT_NUM_INT_POINTS,
+    boundaryValues = DEFAULT_BOUNDARY_VALUES,
+    sources = DEFAULT_SOURCES,
+  } = problem;
+
+  const key = `${initialConditionKey(initialCondition)}|${L}|${boundaryCondition}|${numModes}|${numIntPoints}|${JSON.stringify(boundaryValues)}|${JSON.stringify(sources)}`;
+
+  let modes = modeCache.get(key);
+  if (modes) {
+    // Re-insert to mark as most recently used
+    modeCache.delete(key);
+  } else {
+    modes = computeFourierModes(
+      createInitialCondition(problem), L, boundaryCondition, numModes, numIntPoints, boundaryValues, sources
+    );
+    if (modeCache.size >= modeCacheSize) {
+      modeCache.delete(modeCache.keys().next().value);
+    }
+  }
+  modeCache.set(key, modes);
+  return modes;
+};
+
+/**
+ * Evaluate the Fourier series solution on a finite bar
+ * u(x,t) = w(x,t) + Σ cₙ(t) * φₙ(x)
+ *
+ * @param {object} modes - Fourier modes (see computeFourierModes)
+ * @param {Float64Array} xs - Positions to evaluate the solution at
+ * @param {number} t - Time
+ * @param {number} alpha - Thermal diffusivity
+ * @returns {Float64Array} - Temperatures u(xs[i], t)
+ */
+export const solveFiniteBar = (modes, xs, t, alpha) => {
+  const { lambdas, eigenfunction, lifting } = modes;
+  const amplitudes = modeAmplitudes(modes, t, alpha);
+  const u = new Float64Array(xs.length);
+  const left = lifting ? lifting.boundary.left(t) : 0;
+  const right = lifting ? lifting.boundary.right(t) : 0;
+
+  for (let i = 0; i < xs.length; i++) {
+    let sum = lifting ? left * lifting.P(xs[i]) + right * lifting.Q(xs[i]) : 0;
+    for (let k = 0; k < lambdas.length; k++) {
+      sum += amplitudes[k] * eigenfunction(lambdas[k], xs[i]);
+    }
+    u[i] = sum;
+  }
+
+  return u;
+};
+
+// Recently used finite-difference solvers, keyed by everything but the time, each
+// advanced incrementally while time only moves forward (several are kept so
+// pinned traces and comparisons stepping side by side don't evict each other)
+const stepperCache = new Map();
+const stepperCacheSize = 8;
+
+/**
+ * Get a finite-difference solver advanced to the problem's time, reusing a
+ * cached one when possible so playback costs one step per Δt rather than
+ * restarting from t=0 on every frame
+ *
+ * @param {object} problem - Problem description (see module header)
+ * @returns {object} - Solver (see createFiniteDifferenceSolver)
+ */
+export const getFiniteDifferenceSolver = (problem) => {
+  const {
+    initialCondition,
+    L,
+    alpha,
+    boundaryCondition,
+    time,
+    scheme = DEFAULT_SCHEME,
+    gridSpacing = DEFAULT_GRID_SPACING,
+    timeStep = DEFAULT_TIME_STEP,
+    boundaryValues = DEFAULT_BOUNDARY_VALUES,
+    sources = DEFAULT_SOURCES,
+    equation = DEFAULT_EQUATION,
+  } = problem;
+  const segments = problem.barType === 'composite' ? problem.segments : undefined;
+  // The infinite bar is stepped on [-L, 2L] with insulated ends, the semi-infinite
+  // one on [0, 3L] with its own end at x = 0 and an insulated far end
+  let domain = { origin: 0, length: L, ends: boundaryCondition, values: boundaryValues, heat: sources };
+  if (problem.barType === 'infinite') {
+    domain = { origin: -L, length: 3 * L, ends: 'neumann', values: DEFAULT_BOUNDARY_VALUES, heat: DEFAULT_SOURCES };
+  } else if (problem.barType === 'semi-infinite') {
+    domain = {
+      origin: 0,
+      length: 3 * L,
+      ends: `${hasOddImage(boundaryCondition) ? 'dirichlet' : 'neumann'}-neumann`,
+      values: { ...DEFAULT_BOUNDARY_VALUES, left: boundaryValues.left ?? 0 },
+      heat: DEFAULT_SOURCES,
+    };
+  }
+
+  const key = JSON.stringify([
+    initialConditionKey(initialCondition), L, alpha, boundaryCondition, scheme, gridSpacing, timeStep,
+    boundaryValues, sources, segments, equation, problem.barType,
+  ]);
+  let solver = stepperCache.get(key);
+  if (solver) {
+    // Re-insert to mark as most recently used
+    stepperCache.delete(key);
+  }
+  if (!solver || solver.time > time + 1e-9) {
+    solver = createFiniteDifferenceSolver({
+      f: createInitialCondition(problem),
+      L: domain.length,
+      alpha,
+      boundaryCondition: domain.ends,
+      scheme,
+      gridSpacing,
+      timeStep,
+      boundaryValues: domain.values,
+      sources: domain.heat,
+      segments,
+      equation,
+      origin: domain.origin,
+    });
+    if (stepperCache.size >= stepperCacheSize) {
+      stepperCache.delete(stepperCache.keys().next().value);
+    }
+  }
+  stepperCache.set(key, solver);
+
+  solver.advanceTo(time);
+  return solver;
+};
+
+/**
+ * Evaluate the solution u(x,t) of a problem at the given positions
+ *
+ * The infinite and semi-infinite bars require uniformly spaced positions
+ * (their FFT grid is built around them); time-stepped problems are
+ * interpolated linearly between their nodes.
+ *
+ * @param {object} problem - Problem description (see module header)
+ * @param {Float64Array} xs - Positions to evaluate the solution at
+ * @returns {Float64Array} - Temperatures u(xs[i], t)
+ */
+export const evaluateHeatEquation = (problem, xs) => {
+  const { barType, alpha, time, equation = DEFAULT_EQUATION } = problem;
+
+  // Choose solution method based on bar type
+  if (isTimeStepped(problem)) {
+    const solver = getFiniteDifferenceSolver(problem);
+    return interpolateLinear(solver.x, solver.u, xs);
+  }
+
+  const f = createInitialCondition(problem);
+  if (barType === 'infinite') {
+    // Advection moves the convolution with the flow, decay scales it
+    const { shift, factor } = kernelTransform(equation, time);
+    const u = solveInfiniteBar(f, shift === 0 ? xs : xs.map((x) => x - shift), time, alpha);
+    return factor === 1 ? u : u.map((value) => value * factor);
+  }
+  if (barType === 'semi-infinite') {
+    const { boundaryCondition, boundaryValues = DEFAULT_BOUNDARY_VALUES } = problem;
+    return solveSemiInfiniteBar(f, xs, time, alpha, boundaryCondition, boundaryValues.left ?? 0);
+  }
+
+  // At t=0 the initial condition is plotted exactly rather than through its truncated series
+  if (time > 0) {
+    return solveFiniteBar(getFourierModes(problem), xs, time, alpha);
+  }
+  return xs.map(f);
+};
+
+/**
+ * Sample the solution u(x,t) of a problem over [0, L]
+ *
+ * Analytic solutions are sampled on a uniform grid of numPoints; time-stepped
+ * bounded bars return their own finite-difference nodes, and the padded
+ * unbounded bars are interpolated onto the uniform grid.
+ *
+ * @param {object} problem - Problem description (see module header)
+ * @returns {{x: Float64Array, u: Float64Array}} - Grid positions and temperatures
+ */
+export const solveHeatEquation = (problem) => {
+  const { barType, L, numPoints } = problem;
+  if (isTimeStepped(problem) && !isUnbounded(barType)) {
+    const solver = getFiniteDifferenceSolver(problem);
+    // Copy so later steps don't mutate the returned frame
+    return { x: solver.x.slice(), u: solver.u.slice() };
+  }
+
+  const x = linspace(0, L, numPoints);
+  return { x, u: evaluateHeatEquation(problem, x) };
+};
@@ -0,0 +1,162 @@
+import { describe, expect, it } from 'vitest';
+import { trapezoid } from './grid.js';
+import { solveHeatEquation } from './heat_solver.js';
+
+// Shared problem parameters; each test picks the bar and initial condition
+const base = { L: 10, alpha: 0.5, numPoints: 201, numModes: 50, numIntPoints: 400 };
+
+describe('solveHeatEquation against closed forms', () => {
+  it('decays a single sine mode as exp(-α(nπ/L)²t) on a Dirichlet bar', () => {
+    const n = 3;
+    const k = n * Math.PI / base.L;
+    const problem = {
+      ...base, barType: 'finite', boundaryCondition: 'dirichlet', initialCondition: (x) => Math.sin(k * x),
+    };
+    for (const time of [0.1, 0.5, 2]) {
+      const { x, u } = solveHeatEquation({ ...problem, time });
+      const decay = Math.exp(-base.alpha * k * k * time);
+      x.forEach((position, i) => {
+        expect(u[i]).toBeCloseTo(decay * Math.sin(k * position), 6);
+      });
+    }
+  });
+
+  it.each(['finite', 'numerical'])('conserves total heat with insulated ends (%s bar)', (barType) => {
+    const problem = { ...base, barType, boundaryCondition: 'neumann', initialCondition: 'two-peaks' };
+    const initial = solveHeatEquation({ ...problem, time: 0 });
+    const energy = trapezoid(initial.x, initial.u);
+    for (const time of [0.5, 2, 10]) {
+      const { x, u } = solveHeatEquation({ ...problem, time });
+      expect(trapezoid(x, u)).toBeCloseTo(energy, 3);
+    }
+  });
+
+  it('turns a Gaussian into a Gaussian of variance σ² + 2αt on the infinite bar', () => {
+    const center = base.L / 2;
+    const variance = 0.25;
+    const problem = {
+      ...base,
+      barType: 'infinite',
+      initialCondition: (x) => Math.exp(-((x - center) ** 2) / (2 * variance)),
+    };
+    for (const time of [0.2, 1, 2]) {
+      const spread = variance + 2 * base.alpha * time;
+      const { x, u } = solveHeatEquation({ ...problem, time });
+      x.forEach((position, i) => {
+        const expected = Math.sqrt(variance / spread) * Math.exp(-((position - center) ** 2) / (2 * spread));
+        expect(u[i]).toBeCloseTo(expected, 4);
+      });
+    }
+  });
+});
+
+describe('non-homogeneous ends', () => {
+  // Long enough for the slowest mode to decay, with a coarse Δt so the stepper gets there quickly
+  const settled = { alpha: 2, timeStep: 0.05, time: 1000 };
+
+  it.each(['finite', 'numerical'])('settles on the linear steady state between fixed end temperatures (%s bar)', (barType) => {
+    const boundaryValues = { left: 2, right: -1 };
+    const { x, u } = solveHeatEquation({
+      ...base, ...settled, barType, boundaryCondition: 'dirichlet', boundaryValues, initialCondition: 'gaussian',
+    });
+    x.forEach((position, i) => {
+      expect(u[i]).toBeCloseTo(2 - 3 * position / base.L, 4);
+    });
+  });
+
+  it.each(['finite', 'numerical'])('settles on T₀ + g x with a fixed left end and a prescribed gradient (%s bar)', (barType) => {
+    const boundaryValues = { left: 1, right: 0.2 };
+    const { x, u } = solveHeatEquation({
+      ...base, ...settled, barType, boundaryCondition: 'mixed', boundaryValues, initialCondition: 'gaussian',
+    });
+    x.forEach((position, i) => {
+      expect(u[i]).toBeCloseTo(1 + 0.2 * position, 4);
+    });
+  });
+
+  it.each(['finite', 'numerical'])('takes in heat at the rate α (u\'(L) - u\'(0)) through prescribed gradients (%s bar)', (barType) => {
+    // u'(0) = 0.5 sin 2t and u'(L) = 0.3, so ∫u dx grows by α (0.3t - 0.25 (1 - cos 2t))
+    const problem = {
+      ...base,
+      barType,
+      boundaryCondition: 'neumann',
+      boundaryValues: { left: 0, right: 0.3, leftAmplitude: 0.5, frequency: 2 },
+      initialCondition: 'two-peaks',
+    };
+    const initial = solveHeatEquation({ ...problem, time: 0 });
+    const energy = trapezoid(initial.x, initial.u);
+    for (const time of [0.5, 2, 5]) {
+      const { x, u } = solveHeatEquation({ ...problem, time });
+      const inflow = base.alpha * (0.3 * time - 0.25 * (1 - Math.cos(2 * time)));
+      expect(trapezoid(x, u)).toBeCloseTo(energy + inflow, 3);
+    }
+  });
+});
+
+describe('createInitialCondition', () => {
+  it('keeps the unbounded bars finite for formulas undefined beyond [0, L]', () => {
+    for (const expression of ['sqrt(x)', 'log(x + 1)']) {
+      for (const barType of ['infinite', 'semi-infinite']) {
+        const { u } = solveHeatEquation({
+          ...base, barType, boundaryCondition: 'dirichlet', initialCondition: { expression }, time: 1,
+        });
+        expect(u.every(Number.isFinite)).toBe(true);
+      }
+    }
+  });
+});
+
+describe('sources', () => {
+  // Mean temperature over the bar
+  const mean = ({ x, u }) => trapezoid(x, u) / base.L;
+
+  it.each(['finite', 'numerical'])('relaxes the mean toward T_amb + q₀/β with insulated ends (%s bar)', (barType) => {
+    const sources = { generation: 0.4, lossRate: 0.5, ambient: 1 };
+    const problem = { ...base, barType, boundaryCondition: 'neumann', initialCondition: 'two-peaks', sources };
+    const initial = mean(solveHeatEquation({ ...problem, time: 0 }));
+    const limit = 1 + 0.4 / 0.5;
+    for (const time of [0.5, 2, 5]) {
+      const expected = limit + (initial - limit) * Math.exp(-0.5 * time);
+      expect(mean(solveHeatEquation({ ...problem, time }))).toBeCloseTo(expected, 3);
+    }
+  });
+
+  it.each(['finite', 'numerical'])('adds the power of a heater only while it is on (%s bar)', (barType) => {
+    const sources = { heaterPower: 2, heaterPosition: 0.5, heaterWidth: 0.3, heaterOn: 1, heaterOff: 3 };
+    const problem = { ...base, barType, boundaryCondition: 'neumann', initialCondition: 'gaussian', sources };
+    const initial = mean(solveHeatEquation({ ...problem, time: 0 }));
+    // The stepper switches the heater within one Δt of t_on and t_off
+    for (const [time, onFor] of [[0.5, 0], [2, 1], [5, 2]]) {
+      expect(mean(solveHeatEquation({ ...problem, time }))).toBeCloseTo(initial + 2 * onFor / base.L, 2);
+    }
+  });
+
+  it.each(['finite', 'numerical'])('adds the power of a moving source as it travels (%s bar)', (barType) => {
+    // Starts at the middle and moves 2.5 to the right by t = 5, well clear of the ends
+    const sources = { movingPower: 1, movingStart: 0.5, movingSpeed: 0.5, movingWidth: 0.2 };
+    const problem = { ...base, barType, boundaryCondition: 'neumann', initialCondition: 'gaussian', sources };
+    const initial = mean(solveHeatEquation({ ...problem, time: 0 }));
+    for (const time of [1, 5]) {
+      expect(mean(solveHeatEquation({ ...problem, time }))).toBeCloseTo(initial + time / base.L, 3);
+    }
+  });
+
+  it('settles on q₀ x (L - x) / 2α between ends held at zero', () => {
+    const { x, u } = solveHeatEquation({
+      ...base, barType: 'finite', boundaryCondition: 'dirichlet', initialCondition: 'gaussian',
+      sources: { generation: 0.1 }, alpha: 2, time: 1000,
+    });
+    x.forEach((position, i) => {
+      expect(u[i]).toBeCloseTo(0.1 * position * (base.L - position) / 4, 3);
+    });
+  });
+
+  it.each(['finite', 'numerical'])('rejects a source of zero width (%s bar)', (barType) => {
+    for (const sources of [{ movingPower: 1, movingWidth: 0 }, { heaterPower: 1, heaterWidth: 0 }]) {
+      const problem = {
+        ...base, barType, boundaryCondition: 'dirichlet', initialCondition: 'gaussian', sources, time: 1,
+      };
+      expect(() => solveHeatEquation(problem)).toThrow(/widths/);
+    }
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * History of the profiles drawn during a run, for the space–time views
+ *
+ * Every frame the plot draws is resampled onto HISTORY_POINTS evenly spaced
+ * positions on [0,L] and kept in time order, so the evolution u(x,t) can be
+ * shown as a kymograph or a surface. The history belongs to one problem setup
+ * (every parameter but the time) and starts over when the setup changes.
+ */
+
+import { interpolateLinear, linspace } from './grid.js';
+
+// Samples kept per frame across the bar
+export const HISTORY_POINTS = 200;
+
+// Frames kept before every other one is dropped
+const maxFrames = 400;
+
+// Frames closer together in time than this replace each other
+const timeTolerance = 1e-9;
+
+/**
+ * Create an empty history
+ *
+ * @returns {object} - History with its time-ordered `frames` ({ time, u }), sample positions `x`,
+ *                     and `record(setup, time, x, u, L)` / `subscribe(listener)` methods
+ */
+export const createHistory = () => {
+  const listeners = new Set();
+
+  const history = {
+    frames: [],
+    x: null,
+    setup: null,
+
+    /**
+     * Add the profile drawn at a time, replacing a frame already recorded at
+     * that time, and notify the subscribers
+     *
+     * @param {object} setup - Problem without its time; a different object clears the history
+     * @param {number} time - Time of the profile
+     * @param {Float64Array} x - Positions of the profile (increasing)
+     * @param {Float64Array} u - Temperatures of the profile
+     * @param {number} L - Length of the bar
+     */
+    record(setup, time, x, u, L) {
+      if (setup !== history.setup) {
+        history.setup = setup;
+        history.frames = [];
+        history.x = linspace(0, L, HISTORY_POINTS);
+      }
+
+      const frame = { time, u: interpolateLinear(x, u, history.x) };
+      const { frames } = history;
+      // Frames usually arrive in order, so search from the end
+      let index = frames.length;
+      while (index > 0 && frames[index - 1].time > time + timeTolerance) index--;
+      if (index > 0 && Math.abs(frames[index - 1].time - time) <= timeTolerance) {
+        frames[index - 1] = frame;
+      } else {
+        frames.splice(index, 0, frame);
+      }
+
+      // Thin long runs evenly, always keeping the latest frame
+      if (frames.length > maxFrames) {
+        history.frames = frames.filter((_, i) => i % 2 === 0 || i === frames.length - 1);
+      }
+
+      listeners.forEach((listener) => listener());
+    },
+
+    /**
+     * Call a function whenever a frame is recorded
+     *
+     * @param {() => void} listener - Called after each recorded frame
+     * @returns {() => void} - Unsubscribes the listener
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+
+  return history;
+};
+
+/**
+ * Recorded frame closest to a time
+ *
+ * @param {Array<{time: number, u: Float64Array}>} frames - Time-ordered frames
+ * @param {number} time - Time to look up
+ * @returns {number} - Index of the nearest frame, or -1 when there are none
+ */
+export const nearestFrame = (frames, time) => {
+  if (frames.length === 0) return -1;
+  let lo = 0;
+  let hi = frames.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (frames[mid].time <= time) lo = mid;
+    else hi = mid;
+  }
+  return Math.abs(frames[hi].time - time) < Math.abs(frames[lo].time - time) ? hi : lo;
+};
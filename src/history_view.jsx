@@ -0,0 +1,338 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { heatColor } from './colormap.js';
+import { nearestFrame } from './history.js';
+
+// Most time rows and x columns of the surface mesh
+const SURFACE_ROWS = 40;
+const SURFACE_COLUMNS = 40;
+
+// Height of the surface relative to the x and t sides of its base
+const SURFACE_HEIGHT = 0.6;
+
+/**
+ * Coldest and hottest recorded temperatures (the range always includes zero)
+ *
+ * @param {Array<{time: number, u: Float64Array}>} frames - Recorded frames
+ * @returns {{lo: number, hi: number}} - Color range
+ */
+const temperatureRange = (frames) => {
+  let lo = 0;
+  let hi = 0;
+  for (const { u } of frames) {
+    for (let i = 0; i < u.length; i++) {
+      if (!Number.isFinite(u[i])) continue;
+      lo = Math.min(lo, u[i]);
+      hi = Math.max(hi, u[i]);
+    }
+  }
+  return { lo, hi: hi > lo ? hi : lo + 1 };
+};
+
+/**
+ * Evenly spaced indices from 0 to count - 1, at most `limit` of them
+ *
+ * @param {number} count - Number of items
+ * @param {number} limit - Most indices to return
+ * @returns {Array<number>} - Increasing indices including the first and last
+ */
+const evenIndices = (count, limit) => {
+  const n = Math.min(count, limit);
+  return Array.from({ length: n }, (_, k) => (n > 1 ? Math.round(k * (count - 1) / (n - 1)) : 0));
+};
+
+/**
+ * Clear a canvas and write a centered message on it
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {string} message - Text to show
+ */
+const drawPlaceholder = (canvas, message) => {
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#1a1a1a';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#888';
+  ctx.font = '13px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillText(message, canvas.width / 2, canvas.height / 2);
+};
+
+/**
+ * Draw the x–t heatmap, time increasing downward, with a line at the current time
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {object} history - Recorded frames (see history.js)
+ * @param {number} time - Current time
+ * @returns {object | null} - Plot rectangle and time span, to map clicks to times
+ */
+const drawKymograph = (canvas, history, time) => {
+  const ctx = canvas.getContext('2d');
+  const { frames, x } = history;
+  if (frames.length < 2) {
+    drawPlaceholder(canvas, 'Play to record the evolution u(x,t)');
+    return null;
+  }
+
+  const width = canvas.width;
+  const height = canvas.height;
+  const padding = { left: 50, right: 20, top: 30, bottom: 35 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const tStart = frames[0].time;
+  const tEnd = frames[frames.length - 1].time;
+  const { lo, hi } = temperatureRange(frames);
+
+  ctx.fillStyle = '#1a1a1a';
+  ctx.fillRect(0, 0, width, height);
+
+  // One image row per time sample, filled from the nearest recorded frame
+  const rows = Math.max(2, Math.min(200, Math.round(plotHeight)));
+  const columns = x.length;
+  const image = ctx.createImageData(columns, rows);
+  for (let r = 0; r < rows; r++) {
+    const { u } = frames[nearestFrame(frames, tStart + r / (rows - 1) * (tEnd - tStart))];
+    for (let i = 0; i < columns; i++) {
+      const [red, green, blue] = heatColor((u[i] - lo) / (hi - lo));
+      const offset = (r * columns + i) * 4;
+      image.data[offset] = red;
+      image.data[offset + 1] = green;
+      image.data[offset + 2] = blue;
+      image.data[offset + 3] = 255;
+    }
+  }
+  const buffer = document.createElement('canvas');
+  buffer.width = columns;
+  buffer.height = rows;
+  buffer.getContext('2d').putImageData(image, 0, 0);
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(buffer, padding.left, padding.top, plotWidth, plotHeight);
+
+  // Current time cursor
+  const toScreenY = (t) => padding.top + (t - tStart) / (tEnd - tStart || 1) * plotHeight;
+  if (time >= tStart && time <= tEnd) {
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(padding.left, toScreenY(time));
+    ctx.lineTo(width - padding.right, toScreenY(time));
+    ctx.stroke();
+  }
+
+  // Axes and labels
+  ctx.strokeStyle = '#444';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(padding.left, padding.top, plotWidth, plotHeight);
+  ctx.fillStyle = '#fff';
+  ctx.font = '13px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillText('Position (x)', padding.left + plotWidth / 2, height - 10);
+  ctx.fillText('Space–time u(x,t)', padding.left + plotWidth / 2, padding.top - 10);
+  ctx.fillStyle = '#888';
+  ctx.font = '11px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.fillText(`t=${tStart.toFixed(1)}`, padding.left - 4, padding.top + 10);
+  ctx.fillText(`t=${tEnd.toFixed(1)}`, padding.left - 4, padding.top + plotHeight);
+
+  return { top: padding.top, plotHeight, tStart, tEnd };
+};
+
+/**
+ * Draw u(x,t) as a shaded surface over the (x, t) plane, far faces first,
+ * with the current profile traced in white
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {object} history - Recorded frames (see history.js)
+ * @param {number} time - Current time
+ * @param {{azimuth: number, elevation: number}} view - Rotation of the surface, in radians
+ */
+const drawSurface = (canvas, history, time, view) => {
+  const ctx = canvas.getContext('2d');
+  const { frames, x } = history;
+  if (frames.length < 2) {
+    drawPlaceholder(canvas, 'Drag to rotate once frames are recorded');
+    return;
+  }
+
+  const width = canvas.width;
+  const height = canvas.height;
+  const L = x[x.length - 1];
+  const tStart = frames[0].time;
+  const tSpan = frames[frames.length - 1].time - tStart || 1;
+  const { lo, hi } = temperatureRange(frames);
+  const cosA = Math.cos(view.azimuth);
+  const sinA = Math.sin(view.azimuth);
+  const cosE = Math.cos(view.elevation);
+  const sinE = Math.sin(view.elevation);
+  const scale = Math.min(width, height) * 0.9;
+
+  // Project a point of the unit box: X along x, Y along t, Z up
+  const project = (X, Y, Z) => {
+    const across = X * cosA - Y * sinA;
+    const along = X * sinA + Y * cosA;
+    return {
+      sx: width / 2 + across * scale,
+      sy: height / 2 + 30 - (Z * cosE + along * sinE) * scale,
+      depth: along * cosE - Z * sinE,
+    };
+  };
+  const point = (frame, i) => {
+    const value = frame.u[i];
+    const z = Number.isFinite(value) ? (value - lo) / (hi - lo) : 0;
+    return project(x[i] / L - 0.5, (frame.time - tStart) / tSpan - 0.5, z * SURFACE_HEIGHT);
+  };
+
+  ctx.fillStyle = '#1a1a1a';
+  ctx.fillRect(0, 0, width, height);
+
+  // Axes from the corner at x = 0, t = start, u = min
+  const origin = project(-0.5, -0.5, 0);
+  const axes = [
+    ['x', project(0.5, -0.5, 0)],
+    ['t', project(-0.5, 0.5, 0)],
+    ['u', project(-0.5, -0.5, SURFACE_HEIGHT)],
+  ];
+  ctx.strokeStyle = '#444';
+  ctx.lineWidth = 1.5;
+  ctx.fillStyle = '#888';
+  ctx.font = '12px sans-serif';
+  ctx.textAlign = 'center';
+  axes.forEach(([label, end]) => {
+    ctx.beginPath();
+    ctx.moveTo(origin.sx, origin.sy);
+    ctx.lineTo(end.sx, end.sy);
+    ctx.stroke();
+    ctx.fillText(label, end.sx + (end.sx - origin.sx) * 0.08, end.sy + (end.sy - origin.sy) * 0.08);
+  });
+
+  // Mesh of faces between sampled rows and columns, painted back to front
+  const rows = evenIndices(frames.length, SURFACE_ROWS);
+  const columns = evenIndices(x.length, SURFACE_COLUMNS);
+  const grid = rows.map((r) => columns.map((i) => point(frames[r], i)));
+  const faces = [];
+  for (let a = 0; a < rows.length - 1; a++) {
+    for (let b = 0; b < columns.length - 1; b++) {
+      const corners = [grid[a][b], grid[a][b + 1], grid[a + 1][b + 1], grid[a + 1][b]];
+      const mean = (frames[rows[a]].u[columns[b]] + frames[rows[a]].u[columns[b + 1]] +
+                    frames[rows[a + 1]].u[columns[b + 1]] + frames[rows[a + 1]].u[columns[b]]) / 4;
+      faces.push({ corners, depth: corners.reduce((sum, c) => sum + c.depth, 0) / 4, mean });
+    }
+  }
+  faces.sort((p, q) => q.depth - p.depth);
+  ctx.lineWidth = 0.5;
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+  for (const { corners, mean } of faces) {
+    const [r, g, b] = heatColor((mean - lo) / (hi - lo));
+    ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+    ctx.beginPath();
+    corners.forEach(({ sx, sy }, k) => (k === 0 ? ctx.moveTo(sx, sy) : ctx.lineTo(sx, sy)));
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  // Profile at the current time
+  const current = frames[nearestFrame(frames, time)];
+  ctx.strokeStyle = '#fff';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  for (let i = 0; i < x.length; i++) {
+    const { sx, sy } = point(current, i);
+    if (i === 0) ctx.moveTo(sx, sy);
+    else ctx.lineTo(sx, sy);
+  }
+  ctx.stroke();
+
+  ctx.fillStyle = '#fff';
+  ctx.font = '13px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillText('Surface u(x,t)', width / 2, 20);
+};
+
+/**
+ * HistoryView Component
+ *
+ * Space–time views of the profiles drawn so far: an x–t heatmap (kymograph)
+ * with time increasing downward, and a surface of u(x,t) rotated by dragging.
+ * Both mark the current time and redraw whenever the main plot records a
+ * frame. Clicking a row of the heatmap jumps to that time.
+ *
+ * @param {object} props
+ * @param {object} props.history - Recorded frames (see history.js)
+ * @param {number} props.time - Current simulation time
+ * @param {(time: number) => void} props.onTimeChange - Called with the time of a clicked row
+ */
+const HistoryView = ({ history, time, onTimeChange }) => {
+  const kymographRef = useRef(null); // Space–time heatmap canvas
+  const surfaceRef = useRef(null); // Surface canvas
+  const layoutRef = useRef(null); // Heatmap plot rectangle, to map clicks to times
+  const dragRef = useRef(null); // Pointer position of a rotation in progress
+  const [view, setView] = useState({ azimuth: -0.6, elevation: 0.5 }); // Surface rotation
+
+  /**
+   * Drawing effect - draws both views now and again after every recorded frame
+   */
+  useEffect(() => {
+    const draw = () => {
+      if (kymographRef.current) layoutRef.current = drawKymograph(kymographRef.current, history, time);
+      if (surfaceRef.current) drawSurface(surfaceRef.current, history, time, view);
+    };
+    draw();
+    return history.subscribe(draw);
+  }, [history, time, view]);
+
+  /**
+   * Heatmap click handler - jumps to the recorded frame nearest the clicked row
+   */
+  const handleKymographClick = (e) => {
+    const canvas = kymographRef.current;
+    const layout = layoutRef.current;
+    if (!canvas || !layout) return;
+    const rect = canvas.getBoundingClientRect();
+    const screenY = (e.clientY - rect.top) * canvas.height / rect.height;
+    const fraction = Math.min(1, Math.max(0, (screenY - layout.top) / layout.plotHeight));
+    const index = nearestFrame(history.frames, layout.tStart + fraction * (layout.tEnd - layout.tStart));
+    if (index >= 0) onTimeChange(history.frames[index].time);
+  };
+
+  return (
+    <div className="grid grid-cols-2 gap-2">
+      <canvas
+        ref={kymographRef}
+        width={500}
+        height={260}
+        className="w-full h-auto rounded"
+        style={{ cursor: 'pointer' }}
+        onClick={handleKymographClick}
+      />
+      <canvas
+        ref={surfaceRef}
+        width={500}
+        height={260}
+        className="w-full h-auto rounded"
+        style={{ cursor: 'grab', touchAction: 'none' }}
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture(e.pointerId);
+          dragRef.current = { x: e.clientX, y: e.clientY };
+        }}
+        onPointerMove={(e) => {
+          const drag = dragRef.current;
+          if (!drag) return;
+          const dx = e.clientX - drag.x;
+          const dy = e.clientY - drag.y;
+          dragRef.current = { x: e.clientX, y: e.clientY };
+          setView((current) => ({
+            azimuth: current.azimuth + dx * 0.01,
+            elevation: Math.min(1.5, Math.max(0.05, current.elevation + dy * 0.01)),
+          }));
+        }}
+        onPointerUp={() => {
+          dragRef.current = null;
+        }}
+        onPointerCancel={() => {
+          dragRef.current = null;
+        }}
+      />
+    </div>
+  );
+};
+
+export default HistoryView;
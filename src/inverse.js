@@ -0,0 +1,324 @@
+/**
+ * Inverse problem: fit the model to measured temperatures
+ *
+ * Measurements are (x, t, u) triples, e.g. thermocouple readings along a rod.
+ * For a trial diffusivity α the forward model (the Fourier series of the
+ * finite bar, or the convolution of the infinite bar or of the images of the
+ * semi-infinite one, see heat_solver.js)
+ * predicts u at every measured point. The solution is linear in the initial
+ * profile, so scaling it by an amplitude A gives
+ *   u = u₀ + A (u₁ - u₀)
+ * with u₁ the solution from f and u₀ the one from f = 0 (boundary data and
+ * sources only). The best A for a given α follows in closed form, and α is
+ * found by a log-spaced scan refined by golden-section search on the sum of
+ * squared residuals. When the boundary condition is fitted too, every
+ * candidate is fitted in turn and the best one kept.
+ *
+ * The confidence estimate linearizes the model at the optimum: with the
+ * Jacobian J of the predictions and the residual variance s² = SSR/(n - p),
+ * the parameter covariance is s²(JᵀJ)⁻¹, and the 95% interval is ±1.96
+ * standard errors.
+ */
+
+import {
+  createInitialCondition,
+  getFourierModes,
+  isUnbounded,
+  solveFiniteBar,
+  solveInfiniteBar,
+  solveSemiInfiniteBar,
+} from './heat_solver.js';
+import { DEFAULT_BOUNDARY_VALUES } from './boundary.js';
+import { interpolateLinear, linspace } from './grid.js';
+
+// Range of the scan of α, as a factor either side of the starting value
+const searchSpan = 1e3;
+
+// Trial values of α in the scan
+const scanPoints = 41;
+
+// Golden-section steps refining the best scanned α
+const refineIterations = 40;
+
+// Forward solves of one fit of α: the scan, the two golden-section starts, the refinement and the optimum
+const evaluationsPerFit = scanPoints + 2 + refineIterations + 1;
+
+// Two-sided 95% quantile of the normal distribution
+const z95 = 1.96;
+
+// Column names accepted in a CSV header, by column
+const COLUMN_NAMES = {
+  x: ['x', 'position'],
+  t: ['t', 'time'],
+  u: ['u', 'temperature'],
+};
+
+/**
+ * Read measurements from CSV text
+ *
+ * Rows hold x, t and u separated by commas, semicolons, tabs or spaces, in
+ * that order unless a header names the columns (e.g. 't,x,u' as written by the
+ * CSV export, units in parentheses allowed). Lines starting with '#' are skipped.
+ *
+ * @param {string} text - CSV text
+ * @returns {{x: Float64Array, t: Float64Array, u: Float64Array}} - Measurements
+ */
+export const parseMeasurementCsv = (text) => {
+  let columns = { x: 0, t: 1, u: 2 };
+  let header = true;
+  const rows = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const content = line.replace(/#.*$/, '').trim();
+    if (!content) return;
+    // Delimited by commas, semicolons or tabs, or else by runs of spaces
+    const cells = /[,;\t]/.test(content) ? content.split(/\s*[,;\t]\s*/) : content.split(/\s+/);
+
+    // The first row is a header when it is not numeric
+    if (header) {
+      header = false;
+      if (cells.some((cell) => !Number.isFinite(Number(cell)))) {
+        const names = cells.map((cell) => cell.toLowerCase().match(/^[a-z]*/)[0]);
+        columns = {};
+        for (const [column, aliases] of Object.entries(COLUMN_NAMES)) {
+          const position = names.findIndex((name) => aliases.includes(name));
+          if (position < 0) throw new Error('The header needs columns x, t and u');
+          columns[column] = position;
+        }
+        return;
+      }
+    }
+
+    const [x, t, u] = ['x', 't', 'u'].map((column) => Number(cells[columns[column]]));
+    if (![x, t, u].every(Number.isFinite)) throw new Error(`Line ${index + 1}: expected numbers for x, t and u`);
+    if (t < 0) throw new Error(`Line ${index + 1}: time must not be negative`);
+    rows.push([x, t, u]);
+  });
+
+  if (rows.length === 0) throw new Error('No measurements found');
+  return {
+    x: Float64Array.from(rows, (row) => row[0]),
+    t: Float64Array.from(rows, (row) => row[1]),
+    u: Float64Array.from(rows, (row) => row[2]),
+  };
+};
+
+/**
+ * Measurements taken at the recorded time nearest a given time
+ *
+ * @param {{x: Float64Array, t: Float64Array, u: Float64Array}} data - Measurements
+ * @param {number} time - Time to match
+ * @returns {{time: number, indices: Array<number>}} - Nearest measured time, and the measurements taken then
+ */
+export const nearestMeasurements = (data, time) => {
+  let nearest = data.t[0];
+  for (const t of data.t) {
+    if (Math.abs(t - time) < Math.abs(nearest - time)) nearest = t;
+  }
+  const indices = [];
+  data.t.forEach((t, i) => {
+    if (t === nearest) indices.push(i);
+  });
+  return { time: nearest, indices };
+};
+
+/**
+ * Forward model at the measured points for one problem
+ *
+ * @param {object} problem - Problem description (see heat_solver.js)
+ * @param {{x: Float64Array, t: Float64Array}} data - Measurement positions and times
+ * @returns {(alpha: number) => {base: Float64Array, response: Float64Array}} - u₀ and u₁ - u₀ at
+ *          every measurement for a diffusivity α
+ */
+const createForwardModel = (problem, data) => {
+  const n = data.x.length;
+  const groups = new Map();
+  data.t.forEach((t, i) => {
+    if (!groups.has(t)) groups.set(t, []);
+    groups.get(t).push(i);
+  });
+
+  // The unbounded bars are solved on a uniform grid covering the bar and the measurements
+  const infinite = problem.barType === 'infinite';
+  const semiInfinite = problem.barType === 'semi-infinite';
+  const grid = infinite || semiInfinite
+    ? linspace(infinite ? Math.min(0, ...data.x) : 0, Math.max(problem.L, ...data.x), problem.numPoints)
+    : null;
+  const endValue = (problem.boundaryValues ?? DEFAULT_BOUNDARY_VALUES).left;
+
+  // Predictions for one initial condition (the Fourier modes do not depend on α)
+  const predictor = (modelProblem) => {
+    const f = createInitialCondition(modelProblem);
+    const modes = grid ? null : getFourierModes(modelProblem);
+    const solveOnGrid = (t, alpha) => (infinite
+      ? solveInfiniteBar(f, grid, t, alpha)
+      : solveSemiInfiniteBar(f, grid, t, alpha, modelProblem.boundaryCondition, endValue));
+    return (alpha) => {
+      const values = new Float64Array(n);
+      for (const [t, indices] of groups) {
+        const xs = Float64Array.from(indices, (i) => data.x[i]);
+        let u;
+        if (t === 0) u = xs.map(f);
+        else if (grid) u = interpolateLinear(grid, solveOnGrid(t, alpha), xs);
+        else u = solveFiniteBar(modes, xs, t, alpha);
+        indices.forEach((i, k) => {
+          values[i] = u[k];
+        });
+      }
+      return values;
+    };
+  };
+
+  const full = predictor(problem);
+  // Without ends or sources (the infinite bar) f = 0 stays 0
+  const zero = infinite ? null : predictor({ ...problem, initialCondition: { expression: '0' } });
+  return (alpha) => {
+    const base = zero ? zero(alpha) : new Float64Array(n);
+    const response = full(alpha).map((value, i) => value - base[i]);
+    return { base, response };
+  };
+};
+
+/**
+ * Fit α (and optionally A) for one boundary condition
+ *
+ * @param {object} problem - Problem description, with the starting α
+ * @param {{x: Float64Array, t: Float64Array, u: Float64Array}} data - Measurements
+ * @param {boolean} fitAmplitude - Whether the initial amplitude A is fitted
+ * @param {() => void} onEvaluate - Called after each forward solve (evaluationsPerFit in all)
+ * @returns {object} - Best α and A, the model, the predictions and the sum of squared residuals
+ */
+const fitDiffusivity = (problem, data, fitAmplitude, onEvaluate) => {
+  const model = createForwardModel(problem, data);
+
+  const evaluate = (alpha) => {
+    onEvaluate();
+    const { base, response } = model(alpha);
+    let amplitude = 1;
+    if (fitAmplitude) {
+      let numerator = 0;
+      let denominator = 0;
+      for (let i = 0; i < base.length; i++) {
+        numerator += (data.u[i] - base[i]) * response[i];
+        denominator += response[i] * response[i];
+      }
+      if (denominator > 0) amplitude = numerator / denominator;
+    }
+    const predicted = base.map((value, i) => value + amplitude * response[i]);
+    const sse = predicted.reduce((sum, value, i) => sum + (data.u[i] - value) ** 2, 0);
+    return { alpha, amplitude, predicted, response, sse: Number.isFinite(sse) ? sse : Infinity };
+  };
+
+  // Coarse scan in log α, then golden-section search between the neighbors of the best value
+  const logStart = Math.log(problem.alpha);
+  const logSpan = Math.log(searchSpan);
+  const trials = Array.from({ length: scanPoints }, (_, k) =>
+    logStart - logSpan + 2 * logSpan * k / (scanPoints - 1));
+  const scores = trials.map((logAlpha) => evaluate(Math.exp(logAlpha)).sse);
+  const best = scores.indexOf(Math.min(...scores));
+  let lo = trials[Math.max(0, best - 1)];
+  let hi = trials[Math.min(scanPoints - 1, best + 1)];
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = hi - ratio * (hi - lo);
+  let b = lo + ratio * (hi - lo);
+  let scoreA = evaluate(Math.exp(a)).sse;
+  let scoreB = evaluate(Math.exp(b)).sse;
+  for (let k = 0; k < refineIterations; k++) {
+    if (scoreA < scoreB) {
+      hi = b;
+      b = a;
+      scoreB = scoreA;
+      a = hi - ratio * (hi - lo);
+      scoreA = evaluate(Math.exp(a)).sse;
+    } else {
+      lo = a;
+      a = b;
+      scoreA = scoreB;
+      b = lo + ratio * (hi - lo);
+      scoreB = evaluate(Math.exp(b)).sse;
+    }
+  }
+  return { ...evaluate(Math.exp((lo + hi) / 2)), model };
+};
+
+/**
+ * Fit the model to measurements by least squares
+ *
+ * @param {object} problem - Problem description (see heat_solver.js); its α is the starting value and
+ *        any bar other than the infinite and semi-infinite ones is modeled by the finite-bar series
+ * @param {{x: Float64Array, t: Float64Array, u: Float64Array}} data - Measurements, u in profile units
+ * @param {object} options
+ * @param {Array<string>} options.boundaryConditions - Candidate boundary conditions (one to keep it fixed)
+ * @param {boolean} options.fitAmplitude - Whether the initial amplitude A is fitted
+ * @param {(fraction: number) => void} [options.onProgress] - Called with the fraction of the fit done
+ * @returns {object} - Fitted alpha, amplitude and boundaryCondition; predicted values and residuals per
+ *          measurement; rmse and rSquared; standardError and confidence (95% half-widths) of alpha
+ *          and amplitude; and the rmse of every candidate boundary condition
+ */
+export const fitMeasurements = (problem, data, { boundaryConditions, fitAmplitude, onProgress = null }) => {
+  const n = data.u.length;
+  const parameters = fitAmplitude ? 2 : 1;
+  if (n <= parameters) throw new Error(`Need more than ${parameters} measurements`);
+  if (!data.t.some((t) => t > 0)) throw new Error('Need measurements after t = 0');
+  if (problem.barType !== 'infinite' && data.x.some((x) => x < 0)) throw new Error('Measurements must have x ≥ 0');
+  if (!isUnbounded(problem.barType) && data.x.some((x) => x > problem.L)) {
+    throw new Error(`Measurements must lie on the bar, 0 ≤ x ≤ ${problem.L}`);
+  }
+
+  const modelProblem = { ...problem, barType: isUnbounded(problem.barType) ? problem.barType : 'finite' };
+  const candidateConditions = modelProblem.barType === 'infinite' ? [problem.boundaryCondition] : boundaryConditions;
+  let evaluations = 0;
+  const onEvaluate = () => {
+    evaluations += 1;
+    onProgress?.(Math.min(1, evaluations / (candidateConditions.length * evaluationsPerFit)));
+  };
+  const candidates = candidateConditions.map((boundaryCondition) => ({
+    boundaryCondition,
+    ...fitDiffusivity({ ...modelProblem, boundaryCondition }, data, fitAmplitude, onEvaluate),
+  }));
+  const fit = candidates.reduce((best, candidate) => (candidate.sse < best.sse ? candidate : best));
+  const { alpha, amplitude, predicted, response, sse, model } = fit;
+
+  // Sensitivity of the predictions to α by central differences (A enters linearly)
+  const h = alpha * 1e-4;
+  const shifted = (delta) => {
+    const { base, response: r } = model(alpha + delta);
+    return base.map((value, i) => value + amplitude * r[i]);
+  };
+  const up = shifted(h);
+  const down = shifted(-h);
+  const dAlpha = up.map((value, i) => (value - down[i]) / (2 * h));
+
+  // Normal matrix JᵀJ and its inverse (1×1 or 2×2)
+  const dot = (p, q) => p.reduce((sum, value, i) => sum + value * q[i], 0);
+  const variance = n > parameters ? sse / (n - parameters) : NaN;
+  const standardError = { alpha: NaN, amplitude: NaN };
+  if (fitAmplitude) {
+    const aa = dot(dAlpha, dAlpha);
+    const ab = dot(dAlpha, response);
+    const bb = dot(response, response);
+    const determinant = aa * bb - ab * ab;
+    standardError.alpha = Math.sqrt(variance * bb / determinant);
+    standardError.amplitude = Math.sqrt(variance * aa / determinant);
+  } else {
+    standardError.alpha = Math.sqrt(variance / dot(dAlpha, dAlpha));
+  }
+
+  const mean = data.u.reduce((sum, value) => sum + value, 0) / n;
+  const total = data.u.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+  return {
+    alpha,
+    amplitude,
+    boundaryCondition: fit.boundaryCondition,
+    predicted,
+    residuals: data.u.map((value, i) => value - predicted[i]),
+    rmse: Math.sqrt(sse / n),
+    rSquared: total > 0 ? 1 - sse / total : NaN,
+    standardError,
+    confidence: { alpha: z95 * standardError.alpha, amplitude: z95 * standardError.amplitude },
+    candidates: candidates.map(({ boundaryCondition, sse: candidateSse }) => ({
+      boundaryCondition,
+      rmse: Math.sqrt(candidateSse / n),
+    })),
+  };
+};
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { isFitCancelled, startFit } from './fit_client.js';
+import { solveHeatEquation } from './heat_solver.js';
+import { interpolateLinear } from './grid.js';
+import { fitMeasurements } from './inverse.js';
+
+const problem = {
+  barType: 'finite', L: 10, alpha: 0.1, initialCondition: 'gaussian', boundaryCondition: 'dirichlet',
+  numPoints: 201, numModes: 50, numIntPoints: 200,
+};
+
+// Synthetic readings of the bar with α = 0.3 at three probes and three times
+const measure = (alpha) => {
+  const x = [];
+  const t = [];
+  const u = [];
+  for (const time of [1, 2, 4]) {
+    const solution = solveHeatEquation({ ...problem, alpha, time });
+    const probes = Float64Array.of(3, 5, 7);
+    interpolateLinear(solution.x, solution.u, probes).forEach((value, i) => {
+      x.push(probes[i]);
+      t.push(time);
+      u.push(value);
+    });
+  }
+  return { x: Float64Array.from(x), t: Float64Array.from(t), u: Float64Array.from(u) };
+};
+
+describe('fitMeasurements', () => {
+  it('recovers α from noise-free readings and reports its progress', () => {
+    const progress = [];
+    const fit = fitMeasurements(problem, measure(0.3), {
+      boundaryConditions: ['dirichlet'], fitAmplitude: false, onProgress: (fraction) => progress.push(fraction),
+    });
+    expect(fit.alpha).toBeCloseTo(0.3, 3);
+    expect(progress.at(-1)).toBe(1);
+    expect(progress.every((fraction, i) => i === 0 || fraction >= progress[i - 1])).toBe(true);
+  });
+
+  it('rejects measurements off a bounded bar', () => {
+    const data = measure(0.3);
+    data.x[0] = 12;
+    expect(() => fitMeasurements(problem, data, { boundaryConditions: ['dirichlet'], fitAmplitude: false }))
+      .toThrow(/lie on the bar/);
+  });
+});
+
+describe('startFit', () => {
+  it('rejects a cancelled fit with a cancellation', async () => {
+    const job = startFit(problem, measure(0.3), { boundaryConditions: ['dirichlet'], fitAmplitude: false }, () => {});
+    job.cancel();
+    const error = await job.result.catch((reason) => reason);
+    expect(isFitCancelled(error)).toBe(true);
+    expect(isFitCancelled(new Error('No measurements'))).toBe(false);
+  });
+});
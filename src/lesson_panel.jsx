@@ -0,0 +1,93 @@
+import React, { useRef, useState } from 'react';
+import { BUILT_IN_LESSONS, loadLesson, parseLesson } from './lessons.js';
+
+const BUTTON_CLASS = 'bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white px-2 py-1 rounded text-xs';
+
+/**
+ * LessonPanel Component
+ *
+ * Guided walkthroughs (see lessons.js): starts a built-in lesson or one loaded
+ * from a JSON file, shows the current step's explanation, and moves between
+ * steps. Each step applies its setup, plays to its time if it has one, and
+ * shows its callout on the plot. Files that are not valid lessons are reported
+ * on the status line.
+ *
+ * @param {object} props
+ * @param {object|null} props.lesson - Running lesson (see loadLesson), or null
+ * @param {number} props.step - Index of the current step
+ * @param {(lesson: object) => void} props.onStart - Called with a loaded lesson to start at its first step
+ * @param {(step: number) => void} props.onStep - Called to go to (or replay) a step
+ * @param {() => void} props.onEnd - Called to leave the lesson
+ */
+const LessonPanel = ({ lesson, step, onStart, onStep, onEnd }) => {
+  const fileRef = useRef(null);
+  const [status, setStatus] = useState(null); // Last message, { message, error }
+
+  /**
+   * Import handler - reads a lesson file and starts it
+   */
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onStart(parseLesson(await file.text()));
+      setStatus(null);
+    } catch (error) {
+      setStatus({ message: `Could not load ${file.name}: ${error.message}`, error: true });
+    }
+  };
+
+  const current = lesson ? lesson.steps[step] : null;
+
+  return (
+    <div className="space-y-2">
+      <label className="text-white block text-sm">Lesson:</label>
+      <div className="flex gap-2">
+        <select
+          value=""
+          onChange={(e) => {
+            onStart(loadLesson(BUILT_IN_LESSONS[e.target.value]));
+            setStatus(null);
+          }}
+          aria-label="Built-in lessons"
+          className="flex-1 min-w-0 bg-gray-700 text-white px-2 py-1 rounded text-xs"
+        >
+          <option value="">Start a lesson…</option>
+          {Object.entries(BUILT_IN_LESSONS).map(([key, { title }]) => (
+            <option key={key} value={key}>{title}</option>
+          ))}
+        </select>
+        <button onClick={() => fileRef.current.click()} className={BUTTON_CLASS}>Load file</button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          aria-label="Import lesson file"
+          className="hidden"
+        />
+      </div>
+      {status && (
+        <p className={`text-xs ${status.error ? 'text-red-400' : 'text-gray-400'}`}>{status.message}</p>
+      )}
+      {current && (
+        <div className="bg-gray-900 rounded p-2 space-y-2">
+          <p className="text-gray-400 text-xs">{lesson.title} · step {step + 1} of {lesson.steps.length}</p>
+          <p className="text-white text-sm font-semibold">{current.title}</p>
+          <p className="text-gray-300 text-xs">{current.text}</p>
+          <div className="flex gap-2">
+            <button onClick={() => onStep(step - 1)} disabled={step === 0} className={BUTTON_CLASS}>Previous</button>
+            <button onClick={() => onStep(step)} className={BUTTON_CLASS}>Replay</button>
+            <button onClick={() => onStep(step + 1)} disabled={step === lesson.steps.length - 1} className={BUTTON_CLASS}>
+              Next
+            </button>
+            <button onClick={onEnd} className={BUTTON_CLASS}>End</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LessonPanel;
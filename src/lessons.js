@@ -0,0 +1,224 @@
+/**
+ * Guided lessons: scripted walkthroughs for lectures
+ *
+ * A lesson is plain JSON, so lecturers can write their own and load them from
+ * a file:
+ * {
+ *   title: string,
+ *   steps: [{
+ *     title: string,
+ *     text: string,               // Explanation shown in the lesson panel
+ *     set?: object,               // Scenario fields to change (see scenario.js), e.g. barType,
+ *                                 // boundaryCondition, initialCondition, alpha, time, playback
+ *     playTo?: number,            // Play from the step's time up to this time
+ *     callout?: {                 // Note drawn on the plot, pointing at (x, u)
+ *       text: string,             // One or more lines ('\n'), e.g. a formula
+ *       x: number,
+ *       u?: number,               // The solution at x when omitted
+ *     },
+ *   }],
+ * }
+ *
+ * Steps build on each other: the first changes the default scenario, every
+ * later one the scenario of the step before, which has reached the time it
+ * played to. Object fields such as boundaryValues or playback are merged, so a
+ * step only names what it changes. Every step's scenario is worked out and
+ * validated when the lesson is loaded, so going back and forth replays the
+ * same setups and a broken file is reported at once.
+ */
+
+import { CUSTOM_MATERIAL } from './materials.js';
+import { MAX_STOP_TIME } from './playback.js';
+import { validateScenario, DEFAULT_SCENARIO } from './scenario.js';
+
+// Lessons offered in the panel, by key
+export const BUILT_IN_LESSONS = {
+  'kernel-spreading': {
+    title: 'Heat kernel spreading',
+    steps: [
+      {
+        title: 'A concentrated hot spot',
+        text: 'An infinite bar starts with a narrow bump of heat in the middle. Its temperature at any later time ' +
+          'is the convolution of this profile with the heat kernel G(x,t).',
+        set: { barType: 'infinite', initialCondition: 'gaussian', material: CUSTOM_MATERIAL, alpha: 0.5, time: 0 },
+        callout: { text: 'f(x) = exp(-(x - L/2)² / 0.5)', x: 5 },
+      },
+      {
+        title: 'The bump spreads',
+        text: 'The kernel is a Gaussian whose variance grows like 2αt, so every feature widens while the area ' +
+          'under the curve (the heat) stays the same.',
+        playTo: 2,
+        callout: { text: 'G(x,t) = exp(-x² / 4αt) / √(4παt)\nσ²(t) = σ²(0) + 2αt', x: 5 },
+      },
+      {
+        title: 'Slower and slower',
+        text: 'The width grows like √t and the peak falls like 1/√t: diffusion is fast over short distances ' +
+          'and slow over long ones.',
+        playTo: 10,
+        callout: { text: 'width ∝ √(αt), peak ∝ 1/√(αt)', x: 5 },
+      },
+      {
+        title: 'Only αt matters',
+        text: 'With a fifth of the diffusivity the bar needs five times longer to reach the same profile.',
+        set: { alpha: 0.1, time: 0 },
+        playTo: 10,
+        callout: { text: 'α = 0.1: at t = 10 the spread of α = 0.5 at t = 2', x: 5 },
+      },
+    ],
+  },
+  'dirichlet-neumann': {
+    title: 'Dirichlet vs Neumann ends',
+    steps: [
+      {
+        title: 'Ends held at zero',
+        text: 'A finite bar with a hot spot in the middle. Dirichlet ends are held at a fixed temperature, here zero.',
+        set: {
+          barType: 'finite', initialCondition: 'gaussian', boundaryCondition: 'dirichlet', material: CUSTOM_MATERIAL,
+          alpha: 0.5, time: 0, boundaryValues: { left: 0, right: 0, leftAmplitude: 0, rightAmplitude: 0 },
+        },
+        callout: { text: 'u(0,t) = 0', x: 0, u: 0 },
+      },
+      {
+        title: 'Heat escapes',
+        text: 'Heat flows out through the ends. The higher modes die first, leaving the first sine mode, ' +
+          'which decays toward the zero steady state.',
+        playTo: 15,
+        callout: { text: 'u ≈ c₁ exp(-απ²t/L²) sin(πx/L)', x: 5 },
+      },
+      {
+        title: 'Insulated ends',
+        text: 'Neumann ends prescribe the gradient instead. A zero gradient means no heat crosses the end.',
+        set: { boundaryCondition: 'neumann', time: 0 },
+        callout: { text: '∂u/∂x(0,t) = 0', x: 0 },
+      },
+      {
+        title: 'Heat is conserved',
+        text: 'No heat leaves, so the area under the curve is constant and the bar evens out at the mean ' +
+          'of the initial temperature.',
+        playTo: 15,
+        callout: { text: 'u → (1/L) ∫₀ᴸ f(x) dx', x: 5 },
+      },
+    ],
+  },
+  gibbs: {
+    title: 'Gibbs ringing',
+    steps: [
+      {
+        title: 'A few modes',
+        text: 'The finite bar is solved by a sum of N sine modes. A pulse with sharp edges needs many of them; ' +
+          'with N = 5 the sum is only a rough bump.',
+        set: {
+          barType: 'finite', initialCondition: 'step', boundaryCondition: 'dirichlet', material: CUSTOM_MATERIAL,
+          alpha: 0.1, numModes: 5, time: 0.001,
+        },
+        callout: { text: 'N = 5', x: 5 },
+      },
+      {
+        title: 'More modes, same overshoot',
+        text: 'With more modes the sum hugs the pulse, but it still overshoots next to each jump.',
+        set: { numModes: 25 },
+        callout: { text: 'N = 25: overshoot ≈ 9% of the jump', x: 4.1 },
+      },
+      {
+        title: 'The Gibbs phenomenon',
+        text: 'The ripples get narrower as N grows, yet their height does not shrink: a truncated Fourier ' +
+          'series always rings near a discontinuity.',
+        set: { numModes: 100 },
+        callout: { text: 'N = 100: still ≈ 9%', x: 4.02 },
+      },
+      {
+        title: 'Diffusion smooths it out',
+        text: 'Mode n decays like exp(-α(nπ/L)²t), so the short waves that make up the ringing vanish first ' +
+          'and the profile turns smooth.',
+        playTo: 1,
+        callout: { text: 'cₙ(t) = cₙ(0) exp(-α(nπ/L)²t)', x: 4 },
+      },
+    ],
+  },
+};
+
+/**
+ * Merge changed fields into a scenario, one level deep for object fields
+ *
+ * @param {object} scenario - Complete scenario
+ * @param {object} changes - Fields to change
+ * @returns {object} - Merged scenario (not validated)
+ */
+const mergeScenario = (scenario, changes) => {
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+  const merged = { ...scenario };
+  for (const [key, value] of Object.entries(changes)) {
+    merged[key] = isObject(scenario[key]) && isObject(value) ? { ...scenario[key], ...value } : value;
+  }
+  return merged;
+};
+
+/**
+ * Check a lesson and work out the scenario of every step
+ *
+ * @param {*} data - Parsed lesson JSON (see module header)
+ * @returns {{title: string, steps: Array<object>, scenarios: Array<object>}} - The lesson with the
+ *          complete scenario each step applies (playback stopping at its playTo)
+ * @throws {Error} - Describing the first problem found, with the step number
+ */
+export const loadLesson = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Not a lesson');
+  if (typeof data.title !== 'string' || !data.title.trim()) throw new Error('The lesson needs a title');
+  if (!Array.isArray(data.steps) || data.steps.length === 0) throw new Error('The lesson needs at least one step');
+
+  const scenarios = [];
+  let base = DEFAULT_SCENARIO;
+  data.steps.forEach((step, index) => {
+    const where = `Step ${index + 1}`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) throw new Error(`${where} is not an object`);
+    if (typeof step.title !== 'string' || typeof step.text !== 'string') {
+      throw new Error(`${where} needs a title and a text`);
+    }
+    const set = step.set ?? {};
+    if (typeof set !== 'object' || Array.isArray(set)) throw new Error(`${where}: set must be an object`);
+    const unknown = Object.keys(set).find((key) => key === 'version' || !Object.hasOwn(DEFAULT_SCENARIO, key));
+    if (unknown) throw new Error(`${where}: unknown scenario field '${unknown}'`);
+    if (step.callout !== undefined) {
+      const { callout } = step;
+      if (!callout || typeof callout.text !== 'string' || !Number.isFinite(callout.x) ||
+          (callout.u !== undefined && !Number.isFinite(callout.u))) {
+        throw new Error(`${where}: a callout needs a text and a finite x (and u)`);
+      }
+    }
+
+    let scenario;
+    try {
+      scenario = validateScenario(mergeScenario(base, set));
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+    if (step.playTo !== undefined) {
+      if (!Number.isFinite(step.playTo) || step.playTo <= scenario.time || step.playTo > MAX_STOP_TIME) {
+        throw new Error(`${where}: playTo must be after the step's time t = ${scenario.time} and at most ${MAX_STOP_TIME}`);
+      }
+      scenario = { ...scenario, playback: { ...scenario.playback, stopTime: step.playTo } };
+    }
+    scenarios.push(scenario);
+    // The next step starts where this one stopped playing
+    base = step.playTo !== undefined ? { ...scenario, time: step.playTo } : scenario;
+  });
+
+  return { title: data.title, steps: data.steps, scenarios };
+};
+
+/**
+ * Read a lesson file
+ *
+ * @param {string} text - JSON text of a lesson
+ * @returns {object} - Loaded lesson (see loadLesson)
+ * @throws {Error} - If the text is not JSON or not a valid lesson
+ */
+export const parseLesson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  return loadLesson(data);
+};
@@ -0,0 +1,50 @@
+/**
+ * Catalog of real materials
+ *
+ * Each material has its density ρ (kg/m³), specific heat c (J/(kg·K)) and
+ * thermal conductivity k (W/(m·K)) near room temperature, from which the
+ * diffusivity α = k/(ρc) in m²/s follows. Picking a material sets α in the
+ * chosen units (see units.js).
+ */
+
+import { diffusivityFromSI } from './units.js';
+
+// Materials by key, with typical room-temperature properties
+export const MATERIALS = {
+  copper: { name: 'Copper', density: 8960, specificHeat: 385, conductivity: 401 },
+  aluminium: { name: 'Aluminium', density: 2700, specificHeat: 897, conductivity: 237 },
+  brass: { name: 'Brass', density: 8530, specificHeat: 380, conductivity: 109 },
+  iron: { name: 'Iron', density: 7874, specificHeat: 449, conductivity: 80 },
+  steel: { name: 'Carbon steel', density: 7850, specificHeat: 490, conductivity: 45 },
+  stainless: { name: 'Stainless steel', density: 8000, specificHeat: 500, conductivity: 16 },
+  granite: { name: 'Granite', density: 2700, specificHeat: 790, conductivity: 2.8 },
+  concrete: { name: 'Concrete', density: 2300, specificHeat: 880, conductivity: 1.4 },
+  glass: { name: 'Glass', density: 2500, specificHeat: 840, conductivity: 1.0 },
+  brick: { name: 'Brick', density: 1900, specificHeat: 840, conductivity: 0.7 },
+  water: { name: 'Water', density: 1000, specificHeat: 4186, conductivity: 0.6 },
+  wood: { name: 'Wood (oak)', density: 750, specificHeat: 2000, conductivity: 0.17 },
+  air: { name: 'Air', density: 1.2, specificHeat: 1005, conductivity: 0.026 },
+};
+
+// Material choice meaning "α set by hand"
+export const CUSTOM_MATERIAL = 'custom';
+
+/**
+ * Diffusivity α = k/(ρc) of a material
+ *
+ * @param {object} material - Material (see MATERIALS)
+ * @returns {number} - α in m²/s
+ */
+export const materialDiffusivity = ({ density, specificHeat, conductivity }) =>
+  conductivity / (density * specificHeat);
+
+/**
+ * Diffusivity in use: the material's in the chosen units, or the hand-set value
+ *
+ * @param {string} material - Key in MATERIALS, or CUSTOM_MATERIAL
+ * @param {number} customAlpha - Diffusivity set by hand, in length²/time
+ * @param {object} units - Units (see units.js)
+ * @returns {number} - α in length²/time
+ */
+export const effectiveDiffusivity = (material, customAlpha, units) =>
+  material === CUSTOM_MATERIAL ? customAlpha : diffusivityFromSI(materialDiffusivity(MATERIALS[material]), units);
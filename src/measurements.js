@@ -0,0 +1,120 @@
+/**
+ * Quantities measured on a sampled profile u(x) and at probe points
+ *
+ * - thermal energy E = ∫u dx, constant for insulated (Neumann) ends without sources
+ * - boundary heat flux q = -k ∂u/∂x at each end (positive toward +x)
+ * - peak location, and the mean and variance of u taken as a distribution:
+ *     x̄ = ∫x u dx / ∫u dx,  σ² = ∫(x - x̄)² u dx / ∫u dx
+ *   On the infinite bar the heat kernel adds 2αt to the variance, so
+ *   σ²(t) - σ²(0) = 2αt: the profile spreads like √(2αt)
+ * - probe series u(x_p, t) read from the recorded history (see history.js)
+ */
+
+import { interpolateLinear, trapezoid } from './grid.js';
+import { CUSTOM_MATERIAL, MATERIALS } from './materials.js';
+import { LENGTH_UNITS } from './units.js';
+
+// Most probes on the bar at once
+export const MAX_PROBES = 4;
+
+// Colors of the probe markers and their series, by index
+export const PROBE_COLORS = ['#f4a261', '#2ec4b6', '#e76f51', '#a29bfe'];
+
+/**
+ * Thermal energy of a profile (per unit ρc)
+ *
+ * @param {Float64Array} x - Positions (increasing)
+ * @param {Float64Array} u - Temperatures
+ * @returns {number} - ∫u dx
+ */
+export const thermalEnergy = (x, u) => trapezoid(x, u);
+
+/**
+ * Heat flux -k ∂u/∂x through both ends, from one-sided second-order differences
+ *
+ * @param {Float64Array} x - Positions (increasing, at least three, evenly spaced near the ends)
+ * @param {Float64Array} u - Temperatures
+ * @param {{left: number, right: number}} conductivity - Conductivity k at each end
+ * @returns {{left: number, right: number}} - Flux at x = 0 and x = L, positive toward +x
+ */
+export const endFluxes = (x, u, conductivity) => {
+  const n = x.length;
+  const hLeft = x[1] - x[0];
+  const hRight = x[n - 1] - x[n - 2];
+  const gradientLeft = (-3 * u[0] + 4 * u[1] - u[2]) / (2 * hLeft);
+  const gradientRight = (3 * u[n - 1] - 4 * u[n - 2] + u[n - 3]) / (2 * hRight);
+  return { left: -conductivity.left * gradientLeft, right: -conductivity.right * gradientRight };
+};
+
+/**
+ * Conductivity used for the end fluxes, and the unit of the result
+ *
+ * A uniform bar of a real material with absolute temperatures gives the flux
+ * in W/m², q = -k ΔT ∂u/∂x with x in meters. A composite bar uses the k of its
+ * end segments; otherwise k = 1 and the flux is the gradient -∂u/∂x.
+ *
+ * @param {object} problem - Problem description (see heat_solver.js)
+ * @param {string} material - Key in MATERIALS, or CUSTOM_MATERIAL
+ * @param {object} units - Units (see units.js)
+ * @returns {{conductivity: {left: number, right: number}, unit: string}} - Factors for endFluxes and
+ *          the unit of the fluxes
+ */
+export const fluxConductivity = (problem, material, units) => {
+  const lengthUnit = LENGTH_UNITS[units.length];
+  if (problem.barType === 'composite') {
+    const { segments } = problem;
+    return {
+      conductivity: { left: segments[0].conductivity, right: segments[segments.length - 1].conductivity },
+      unit: `k·u/${lengthUnit.label}`,
+    };
+  }
+  if (material !== CUSTOM_MATERIAL && units.absolute) {
+    const k = MATERIALS[material].conductivity * units.span / lengthUnit.meters;
+    return { conductivity: { left: k, right: k }, unit: 'W/m²' };
+  }
+  return { conductivity: { left: 1, right: 1 }, unit: `u/${lengthUnit.label}` };
+};
+
+/**
+ * Peak and spread of a profile
+ *
+ * @param {Float64Array} x - Positions (increasing)
+ * @param {Float64Array} u - Temperatures
+ * @returns {{peak: number, mean: number, variance: number}} - Position of the largest u, and the
+ *          mean and variance of u as a distribution (NaN when ∫u dx is not positive)
+ */
+export const profileMoments = (x, u) => {
+  let peak = x[0];
+  let largest = -Infinity;
+  for (let i = 0; i < u.length; i++) {
+    if (u[i] > largest) {
+      largest = u[i];
+      peak = x[i];
+    }
+  }
+
+  const mass = trapezoid(x, u);
+  if (!(mass > 0)) return { peak, mean: NaN, variance: NaN };
+  const mean = trapezoid(x, u.map((value, i) => x[i] * value)) / mass;
+  const variance = trapezoid(x, u.map((value, i) => (x[i] - mean) ** 2 * value)) / mass;
+  return { peak, mean, variance };
+};
+
+/**
+ * Temperature at a probe over the recorded frames
+ *
+ * @param {object} history - Recorded frames (see history.js)
+ * @param {number} position - Probe position x_p
+ * @returns {{time: Float64Array, u: Float64Array}} - u(x_p, t) at the recorded times
+ */
+export const probeSeries = (history, position) => {
+  const { frames } = history;
+  const time = new Float64Array(frames.length);
+  const u = new Float64Array(frames.length);
+  const target = Float64Array.of(position);
+  frames.forEach((frame, k) => {
+    time[k] = frame.time;
+    u[k] = interpolateLinear(history.x, frame.u, target)[0];
+  });
+  return { time, u };
+};
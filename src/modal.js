@@ -0,0 +1,67 @@
+/**
+ * Modal decomposition of the finite-bar series
+ *
+ * The series solution u(x,t) = w(x,t) + Σ cₙ(t) φₙ(x) is split into its
+ * individual modes so they can be shown, switched off, or truncated to the
+ * first N terms. Partial sums of a discontinuous initial condition overshoot
+ * next to the jump by about 9% however many modes are kept (the Gibbs
+ * phenomenon); diffusion damps the high modes responsible within t ≈ 1/(αλₙ²).
+ */
+
+import { modeAmplitudes } from './heat_solver.js';
+
+// Modes kept when nothing is switched off: all of them (firstN null keeps every mode)
+export const DEFAULT_MODE_SELECTION = {
+  firstN: null,
+  hidden: [],
+};
+
+/**
+ * Indices of the modes kept by a selection
+ *
+ * @param {{firstN: number | null, hidden: Array<number>}} selection - Partial-sum length (null for all
+ *                                                                  modes) and switched-off modes
+ * @param {number} count - Number of modes in the series
+ * @returns {Array<number>} - Increasing mode indices (0-based)
+ */
+export const selectedModes = ({ firstN, hidden }, count) => {
+  const indices = [];
+  for (let k = 0; k < Math.min(firstN ?? count, count); k++) {
+    if (!hidden.includes(k)) indices.push(k);
+  }
+  return indices;
+};
+
+/**
+ * Evaluate the selected modes and their partial sum
+ *
+ * @param {object} modes - Fourier modes (see computeFourierModes)
+ * @param {Float64Array} xs - Positions to evaluate at
+ * @param {number} t - Time
+ * @param {number} alpha - Thermal diffusivity
+ * @param {Array<number>} indices - Modes to include (see selectedModes)
+ * @returns {{curves: Array<Float64Array>, sum: Float64Array}} - cₙ(t) φₙ(x) for each selected mode, and
+ *          their sum plus the lifting w(x,t)
+ */
+export const evaluateModes = (modes, xs, t, alpha, indices) => {
+  const { lambdas, eigenfunction, lifting } = modes;
+  const amplitudes = modeAmplitudes(modes, t, alpha);
+  const sum = new Float64Array(xs.length);
+
+  if (lifting) {
+    const left = lifting.boundary.left(t);
+    const right = lifting.boundary.right(t);
+    for (let i = 0; i < xs.length; i++) sum[i] = left * lifting.P(xs[i]) + right * lifting.Q(xs[i]);
+  }
+
+  const curves = indices.map((k) => {
+    const curve = new Float64Array(xs.length);
+    for (let i = 0; i < xs.length; i++) {
+      curve[i] = amplitudes[k] * eigenfunction(lambdas[k], xs[i]);
+      sum[i] += curve[i];
+    }
+    return curve;
+  });
+
+  return { curves, sum };
+};
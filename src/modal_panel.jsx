@@ -0,0 +1,150 @@
+import React, { useEffect, useRef } from 'react';
+import { modeAmplitudes } from './heat_solver.js';
+import { selectedModes } from './modal.js';
+
+// Space reserved around the bar chart
+const CHART_PADDING = { left: 50, right: 20, top: 30, bottom: 30 };
+
+/**
+ * ModalPanel Component
+ *
+ * Spectrum of the finite-bar series: one bar per mode with its current
+ * amplitude |cₙ(t)|, which shrinks as |Bₙ| e^(-αλₙ²t), over an outline of the
+ * initial |Bₙ|. Clicking a bar switches that mode off or on; the slider keeps
+ * only the first N modes (the partial sum S_N). Kept modes are drawn in color.
+ *
+ * @param {object} props
+ * @param {object} props.modes - Fourier modes (see computeFourierModes)
+ * @param {number} props.alpha - Thermal diffusivity
+ * @param {number} props.time - Current simulation time
+ * @param {{firstN: number | null, hidden: Array<number>}} props.selection - Kept modes (see modal.js)
+ * @param {boolean} props.showCurves - Whether the kept modes are overlaid on the plot
+ * @param {(selection: object) => void} props.onChange - Called with the updated selection
+ * @param {(show: boolean) => void} props.onShowCurvesChange - Called when the overlay toggle changes
+ */
+const ModalPanel = ({ modes, alpha, time, selection, showCurves, onChange, onShowCurvesChange }) => {
+  const canvasRef = useRef(null);
+  const count = modes.lambdas.length;
+  const firstN = Math.min(selection.firstN ?? count, count);
+
+  /**
+   * Drawing effect - bar chart of the initial and current mode amplitudes
+   */
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+    const baseline = height - CHART_PADDING.bottom;
+
+    const initial = modeAmplitudes(modes, 0, alpha);
+    const current = modeAmplitudes(modes, time, alpha);
+    const kept = new Set(selectedModes(selection, count));
+    let maxAmplitude = 0;
+    for (let k = 0; k < count; k++) {
+      if (Number.isFinite(current[k])) maxAmplitude = Math.max(maxAmplitude, Math.abs(current[k]));
+      maxAmplitude = Math.max(maxAmplitude, Math.abs(initial[k]));
+    }
+    const yScale = plotHeight / (maxAmplitude > 0 ? maxAmplitude : 1);
+    const barWidth = plotWidth / count;
+
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, width, height);
+
+    for (let k = 0; k < count; k++) {
+      const left = CHART_PADDING.left + k * barWidth;
+      const inner = Math.max(1, barWidth * 0.8);
+      // Current amplitude, in color when the mode is kept
+      ctx.fillStyle = kept.has(k) ? '#ffd93d' : '#555';
+      const barHeight = Math.min(plotHeight, Math.abs(current[k]) * yScale);
+      ctx.fillRect(left, baseline - barHeight, inner, barHeight);
+      // Initial amplitude as an outline
+      ctx.strokeStyle = '#888';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(left, baseline - Math.abs(initial[k]) * yScale, inner, Math.abs(initial[k]) * yScale);
+    }
+
+    // Axes and labels
+    ctx.strokeStyle = '#444';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(CHART_PADDING.left, CHART_PADDING.top);
+    ctx.lineTo(CHART_PADDING.left, baseline);
+    ctx.lineTo(width - CHART_PADDING.right, baseline);
+    ctx.stroke();
+    ctx.fillStyle = '#fff';
+    ctx.font = '13px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText('Mode amplitudes |cₙ(t)| = |Bₙ| e^(−αλₙ²t)', CHART_PADDING.left, CHART_PADDING.top - 12);
+    ctx.fillStyle = '#888';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+    const labelEvery = Math.max(1, Math.ceil(count / 20));
+    for (let k = 0; k < count; k += labelEvery) {
+      ctx.fillText(String(k + 1), CHART_PADDING.left + (k + 0.4) * barWidth, baseline + 14);
+    }
+    ctx.textAlign = 'right';
+    ctx.fillText(maxAmplitude.toFixed(2), CHART_PADDING.left - 4, CHART_PADDING.top + 8);
+    ctx.fillText('0', CHART_PADDING.left - 4, baseline);
+  }, [modes, alpha, time, selection, count]);
+
+  /**
+   * Bar click handler - switches the clicked mode off or back on
+   */
+  const handleClick = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const screenX = (e.clientX - rect.left) * canvas.width / rect.width;
+    const plotWidth = canvas.width - CHART_PADDING.left - CHART_PADDING.right;
+    const k = Math.floor((screenX - CHART_PADDING.left) / plotWidth * count);
+    if (k < 0 || k >= count) return;
+    const hidden = selection.hidden.includes(k)
+      ? selection.hidden.filter((index) => index !== k)
+      : [...selection.hidden, k];
+    onChange({ ...selection, hidden });
+  };
+
+  return (
+    <div className="space-y-2">
+      <canvas
+        ref={canvasRef}
+        width={1000}
+        height={200}
+        className="w-full h-auto rounded"
+        style={{ cursor: 'pointer' }}
+        onClick={handleClick}
+      />
+      <div className="flex flex-wrap items-center gap-3 text-xs text-gray-300">
+        <label className="flex items-center gap-2 flex-1 min-w-48">
+          Partial sum S_N, N = {firstN}
+          <input
+            type="range"
+            min="1"
+            max={count}
+            step="1"
+            value={firstN}
+            onChange={(e) => {
+              const n = parseInt(e.target.value, 10);
+              onChange({ ...selection, firstN: n >= count ? null : n });
+            }}
+            className="flex-1"
+          />
+        </label>
+        <label className="flex items-center gap-1.5">
+          <input type="checkbox" checked={showCurves} onChange={(e) => onShowCurvesChange(e.target.checked)} />
+          Overlay modes
+        </label>
+        <button
+          onClick={() => onChange({ firstN: null, hidden: [] })}
+          className="bg-gray-700 hover:bg-gray-600 text-white px-2 py-1 rounded"
+        >
+          All modes
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ModalPanel;
@@ -0,0 +1,138 @@
+import React, { useMemo, useState } from 'react';
+import { compilePlateExpression } from './plate_solver.js';
+import { clampSetting, SETTING_LIMITS } from './scenario.js';
+
+// Display names for the plate solution methods
+const METHOD_LABELS = {
+  series: 'Double Fourier series',
+  grid: 'ADI grid (finite difference)',
+};
+
+// Display names for the plate edge conditions
+const EDGE_LABELS = {
+  dirichlet: 'Dirichlet (edges at zero)',
+  neumann: 'Neumann (insulated edges)',
+};
+
+// Display names for the initial temperature maps
+const MAP_LABELS = {
+  'hot-spot': 'Hot Spot',
+  'two-spots': 'Two Spots',
+  'hot-square': 'Hot Square',
+  ring: 'Ring',
+  checkerboard: 'Checkerboard',
+  expression: 'Custom formula f(x,y)',
+};
+
+/**
+ * PlateControls Component
+ *
+ * Settings of the 2D plate: its height (the width is the bar length), the
+ * solution method, the edge condition, the initial temperature map, and
+ * whether isotherms are drawn. A custom map is only passed on once it parses,
+ * so a typo shows an error instead of blanking the heatmap, and is checked
+ * again when the plate is resized.
+ *
+ * @param {object} props
+ * @param {object} props.values - Current plate settings (see DEFAULT_PLATE)
+ * @param {number} props.width - Width of the plate
+ * @param {string} props.lengthUnit - Unit of the plate dimensions (see units.js)
+ * @param {boolean} props.showContours - Whether isotherms are drawn
+ * @param {(values: object) => void} props.onChange - Called with the updated settings
+ * @param {(show: boolean) => void} props.onShowContoursChange - Called when the isotherm toggle changes
+ */
+const PlateControls = ({ values, width, lengthUnit, showContours, onChange, onShowContoursChange }) => {
+  const [text, setText] = useState(values.expression); // Formula as typed
+  const [error, setError] = useState(null); // Why the typed formula was rejected
+
+  // The map in use is checked again when the plate is resized, as it may not be finite on the new one
+  const sizeError = useMemo(() => {
+    if (values.initialCondition !== 'expression') return null;
+    try {
+      compilePlateExpression(values.expression, width, values.height);
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  }, [values.initialCondition, values.expression, width, values.height]);
+  const formulaError = error ?? sizeError;
+
+  const handleExpressionChange = (source) => {
+    setText(source);
+    try {
+      compilePlateExpression(source, width, values.height);
+      setError(null);
+      onChange({ ...values, expression: source });
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  // Select bound to one field of the plate settings
+  const select = (key, label, labels) => (
+    <div>
+      <label className="text-white block mb-1.5 text-sm">{label}:</label>
+      <select
+        value={values[key]}
+        onChange={(e) => onChange({ ...values, [key]: e.target.value })}
+        className="w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm"
+      >
+        {Object.entries(labels).map(([value, name]) => (
+          <option key={value} value={value}>{name}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      {select('method', 'Plate Method', METHOD_LABELS)}
+      {select('boundaryCondition', 'Plate Edges', EDGE_LABELS)}
+      <div>
+        {select('initialCondition', 'Initial Map', MAP_LABELS)}
+        {values.initialCondition === 'expression' && (
+          <div className="mt-2">
+            <input
+              type="text"
+              value={text}
+              onChange={(e) => handleExpressionChange(e.target.value)}
+              spellCheck={false}
+              aria-label="f(x,y)"
+              className={`w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm font-mono ${
+                formulaError ? 'ring-1 ring-red-500' : ''
+              }`}
+            />
+            <p className={`text-xs mt-1 ${formulaError ? 'text-red-400' : 'text-gray-400'}`}>
+              {formulaError ?? 'In x, y, W and H, e.g. sin(pi*x/W)*sin(pi*y/H), step(x - W/2)'}
+            </p>
+          </div>
+        )}
+      </div>
+      <div>
+        <label className="text-white block mb-1.5 text-sm">Plate Height (H): {values.height.toFixed(1)} {lengthUnit}</label>
+        <input
+          type="number"
+          min={SETTING_LIMITS.plateHeight.min}
+          max={SETTING_LIMITS.plateHeight.max}
+          step="0.5"
+          value={values.height}
+          onChange={(e) => {
+            const height = parseFloat(e.target.value);
+            if (!isNaN(height) && height > 0) onChange({ ...values, height: clampSetting('plateHeight', height) });
+          }}
+          className="w-full bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm"
+        />
+      </div>
+      <label className="flex items-center gap-2 text-white text-sm">
+        <input
+          type="checkbox"
+          checked={showContours}
+          onChange={(e) => onShowContoursChange(e.target.checked)}
+        />
+        Show isotherms
+      </label>
+    </div>
+  );
+};
+
+export default PlateControls;
@@ -0,0 +1,293 @@
+import React, { useEffect, useRef } from 'react';
+import { heatColor, HEAT_COLORS } from './colormap.js';
+import { contourLevels, contourSegments } from './contours.js';
+import {
+  createPlateInitialCondition,
+  crossSection as sampleCrossSection,
+  plateTemperatureRange,
+} from './plate_solver.js';
+import { displayTemperature, formatLength, formatTime, LENGTH_UNITS, temperatureLabel } from './units.js';
+
+/**
+ * PlateView Component
+ *
+ * Renders the temperature of a rectangular plate as a heatmap, optionally with
+ * isotherms, and the profile along a horizontal cross-section below it in the
+ * style of the 1D plot. The cross-section line is dragged on the heatmap. The
+ * color scale spans the initial temperatures, so the plate visibly cools.
+ * The field is solved by the solver worker (see solver_client.js).
+ *
+ * @param {object} props
+ * @param {object|null} props.frame - Solved plate frame: the field {x, y, u}, its computeTime and the
+ *        plate problem it solves (see plate_solver.js); nothing is drawn until the first arrives
+ * @param {object} props.units - Units of the axes and readouts (see units.js)
+ * @param {boolean} props.showContours - Whether to draw isotherms
+ * @param {number} props.crossSection - Height of the cross-section as a fraction of the plate height
+ * @param {(fraction: number) => void} props.onCrossSectionChange - Called while the line is dragged
+ * @param {object} [props.mapRef] - Ref to receive the heatmap canvas, e.g. for image export
+ */
+const PlateView = ({ frame, units, showContours, crossSection, onCrossSectionChange, mapRef: outerMapRef }) => {
+  const ownMapRef = useRef(null);
+  const mapRef = outerMapRef ?? ownMapRef; // Heatmap canvas
+  const profileRef = useRef(null); // Cross-section canvas
+  const layoutRef = useRef(null); // Plate rectangle on the heatmap, to map pointer positions
+  const draggingRef = useRef(false); // Whether the cross-section line is being dragged
+
+  /**
+   * Drawing effect - renders both canvases from the latest frame
+   */
+  useEffect(() => {
+    const map = mapRef.current;
+    const profileCanvas = profileRef.current;
+    if (!map || !profileCanvas || !frame) return;
+
+    const { problem, computeTime, coarse } = frame;
+    const { width: W, height: H, time } = problem;
+    const field = frame;
+    const lengthUnit = LENGTH_UNITS[units.length].label;
+    const nx = field.x.length;
+    const ny = field.y.length;
+
+    // Color range from the initial map sampled on the same grid
+    const f = createPlateInitialCondition(problem);
+    const { lo, hi } = plateTemperatureRange(f, field);
+
+    // Heatmap: the plate keeps its aspect ratio inside the padded area
+    const ctx = map.getContext('2d');
+    const width = map.width;
+    const height = map.height;
+    const padding = 60;
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, width, height);
+    const scale = Math.min((width - 3 * padding) / W, (height - 2 * padding) / H);
+    const plateWidth = W * scale;
+    const plateHeight = H * scale;
+    const left = padding + (width - 3 * padding - plateWidth) / 2;
+    const top = padding + (height - 2 * padding - plateHeight) / 2;
+    layoutRef.current = { top, plateHeight, height: H };
+
+    // One pixel per sample, scaled up with smoothing; image rows run top to bottom,
+    // so y is flipped
+    const image = ctx.createImageData(nx, ny);
+    for (let j = 0; j < ny; j++) {
+      for (let i = 0; i < nx; i++) {
+        const [r, g, b] = heatColor((field.u[j * nx + i] - lo) / (hi - lo));
+        const offset = ((ny - 1 - j) * nx + i) * 4;
+        image.data[offset] = r;
+        image.data[offset + 1] = g;
+        image.data[offset + 2] = b;
+        image.data[offset + 3] = 255;
+      }
+    }
+    const buffer = document.createElement('canvas');
+    buffer.width = nx;
+    buffer.height = ny;
+    buffer.getContext('2d').putImageData(image, 0, 0);
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(buffer, left, top, plateWidth, plateHeight);
+
+    const toScreenX = (x) => left + x / W * plateWidth;
+    const toScreenY = (y) => top + plateHeight - y / H * plateHeight;
+
+    // Isotherms at evenly spaced levels of the initial range
+    if (showContours) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (const level of contourLevels(lo, hi)) {
+        for (const [x1, y1, x2, y2] of contourSegments(field, level)) {
+          ctx.moveTo(toScreenX(x1), toScreenY(y1));
+          ctx.lineTo(toScreenX(x2), toScreenY(y2));
+        }
+      }
+      ctx.stroke();
+    }
+
+    // Plate outline and axis labels
+    ctx.strokeStyle = '#444';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(left, top, plateWidth, plateHeight);
+    ctx.fillStyle = '#fff';
+    ctx.font = '14px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(`x (${lengthUnit})`, left + plateWidth / 2, top + plateHeight + 30);
+    ctx.fillText(`y (${lengthUnit})`, left - 28, top + plateHeight / 2);
+
+    // Draggable cross-section line with handles at both edges
+    const y0 = crossSection * H;
+    const lineY = toScreenY(y0);
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(left, lineY);
+    ctx.lineTo(left + plateWidth, lineY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#fff';
+    [left, left + plateWidth].forEach((screenX) => {
+      ctx.beginPath();
+      ctx.arc(screenX, lineY, 5, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+
+    // Color bar to the right of the plate
+    const barLeft = width - padding - 16;
+    const colorBar = ctx.createLinearGradient(0, top + plateHeight, 0, top);
+    HEAT_COLORS.forEach(([stop, [r, g, b]]) => colorBar.addColorStop(stop, `rgb(${r}, ${g}, ${b})`));
+    ctx.fillStyle = colorBar;
+    ctx.fillRect(barLeft, top, 16, plateHeight);
+    ctx.fillStyle = '#888';
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'right';
+    const digits = units.absolute ? 1 : 2;
+    ctx.fillText(displayTemperature(hi, units).toFixed(digits), barLeft - 4, top + 10);
+    ctx.fillText(displayTemperature(lo, units).toFixed(digits), barLeft - 4, top + plateHeight);
+
+    // Current time in the top right, per-frame solver time in the top left
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 16px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(`t = ${formatTime(time, units)}`, width - padding, padding - 20);
+    ctx.fillStyle = '#888';
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText(`compute: ${computeTime.toFixed(1)} ms${coarse ? ' (coarse)' : ''}`, padding, padding - 20);
+
+    // Cross-section profile, drawn like the 1D plot
+    const pctx = profileCanvas.getContext('2d');
+    const pWidth = profileCanvas.width;
+    const pHeight = profileCanvas.height;
+    const pPadding = 40;
+    const plotWidth = pWidth - 2 * padding;
+    const plotHeight = pHeight - 2 * pPadding;
+    pctx.fillStyle = '#1a1a1a';
+    pctx.fillRect(0, 0, pWidth, pHeight);
+
+    pctx.strokeStyle = '#444';
+    pctx.lineWidth = 2;
+    pctx.beginPath();
+    pctx.moveTo(padding, pHeight - pPadding);
+    pctx.lineTo(pWidth - padding, pHeight - pPadding);
+    pctx.moveTo(padding, pHeight - pPadding);
+    pctx.lineTo(padding, pPadding);
+    pctx.stroke();
+
+    pctx.fillStyle = '#fff';
+    pctx.font = '14px sans-serif';
+    pctx.textAlign = 'center';
+    pctx.fillText(`Position x (${lengthUnit})`, pWidth / 2, pHeight - 10);
+    pctx.save();
+    pctx.translate(20, pHeight / 2);
+    pctx.rotate(-Math.PI / 2);
+    pctx.fillText(temperatureLabel(units, 'u(x, y₀, t)'), 0, 0);
+    pctx.restore();
+    pctx.textAlign = 'left';
+    pctx.fillText(`y₀ = ${formatLength(y0, units)}`, padding, pPadding - 12);
+
+    const profile = sampleCrossSection(field, y0);
+    const initial = field.x.map((x) => f(x, y0));
+    let maxU = 0;
+    for (let i = 0; i < nx; i++) {
+      if (Number.isFinite(profile[i])) maxU = Math.max(maxU, Math.abs(profile[i]));
+    }
+    const yScale = plotHeight * 0.8 / (maxU > 0 ? maxU : 1);
+    const toPlotX = (x) => padding + x / W * plotWidth;
+    const toPlotY = (u) => pHeight - pPadding - u * yScale;
+
+    // Horizontal grid lines for readability
+    pctx.strokeStyle = '#2a2a2a';
+    pctx.lineWidth = 1;
+    for (let i = 0; i <= 4; i++) {
+      const gridY = pPadding + i * plotHeight / 4;
+      pctx.beginPath();
+      pctx.moveTo(padding, gridY);
+      pctx.lineTo(pWidth - padding, gridY);
+      pctx.stroke();
+    }
+
+    // Initial profile as a dashed gray line
+    pctx.strokeStyle = '#666';
+    pctx.lineWidth = 1.5;
+    pctx.setLineDash([5, 5]);
+    pctx.beginPath();
+    for (let i = 0; i < nx; i++) {
+      if (i === 0) pctx.moveTo(toPlotX(field.x[i]), toPlotY(initial[i]));
+      else pctx.lineTo(toPlotX(field.x[i]), toPlotY(initial[i]));
+    }
+    pctx.stroke();
+    pctx.setLineDash([]);
+
+    // Current profile with the temperature gradient and a translucent fill
+    const gradient = pctx.createLinearGradient(0, pPadding, 0, pHeight - pPadding);
+    gradient.addColorStop(0, '#ff6b6b');
+    gradient.addColorStop(0.5, '#ffd93d');
+    gradient.addColorStop(1, '#6bcf7f');
+    pctx.strokeStyle = gradient;
+    pctx.lineWidth = 3;
+    pctx.beginPath();
+    for (let i = 0; i < nx; i++) {
+      if (i === 0) pctx.moveTo(toPlotX(field.x[i]), toPlotY(profile[i]));
+      else pctx.lineTo(toPlotX(field.x[i]), toPlotY(profile[i]));
+    }
+    pctx.stroke();
+
+    pctx.globalAlpha = 0.2;
+    pctx.fillStyle = gradient;
+    pctx.beginPath();
+    pctx.moveTo(padding, pHeight - pPadding);
+    for (let i = 0; i < nx; i++) pctx.lineTo(toPlotX(field.x[i]), toPlotY(profile[i]));
+    pctx.lineTo(pWidth - padding, pHeight - pPadding);
+    pctx.closePath();
+    pctx.fill();
+    pctx.globalAlpha = 1;
+  }, [frame, units, showContours, crossSection, mapRef]);
+
+  /**
+   * Move the cross-section to the pointer's height on the plate
+   */
+  const moveCrossSection = (e) => {
+    const canvas = mapRef.current;
+    const layout = layoutRef.current;
+    if (!canvas || !layout) return;
+    const rect = canvas.getBoundingClientRect();
+    const screenY = (e.clientY - rect.top) * canvas.height / rect.height;
+    const fraction = (layout.top + layout.plateHeight - screenY) / layout.plateHeight;
+    onCrossSectionChange(Math.min(1, Math.max(0, fraction)));
+  };
+
+  return (
+    <div className="w-full h-full flex flex-col items-center justify-center gap-1 min-h-0">
+      <canvas
+        ref={mapRef}
+        width={1000}
+        height={400}
+        className="max-w-full min-h-0"
+        style={{ display: 'block', width: 'auto', height: 'auto', cursor: 'ns-resize', touchAction: 'none' }}
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture(e.pointerId);
+          draggingRef.current = true;
+          moveCrossSection(e);
+        }}
+        onPointerMove={(e) => {
+          if (draggingRef.current) moveCrossSection(e);
+        }}
+        onPointerUp={() => {
+          draggingRef.current = false;
+        }}
+        onPointerCancel={() => {
+          draggingRef.current = false;
+        }}
+      />
+      <canvas
+        ref={profileRef}
+        width={1000}
+        height={220}
+        className="max-w-full min-h-0"
+        style={{ display: 'block', width: 'auto', height: 'auto' }}
+      />
+    </div>
+  );
+};
+
+export default PlateView;
@@ -0,0 +1,120 @@
+/**
+ * Playback clock for the animation
+ *
+ * Simulation time advances with the real time elapsed between animation
+ * frames, so playback speed does not depend on how long a frame takes to
+ * draw. In linear mode one second of playback at 1× covers one unit of
+ * simulation time; in logarithmic mode it covers a fixed number of decades,
+ * so the fast early diffusion (t ≈ 0.01) and the slow late decay (t ≈ 100)
+ * both get screen time. The timeline slider uses the same scale.
+ */
+
+// Speed multipliers offered in the UI
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+// Playback settings chosen in the UI
+export const DEFAULT_PLAYBACK = {
+  speed: 1,
+  logarithmic: false,
+  stopTime: 20,
+};
+
+// Smallest nonzero time of the logarithmic scale (time jumps from 0 straight to it)
+export const LOG_TIME_MIN = 0.01;
+
+// Latest stop time, which bounds how far the time-steppers may be asked to run
+export const MAX_STOP_TIME = 1000;
+
+// Simulation time per second of playback at 1×: linear units, or decades on the log scale
+const linearRate = 1;
+const decadesPerSecond = 0.5;
+
+// Simulation time covered by one frame step: a fixed increment, or a fixed ratio on the log scale
+const frameStep = 0.05;
+const frameStepDecades = 0.05;
+
+// Longest real time credited to a single animation frame, so returning to a
+// hidden tab does not jump far ahead
+const maxFrameSeconds = 0.25;
+
+// Positions of the timeline slider
+export const TIMELINE_STEPS = 1000;
+
+/**
+ * Advance the simulation time by the real time elapsed since the last frame
+ *
+ * @param {number} time - Current simulation time
+ * @param {number} elapsedSeconds - Real time since the last frame
+ * @param {object} playback - Playback settings
+ * @param {number} playback.speed - Speed multiplier
+ * @param {boolean} playback.logarithmic - Whether time advances by decades
+ * @param {number} playback.stopTime - Time at which playback stops
+ * @returns {number} - New simulation time, between 0 and the stop time
+ */
+export const advanceTime = (time, elapsedSeconds, { speed, logarithmic, stopTime }) => {
+  const seconds = Math.min(elapsedSeconds, maxFrameSeconds) * speed;
+  let next;
+  if (!logarithmic) {
+    next = time + linearRate * seconds;
+  } else if (time < LOG_TIME_MIN) {
+    next = LOG_TIME_MIN;
+  } else {
+    next = time * 10 ** (decadesPerSecond * seconds);
+  }
+  return Math.max(0, Math.min(next, stopTime));
+};
+
+/**
+ * Time one frame step before or after the current time
+ *
+ * @param {number} time - Current simulation time
+ * @param {number} direction - +1 to step forward, -1 to step back
+ * @param {object} playback - Playback settings (see advanceTime)
+ * @returns {number} - New simulation time, between 0 and the stop time
+ */
+export const stepTime = (time, direction, { logarithmic, stopTime }) => {
+  let next;
+  if (!logarithmic) {
+    next = time + direction * frameStep;
+  } else if (direction > 0) {
+    next = time < LOG_TIME_MIN ? LOG_TIME_MIN : time * 10 ** frameStepDecades;
+  } else {
+    // Stepping back from the smallest log time returns to t = 0
+    next = time <= LOG_TIME_MIN * (1 + 1e-9) ? 0 : Math.max(LOG_TIME_MIN, time / 10 ** frameStepDecades);
+  }
+  return Math.min(Math.max(0, next), stopTime);
+};
+
+/**
+ * Slider position of a time on the timeline
+ *
+ * @param {number} time - Simulation time
+ * @param {object} playback - Playback settings (see advanceTime)
+ * @returns {number} - Position from 0 to TIMELINE_STEPS
+ */
+export const timeToTimeline = (time, { logarithmic, stopTime }) => {
+  let fraction;
+  if (!logarithmic) {
+    fraction = time / stopTime;
+  } else if (time < LOG_TIME_MIN || stopTime <= LOG_TIME_MIN) {
+    fraction = time > 0 && stopTime <= LOG_TIME_MIN ? 1 : 0;
+  } else {
+    fraction = Math.log(time / LOG_TIME_MIN) / Math.log(stopTime / LOG_TIME_MIN);
+  }
+  return Math.round(Math.min(1, Math.max(0, fraction)) * TIMELINE_STEPS);
+};
+
+/**
+ * Time at a slider position on the timeline
+ *
+ * @param {number} position - Position from 0 to TIMELINE_STEPS
+ * @param {object} playback - Playback settings (see advanceTime)
+ * @returns {number} - Simulation time (0 at the start of the log scale)
+ */
+export const timelineToTime = (position, { logarithmic, stopTime }) => {
+  const fraction = position / TIMELINE_STEPS;
+  if (!logarithmic) return fraction * stopTime;
+  if (position <= 0) return 0;
+  if (stopTime <= LOG_TIME_MIN) return stopTime;
+  return LOG_TIME_MIN * (stopTime / LOG_TIME_MIN) ** fraction;
+};
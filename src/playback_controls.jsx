@@ -0,0 +1,80 @@
+import React from 'react';
+import {
+  timelineToTime,
+  timeToTimeline,
+  LOG_TIME_MIN,
+  MAX_STOP_TIME,
+  PLAYBACK_SPEEDS,
+  TIMELINE_STEPS,
+} from './playback.js';
+
+/**
+ * PlaybackControls Component
+ *
+ * Timeline slider to seek the simulation time, with the speed multiplier, the
+ * linear/logarithmic time scale and the stop time at which playback pauses.
+ *
+ * @param {object} props
+ * @param {number} props.time - Current simulation time
+ * @param {string} props.timeUnit - Unit of the times shown (see units.js)
+ * @param {object} props.values - Playback settings (see DEFAULT_PLAYBACK)
+ * @param {(time: number) => void} props.onSeek - Called with the time picked on the timeline
+ * @param {(values: object) => void} props.onChange - Called with the updated settings
+ */
+const PlaybackControls = ({ time, timeUnit, values, onSeek, onChange }) => (
+  <div className="space-y-2">
+    <div className="flex items-center gap-2">
+      <input
+        type="range"
+        min="0"
+        max={TIMELINE_STEPS}
+        step="1"
+        value={timeToTimeline(time, values)}
+        onChange={(e) => onSeek(timelineToTime(parseInt(e.target.value, 10), values))}
+        aria-label="Timeline"
+        className="flex-1"
+      />
+      <span className="text-white text-xs font-mono w-24 text-right">t = {time.toFixed(2)} {timeUnit}</span>
+    </div>
+    <div className="grid grid-cols-3 gap-2 items-end">
+      <div>
+        <label className="text-gray-300 block mb-1 text-xs">Speed</label>
+        <select
+          value={values.speed}
+          onChange={(e) => onChange({ ...values, speed: parseFloat(e.target.value) })}
+          className="w-full bg-gray-700 text-white px-2 py-1 rounded-lg text-sm"
+        >
+          {PLAYBACK_SPEEDS.map((speed) => (
+            <option key={speed} value={speed}>{speed}×</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="text-gray-300 block mb-1 text-xs">Stop at t ({timeUnit})</label>
+        <input
+          type="number"
+          min={LOG_TIME_MIN}
+          max={MAX_STOP_TIME}
+          step="1"
+          value={values.stopTime}
+          onChange={(e) => {
+            const stopTime = parseFloat(e.target.value);
+            if (isNaN(stopTime) || stopTime < LOG_TIME_MIN || stopTime > MAX_STOP_TIME) return;
+            onChange({ ...values, stopTime });
+          }}
+          className="w-full bg-gray-700 text-white px-2 py-1 rounded-lg text-sm"
+        />
+      </div>
+      <label className="flex items-center gap-1.5 text-gray-300 text-xs pb-1.5">
+        <input
+          type="checkbox"
+          checked={values.logarithmic}
+          onChange={(e) => onChange({ ...values, logarithmic: e.target.checked })}
+        />
+        Log time
+      </label>
+    </div>
+  </div>
+);
+
+export default PlaybackControls;
@@ -0,0 +1,87 @@
+/**
+ * Axes and visible window of the profile plot
+ *
+ * The plot shows the window {xMin, xMax, uMin, uMax} of (x, u) space. Along x
+ * it is the bar unless zoomed or panned; along u it depends on the range mode:
+ * - auto: fit every frame, so the profile always fills the plot
+ * - fixed: fit the initial profile once, so the decay is visible
+ * - locked: a range set by hand, or by zooming and panning the plot
+ * Ticks fall on round values (1, 2 or 5 times a power of ten).
+ */
+
+// Range modes of the temperature axis
+export const Y_RANGE_MODES = {
+  auto: 'Auto (fit every frame)',
+  fixed: 'Fixed (fit the initial profile)',
+  locked: 'Locked (set by hand)',
+};
+
+// Share of the data range left free above the data (and below it, when negative)
+const rangeMargin = 0.25;
+
+/**
+ * Round tick values covering a range
+ *
+ * @param {number} min - Lower end of the range
+ * @param {number} max - Upper end of the range
+ * @param {number} [count] - Approximate number of intervals
+ * @returns {{step: number, values: Array<number>}} - Tick spacing, and the ticks inside [min, max]
+ */
+export const niceTicks = (min, max, count = 5) => {
+  const rough = (max - min) / count;
+  if (!(rough > 0) || !Number.isFinite(rough)) return { step: 0, values: [] };
+  const power = 10 ** Math.floor(Math.log10(rough));
+  const fraction = rough / power;
+  const step = (fraction < 1.5 ? 1 : fraction < 3.5 ? 2 : fraction < 7.5 ? 5 : 10) * power;
+  const values = [];
+  for (let k = Math.ceil(min / step - 1e-9); k * step <= max + step * 1e-9; k++) {
+    // Snap to the step so that e.g. 0.30000000000000004 prints as 0.3
+    values.push(Number((k * step).toPrecision(12)));
+  }
+  return { step, values };
+};
+
+/**
+ * Decimal places that tell ticks of a given spacing apart
+ *
+ * @param {number} step - Tick spacing
+ * @returns {number} - Number of decimals
+ */
+export const tickDigits = (step) => (step > 0 ? Math.max(0, -Math.floor(Math.log10(step) + 1e-9)) : 0);
+
+/**
+ * Range of u to show for some curves: zero and every finite value, with a
+ * margin above (and below, for negative values)
+ *
+ * @param {Array<ArrayLike<number>>} curves - Sampled curves
+ * @returns {{uMin: number, uMax: number}} - Range of u
+ */
+export const fitRange = (curves) => {
+  let lo = 0;
+  let hi = 0;
+  for (const values of curves) {
+    for (let i = 0; i < values.length; i++) {
+      if (!Number.isFinite(values[i])) continue;
+      lo = Math.min(lo, values[i]);
+      hi = Math.max(hi, values[i]);
+    }
+  }
+  // Unit range for an all-zero profile, e.g. a cleared sketch
+  if (hi === lo) return { uMin: 0, uMax: 1 };
+  const margin = rangeMargin * (hi - lo);
+  return { uMin: lo < 0 ? lo - margin : lo, uMax: hi > 0 ? hi + margin : hi };
+};
+
+/**
+ * Scale a range about a fixed point
+ *
+ * @param {number} min - Lower end
+ * @param {number} max - Upper end
+ * @param {number} anchor - Value that stays in place (e.g. under the pointer)
+ * @param {number} factor - Scale of the new range (< 1 zooms in)
+ * @returns {{min: number, max: number}} - Zoomed range
+ */
+export const zoomRange = (min, max, anchor, factor) => ({
+  min: anchor + (min - anchor) * factor,
+  max: anchor + (max - anchor) * factor,
+});
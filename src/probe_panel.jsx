@@ -0,0 +1,190 @@
+import React, { useEffect, useRef } from 'react';
+import { probeSeries, PROBE_COLORS } from './measurements.js';
+import { displayTemperature, formatLength, LENGTH_UNITS, TEMPERATURE_UNITS, TIME_UNITS } from './units.js';
+
+/**
+ * Draw u(x_p, t) of every probe over the recorded times, with a line at the
+ * current time
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {object} history - Recorded frames (see history.js)
+ * @param {Array<number>} probes - Probe positions
+ * @param {number} time - Current simulation time
+ * @param {object} units - Units of the axes (see units.js)
+ */
+const drawProbeChart = (canvas, history, probes, time, units) => {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const padding = { left: 56, right: 16, top: 16, bottom: 32 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  ctx.fillStyle = '#1a1a1a';
+  ctx.fillRect(0, 0, width, height);
+
+  const { frames } = history;
+  if (probes.length === 0 || frames.length < 2) {
+    ctx.fillStyle = '#888';
+    ctx.font = '13px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(probes.length === 0 ? 'Click the plot to place a probe' : 'Play to record the probes', width / 2, height / 2);
+    return;
+  }
+
+  const series = probes.map((position) => probeSeries(history, position));
+  const tStart = frames[0].time;
+  const tEnd = frames[frames.length - 1].time;
+  let lo = 0;
+  let hi = 0;
+  for (const { u } of series) {
+    for (let k = 0; k < u.length; k++) {
+      if (!Number.isFinite(u[k])) continue;
+      lo = Math.min(lo, u[k]);
+      hi = Math.max(hi, u[k]);
+    }
+  }
+  if (hi <= lo) hi = lo + 1;
+  const toScreenX = (t) => padding.left + (t - tStart) / (tEnd - tStart) * plotWidth;
+  const toScreenY = (u) => padding.top + (hi - u) / (hi - lo) * plotHeight;
+
+  // Axes, with the temperature range and the time span at their ends
+  ctx.strokeStyle = '#444';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.moveTo(padding.left, padding.top);
+  ctx.lineTo(padding.left, height - padding.bottom);
+  ctx.lineTo(width - padding.right, height - padding.bottom);
+  ctx.stroke();
+  const digits = units.absolute ? 1 : 2;
+  ctx.fillStyle = '#888';
+  ctx.font = '11px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.fillText(displayTemperature(hi, units).toFixed(digits), padding.left - 4, padding.top + 8);
+  ctx.fillText(displayTemperature(lo, units).toFixed(digits), padding.left - 4, height - padding.bottom);
+  ctx.textAlign = 'center';
+  const timeUnit = TIME_UNITS[units.time].label;
+  ctx.fillText(tStart.toFixed(2), padding.left, height - padding.bottom + 14);
+  ctx.fillText(tEnd.toFixed(2), width - padding.right, height - padding.bottom + 14);
+  ctx.fillText(`t (${timeUnit})`, padding.left + plotWidth / 2, height - 6);
+
+  // Current time
+  if (time >= tStart && time <= tEnd) {
+    ctx.strokeStyle = '#666';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(toScreenX(time), padding.top);
+    ctx.lineTo(toScreenX(time), height - padding.bottom);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  ctx.lineWidth = 2;
+  series.forEach(({ time: times, u }, index) => {
+    ctx.strokeStyle = PROBE_COLORS[index % PROBE_COLORS.length];
+    ctx.beginPath();
+    for (let k = 0; k < u.length; k++) {
+      if (k === 0) ctx.moveTo(toScreenX(times[k]), toScreenY(u[k]));
+      else ctx.lineTo(toScreenX(times[k]), toScreenY(u[k]));
+    }
+    ctx.stroke();
+  });
+};
+
+/**
+ * Format a measured value, switching to exponent notation for very large or small ones
+ *
+ * @param {number} value - Value to show
+ * @returns {string} - Formatted value
+ */
+const formatValue = (value) => {
+  if (!Number.isFinite(value)) return '–';
+  const size = Math.abs(value);
+  return size !== 0 && (size < 1e-3 || size >= 1e4) ? value.toExponential(3) : value.toFixed(4);
+};
+
+/**
+ * ProbePanel Component
+ *
+ * Probe points and physical quantities of the 1D profile. Each probe placed on
+ * the plot gets a colored series u(x_p, t) over the recorded run (see
+ * history.js); the readouts show the thermal energy, the heat flux through
+ * both ends, the peak location and the spread of the profile, and on the
+ * infinite bar the variance growth next to 2αt.
+ *
+ * @param {object} props
+ * @param {Array<number>} props.probes - Probe positions
+ * @param {object} props.history - Recorded frames (see history.js)
+ * @param {number} props.time - Current simulation time
+ * @param {object} props.units - Units of the axes and readouts (see units.js)
+ * @param {object|null} props.measurements - Quantities of the current profile: energy, fluxes
+ *        {left, right}, fluxUnit, moments {peak, mean, variance}, initialVariance, and spreading (2αt)
+ *        on the infinite bar
+ * @param {(index: number) => void} props.onRemove - Called to remove a probe
+ */
+const ProbePanel = ({ probes, history, time, units, measurements, onRemove }) => {
+  const chartRef = useRef(null);
+
+  /**
+   * Drawing effect - draws the chart now and again after every recorded frame
+   */
+  useEffect(() => {
+    const draw = () => {
+      if (chartRef.current) drawProbeChart(chartRef.current, history, probes, time, units);
+    };
+    draw();
+    return history.subscribe(draw);
+  }, [history, probes, time, units]);
+
+  const lengthUnit = LENGTH_UNITS[units.length].label;
+  const { label: degree, scale } = TEMPERATURE_UNITS[units.temperature];
+
+  return (
+    <div className="grid grid-cols-2 gap-2">
+      <div>
+        <canvas ref={chartRef} width={500} height={200} className="w-full h-auto rounded" />
+        <div className="flex flex-wrap gap-1.5 mt-1">
+          {probes.map((position, index) => (
+            <span key={index} className="flex items-center gap-1 bg-gray-700 text-white rounded px-1.5 py-0.5 text-xs">
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: PROBE_COLORS[index % PROBE_COLORS.length] }} />
+              x = {formatLength(position, units)}
+              <button
+                onClick={() => onRemove(index)}
+                aria-label={`Remove probe ${index + 1}`}
+                className="text-gray-400 hover:text-white px-0.5"
+              >
+                ✕
+              </button>
+            </span>
+          ))}
+        </div>
+      </div>
+      {measurements && (
+        <div className="text-gray-400 text-xs space-y-1 font-mono">
+          {units.absolute ? (
+            <p>
+              <span className="text-gray-300">Energy ∫(T − T₀) dx:</span>{' '}
+              {formatValue(measurements.energy * units.span * scale)} {degree}·{lengthUnit}
+            </p>
+          ) : (
+            <p><span className="text-gray-300">Energy ∫u dx:</span> {formatValue(measurements.energy)} u·{lengthUnit}</p>
+          )}
+          <p><span className="text-gray-300">Flux −k∂u/∂x at x = 0:</span> {formatValue(measurements.fluxes.left)} {measurements.fluxUnit}</p>
+          <p><span className="text-gray-300">Flux −k∂u/∂x at x = L:</span> {formatValue(measurements.fluxes.right)} {measurements.fluxUnit}</p>
+          <p><span className="text-gray-300">Peak at:</span> x = {formatLength(measurements.moments.peak, units)}</p>
+          <p><span className="text-gray-300">Mean x̄:</span> {formatValue(measurements.moments.mean)} {lengthUnit}</p>
+          <p>
+            <span className="text-gray-300">Width σ:</span> {formatValue(Math.sqrt(measurements.moments.variance))} {lengthUnit}
+            {' '}(σ² = {formatValue(measurements.moments.variance)})
+          </p>
+          {measurements.spreading !== null && (
+            <p>
+              <span className="text-gray-300">σ² − σ²(0):</span> {formatValue(measurements.moments.variance - measurements.initialVariance)}
+              {' '}vs 2αt = {formatValue(measurements.spreading)} {lengthUnit}²
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProbePanel;
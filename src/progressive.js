@@ -0,0 +1,78 @@
+/**
+ * Frames computed for display, coarse first when the setup changes
+ *
+ * After a parameter change the analytic solutions need new Fourier
+ * coefficients, which can take a while. A coarse pass with fewer modes and
+ * samples is computed first so a curve appears immediately, and the full
+ * resolution follows. Time-stepped solutions keep a stepper advancing in time
+ * (see getFiniteDifferenceSolver), so they have no coarse pass.
+ *
+ * A bar frame also carries the pinned traces (see traces.js) at the same time,
+ * at full resolution in both passes: their setups rarely change, so their
+ * modes and steppers are already cached.
+ *
+ * Shared by the solver worker and the main-thread fallback (see solver_client.js).
+ */
+
+import { createComparisonProblem } from './comparison.js';
+import { evaluateHeatEquation, isTimeStepped, solveHeatEquation } from './heat_solver.js';
+import { solvePlate } from './plate_solver.js';
+
+// Resolution of a coarse 1D pass
+const coarseBarPoints = 100;
+const coarseBarModes = 12;
+const coarseBarIntPoints = 40;
+
+// Resolution of a coarse plate pass
+const coarsePlateResolution = 40;
+const coarsePlateModes = 10;
+const coarsePlateIntPoints = 40;
+
+/**
+ * Coarse version of a problem, or null when it has none
+ *
+ * @param {string} kind - 'bar' for a 1D problem (see heat_solver.js), 'plate' for a plate (see plate_solver.js)
+ * @param {object} problem - Problem description
+ * @returns {object | null} - Problem at reduced resolution
+ */
+export const coarseProblem = (kind, problem) => {
+  if (kind === 'plate') {
+    if (problem.method === 'grid') return null;
+    return {
+      ...problem,
+      resolution: coarsePlateResolution,
+      numModes: Math.min(problem.numModes, coarsePlateModes),
+      numIntPoints: Math.min(problem.numIntPoints, coarsePlateIntPoints),
+    };
+  }
+  if (isTimeStepped(problem)) return null;
+  return {
+    ...problem,
+    numPoints: coarseBarPoints,
+    numModes: Math.min(problem.numModes, coarseBarModes),
+    numIntPoints: Math.min(problem.numIntPoints, coarseBarIntPoints),
+  };
+};
+
+/**
+ * Solve a problem for display
+ *
+ * @param {string} kind - 'bar' or 'plate' (see coarseProblem)
+ * @param {object} problem - Problem description
+ * @param {string|null} [compareWith] - Solution of a 1D problem to evaluate alongside (see comparison.js)
+ * @param {Array<object>} [traces] - Setups of other 1D problems (without the time) to solve at the same time
+ * @returns {{x: Float64Array, y?: Float64Array, u: Float64Array, comparison: Float64Array|null,
+ *          traces: Array<{x: Float64Array, u: Float64Array}>, computeTime: number}} - Sampled solution,
+ *          the comparison solution at the same positions, each trace sampled on its own bar, and the
+ *          time the main solver took in milliseconds
+ */
+export const solveFrame = (kind, problem, compareWith = null, traces = []) => {
+  const start = performance.now();
+  const frame = kind === 'plate' ? solvePlate(problem) : solveHeatEquation(problem);
+  const computeTime = performance.now() - start;
+  const comparison = compareWith
+    ? evaluateHeatEquation(createComparisonProblem(problem, compareWith), frame.x)
+    : null;
+  const solved = traces.map((setup) => solveHeatEquation({ ...setup, time: problem.time }));
+  return { ...frame, comparison, traces: solved, computeTime };
+};
@@ -0,0 +1,109 @@
+/**
+ * Recording of a canvas animation as a WebM video or an animated GIF
+ *
+ * WebM uses the browser's MediaRecorder on the canvas stream, so it captures
+ * every frame the canvas paints. GIF frames are sampled from the canvas at a
+ * fixed interval, scaled down, and encoded in the browser (see gif.js).
+ */
+
+import { createGifEncoder } from './gif.js';
+
+// Display names of the recording formats
+export const RECORDING_FORMATS = {
+  webm: 'WebM video',
+  gif: 'Animated GIF',
+};
+
+// Frame rate requested from the canvas stream for WebM
+const videoFramesPerSecond = 30;
+
+// Containers tried for WebM, best first
+const videoTypes = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// GIF sampling: time between frames, widest frame, and a cap on the frame count
+const gifFrameMilliseconds = 100;
+const gifMaxWidth = 500;
+const gifMaxFrames = 300;
+
+/**
+ * Whether the browser can record a canvas as WebM
+ *
+ * @returns {boolean} - True when MediaRecorder and canvas streams are available
+ */
+export const canRecordVideo = () =>
+  typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+
+/**
+ * Record a canvas as a WebM video
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to record
+ * @returns {object} - Recorder (see createCanvasRecorder)
+ */
+const createVideoRecorder = (canvas) => {
+  const mimeType = videoTypes.find((type) => MediaRecorder.isTypeSupported(type));
+  const stream = canvas.captureStream(videoFramesPerSecond);
+  const media = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  media.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  media.start(250);
+
+  return {
+    extension: 'webm',
+    stop: () => new Promise((resolve) => {
+      media.onstop = () => {
+        stream.getTracks().forEach((track) => track.stop());
+        resolve(new Blob(chunks, { type: 'video/webm' }));
+      };
+      media.stop();
+    }),
+  };
+};
+
+/**
+ * Record a canvas as an animated GIF
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to record
+ * @returns {object} - Recorder (see createCanvasRecorder)
+ */
+const createGifRecorder = (canvas) => {
+  const scale = Math.min(1, gifMaxWidth / canvas.width);
+  const frame = document.createElement('canvas');
+  frame.width = Math.round(canvas.width * scale);
+  frame.height = Math.round(canvas.height * scale);
+  const ctx = frame.getContext('2d', { willReadFrequently: true });
+  const encoder = createGifEncoder(frame.width, frame.height);
+
+  const capture = () => {
+    if (encoder.frameCount >= gifMaxFrames) return;
+    ctx.drawImage(canvas, 0, 0, frame.width, frame.height);
+    encoder.addFrame(ctx.getImageData(0, 0, frame.width, frame.height).data, gifFrameMilliseconds / 10);
+  };
+  // The first frame is taken one interval in, once the restarted animation has drawn
+  const timer = setInterval(capture, gifFrameMilliseconds);
+
+  return {
+    extension: 'gif',
+    stop: async () => {
+      clearInterval(timer);
+      // The last frame shows the final state
+      capture();
+      return encoder.finish();
+    },
+  };
+};
+
+/**
+ * Start recording a canvas
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to record
+ * @param {string} format - 'webm' or 'gif' (see RECORDING_FORMATS)
+ * @returns {{extension: string, stop: () => Promise<Blob>}} - Recorder; stop() ends the recording and
+ *          resolves to the file
+ */
+export const createCanvasRecorder = (canvas, format) => {
+  if (format === 'webm') return createVideoRecorder(canvas);
+  if (format === 'gif') return createGifRecorder(canvas);
+  throw new Error(`Unknown recording format: ${format}`);
+};
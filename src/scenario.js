@@ -0,0 +1,422 @@
+/**
+ * Scenarios: the complete configuration of the visualization as plain data
+ *
+ * A scenario is everything needed to reproduce a setup (bar, equation, initial
+ * condition, boundary values, sources, discretization, plate, playback and the
+ * current time), tagged with SCENARIO_VERSION. Scenarios are shared three ways:
+ * - in the URL hash, as base64url-encoded JSON of the fields that differ from
+ *   the defaults, so links stay short
+ * - as named presets in localStorage
+ * - as JSON files, exported and imported
+ * Anything read back is checked by validateScenario, which fills in missing
+ * fields with their defaults, clamps the numeric settings, including those
+ * of the sources, boundary values, equation, units and segments, to the ranges
+ * the controls offer (see SETTING_LIMITS) and rejects files from a newer version.
+ */
+
+import { DEFAULT_BOUNDARY_VALUES, isBoundaryCondition } from './boundary.js';
+import { compositeLength, DEFAULT_SEGMENTS, MAX_SEGMENTS } from './composite.js';
+import { DEFAULT_EQUATION, EQUATION_LABELS } from './equations.js';
+import { parseExpression } from './expression.js';
+import { CUSTOM_MATERIAL, MATERIALS } from './materials.js';
+import { MAX_PROBES } from './measurements.js';
+import { FINITE_DIFFERENCE_SCHEMES } from './finite_difference.js';
+import {
+  DEFAULT_GRID_SPACING,
+  DEFAULT_NUM_INT_POINTS,
+  DEFAULT_NUM_MODES,
+  DEFAULT_SCHEME,
+  DEFAULT_TIME_STEP,
+  INITIAL_CONDITION_PRESETS,
+} from './heat_solver.js';
+import { DEFAULT_PLAYBACK, LOG_TIME_MIN, MAX_STOP_TIME, PLAYBACK_SPEEDS } from './playback.js';
+import {
+  compilePlateExpression,
+  DEFAULT_PLATE,
+  PLATE_BOUNDARY_CONDITIONS,
+  PLATE_INITIAL_CONDITIONS,
+  PLATE_METHODS,
+} from './plate_solver.js';
+import { SEMI_INFINITE_BOUNDARIES } from './semi_infinite.js';
+import { SKETCH_POINTS } from './sketch.js';
+import { DEFAULT_SOURCES } from './sources.js';
+import { DEFAULT_UNITS, isUnits } from './units.js';
+
+// Version of the scenario format; bump when a field changes meaning
+export const SCENARIO_VERSION = 1;
+
+// Bar types a scenario may select
+const BAR_TYPES = ['infinite', 'semi-infinite', 'finite', 'numerical', 'composite', 'plate'];
+
+// Solutions a bounded bar may be compared with
+const COMPARISONS = ['none', 'reference', 'finite', 'numerical'];
+
+// Scenario of a fresh page
+export const DEFAULT_SCENARIO = {
+  version: SCENARIO_VERSION,
+  time: 0,
+  alpha: 0.1,
+  material: CUSTOM_MATERIAL,
+  units: DEFAULT_UNITS,
+  barLength: 10,
+  barType: 'infinite',
+  segments: DEFAULT_SEGMENTS,
+  equation: DEFAULT_EQUATION,
+  initialCondition: 'gaussian',
+  expression: 'exp(-(x - L/3)^2) + 0.5*step(x - 2*L/3)',
+  sketch: null,
+  boundaryCondition: 'dirichlet',
+  boundaryValues: DEFAULT_BOUNDARY_VALUES,
+  sources: DEFAULT_SOURCES,
+  numModes: DEFAULT_NUM_MODES,
+  numIntPoints: DEFAULT_NUM_INT_POINTS,
+  scheme: DEFAULT_SCHEME,
+  gridSpacing: DEFAULT_GRID_SPACING,
+  timeStep: DEFAULT_TIME_STEP,
+  compareWith: 'none',
+  probes: [],
+  plate: DEFAULT_PLATE,
+  playback: DEFAULT_PLAYBACK,
+};
+
+// Ranges of the numeric settings, the same the controls offer: links are
+// untrusted, and a huge resolution or a tiny Δt would hang the solvers
+export const SETTING_LIMITS = {
+  alpha: { min: 0.01, max: 0.5 },
+  numModes: { min: 1, max: 200, integer: true },
+  numIntPoints: { min: 20, max: 1000, integer: true },
+  gridSpacing: { min: 0.01, max: 1 },
+  timeStep: { min: 0.0001, max: 1 },
+  barLength: { min: 1, max: 50 },
+  plateHeight: { min: 1, max: 50 },
+  time: { min: 0, max: MAX_STOP_TIME },
+  stopTime: { min: LOG_TIME_MIN, max: MAX_STOP_TIME },
+  sourceWidth: { min: 0.01, max: 10 },
+  sourcePosition: { min: 0, max: 1 },
+  switchTime: { min: 0, max: MAX_STOP_TIME },
+  sourceSpeed: { min: -10, max: 10 },
+  lossRate: { min: 0, max: 100 },
+  biot: { min: 0.01, max: 100 },
+  velocity: { min: -20, max: 20 },
+  growthRate: { min: 0, max: 20 },
+  decayRate: { min: 0, max: 20 },
+  nonlinearity: { min: -10, max: 10 },
+  segmentLength: { min: 0.1, max: 50 },
+  segmentAlpha: { min: 1e-8, max: 200 },
+  segmentConductivity: { min: 0.001, max: 1000 },
+  baseline: { min: 0, max: 10000 },
+  span: { min: 0.01, max: 10000 },
+};
+
+// Setting limits of the nested numeric fields, by object and field
+const NESTED_LIMITS = {
+  sources: {
+    lossRate: 'lossRate',
+    heaterPosition: 'sourcePosition',
+    heaterWidth: 'sourceWidth',
+    heaterOn: 'switchTime',
+    heaterOff: 'switchTime',
+    movingStart: 'sourcePosition',
+    movingSpeed: 'sourceSpeed',
+    movingWidth: 'sourceWidth',
+  },
+  boundaryValues: { leftBiot: 'biot', rightBiot: 'biot' },
+  equation: { velocity: 'velocity', growthRate: 'growthRate', decayRate: 'decayRate', nonlinearity: 'nonlinearity' },
+  units: { baseline: 'baseline', span: 'span' },
+};
+
+// Setting limits of the fields of a composite segment
+const SEGMENT_LIMITS = { length: 'segmentLength', alpha: 'segmentAlpha', conductivity: 'segmentConductivity' };
+
+/**
+ * Bring a setting into its range
+ *
+ * @param {string} name - Key in SETTING_LIMITS
+ * @param {number} value - Value to check
+ * @returns {number} - The value clamped to the range
+ */
+export const clampSetting = (name, value) => {
+  const { min, max } = SETTING_LIMITS[name];
+  return Math.min(max, Math.max(min, value));
+};
+
+// localStorage key of the saved presets
+const PRESETS_KEY = 'heat-diffusion-presets';
+
+// URL hash parameter holding an encoded scenario
+const HASH_PARAMETER = 's';
+
+/**
+ * Check one value against the type of its default
+ *
+ * @param {string} path - Field name, for the error message
+ * @param {*} value - Value read back
+ * @param {*} fallback - Default value, whose type the value must have
+ * @returns {*} - The value (objects merged over their defaults)
+ * @throws {Error} - On a value of the wrong type
+ */
+const checkField = (path, value, fallback) => {
+  if (value === undefined) return fallback;
+  if (typeof fallback === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`${path} must be a finite number`);
+    return value;
+  }
+  if (typeof fallback === 'string' || typeof fallback === 'boolean') {
+    if (typeof value !== typeof fallback) throw new Error(`${path} must be a ${typeof fallback}`);
+    return value;
+  }
+  if (fallback && typeof fallback === 'object' && !Array.isArray(fallback)) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error(`${path} must be an object`);
+    const result = {};
+    for (const key of Object.keys(fallback)) result[key] = checkField(`${path}.${key}`, value[key], fallback[key]);
+    return result;
+  }
+  return value;
+};
+
+/**
+ * Clamp the fields of an object that have a setting limit
+ *
+ * @param {object} values - Object read back
+ * @param {Object<string, string>} limits - Key in SETTING_LIMITS of each bounded field
+ * @returns {object} - Copy of the object with its bounded fields clamped
+ */
+const clampFields = (values, limits) => {
+  const result = { ...values };
+  for (const [key, name] of Object.entries(limits)) result[key] = clampSetting(name, values[key]);
+  return result;
+};
+
+/**
+ * Check a scenario read from a URL, a preset or a file, and fill in missing
+ * fields with their defaults
+ *
+ * @param {*} data - Parsed JSON
+ * @returns {object} - Complete scenario
+ * @throws {Error} - Describing the first problem found
+ */
+export const validateScenario = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Not a scenario');
+  if (typeof data.version !== 'number') throw new Error('Not a scenario: missing version');
+  if (data.version > SCENARIO_VERSION) {
+    throw new Error(`Scenario version ${data.version} is newer than this app supports (${SCENARIO_VERSION})`);
+  }
+
+  const scenario = { version: SCENARIO_VERSION };
+  for (const key of Object.keys(DEFAULT_SCENARIO)) {
+    if (key === 'version' || key === 'segments' || key === 'sketch' || key === 'probes') continue;
+    scenario[key] = checkField(key, data[key], DEFAULT_SCENARIO[key]);
+  }
+
+  if (!BAR_TYPES.includes(scenario.barType)) throw new Error(`Unknown bar type '${scenario.barType}'`);
+  if (!isBoundaryCondition(scenario.boundaryCondition)) {
+    throw new Error(`Unknown boundary condition '${scenario.boundaryCondition}'`);
+  }
+  if (scenario.barType === 'semi-infinite' && !Object.hasOwn(SEMI_INFINITE_BOUNDARIES, scenario.boundaryCondition)) {
+    throw new Error('A semi-infinite bar needs a Dirichlet or Neumann end');
+  }
+  if (!Object.hasOwn(EQUATION_LABELS, scenario.equation.model)) {
+    throw new Error(`Unknown equation '${scenario.equation.model}'`);
+  }
+  if (scenario.equation.growthRate < 0 || scenario.equation.decayRate < 0) {
+    throw new Error('Growth and decay rates must be non-negative');
+  }
+  if (!Object.hasOwn(FINITE_DIFFERENCE_SCHEMES, scenario.scheme)) throw new Error(`Unknown scheme '${scenario.scheme}'`);
+  if (!COMPARISONS.includes(scenario.compareWith)) throw new Error(`Unknown comparison '${scenario.compareWith}'`);
+  if (scenario.material !== CUSTOM_MATERIAL && !Object.hasOwn(MATERIALS, scenario.material)) {
+    throw new Error(`Unknown material '${scenario.material}'`);
+  }
+  if (!isUnits(scenario.units)) throw new Error('Unknown units');
+  if (scenario.units.baseline < 0 || scenario.units.span <= 0) {
+    throw new Error('The temperature baseline must be above absolute zero and its span positive');
+  }
+  if (scenario.time < 0 || scenario.alpha <= 0 || scenario.barLength <= 0 || scenario.gridSpacing <= 0 ||
+      scenario.timeStep <= 0 || scenario.plate.height <= 0 || scenario.playback.stopTime <= 0) {
+    throw new Error('Time must be non-negative, and lengths, steps and α positive');
+  }
+  const { sources, boundaryValues } = scenario;
+  if (sources.heaterWidth <= 0 || sources.movingWidth <= 0 || sources.lossRate < 0 ||
+      boundaryValues.leftBiot <= 0 || boundaryValues.rightBiot <= 0) {
+    throw new Error('Source widths and Biot numbers must be positive, and the loss rate non-negative');
+  }
+  if (!PLAYBACK_SPEEDS.includes(scenario.playback.speed)) {
+    throw new Error(`Playback speed must be one of ${PLAYBACK_SPEEDS.join(', ')}`);
+  }
+  if (!PLATE_METHODS.includes(scenario.plate.method)) throw new Error(`Unknown plate method '${scenario.plate.method}'`);
+  if (!PLATE_BOUNDARY_CONDITIONS.includes(scenario.plate.boundaryCondition)) {
+    throw new Error(`Unknown plate edge condition '${scenario.plate.boundaryCondition}'`);
+  }
+  if (!PLATE_INITIAL_CONDITIONS.includes(scenario.plate.initialCondition)) {
+    throw new Error(`Unknown plate initial map '${scenario.plate.initialCondition}'`);
+  }
+  if (!Number.isInteger(scenario.numModes) || !Number.isInteger(scenario.numIntPoints)) {
+    throw new Error('The numbers of modes and quadrature points must be whole numbers');
+  }
+  scenario.alpha = clampSetting('alpha', scenario.alpha);
+  scenario.numModes = clampSetting('numModes', scenario.numModes);
+  scenario.numIntPoints = clampSetting('numIntPoints', scenario.numIntPoints);
+  scenario.gridSpacing = clampSetting('gridSpacing', scenario.gridSpacing);
+  scenario.timeStep = clampSetting('timeStep', scenario.timeStep);
+  scenario.barLength = clampSetting('barLength', scenario.barLength);
+  scenario.plate = { ...scenario.plate, height: clampSetting('plateHeight', scenario.plate.height) };
+  scenario.playback = { ...scenario.playback, stopTime: clampSetting('stopTime', scenario.playback.stopTime) };
+  scenario.time = clampSetting('time', scenario.time);
+  for (const [key, limits] of Object.entries(NESTED_LIMITS)) scenario[key] = clampFields(scenario[key], limits);
+  if (!INITIAL_CONDITION_PRESETS.includes(scenario.initialCondition) &&
+      scenario.initialCondition !== 'expression' && scenario.initialCondition !== 'sketch') {
+    throw new Error(`Unknown initial condition '${scenario.initialCondition}'`);
+  }
+
+  // Formulas are parsed now, so a broken one is reported instead of failing later
+  try {
+    parseExpression(scenario.expression);
+    compilePlateExpression(scenario.plate.expression, scenario.barLength, scenario.plate.height);
+  } catch (error) {
+    throw new Error(`Invalid formula: ${error.message}`);
+  }
+
+  const segments = data.segments ?? DEFAULT_SCENARIO.segments;
+  if (!Array.isArray(segments) || segments.length === 0 || segments.length > MAX_SEGMENTS) {
+    throw new Error(`segments must be an array of 1 to ${MAX_SEGMENTS} segments`);
+  }
+  scenario.segments = segments.map((segment, index) => {
+    const checked = checkField(`segments[${index}]`, segment, DEFAULT_SEGMENTS[0]);
+    if (checked.length <= 0 || checked.alpha <= 0 || checked.conductivity <= 0) {
+      throw new Error(`segments[${index}] needs a positive length, α and k`);
+    }
+    return clampFields(checked, SEGMENT_LIMITS);
+  });
+
+  const sketch = data.sketch ?? null;
+  if (sketch !== null && (!Array.isArray(sketch) || sketch.length !== SKETCH_POINTS ||
+      !sketch.every((value) => typeof value === 'number' && Number.isFinite(value)))) {
+    throw new Error(`sketch must be ${SKETCH_POINTS} numbers`);
+  }
+  if (scenario.initialCondition === 'sketch' && sketch === null) throw new Error('A sketched initial condition needs its sketch');
+  scenario.sketch = sketch;
+
+  const probes = data.probes ?? DEFAULT_SCENARIO.probes;
+  const L = scenario.barType === 'composite' ? compositeLength(scenario.segments) : scenario.barLength;
+  if (!Array.isArray(probes) || probes.length > MAX_PROBES ||
+      !probes.every((position) => typeof position === 'number' && position >= 0 && position <= L)) {
+    throw new Error(`probes must be at most ${MAX_PROBES} positions on the bar`);
+  }
+  scenario.probes = probes;
+
+  return scenario;
+};
+
+/**
+ * Fields of a scenario that differ from the defaults, plus its version
+ *
+ * @param {object} scenario - Complete scenario
+ * @returns {object} - Compact scenario
+ */
+const compactScenario = (scenario) => {
+  const compact = { version: scenario.version };
+  for (const [key, value] of Object.entries(scenario)) {
+    if (JSON.stringify(value) !== JSON.stringify(DEFAULT_SCENARIO[key])) compact[key] = value;
+  }
+  return compact;
+};
+
+/**
+ * Encode a scenario for a URL: base64url of the UTF-8 JSON of its non-default fields
+ *
+ * @param {object} scenario - Complete scenario
+ * @returns {string} - URL-safe text
+ */
+export const encodeScenario = (scenario) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(compactScenario(scenario)));
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decode and validate a scenario encoded by encodeScenario
+ *
+ * @param {string} text - URL-safe text
+ * @returns {object} - Complete scenario
+ * @throws {Error} - If the text is not a valid scenario
+ */
+export const decodeScenario = (text) => {
+  let data;
+  try {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    data = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0))));
+  } catch {
+    throw new Error('The link does not contain a readable scenario');
+  }
+  return validateScenario(data);
+};
+
+/**
+ * Scenario encoded in a URL's hash or query (#s=… or ?s=…), if any
+ *
+ * @param {Location | URL} location - Page location
+ * @returns {object | null} - Complete scenario, or null when the URL has none
+ * @throws {Error} - If the URL has a scenario that is not valid
+ */
+export const readScenarioFromUrl = (location) => {
+  const hash = new URLSearchParams(location.hash.replace(/^#/, ''));
+  const text = hash.get(HASH_PARAMETER) ?? new URLSearchParams(location.search).get(HASH_PARAMETER);
+  return text ? decodeScenario(text) : null;
+};
+
+/**
+ * Link to the page with a scenario in its hash
+ *
+ * @param {object} scenario - Complete scenario
+ * @param {Location | URL} location - Current page location
+ * @returns {string} - Absolute URL
+ */
+export const scenarioUrl = (scenario, location) => {
+  const url = new URL(location.href);
+  url.search = '';
+  url.hash = `${HASH_PARAMETER}=${encodeScenario(scenario)}`;
+  return url.toString();
+};
+
+/**
+ * Saved presets, by name (empty when storage is unavailable or corrupt)
+ *
+ * Presets that no longer validate, e.g. from a newer version, are skipped.
+ *
+ * @returns {Object<string, object>} - Complete scenarios by preset name
+ */
+export const loadPresets = () => {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(PRESETS_KEY) ?? '{}');
+  } catch {
+    return {};
+  }
+  const presets = {};
+  for (const [name, data] of Object.entries(stored ?? {})) {
+    try {
+      presets[name] = validateScenario(data);
+    } catch {
+      // Skip presets this version cannot read
+    }
+  }
+  return presets;
+};
+
+/**
+ * Save or delete a preset
+ *
+ * @param {string} name - Preset name
+ * @param {object | null} scenario - Scenario to save, or null to delete the preset
+ * @returns {Object<string, object>} - Presets after the change
+ * @throws {Error} - If storage is unavailable or full
+ */
+export const storePreset = (name, scenario) => {
+  const presets = loadPresets();
+  if (scenario) presets[name] = scenario;
+  else delete presets[name];
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  return presets;
+};
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { advanceTime } from './playback.js';
+import { decodeScenario, encodeScenario, validateScenario, DEFAULT_SCENARIO, SETTING_LIMITS } from './scenario.js';
+
+describe('validateScenario', () => {
+  it('round-trips the default scenario through a link', () => {
+    expect(decodeScenario(encodeScenario(DEFAULT_SCENARIO))).toEqual(DEFAULT_SCENARIO);
+  });
+
+  it('clamps resolutions, steps and times to the ranges of the controls', () => {
+    const scenario = validateScenario({
+      version: 1, numModes: 1e9, numIntPoints: 5, gridSpacing: 1e-9, timeStep: 1e-12, time: 1e12, barLength: 1e6,
+      playback: { stopTime: 1e9 },
+    });
+    expect(scenario.numModes).toBe(SETTING_LIMITS.numModes.max);
+    expect(scenario.numIntPoints).toBe(SETTING_LIMITS.numIntPoints.min);
+    expect(scenario.gridSpacing).toBe(SETTING_LIMITS.gridSpacing.min);
+    expect(scenario.timeStep).toBe(SETTING_LIMITS.timeStep.min);
+    expect(scenario.time).toBe(SETTING_LIMITS.time.max);
+    expect(scenario.barLength).toBe(SETTING_LIMITS.barLength.max);
+    expect(scenario.playback.stopTime).toBe(SETTING_LIMITS.stopTime.max);
+  });
+
+  it('rejects fractional resolutions and unknown initial conditions', () => {
+    expect(() => validateScenario({ version: 1, numModes: 10.5 })).toThrow(/whole numbers/);
+    expect(() => validateScenario({ version: 1, initialCondition: 'constructor' })).toThrow(/Unknown initial condition/);
+  });
+
+  it('rejects source widths, Biot numbers and playback speeds the solvers cannot use', () => {
+    expect(() => validateScenario({ version: 1, sources: { movingWidth: 0 } })).toThrow(/widths/);
+    expect(() => validateScenario({ version: 1, sources: { heaterWidth: 0 } })).toThrow(/widths/);
+    expect(() => validateScenario({ version: 1, boundaryValues: { leftBiot: 0 } })).toThrow(/Biot/);
+    expect(() => validateScenario({ version: 1, boundaryValues: { rightBiot: -1 } })).toThrow(/Biot/);
+    expect(() => validateScenario({ version: 1, playback: { speed: -1 } })).toThrow(/Playback speed/);
+  });
+
+  it('rejects unknown plate settings', () => {
+    expect(() => validateScenario({ version: 1, plate: { method: 'magic' } })).toThrow(/plate method/);
+    expect(() => validateScenario({ version: 1, plate: { boundaryCondition: 'robin' } })).toThrow(/plate edge/);
+    expect(() => validateScenario({ version: 1, plate: { initialCondition: 'constructor' } })).toThrow(/plate initial/);
+  });
+
+  it('rejects too many segments and probes off the bar', () => {
+    const segments = Array.from({ length: 7 }, () => DEFAULT_SCENARIO.segments[0]);
+    expect(() => validateScenario({ version: 1, segments })).toThrow(/segments/);
+    expect(() => validateScenario({ version: 1, barLength: 10, probes: [11] })).toThrow(/probes/);
+    expect(() => validateScenario({ version: 1, barType: 'composite', barLength: 50, probes: [20] })).toThrow(/probes/);
+  });
+
+  it('clamps sources, boundary values, equation, units and segments to the ranges of the controls', () => {
+    const scenario = validateScenario({
+      version: 1,
+      sources: { movingWidth: 1e-9, heaterWidth: 1e9, movingSpeed: -1e9, heaterOff: 1e12, heaterPosition: 3 },
+      boundaryValues: { leftBiot: 1e-9, rightBiot: 1e9 },
+      equation: { model: 'advection', velocity: 1e9 },
+      units: { baseline: 1e308, span: 1e-9 },
+      segments: [{ name: 'Tiny', length: 1e-9, alpha: 1e9, conductivity: 1e9 }],
+    });
+    expect(scenario.sources.movingWidth).toBe(SETTING_LIMITS.sourceWidth.min);
+    expect(scenario.sources.heaterWidth).toBe(SETTING_LIMITS.sourceWidth.max);
+    expect(scenario.sources.movingSpeed).toBe(SETTING_LIMITS.sourceSpeed.min);
+    expect(scenario.sources.heaterOff).toBe(SETTING_LIMITS.switchTime.max);
+    expect(scenario.sources.heaterPosition).toBe(SETTING_LIMITS.sourcePosition.max);
+    expect(scenario.boundaryValues.leftBiot).toBe(SETTING_LIMITS.biot.min);
+    expect(scenario.boundaryValues.rightBiot).toBe(SETTING_LIMITS.biot.max);
+    expect(scenario.equation.velocity).toBe(SETTING_LIMITS.velocity.max);
+    expect(scenario.units.baseline).toBe(SETTING_LIMITS.baseline.max);
+    expect(scenario.units.span).toBe(SETTING_LIMITS.span.min);
+    expect(scenario.segments[0]).toEqual({
+      name: 'Tiny',
+      length: SETTING_LIMITS.segmentLength.min,
+      alpha: SETTING_LIMITS.segmentAlpha.max,
+      conductivity: SETTING_LIMITS.segmentConductivity.max,
+    });
+  });
+});
+
+describe('advanceTime', () => {
+  it('stays within [0, stop time] whatever the speed', () => {
+    const playback = { ...DEFAULT_SCENARIO.playback, stopTime: 5 };
+    expect(advanceTime(0.01, 0.25, { ...playback, speed: -8 })).toBe(0);
+    expect(advanceTime(4.9, 0.25, { ...playback, speed: 8 })).toBe(5);
+  });
+});
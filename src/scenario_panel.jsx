@@ -0,0 +1,150 @@
+import React, { useRef, useState } from 'react';
+import { downloadBlob } from './export.js';
+import { loadPresets, scenarioUrl, storePreset, validateScenario } from './scenario.js';
+
+// Classes shared by the panel's buttons
+const BUTTON_CLASS = 'bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white px-2 py-1 rounded text-xs';
+
+/**
+ * ScenarioPanel Component
+ *
+ * Saving and sharing of the whole setup: named presets kept in the browser's
+ * localStorage, a link with the scenario in its hash, and export/import of a
+ * scenario as a JSON file. Loaded scenarios are validated (see scenario.js)
+ * and problems are reported on the status line instead of being applied.
+ *
+ * @param {object} props
+ * @param {object} props.scenario - Current scenario
+ * @param {string|null} props.initialError - Why the scenario in the page URL was rejected, if it was
+ * @param {(scenario: object) => void} props.onLoad - Called with a validated scenario to apply
+ */
+const ScenarioPanel = ({ scenario, initialError, onLoad }) => {
+  const [presets, setPresets] = useState(loadPresets); // Saved scenarios by name
+  const [name, setName] = useState(''); // Name typed for a new preset
+  const [selected, setSelected] = useState(''); // Preset picked in the list
+  const [status, setStatus] = useState(initialError ? { message: initialError, error: true } : null);
+  const fileRef = useRef(null);
+
+  const report = (message, error = false) => setStatus({ message, error });
+
+  const handleSave = () => {
+    const presetName = name.trim();
+    try {
+      setPresets(storePreset(presetName, scenario));
+      setSelected(presetName);
+      setName('');
+      report(`Saved '${presetName}'`);
+    } catch (error) {
+      report(`Could not save: ${error.message}`, true);
+    }
+  };
+
+  const handleDelete = () => {
+    try {
+      setPresets(storePreset(selected, null));
+      report(`Deleted '${selected}'`);
+      setSelected('');
+    } catch (error) {
+      report(`Could not delete: ${error.message}`, true);
+    }
+  };
+
+  /**
+   * Export handler - downloads the scenario as a JSON file
+   */
+  const handleExport = () => {
+    const blob = new Blob([JSON.stringify(scenario, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${selected || 'scenario'}.json`);
+  };
+
+  /**
+   * Import handler - reads, validates and applies a scenario file
+   */
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch {
+        throw new Error('The file is not valid JSON');
+      }
+      onLoad(validateScenario(data));
+      report(`Loaded ${file.name}`);
+    } catch (error) {
+      report(`Could not import ${file.name}: ${error.message}`, true);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    const url = scenarioUrl(scenario, window.location);
+    try {
+      await navigator.clipboard.writeText(url);
+      report('Link copied');
+    } catch {
+      // Clipboard access can be refused; the address bar holds the same link
+      report('Copy the link from the address bar', true);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="text-white block text-sm">Scenario:</label>
+      <div className="flex gap-2">
+        <select
+          value={selected}
+          onChange={(e) => setSelected(e.target.value)}
+          aria-label="Saved presets"
+          className="flex-1 min-w-0 bg-gray-700 text-white px-2 py-1 rounded text-xs"
+        >
+          <option value="">Saved presets…</option>
+          {Object.keys(presets).map((presetName) => (
+            <option key={presetName} value={presetName}>{presetName}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => {
+            onLoad(presets[selected]);
+            report(`Loaded '${selected}'`);
+          }}
+          disabled={!selected}
+          className={BUTTON_CLASS}
+        >
+          Load
+        </button>
+        <button onClick={handleDelete} disabled={!selected} className={BUTTON_CLASS}>Delete</button>
+      </div>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Preset name"
+          aria-label="Preset name"
+          className="flex-1 min-w-0 bg-gray-700 text-white px-2 py-1 rounded text-xs"
+        />
+        <button onClick={handleSave} disabled={!name.trim()} className={BUTTON_CLASS}>Save</button>
+      </div>
+      <div className="flex gap-2">
+        <button onClick={handleCopyLink} className={BUTTON_CLASS}>Copy link</button>
+        <button onClick={handleExport} className={BUTTON_CLASS}>Export JSON</button>
+        <button onClick={() => fileRef.current.click()} className={BUTTON_CLASS}>Import JSON</button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          aria-label="Import scenario file"
+          className="hidden"
+        />
+      </div>
+      {status && (
+        <p className={`text-xs ${status.error ? 'text-red-400' : 'text-gray-400'}`}>{status.message}</p>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioPanel;
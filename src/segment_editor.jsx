@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { compositeLength, MAX_SEGMENTS, SEGMENT_COLORS } from './composite.js';
+import { MATERIALS, materialDiffusivity } from './materials.js';
+import { SETTING_LIMITS } from './scenario.js';
+import { diffusivityFromSI } from './units.js';
+
+// Editable numeric properties of a segment, with their ranges
+const SEGMENT_FIELDS = [
+  { key: 'length', label: 'Length', limits: SETTING_LIMITS.segmentLength },
+  { key: 'alpha', label: 'α', limits: SETTING_LIMITS.segmentAlpha },
+  { key: 'conductivity', label: 'k', limits: SETTING_LIMITS.segmentConductivity },
+];
+
+/**
+ * SegmentEditor Component
+ *
+ * Table of the segments of a composite bar, from x = 0 to x = L. Each row
+ * edits a segment's name, length, diffusivity α and conductivity k; its color
+ * matches the band drawn under the plot. A segment can also be filled from
+ * the materials catalog, which sets α in the current units and k in W/(m·K);
+ * only ratios of k matter, so they compare with hand-set values in the same scale.
+ *
+ * @param {object} props
+ * @param {Array<object>} props.segments - Segments { name, length, alpha, conductivity }
+ * @param {object} props.units - Units α is given in (see units.js)
+ * @param {(segments: Array<object>) => void} props.onChange - Called with the updated segments
+ */
+const SegmentEditor = ({ segments, units, onChange }) => {
+  const [target, setTarget] = useState(0); // Segment the material picker fills
+
+  const update = (index, changes) => {
+    onChange(segments.map((segment, i) => (i === index ? { ...segment, ...changes } : segment)));
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1.5">
+        <label className="text-white text-sm">Segments (L = {compositeLength(segments).toFixed(2)}):</label>
+        <button
+          onClick={() => onChange([...segments, { ...segments[segments.length - 1], name: `Segment ${segments.length + 1}` }])}
+          disabled={segments.length >= MAX_SEGMENTS}
+          className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white px-2 py-1 rounded text-xs"
+        >
+          Add
+        </button>
+      </div>
+      <div className="space-y-1.5">
+        {segments.map((segment, index) => (
+          <div key={index} className="flex items-center gap-1.5">
+            <span
+              className="w-3 h-6 rounded-sm flex-shrink-0"
+              style={{ backgroundColor: SEGMENT_COLORS[index % SEGMENT_COLORS.length] }}
+            />
+            <input
+              type="text"
+              value={segment.name}
+              onChange={(e) => update(index, { name: e.target.value })}
+              aria-label={`Segment ${index + 1} name`}
+              className="w-20 bg-gray-700 text-white px-1.5 py-1 rounded text-xs"
+            />
+            {SEGMENT_FIELDS.map(({ key, label, limits }) => (
+              <input
+                key={key}
+                type="number"
+                step="0.1"
+                min={limits.min}
+                max={limits.max}
+                value={segment[key]}
+                title={label}
+                aria-label={`Segment ${index + 1} ${label}`}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  if (!isNaN(value) && value >= limits.min && value <= limits.max) update(index, { [key]: value });
+                }}
+                className="w-14 bg-gray-700 text-white px-1.5 py-1 rounded text-xs"
+              />
+            ))}
+            <button
+              onClick={() => onChange(segments.filter((_, i) => i !== index))}
+              disabled={segments.length <= 1}
+              aria-label={`Remove segment ${index + 1}`}
+              className="text-gray-400 hover:text-white disabled:opacity-30 text-xs px-1"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+      <p className="text-gray-400 text-xs mt-1">Columns: name, length, diffusivity α, conductivity k</p>
+      <div className="flex items-center gap-1.5 mt-1.5">
+        <span className="text-gray-300 text-xs">Fill</span>
+        <select
+          value={Math.min(target, segments.length - 1)}
+          onChange={(e) => setTarget(parseInt(e.target.value, 10))}
+          aria-label="Segment to fill"
+          className="bg-gray-700 text-white px-1.5 py-1 rounded text-xs"
+        >
+          {segments.map((segment, index) => (
+            <option key={index} value={index}>{index + 1}</option>
+          ))}
+        </select>
+        <select
+          value=""
+          onChange={(e) => {
+            const material = MATERIALS[e.target.value];
+            update(Math.min(target, segments.length - 1), {
+              name: material.name,
+              alpha: Number(diffusivityFromSI(materialDiffusivity(material), units).toPrecision(3)),
+              conductivity: material.conductivity,
+            });
+          }}
+          aria-label="Segment material"
+          className="flex-1 min-w-0 bg-gray-700 text-white px-1.5 py-1 rounded text-xs"
+        >
+          <option value="">with material…</option>
+          {Object.entries(MATERIALS).map(([key, { name }]) => (
+            <option key={key} value={key}>{name}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default SegmentEditor;
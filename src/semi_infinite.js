@@ -0,0 +1,95 @@
+/**
+ * Semi-infinite bar x ≥ 0 by the method of images
+ *
+ * Extending the initial profile to the whole line so that the end condition
+ * holds by symmetry turns the half-line into an infinite bar (see
+ * solveSemiInfiniteBar):
+ * - fixed temperature u(0,t) = T₀: the image on x < 0 is -f(-x), the odd
+ *   extension, whose kernel convolution vanishes at x = 0; the end adds
+ *   T₀ erfc(x / 2√(αt)), the solution for a suddenly heated end
+ * - gradient ∂u/∂x(0,t) = g: the image is f(-x), the even extension, whose
+ *   convolution has zero slope at x = 0; the end adds -2g√(αt) ierfc(x / 2√(αt)),
+ *   with ierfc(z) = e^(-z²)/√π - z erfc(z) (nothing for an insulated end)
+ *
+ * The whole-line profile keeps the symmetry at every time: u - T₀ is odd about
+ * x = 0 for a fixed end and u - gx is even for a gradient end, which is how the
+ * image is drawn on x < 0 (see reflectProfile).
+ */
+
+import { boundaryTypes } from './boundary.js';
+
+// Boundary conditions of the end at x = 0, with the image each one uses
+export const SEMI_INFINITE_BOUNDARIES = {
+  dirichlet: 'Fixed temperature (odd image)',
+  neumann: 'Prescribed gradient (even image)',
+};
+
+/**
+ * Whether the end of a semi-infinite bar is held at a fixed temperature
+ *
+ * @param {string} boundaryCondition - Key in SEMI_INFINITE_BOUNDARIES
+ * @returns {boolean} - True for an odd image, false for an even one
+ */
+export const hasOddImage = (boundaryCondition) => boundaryTypes(boundaryCondition).left === 'temperature';
+
+/**
+ * Complementary error function erfc(z) = 1 - erf(z)
+ * (Chebyshev fit, relative error below 1.2e-7 for every z)
+ *
+ * @param {number} z - Argument
+ * @returns {number} - erfc(z)
+ */
+export const erfc = (z) => {
+  const a = Math.abs(z);
+  const s = 1 / (1 + 0.5 * a);
+  const value = s * Math.exp(-a * a - 1.26551223 + s * (1.00002368 + s * (0.37409196 + s * (0.09678418 +
+    s * (-0.18628806 + s * (0.27886807 + s * (-1.13520398 + s * (1.48851587 +
+    s * (-0.82215223 + s * 0.17087277)))))))));
+  return z >= 0 ? value : 2 - value;
+};
+
+/**
+ * Integrated complementary error function ierfc(z) = ∫_z^∞ erfc(s) ds
+ *
+ * @param {number} z - Argument
+ * @returns {number} - e^(-z²)/√π - z erfc(z)
+ */
+export const ierfc = (z) => Math.exp(-z * z) / Math.sqrt(Math.PI) - z * erfc(z);
+
+/**
+ * Temperature the heated or cooled end adds to the image solution
+ *
+ * @param {string} boundaryCondition - Key in SEMI_INFINITE_BOUNDARIES
+ * @param {number} value - End temperature T₀ or gradient g
+ * @param {number} x - Position (x ≥ 0)
+ * @param {number} t - Time (t > 0)
+ * @param {number} alpha - Thermal diffusivity
+ * @returns {number} - T₀ erfc(x/2√(αt)) or -2g√(αt) ierfc(x/2√(αt))
+ */
+export const endResponse = (boundaryCondition, value, x, t, alpha) => {
+  const width = 2 * Math.sqrt(alpha * t);
+  return hasOddImage(boundaryCondition) ? value * erfc(x / width) : -value * width * ierfc(x / width);
+};
+
+/**
+ * Image of a profile on x < 0: the whole-line extension that keeps the end
+ * condition, 2T₀ - u(-x) for a fixed end and u(-x) + 2gx for a gradient end
+ *
+ * @param {ArrayLike<number>} x - Positions on the bar (increasing, x ≥ 0)
+ * @param {ArrayLike<number>} u - Temperatures at those positions
+ * @param {string} boundaryCondition - Key in SEMI_INFINITE_BOUNDARIES
+ * @param {number} value - End temperature T₀ or gradient g
+ * @returns {{x: Float64Array, u: Float64Array}} - Mirrored positions (increasing) and image values
+ */
+export const reflectProfile = (x, u, boundaryCondition, value) => {
+  const n = x.length;
+  const odd = hasOddImage(boundaryCondition);
+  const mirrored = new Float64Array(n);
+  const image = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const j = n - 1 - i;
+    mirrored[i] = -x[j];
+    image[i] = odd ? 2 * value - u[j] : u[j] - 2 * value * x[j];
+  }
+  return { x: mirrored, u: image };
+};
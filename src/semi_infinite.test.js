@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { solveHeatEquation } from './heat_solver.js';
+import { erfc } from './semi_infinite.js';
+
+const base = { barType: 'semi-infinite', L: 10, alpha: 0.5, numPoints: 101 };
+
+describe('erfc', () => {
+  it.each([
+    [0, 1],
+    [0.5, 0.4795001221869535],
+    [1, 0.15729920705028513],
+    [2, 0.004677734981047266],
+    [-1, 1.8427007929497148],
+  ])('erfc(%f) = %f', (z, value) => {
+    expect(Math.abs(erfc(z) - value)).toBeLessThan(1.2e-7 * value);
+  });
+});
+
+describe('solveHeatEquation on the semi-infinite bar', () => {
+  it('gives T₀ erfc(x / 2√(αt)) for a cold bar whose end is suddenly held at T₀', () => {
+    // At t = 2, 2√(αt) = 2: x = 1, 2 and 4 sit at z = 0.5, 1 and 2
+    const { x, u } = solveHeatEquation({
+      ...base, boundaryCondition: 'dirichlet', boundaryValues: { left: 3 }, initialCondition: () => 0, time: 2,
+    });
+    for (const [position, value] of [[0, 1], [1, 0.4795001221869535], [2, 0.15729920705028513], [4, 0.004677734981047266]]) {
+      const i = x.findIndex((xi) => Math.abs(xi - position) < 1e-9);
+      expect(u[i]).toBeCloseTo(3 * value, 5);
+    }
+  });
+
+  it('raises the end by 2g√(αt/π) under a prescribed gradient g', () => {
+    const g = -0.4;
+    for (const time of [0.5, 2, 8]) {
+      const { u } = solveHeatEquation({
+        ...base, boundaryCondition: 'neumann', boundaryValues: { left: g }, initialCondition: () => 0, time,
+      });
+      expect(u[0]).toBeCloseTo(-2 * g * Math.sqrt(base.alpha * time / Math.PI), 5);
+    }
+  });
+
+  it.each([
+    ['dirichlet', -1],
+    ['neumann', 1],
+  ])('spreads a Gaussian with its image about x = 0 (%s end)', (boundaryCondition, sign) => {
+    // Odd image for a fixed end at zero, even image for an insulated end
+    const center = 2;
+    const variance = 0.25;
+    const problem = {
+      ...base, boundaryCondition, boundaryValues: { left: 0 },
+      initialCondition: (x) => Math.exp(-((x - center) ** 2) / (2 * variance)),
+    };
+    for (const time of [0.2, 1, 3]) {
+      const spread = variance + 2 * base.alpha * time;
+      const gaussian = (c, x) => Math.sqrt(variance / spread) * Math.exp(-((x - c) ** 2) / (2 * spread));
+      const { x, u } = solveHeatEquation({ ...problem, time });
+      x.forEach((position, i) => {
+        expect(u[i]).toBeCloseTo(gaussian(center, position) + sign * gaussian(-center, position), 3);
+      });
+    }
+  });
+});
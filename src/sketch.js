@@ -0,0 +1,71 @@
+/**
+ * Freehand initial conditions sketched on the plot
+ *
+ * A sketch is stored as temperatures at SKETCH_POINTS evenly spaced positions
+ * on [0,L] and turned into f(x) by linear interpolation, so it can be fed to
+ * every solver like any other initial condition. Outside the bar (the infinite
+ * bar's padded grid) the sketch is zero.
+ */
+
+import { linspace } from './grid.js';
+
+// Number of samples a sketch is stored at
+export const SKETCH_POINTS = 101;
+
+/**
+ * Sample a profile at the sketch positions, e.g. to start a sketch from the
+ * current initial condition
+ *
+ * @param {(x: number) => number} f - Profile to sample
+ * @param {number} L - Length of the bar
+ * @returns {Float64Array} - Sketch values
+ */
+export const sampleSketch = (f, L) => linspace(0, L, SKETCH_POINTS).map(f);
+
+/**
+ * Initial condition f(x) drawn by a sketch
+ *
+ * @param {Float64Array} values - Sketch values at SKETCH_POINTS positions on [0,L]
+ * @param {number} L - Length of the bar
+ * @returns {(x: number) => number} - Linear interpolation of the sketch
+ */
+export const createSketchFunction = (values, L) => {
+  const last = values.length - 1;
+  return (x) => {
+    if (x < 0 || x > L) return 0;
+    const s = x / L * last;
+    const j = Math.min(Math.floor(s), last - 1);
+    const w = s - j;
+    return values[j] * (1 - w) + values[j + 1] * w;
+  };
+};
+
+/**
+ * Draw a stroke segment into a sketch: every sample between the two pointer
+ * positions takes the value on the straight line joining them, so fast
+ * strokes leave no gaps
+ *
+ * @param {Float64Array} values - Current sketch values
+ * @param {number} L - Length of the bar
+ * @param {{x: number, u: number}} from - Previous pointer position in plot coordinates
+ * @param {{x: number, u: number}} to - Current pointer position in plot coordinates
+ * @returns {Float64Array} - New sketch values
+ */
+export const paintSketch = (values, L, from, to) => {
+  const result = values.slice();
+  const last = values.length - 1;
+  const toIndex = (x) => Math.min(last, Math.max(0, Math.round(x / L * last)));
+  const i0 = toIndex(from.x);
+  const i1 = toIndex(to.x);
+
+  if (i0 === i1) {
+    result[i1] = to.u;
+    return result;
+  }
+  const step = i1 > i0 ? 1 : -1;
+  for (let i = i0; i !== i1 + step; i += step) {
+    const w = (i - i0) / (i1 - i0);
+    result[i] = from.u + w * (to.u - from.u);
+  }
+  return result;
+};
@@ -0,0 +1,109 @@
+/**
+ * Main-thread side of the solver worker (see solver_worker.js)
+ *
+ * Problems are posted to the worker as plain data and the frames come back
+ * asynchronously. Every request gets an increasing id; a frame is delivered
+ * only if it is newer than the last one shown and was requested with the
+ * current setup, so results for parameters that have since changed are
+ * dropped. A new setup asks for a coarse pass first (see progressive.js).
+ *
+ * Where workers are unavailable the frames are solved on the main thread,
+ * still asynchronously, without the coarse pass.
+ *
+ * A request the solver fails on is reported through onError rather than left
+ * waiting, as is a worker that stops or posts a frame that cannot be read.
+ */
+
+import { solveFrame } from './progressive.js';
+
+/**
+ * Start the solver worker
+ *
+ * @returns {Worker|null} - Worker, or null if it could not be started
+ */
+const startWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('./solver_worker.js', import.meta.url), { type: 'module' });
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Create a solver client
+ *
+ * @param {(frame: object) => void} onFrame - Called with each delivered frame: the worker's
+ *        {coarse, x, (y,) u, comparison, computeTime} plus the kind, problem and setup of the request,
+ *        and its pinned traces each with their {x, u}
+ * @param {(message: string) => void} onError - Called with the error when the current request fails
+ * @returns {{request: (kind: string, setup: object, problem: object, compareWith?: string|null,
+ *          traces?: Array<object>) => void, dispose: () => void}} - request() asks for a frame of a
+ *          problem ('bar' or 'plate', see progressive.js) whose setup is the same problem without the
+ *          time, with pinned traces (see traces.js) solved at the same time; dispose() stops the worker
+ */
+export const createSolverClient = (onFrame, onError) => {
+  const worker = startWorker();
+  const requests = new Map(); // Requests awaiting a fine frame, by id
+  let nextId = 0;
+  let currentSetup = null; // Setup of the newest request
+  let shownId = -1; // Request of the last delivered frame
+
+  const deliver = (id, data) => {
+    const request = requests.get(id);
+    if (!request || request.setup !== currentSetup || id < shownId) return;
+    shownId = id;
+    if (!data.coarse) {
+      // Older requests can no longer be shown
+      for (const key of requests.keys()) {
+        if (key <= id) requests.delete(key);
+      }
+    }
+    const traces = request.traces.map((trace, index) => ({ ...trace, ...data.traces[index] }));
+    onFrame({ ...data, kind: request.kind, problem: request.problem, setup: request.setup, traces });
+  };
+
+  const fail = (id, message) => {
+    const request = requests.get(id);
+    if (!request || request.setup !== currentSetup || id < shownId) return;
+    requests.delete(id);
+    onError(message);
+  };
+
+  if (worker) {
+    worker.onmessage = ({ data }) => (data.error !== undefined ? fail(data.id, data.error) : deliver(data.id, data));
+    worker.onerror = (event) => {
+      event.preventDefault();
+      onError(event.message || 'The solver worker stopped');
+    };
+    worker.onmessageerror = () => onError('A frame from the solver worker could not be read');
+  }
+
+  const request = (kind, setup, problem, compareWith = null, traces = []) => {
+    const id = nextId++;
+    const coarse = setup !== currentSetup;
+    currentSetup = setup;
+    requests.set(id, { kind, problem, setup, traces });
+    const traceSetups = traces.map((trace) => trace.setup);
+    if (worker) {
+      worker.postMessage({ id, kind, problem, compareWith, traces: traceSetups, coarse });
+      return;
+    }
+    Promise.resolve().then(() => {
+      // Only the newest request is solved
+      if (id !== nextId - 1) return;
+      try {
+        deliver(id, { coarse: false, ...solveFrame(kind, problem, compareWith, traceSetups) });
+      } catch (error) {
+        fail(id, error.message);
+      }
+    });
+  };
+
+  const dispose = () => {
+    worker?.terminate();
+    requests.clear();
+  };
+
+  return { request, dispose };
+};
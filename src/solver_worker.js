@@ -0,0 +1,72 @@
+/**
+ * Solver worker: computes display frames off the main thread
+ *
+ * Receives {id, kind, problem, compareWith, traces, coarse} requests (see
+ * solver_client.js) and posts back {id, coarse, x, (y,) u, comparison,
+ * traces, computeTime} with Float64Array data, or {id, error} with the
+ * message when the solver throws. Requests that arrive while one is being
+ * solved replace each other, so only the newest is computed, and a queued fine
+ * pass is dropped once a newer request comes in. The solver caches live here
+ * and persist between requests.
+ */
+
+import { coarseProblem, solveFrame } from './progressive.js';
+
+let pending = null; // Newest request not yet started
+let scheduled = false; // Whether a run is queued
+
+/**
+ * Post a frame, handing over its freshly computed buffers
+ *
+ * @param {number} id - Request id
+ * @param {boolean} coarse - Whether this is the coarse pass
+ * @param {object} frame - Frame (see solveFrame)
+ */
+const post = (id, coarse, frame) => {
+  // Positions may belong to a cached solver, so they are copied rather than transferred
+  const transfer = [frame.u.buffer, ...frame.traces.map((trace) => trace.u.buffer)];
+  if (frame.comparison) transfer.push(frame.comparison.buffer);
+  self.postMessage({ id, coarse, ...frame }, transfer);
+};
+
+/**
+ * Queue a run unless one is already queued
+ */
+const schedule = () => {
+  if (scheduled) return;
+  scheduled = true;
+  setTimeout(run, 0);
+};
+
+/**
+ * Solve the newest request, coarse pass first when asked; the fine pass is
+ * queued as a separate task so a request arriving in between supersedes it.
+ * A failure is reported instead of a frame, and the next request tries again.
+ */
+const run = () => {
+  scheduled = false;
+  const request = pending;
+  pending = null;
+  if (!request) return;
+
+  const { id, kind, problem, compareWith, traces } = request;
+  try {
+    const coarse = request.coarse ? coarseProblem(kind, problem) : null;
+    if (!coarse) {
+      post(id, false, solveFrame(kind, problem, compareWith, traces));
+      return;
+    }
+    // The comparison waits for the fine pass
+    post(id, true, solveFrame(kind, coarse, null, traces));
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+    return;
+  }
+  pending = { ...request, coarse: false };
+  schedule();
+};
+
+self.onmessage = ({ data }) => {
+  pending = data;
+  schedule();
+};
@@ -0,0 +1,63 @@
+import React from 'react';
+import { SETTING_LIMITS } from './scenario.js';
+
+/**
+ * SourceControls Component
+ *
+ * Inputs for the source and loss terms of a bounded bar: uniform generation q₀,
+ * lateral loss β toward the ambient temperature T_amb, a localized heater
+ * switched on between t_on and t_off, and a source moving at speed v.
+ *
+ * @param {object} props
+ * @param {object} props.values - Current source parameters (see DEFAULT_SOURCES)
+ * @param {(values: object) => void} props.onChange - Called with the updated parameters
+ */
+const SourceControls = ({ values, onChange }) => {
+  // Number input bound to one field of the source parameters (optionally bounded, see SETTING_LIMITS)
+  const field = (key, label, { min, max } = {}) => (
+    <div>
+      <label className="text-gray-300 block mb-1 text-xs">{label}</label>
+      <input
+        type="number"
+        step="0.1"
+        min={min}
+        max={max}
+        value={values[key]}
+        onChange={(e) => {
+          const value = parseFloat(e.target.value);
+          if (isNaN(value) || (min !== undefined && value < min) || (max !== undefined && value > max)) return;
+          onChange({ ...values, [key]: value });
+        }}
+        className="w-full bg-gray-700 text-white px-2 py-1 rounded-lg text-sm"
+      />
+    </div>
+  );
+
+  return (
+    <div className="space-y-2">
+      <label className="text-white block text-sm">Sources and Losses:</label>
+      <div className="grid grid-cols-3 gap-2">
+        {field('generation', 'Generation q₀')}
+        {field('lossRate', 'Loss β', SETTING_LIMITS.lossRate)}
+        {field('ambient', 'Ambient T_amb')}
+      </div>
+      <label className="text-gray-400 block text-xs">Heater</label>
+      <div className="grid grid-cols-3 gap-2">
+        {field('heaterPower', 'Power P_h')}
+        {field('heaterPosition', 'Center x/L', SETTING_LIMITS.sourcePosition)}
+        {field('heaterWidth', 'Width σ', SETTING_LIMITS.sourceWidth)}
+        {field('heaterOn', 'On at t', SETTING_LIMITS.switchTime)}
+        {field('heaterOff', 'Off at t', SETTING_LIMITS.switchTime)}
+      </div>
+      <label className="text-gray-400 block text-xs">Moving source</label>
+      <div className="grid grid-cols-3 gap-2">
+        {field('movingPower', 'Power P_m')}
+        {field('movingStart', 'Start x/L', SETTING_LIMITS.sourcePosition)}
+        {field('movingSpeed', 'Speed v', SETTING_LIMITS.sourceSpeed)}
+        {field('movingWidth', 'Width σ', SETTING_LIMITS.sourceWidth)}
+      </div>
+    </div>
+  );
+};
+
+export default SourceControls;
@@ -0,0 +1,152 @@
+/**
+ * Source terms and lateral heat loss on a finite bar [0,L]
+ *
+ * With sources the heat equation becomes
+ *   ∂u/∂t = α ∂²u/∂x² + q(x,t) - β (u - T_amb)
+ *
+ * where the heat input q(x,t) is the sum of
+ * - uniform internal generation q₀
+ * - a localized heater of total power P_h, a Gaussian of width σ_h centered at
+ *   x_h, switched on at t_on and off at t_off
+ * - a moving source of power P_m and width σ_m that starts at x_m and travels
+ *   at speed v, reflecting off the ends of the bar
+ *
+ * and -β (u - T_amb) is Newtonian cooling through the sides of the bar toward
+ * the ambient temperature. Positions are given as fractions of L so that the
+ * sources stay on the bar when its length changes.
+ */
+
+export const DEFAULT_SOURCES = {
+  generation: 0, // Uniform heat generation q₀
+  lossRate: 0, // Lateral loss coefficient β
+  ambient: 0, // Ambient temperature T_amb of the lateral loss
+  heaterPower: 0, // Total power P_h of the localized heater
+  heaterPosition: 0.5, // Heater center x_h / L
+  heaterWidth: 0.3, // Heater width σ_h
+  heaterOn: 0, // Time t_on the heater is switched on
+  heaterOff: 10, // Time t_off the heater is switched off
+  movingPower: 0, // Total power P_m of the moving source
+  movingStart: 0.1, // Starting position x_m / L of the moving source
+  movingSpeed: 0.5, // Speed v of the moving source
+  movingWidth: 0.2, // Width σ_m of the moving source
+};
+
+/**
+ * Whether any source or loss term is switched on
+ *
+ * @param {object} sources - Source parameters (see DEFAULT_SOURCES)
+ * @returns {boolean} - True when the equation has a forcing or loss term
+ */
+export const hasSources = (sources = DEFAULT_SOURCES) =>
+  sources.generation !== 0 || sources.lossRate !== 0 ||
+  sources.heaterPower !== 0 || sources.movingPower !== 0;
+
+/**
+ * Source parameters with the defaults filled in, checked for widths the
+ * profiles can use
+ *
+ * @param {object} sources - Source parameters (see DEFAULT_SOURCES)
+ * @returns {object} - Complete source parameters
+ * @throws {Error} - If a heater or moving source width is not positive
+ */
+export const sourceParameters = (sources) => {
+  const params = { ...DEFAULT_SOURCES, ...sources };
+  if (!(params.heaterWidth > 0) || !(params.movingWidth > 0)) throw new Error('Source widths σ must be positive');
+  return params;
+};
+
+/**
+ * Gaussian of unit area, center c and width σ
+ *
+ * @param {number} x - Position
+ * @param {number} c - Center
+ * @param {number} sigma - Width σ
+ * @returns {number} - Value of the profile at x
+ */
+export const gaussianProfile = (x, c, sigma) =>
+  Math.exp(-((x - c) ** 2) / (2 * sigma * sigma)) / (sigma * Math.sqrt(2 * Math.PI));
+
+/**
+ * Position of the moving source at time t, reflected back and forth over [0,L]
+ *
+ * @param {object} sources - Source parameters (see DEFAULT_SOURCES)
+ * @param {number} L - Length of the bar
+ * @param {number} t - Time
+ * @returns {number} - Center of the moving source
+ */
+export const movingSourcePosition = (sources, L, t) => {
+  const travelled = sources.movingStart * L + sources.movingSpeed * t;
+  // Triangle wave of period 2L
+  const phase = ((travelled % (2 * L)) + 2 * L) % (2 * L);
+  return phase <= L ? phase : 2 * L - phase;
+};
+
+/**
+ * Whether the localized heater is on at time t
+ *
+ * @param {object} sources - Source parameters (see DEFAULT_SOURCES)
+ * @param {number} t - Time
+ * @returns {boolean} - True between t_on and t_off
+ */
+export const isHeaterOn = (sources, t) => t >= sources.heaterOn && t < sources.heaterOff;
+
+/**
+ * Heat input q(x,t) + β T_amb, i.e. every term of the right-hand side except
+ * α ∂²u/∂x² and -β u
+ *
+ * @param {object} sources - Source parameters (see DEFAULT_SOURCES)
+ * @param {number} L - Length of the bar
+ * @returns {(x: number, t: number) => number} - Forcing at position x and time t
+ * @throws {Error} - If a source width is not positive
+ */
+export const createSourceFunction = (sources, L) => {
+  const params = sourceParameters(sources);
+  const uniform = params.generation + params.lossRate * params.ambient;
+  const heaterCenter = params.heaterPosition * L;
+
+  return (x, t) => {
+    let q = uniform;
+    if (params.heaterPower !== 0 && isHeaterOn(params, t)) {
+      q += params.heaterPower * gaussianProfile(x, heaterCenter, params.heaterWidth);
+    }
+    if (params.movingPower !== 0) {
+      q += params.movingPower * gaussianProfile(x, movingSourcePosition(params, L, t), params.movingWidth);
+    }
+    return q;
+  };
+};
+
+/**
+ * Duhamel integral of a decaying mode driven by a unit forcing that is on
+ * between t_on and t_off: ∫ exp(-μ(t-s)) ds over [t_on, t_off] ∩ [0, t]
+ *
+ * @param {number} mu - Decay rate of the mode (may be zero)
+ * @param {number} t - Time
+ * @param {number} on - Time the forcing is switched on
+ * @param {number} off - Time the forcing is switched off
+ * @returns {number} - Value of the integral
+ */
+export const switchedIntegral = (mu, t, on, off) => {
+  const start = Math.max(0, on);
+  const end = Math.min(t, off);
+  if (end <= start) return 0;
+  if (mu === 0) return end - start;
+  return (Math.exp(-mu * (t - end)) - Math.exp(-mu * (t - start))) / mu;
+};
+
+/**
+ * Weights of ∫ₐᵇ exp(-μ(b-s)) p(s) ds for p linear between p(a) and p(b)
+ * (exact for every μ, so stiff high modes need no extra time resolution)
+ *
+ * @param {number} mu - Decay rate of the mode
+ * @param {number} h - Interval length b - a
+ * @returns {[number, number]} - Weights of p(a) and p(b)
+ */
+export const exponentialWeights = (mu, h) => {
+  const z = mu * h;
+  if (z < 1e-6) return [h / 2, h / 2];
+  const decay = Math.exp(-z);
+  const i0 = (1 - decay) / mu; // ∫₀ʰ exp(-μ(h-τ)) dτ
+  const i1 = (h * i0 - (1 - decay - z * decay) / (mu * mu)) / h; // (1/h) ∫₀ʰ τ exp(-μ(h-τ)) dτ
+  return [i0 - i1, i1];
+};
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { MAX_TRACES } from './traces.js';
+
+const BUTTON_CLASS = 'bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white px-2 py-1 rounded text-xs';
+
+/**
+ * TracePanel Component
+ *
+ * Pins the current 1D configuration as a named trace (see traces.js) so that
+ * configurations can be compared on the same axes. Each pinned trace is listed
+ * with its color, a visibility toggle, its editable name and a remove button;
+ * all traces play on the same clock as the live curve.
+ *
+ * @param {object} props
+ * @param {Array<object>} props.traces - Pinned traces { id, name, color, visible, setup }
+ * @param {boolean} props.canPin - Whether the current configuration can be pinned (1D bars only)
+ * @param {(name: string) => void} props.onPin - Called with the typed name (possibly blank) to pin the current setup
+ * @param {(traces: Array<object>) => void} props.onChange - Called with the updated traces
+ */
+const TracePanel = ({ traces, canPin, onPin, onChange }) => {
+  const [name, setName] = useState(''); // Name for the next trace
+
+  const update = (id, changes) => {
+    onChange(traces.map((trace) => (trace.id === id ? { ...trace, ...changes } : trace)));
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="text-white block text-sm">Pinned traces:</label>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          placeholder="Name (optional)"
+          onChange={(e) => setName(e.target.value)}
+          aria-label="Trace name"
+          className="flex-1 min-w-0 bg-gray-700 text-white px-2 py-1 rounded text-xs"
+        />
+        <button
+          onClick={() => {
+            onPin(name);
+            setName('');
+          }}
+          disabled={!canPin || traces.length >= MAX_TRACES}
+          className={BUTTON_CLASS}
+        >
+          Pin current
+        </button>
+      </div>
+      {traces.length > 0 && (
+        <div className="space-y-1.5">
+          {traces.map((trace) => (
+            <div key={trace.id} className="flex items-center gap-1.5">
+              <input
+                type="checkbox"
+                checked={trace.visible}
+                onChange={(e) => update(trace.id, { visible: e.target.checked })}
+                aria-label={`Show ${trace.name}`}
+              />
+              <span className="w-3 h-1 rounded-sm flex-shrink-0" style={{ backgroundColor: trace.color }} />
+              <input
+                type="text"
+                value={trace.name}
+                onChange={(e) => update(trace.id, { name: e.target.value })}
+                aria-label={`Trace ${trace.id} name`}
+                className="flex-1 min-w-0 bg-gray-700 text-white px-1.5 py-1 rounded text-xs"
+              />
+              <button
+                onClick={() => onChange(traces.filter((other) => other.id !== trace.id))}
+                aria-label={`Remove ${trace.name}`}
+                className="text-gray-400 hover:text-white text-xs px-1"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <button onClick={() => onChange([])} className={BUTTON_CLASS}>Clear all</button>
+        </div>
+      )}
+      <p className="text-gray-400 text-xs">
+        {canPin
+          ? `Up to ${MAX_TRACES} configurations, played on the same clock as the live curve`
+          : 'Traces are pinned from the 1D bars'}
+      </p>
+    </div>
+  );
+};
+
+export default TracePanel;
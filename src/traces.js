@@ -0,0 +1,57 @@
+/**
+ * Pinned traces: earlier configurations overlaid on the current one
+ *
+ * A trace is a snapshot of a 1D problem setup (the problem without the time,
+ * see heat_solver.js) with a name, a color and a visibility flag:
+ * { id, name, color, visible, setup }
+ * Every frame solves the visible traces at the time of the current problem
+ * (see solveFrame), so they play on one clock with the live curve while each
+ * keeps its own α, L, boundary and initial conditions.
+ */
+
+// Line colors of the traces, kept clear of the live curve and the overlays
+export const TRACE_COLORS = ['#3a86ff', '#fb5607', '#06d6a0', '#ff006e', '#c0ca33', '#b388ff'];
+
+// Most traces that can be pinned at once
+export const MAX_TRACES = TRACE_COLORS.length;
+
+/**
+ * Short description of a setup, used as the name of a trace that was not given one
+ *
+ * @param {object} setup - Problem setup (see heat_solver.js)
+ * @returns {string} - e.g. "finite, dirichlet, α = 0.5, L = 10, gaussian"
+ */
+export const describeSetup = (setup) => {
+  const { barType, boundaryCondition, alpha, L, initialCondition, equation } = setup;
+  const parts = [barType];
+  if (barType !== 'infinite') parts.push(boundaryCondition);
+  if (equation && equation.model !== 'diffusion') parts.push(equation.model);
+  parts.push(`α = ${Number(alpha.toPrecision(3))}`, `L = ${Number(L.toPrecision(3))}`);
+  if (typeof initialCondition === 'string') parts.push(initialCondition);
+  else parts.push(initialCondition.expression ? `f(x) = ${initialCondition.expression}` : 'sketch');
+  return parts.join(', ');
+};
+
+/**
+ * Pin a setup as a new trace, in the first color no other trace uses
+ *
+ * @param {Array<object>} traces - Pinned traces
+ * @param {object} setup - Problem setup to pin
+ * @param {string} [name] - Name shown in the legend (the setup's description when blank)
+ * @returns {Array<object>} - The traces with the new one last
+ * @throws {Error} - If MAX_TRACES are already pinned
+ */
+export const pinTrace = (traces, setup, name = '') => {
+  if (traces.length >= MAX_TRACES) throw new Error(`At most ${MAX_TRACES} traces can be pinned`);
+  const used = new Set(traces.map((trace) => trace.color));
+  return [
+    ...traces,
+    {
+      id: traces.reduce((max, trace) => Math.max(max, trace.id), 0) + 1,
+      name: name.trim() || describeSetup(setup),
+      color: TRACE_COLORS.find((color) => !used.has(color)),
+      visible: true,
+      setup,
+    },
+  ];
+};
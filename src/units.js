@@ -0,0 +1,146 @@
+/**
+ * Physical units of the visualization
+ *
+ * The solvers work with plain numbers; the units say what they mean. Lengths
+ * (L, x, Δx) are in the length unit, times (t, Δt) in the time unit, so α is in
+ * length²/time. The solution u is a dimensionless profile; with an absolute
+ * baseline it is shown as the temperature
+ *   T = T₀ + ΔT·u
+ * where T₀ is the baseline and ΔT the span, both kept in kelvin and displayed
+ * in the chosen temperature unit.
+ */
+
+// Length units and their size in meters
+export const LENGTH_UNITS = {
+  m: { label: 'm', meters: 1 },
+  cm: { label: 'cm', meters: 0.01 },
+  mm: { label: 'mm', meters: 0.001 },
+};
+
+// Time units and their size in seconds
+export const TIME_UNITS = {
+  s: { label: 's', seconds: 1 },
+  min: { label: 'min', seconds: 60 },
+  h: { label: 'h', seconds: 3600 },
+};
+
+// Temperature units: size of a degree in kelvin and the value of 0 K
+export const TEMPERATURE_UNITS = {
+  K: { label: 'K', scale: 1, zero: 0 },
+  C: { label: '°C', scale: 1, zero: -273.15 },
+  F: { label: '°F', scale: 9 / 5, zero: -459.67 },
+};
+
+// Units of a fresh page: u = 0…1 shown as is; with the baseline on, 20 °C to 100 °C
+export const DEFAULT_UNITS = {
+  length: 'cm',
+  time: 's',
+  temperature: 'C',
+  absolute: false, // Whether u is shown as an absolute temperature
+  baseline: 293.15, // Temperature T₀ at u = 0, in K
+  span: 80, // Temperature difference ΔT between u = 0 and u = 1, in K
+};
+
+/**
+ * Whether a units object names known units
+ *
+ * @param {object} units - Units (see DEFAULT_UNITS)
+ * @returns {boolean} - True when the length, time and temperature units all exist
+ */
+export const isUnits = (units) =>
+  Object.hasOwn(LENGTH_UNITS, units.length) &&
+  Object.hasOwn(TIME_UNITS, units.time) &&
+  Object.hasOwn(TEMPERATURE_UNITS, units.temperature);
+
+/**
+ * Unit of the diffusivity, e.g. 'cm²/s'
+ *
+ * @param {object} units - Units (see DEFAULT_UNITS)
+ * @returns {string} - Length unit squared per time unit
+ */
+export const diffusivityUnit = (units) => `${LENGTH_UNITS[units.length].label}²/${TIME_UNITS[units.time].label}`;
+
+/**
+ * Convert a diffusivity from m²/s to the chosen units
+ *
+ * @param {number} alpha - Diffusivity in m²/s
+ * @param {object} units - Units (see DEFAULT_UNITS)
+ * @returns {number} - Diffusivity in length²/time
+ */
+export const diffusivityFromSI = (alpha, units) =>
+  alpha * TIME_UNITS[units.time].seconds / LENGTH_UNITS[units.length].meters ** 2;
+
+/**
+ * Convert a temperature from kelvin to a temperature unit
+ *
+ * @param {number} kelvin - Temperature in K
+ * @param {string} unit - Temperature unit (see TEMPERATURE_UNITS)
+ * @returns {number} - Temperature in the unit
+ */
+export const fromKelvin = (kelvin, unit) => {
+  const { scale, zero } = TEMPERATURE_UNITS[unit];
+  return zero + kelvin * scale;
+};
+
+/**
+ * Convert a temperature to kelvin from a temperature unit
+ *
+ * @param {number} value - Temperature in the unit
+ * @param {string} unit - Temperature unit (see TEMPERATURE_UNITS)
+ * @returns {number} - Temperature in K
+ */
+export const toKelvin = (value, unit) => {
+  const { scale, zero } = TEMPERATURE_UNITS[unit];
+  return (value - zero) / scale;
+};
+
+/**
+ * Value shown for a profile value u: the absolute temperature T₀ + ΔT·u in the
+ * temperature unit with the baseline on, u itself otherwise
+ *
+ * @param {number} u - Profile value
+ * @param {object} units - Units (see DEFAULT_UNITS)
+ * @returns {number} - Displayed value
+ */
+export const displayTemperature = (u, units) =>
+  units.absolute ? fromKelvin(units.baseline + units.span * u, units.temperature) : u;
+
+/**
+ * Profile value for a displayed temperature (the inverse of displayTemperature)
+ *
+ * @param {number} value - Displayed value
+ * @param {object} units - Units (see DEFAULT_UNITS)
+ * @returns {number} - Profile value u
+ */
+export const profileValue = (value, units) =>
+  units.absolute ? (toKelvin(value, units.temperature) - units.baseline) / units.span : value;
+
+/**
+ * Name of the temperature axis, e.g. 'Temperature T (°C)'
+ *
+ * @param {object} units - Units (see DEFAULT_UNITS)
+ * @param {string} [relative] - Name used without the baseline
+ * @returns {string} - Axis label
+ */
+export const temperatureLabel = (units, relative = 'Temperature u(x,t)') =>
+  units.absolute ? `Temperature T (${TEMPERATURE_UNITS[units.temperature].label})` : relative;
+
+/**
+ * A length with its unit, e.g. '2.50 cm'
+ *
+ * @param {number} value - Length
+ * @param {object} units - Units (see DEFAULT_UNITS)
+ * @param {number} [digits] - Decimal places
+ * @returns {string} - Formatted length
+ */
+export const formatLength = (value, units, digits = 2) => `${value.toFixed(digits)} ${LENGTH_UNITS[units.length].label}`;
+
+/**
+ * A time with its unit, e.g. '1.50 min'
+ *
+ * @param {number} value - Time
+ * @param {object} units - Units (see DEFAULT_UNITS)
+ * @param {number} [digits] - Decimal places
+ * @returns {string} - Formatted time
+ */
+export const formatTime = (value, units, digits = 2) => `${value.toFixed(digits)} ${TIME_UNITS[units.time].label}`;
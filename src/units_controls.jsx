@@ -0,0 +1,91 @@
+import React from 'react';
+import { SETTING_LIMITS } from './scenario.js';
+import { fromKelvin, LENGTH_UNITS, TEMPERATURE_UNITS, TIME_UNITS, toKelvin } from './units.js';
+
+/**
+ * UnitsControls Component
+ *
+ * Unit choices for lengths, times and temperatures, and the optional absolute
+ * temperature baseline: with it on, the profile u is shown as T = T₀ + ΔT·u.
+ * T₀ and ΔT are edited in the chosen temperature unit and kept in kelvin.
+ *
+ * @param {object} props
+ * @param {object} props.values - Current units (see DEFAULT_UNITS)
+ * @param {(values: object) => void} props.onChange - Called with the updated units
+ */
+const UnitsControls = ({ values, onChange }) => {
+  const { scale, label: degree } = TEMPERATURE_UNITS[values.temperature];
+
+  // Select bound to one unit, listing the labels of a unit table
+  const unitSelect = (key, label, table) => (
+    <div>
+      <label className="text-gray-300 block mb-1 text-xs">{label}</label>
+      <select
+        value={values[key]}
+        onChange={(e) => onChange({ ...values, [key]: e.target.value })}
+        aria-label={`${label} unit`}
+        className="w-full bg-gray-700 text-white px-2 py-1 rounded-lg text-sm"
+      >
+        {Object.entries(table).map(([value, unit]) => (
+          <option key={value} value={value}>{unit.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div>
+      <label className="text-white block mb-1.5 text-sm">Units:</label>
+      <div className="grid grid-cols-3 gap-2">
+        {unitSelect('length', 'Length', LENGTH_UNITS)}
+        {unitSelect('time', 'Time', TIME_UNITS)}
+        {unitSelect('temperature', 'Temperature', TEMPERATURE_UNITS)}
+      </div>
+      <label className="flex items-center gap-2 text-white text-sm mt-2">
+        <input
+          type="checkbox"
+          checked={values.absolute}
+          onChange={(e) => onChange({ ...values, absolute: e.target.checked })}
+        />
+        Absolute temperatures T = T₀ + ΔT·u
+      </label>
+      {values.absolute && (
+        <div className="grid grid-cols-2 gap-2 mt-2">
+          <div>
+            <label className="text-gray-300 block mb-1 text-xs">Baseline T₀ ({degree})</label>
+            <input
+              type="number"
+              step="1"
+              value={Number(fromKelvin(values.baseline, values.temperature).toFixed(2))}
+              onChange={(e) => {
+                const baseline = toKelvin(parseFloat(e.target.value), values.temperature);
+                const { min, max } = SETTING_LIMITS.baseline;
+                if (baseline >= min && baseline <= max) onChange({ ...values, baseline });
+              }}
+              aria-label="Baseline temperature"
+              className="w-full bg-gray-700 text-white px-2 py-1 rounded-lg text-sm"
+            />
+          </div>
+          <div>
+            <label className="text-gray-300 block mb-1 text-xs">Span ΔT ({degree})</label>
+            <input
+              type="number"
+              step="1"
+              min="0"
+              value={Number((values.span * scale).toFixed(2))}
+              onChange={(e) => {
+                const span = parseFloat(e.target.value) / scale;
+                const { min, max } = SETTING_LIMITS.span;
+                if (span >= min && span <= max) onChange({ ...values, span });
+              }}
+              aria-label="Temperature span"
+              className="w-full bg-gray-700 text-white px-2 py-1 rounded-lg text-sm"
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UnitsControls;